@@ -0,0 +1,21 @@
+-- Migration: Add result details to matches
+-- Description: Stores per-set scores and the simulation seed of played matches.
+--              home_score / away_score hold the total rally points of each team.
+-- Version: 0.4.3
+
+-- Per-set scores, e.g. [{"home": 25, "away": 21}, {"home": 23, "away": 25}]
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS set_scores JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- Seed the match was simulated with, so it can be replayed
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS seed BIGINT;
+
+-- A completed match always has a winner with three sets
+ALTER TABLE matches DROP CONSTRAINT IF EXISTS completed_match_has_winner;
+ALTER TABLE matches ADD CONSTRAINT completed_match_has_winner CHECK (
+    status <> 'completed'
+    OR (GREATEST(home_sets_won, away_sets_won) = 3 AND LEAST(home_sets_won, away_sets_won) < 3)
+);
+
+COMMENT ON COLUMN matches.home_score IS 'Total rally points scored by the home team';
+COMMENT ON COLUMN matches.away_score IS 'Total rally points scored by the away team';
+COMMENT ON COLUMN matches.set_scores IS 'Points per set as a JSON array of {home, away}';
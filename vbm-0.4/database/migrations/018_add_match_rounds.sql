@@ -0,0 +1,28 @@
+-- Migration: Add rounds to matches for the league schedule
+-- Description: Adds the round number of generated fixtures and lets signed-in
+--              users create the scheduled fixtures of a season
+-- Version: 0.4.3
+
+-- Round of the double round-robin a fixture belongs to
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS round INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_matches_league_season_round ON matches(league_id, season, round);
+
+-- A team plays at most once per round
+CREATE UNIQUE INDEX IF NOT EXISTS idx_matches_home_round_unique
+    ON matches(league_id, season, round, home_team_id)
+    WHERE round IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_matches_away_round_unique
+    ON matches(league_id, season, round, away_team_id)
+    WHERE round IS NOT NULL;
+
+-- The hand-written sample fixtures from migration 013 are replaced by the generator
+UPDATE matches SET status = 'cancelled' WHERE status = 'scheduled' AND round IS NULL;
+
+-- Any signed-in user can create the scheduled fixtures of a season
+CREATE POLICY "Authenticated users can create scheduled fixtures" ON matches
+    FOR INSERT WITH CHECK (
+        auth.role() = 'authenticated'
+        AND status = 'scheduled'
+        AND round IS NOT NULL
+    );
@@ -0,0 +1,15 @@
+-- Migration: Allow results of simulated league fixtures
+-- Description: Lets signed-in users complete any scheduled league fixture, so
+--              matches between computer-controlled teams can be simulated
+-- Version: 0.4.3
+
+-- Any signed-in user can record the result of a scheduled league fixture
+CREATE POLICY "Authenticated users can complete scheduled fixtures" ON matches
+    FOR UPDATE USING (
+        auth.role() = 'authenticated'
+        AND status = 'scheduled'
+        AND round IS NOT NULL
+    ) WITH CHECK (
+        status = 'completed'
+        AND round IS NOT NULL
+    );
@@ -0,0 +1,116 @@
+-- Migration: Volleyball standings with set and points ratios
+-- Description: Replaces the football-style standings (draws, goal difference)
+--              with the FIVB points system, sets won/lost, set ratio and
+--              points ratio
+-- Version: 0.4.3
+
+-- The column list changes, so the view and its functions are recreated
+DROP FUNCTION IF EXISTS get_league_standings(TEXT);
+DROP FUNCTION IF EXISTS get_team_standings(INTEGER);
+DROP VIEW IF EXISTS team_standings;
+
+CREATE VIEW team_standings AS
+WITH team_matches AS (
+    -- One row per completed league match of a team, seen from that team
+    SELECT
+        t.id as team_id,
+        t.team_name,
+        t.league_id,
+        l.league_name,
+        m.id as match_id,
+        CASE WHEN m.home_team_id = t.id THEN m.home_sets_won ELSE m.away_sets_won END as sets_won,
+        CASE WHEN m.home_team_id = t.id THEN m.away_sets_won ELSE m.home_sets_won END as sets_lost,
+        CASE WHEN m.home_team_id = t.id THEN m.home_score ELSE m.away_score END as rally_points_won,
+        CASE WHEN m.home_team_id = t.id THEN m.away_score ELSE m.home_score END as rally_points_lost
+    FROM teams t
+    LEFT JOIN leagues l ON t.league_id = l.id
+    LEFT JOIN matches m ON (m.home_team_id = t.id OR m.away_team_id = t.id)
+        AND m.league_id = t.league_id
+        AND m.status = 'completed'
+),
+team_stats AS (
+    SELECT
+        team_id,
+        team_name,
+        league_id,
+        league_name,
+        COUNT(match_id)::INTEGER as matches_played,
+        COUNT(match_id) FILTER (WHERE sets_won > sets_lost)::INTEGER as wins,
+        COUNT(match_id) FILTER (WHERE sets_won < sets_lost)::INTEGER as losses,
+        -- FIVB points: 3 for a 3-0 or 3-1 win, 2 for a 3-2 win, 1 for a 2-3 loss
+        COALESCE(SUM(
+            CASE
+                WHEN sets_won = 3 AND sets_lost <= 1 THEN 3
+                WHEN sets_won = 3 AND sets_lost = 2 THEN 2
+                WHEN sets_won = 2 AND sets_lost = 3 THEN 1
+                ELSE 0
+            END
+        ), 0)::INTEGER as points,
+        COALESCE(SUM(sets_won), 0)::INTEGER as sets_won,
+        COALESCE(SUM(sets_lost), 0)::INTEGER as sets_lost,
+        COALESCE(SUM(rally_points_won), 0)::INTEGER as rally_points_won,
+        COALESCE(SUM(rally_points_lost), 0)::INTEGER as rally_points_lost
+    FROM team_matches
+    GROUP BY team_id, team_name, league_id, league_name
+)
+SELECT
+    team_id,
+    team_name,
+    league_id,
+    league_name,
+    matches_played,
+    wins,
+    losses,
+    points,
+    sets_won,
+    sets_lost,
+    -- NULL when nothing was lost yet (shown as MAX when something was won)
+    CASE
+        WHEN sets_lost > 0 THEN ROUND(sets_won::DECIMAL / sets_lost, 3)
+        ELSE NULL
+    END as set_ratio,
+    rally_points_won,
+    rally_points_lost,
+    CASE
+        WHEN rally_points_lost > 0 THEN ROUND(rally_points_won::DECIMAL / rally_points_lost, 3)
+        ELSE NULL
+    END as points_ratio,
+    CASE
+        WHEN matches_played > 0 THEN ROUND((wins::DECIMAL / matches_played) * 100, 1)
+        ELSE 0
+    END as win_percentage
+FROM team_stats
+ORDER BY
+    league_id,
+    points DESC,
+    wins DESC,
+    (sets_lost = 0 AND sets_won > 0) DESC,
+    set_ratio DESC NULLS LAST,
+    (rally_points_lost = 0 AND rally_points_won > 0) DESC,
+    points_ratio DESC NULLS LAST,
+    team_name;
+
+-- Create a function to get standings for a specific league
+CREATE OR REPLACE FUNCTION get_league_standings(league_name_param TEXT DEFAULT NULL)
+RETURNS SETOF team_standings AS $$
+BEGIN
+    IF league_name_param IS NULL THEN
+        RETURN QUERY
+        SELECT * FROM team_standings;
+    ELSE
+        RETURN QUERY
+        SELECT * FROM team_standings
+        WHERE team_standings.league_name = league_name_param;
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Create a function to get standings for a specific team
+CREATE OR REPLACE FUNCTION get_team_standings(team_id_param INTEGER)
+RETURNS SETOF team_standings AS $$
+BEGIN
+    RETURN QUERY
+    SELECT * FROM team_standings
+    WHERE team_standings.team_id = team_id_param;
+END;
+$$ LANGUAGE plpgsql;
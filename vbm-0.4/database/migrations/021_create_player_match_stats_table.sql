@@ -0,0 +1,53 @@
+-- Migration: Create player_match_stats table
+-- Description: Stores the box score of every player in a played match, so
+--              season totals can be built per player
+-- Version: 0.4.3
+
+CREATE TABLE IF NOT EXISTS player_match_stats (
+    id SERIAL PRIMARY KEY,
+    match_id INTEGER NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+    player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    kills INTEGER NOT NULL DEFAULT 0,
+    attack_errors INTEGER NOT NULL DEFAULT 0,
+    attack_attempts INTEGER NOT NULL DEFAULT 0,
+    aces INTEGER NOT NULL DEFAULT 0,
+    service_errors INTEGER NOT NULL DEFAULT 0,
+    blocks INTEGER NOT NULL DEFAULT 0,
+    digs INTEGER NOT NULL DEFAULT 0,
+    receptions INTEGER NOT NULL DEFAULT 0,
+    reception_errors INTEGER NOT NULL DEFAULT 0,
+    -- Sum of reception ratings, 0 (error) to 3 (perfect pass) each
+    reception_points INTEGER NOT NULL DEFAULT 0,
+    assists INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- One line per player and match
+    CONSTRAINT unique_player_match UNIQUE (match_id, player_id),
+
+    -- Ensure counters are non-negative
+    CONSTRAINT valid_player_match_stats CHECK (
+        kills >= 0 AND attack_errors >= 0 AND attack_attempts >= kills + attack_errors
+        AND aces >= 0 AND service_errors >= 0 AND blocks >= 0 AND digs >= 0
+        AND receptions >= reception_errors AND reception_errors >= 0
+        AND reception_points >= 0 AND assists >= 0
+    )
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_player_match_stats_match ON player_match_stats(match_id);
+CREATE INDEX IF NOT EXISTS idx_player_match_stats_player ON player_match_stats(player_id);
+
+-- Enable Row Level Security
+ALTER TABLE player_match_stats ENABLE ROW LEVEL SECURITY;
+
+-- Users can view all player statistics
+CREATE POLICY "Users can view all player match stats" ON player_match_stats
+    FOR SELECT USING (true);
+
+-- Any signed-in user can store the box score of a completed match
+CREATE POLICY "Authenticated users can insert player match stats" ON player_match_stats
+    FOR INSERT WITH CHECK (
+        auth.role() = 'authenticated'
+        AND match_id IN (SELECT id FROM matches WHERE status = 'completed')
+    );
@@ -0,0 +1,16 @@
+-- Migration: Add morale and form to players
+-- Description: Morale follows results and playing time, form follows recent
+--              match performances. Both change a player's match strength.
+-- Version: 0.4.3
+
+-- Morale (0-100), 70 is a content player
+ALTER TABLE players ADD COLUMN IF NOT EXISTS morale SMALLINT NOT NULL DEFAULT 70 CHECK (morale >= 0 AND morale <= 100);
+
+-- Form (0-100), 50 is the player's usual level
+ALTER TABLE players ADD COLUMN IF NOT EXISTS form SMALLINT NOT NULL DEFAULT 50 CHECK (form >= 0 AND form <= 100);
+
+-- Players without experience yet start at the minimum
+UPDATE players SET experience = 1 WHERE experience IS NULL;
+
+COMMENT ON COLUMN players.morale IS 'Player morale (0-100), changes with results and playing time';
+COMMENT ON COLUMN players.form IS 'Recent form (0-100), a running average of match ratings';
@@ -0,0 +1,47 @@
+-- Migration: Add training
+-- Description: Adds player fatigue, the coach quality of teams and a history
+--              of player stat changes made by training and development
+-- Version: 0.4.3
+
+-- Fatigue (0-100), 0 is fully rested
+ALTER TABLE players ADD COLUMN IF NOT EXISTS fatigue SMALLINT NOT NULL DEFAULT 0 CHECK (fatigue >= 0 AND fatigue <= 100);
+
+-- Coach quality (1-100) speeds up player development in training
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS coach_quality SMALLINT NOT NULL DEFAULT 50 CHECK (coach_quality >= 1 AND coach_quality <= 100);
+
+-- One row per stat change of a player
+CREATE TABLE IF NOT EXISTS player_stat_history (
+    id SERIAL PRIMARY KEY,
+    player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    stat TEXT NOT NULL,
+    old_value SMALLINT NOT NULL,
+    new_value SMALLINT NOT NULL,
+    change_date DATE NOT NULL,
+    -- What caused the change, e.g. 'training'
+    source TEXT NOT NULL DEFAULT 'training',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_player_stat_history_player ON player_stat_history(player_id, change_date DESC);
+
+-- Enable Row Level Security
+ALTER TABLE player_stat_history ENABLE ROW LEVEL SECURITY;
+
+-- Users can view the development of every player
+CREATE POLICY "Users can view player stat history" ON player_stat_history
+    FOR SELECT USING (true);
+
+-- Users can record stat changes of their own players
+CREATE POLICY "Users can insert stat history for own players" ON player_stat_history
+    FOR INSERT WITH CHECK (
+        player_id IN (
+            SELECT p.id
+            FROM players p
+            JOIN user_teams ut ON ut.team_id = p.team_id
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+    );
+
+COMMENT ON COLUMN players.fatigue IS 'Player fatigue (0-100), built up by training and matches';
+COMMENT ON COLUMN teams.coach_quality IS 'Coach quality (1-100), speeds up development in training';
@@ -0,0 +1,109 @@
+-- Migration: Add season rollover
+-- Description: Tracks the end-of-season rollover that ages, develops and
+--              retires players, and stores a development report per player
+-- Version: 0.4.3
+
+-- Rallies on court, the playing time that drives season development
+ALTER TABLE player_match_stats ADD COLUMN IF NOT EXISTS rallies_played INTEGER NOT NULL DEFAULT 0 CHECK (rallies_played >= 0);
+
+-- Retired players leave their team and stop playing
+ALTER TABLE players ADD COLUMN IF NOT EXISTS retired BOOLEAN NOT NULL DEFAULT false;
+
+-- One row per season that was rolled over
+CREATE TABLE IF NOT EXISTS season_rollovers (
+    season TEXT PRIMARY KEY,
+    status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed')),
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Development of every player over a season
+CREATE TABLE IF NOT EXISTS player_season_development (
+    id SERIAL PRIMARY KEY,
+    season TEXT NOT NULL,
+    player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    -- Team the player finished the season with
+    team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL,
+    -- Age after the rollover
+    age SMALLINT NOT NULL,
+    old_overall SMALLINT NOT NULL,
+    new_overall SMALLINT NOT NULL,
+    rallies_played INTEGER NOT NULL DEFAULT 0,
+    retired BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- One report line per player and season
+    CONSTRAINT unique_player_season_development UNIQUE (season, player_id)
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_player_season_development_team ON player_season_development(team_id, season);
+
+-- Enable Row Level Security
+ALTER TABLE season_rollovers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE player_season_development ENABLE ROW LEVEL SECURITY;
+
+-- Users can see which seasons were rolled over
+CREATE POLICY "Users can view season rollovers" ON season_rollovers
+    FOR SELECT USING (true);
+
+-- Any signed-in user can start the rollover of a season; the primary key
+-- makes sure it only runs once
+CREATE POLICY "Authenticated users can start season rollovers" ON season_rollovers
+    FOR INSERT WITH CHECK (
+        auth.role() = 'authenticated'
+        AND status = 'running'
+    );
+
+-- The rollover is marked completed when every player is done
+CREATE POLICY "Authenticated users can complete season rollovers" ON season_rollovers
+    FOR UPDATE USING (
+        auth.role() = 'authenticated'
+        AND status = 'running'
+    ) WITH CHECK (
+        status = 'completed'
+    );
+
+-- Players of every team are developed while a rollover runs. A rollover
+-- that was started over an hour ago no longer opens the players table.
+CREATE POLICY "Authenticated users can develop players during a season rollover" ON players
+    FOR UPDATE USING (
+        auth.role() = 'authenticated'
+        AND EXISTS (
+            SELECT 1
+            FROM season_rollovers sr
+            WHERE sr.status = 'running'
+            AND sr.started_at > NOW() - INTERVAL '1 hour'
+        )
+    );
+
+-- Season stat changes of every player are recorded while a rollover runs
+CREATE POLICY "Authenticated users can insert season stat history during a rollover" ON player_stat_history
+    FOR INSERT WITH CHECK (
+        auth.role() = 'authenticated'
+        AND source = 'season'
+        AND EXISTS (
+            SELECT 1
+            FROM season_rollovers sr
+            WHERE sr.status = 'running'
+            AND sr.started_at > NOW() - INTERVAL '1 hour'
+        )
+    );
+
+-- Users can view the development report of every team
+CREATE POLICY "Users can view player season development" ON player_season_development
+    FOR SELECT USING (true);
+
+-- The development report is written by the rollover
+CREATE POLICY "Authenticated users can insert player season development" ON player_season_development
+    FOR INSERT WITH CHECK (
+        auth.role() = 'authenticated'
+        AND season IN (
+            SELECT sr.season
+            FROM season_rollovers sr
+            WHERE sr.status = 'running'
+        )
+    );
+
+COMMENT ON COLUMN player_match_stats.rallies_played IS 'Rallies the player was on court for in the match';
+COMMENT ON COLUMN players.retired IS 'True once the player has retired at a season rollover';
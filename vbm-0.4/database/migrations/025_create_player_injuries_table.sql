@@ -0,0 +1,52 @@
+-- Migration: Create player injuries table
+-- Description: Adds the injuries players pick up in matches and training and
+--              the date until which an injured player is out
+-- Version: 0.4.3
+
+-- Injured players cannot play or train before this date
+ALTER TABLE players ADD COLUMN IF NOT EXISTS injured_until DATE;
+
+-- One row per injury of a player
+CREATE TABLE IF NOT EXISTS player_injuries (
+    id SERIAL PRIMARY KEY,
+    player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    -- Team the player was injured with
+    team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL,
+    injury_type TEXT NOT NULL,
+    severity TEXT NOT NULL CHECK (severity IN ('minor', 'moderate', 'severe')),
+    injury_date DATE NOT NULL,
+    recovery_date DATE NOT NULL,
+    -- Where the injury happened
+    source TEXT NOT NULL CHECK (source IN ('match', 'training')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT valid_recovery_date CHECK (recovery_date > injury_date)
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_player_injuries_player ON player_injuries(player_id, injury_date DESC);
+CREATE INDEX IF NOT EXISTS idx_player_injuries_team ON player_injuries(team_id, injury_date DESC);
+
+-- Enable Row Level Security
+ALTER TABLE player_injuries ENABLE ROW LEVEL SECURITY;
+
+-- Users can view the injuries of every team
+CREATE POLICY "Users can view player injuries" ON player_injuries
+    FOR SELECT USING (true);
+
+-- Users can record injuries of their own players
+CREATE POLICY "Users can insert injuries for own players" ON player_injuries
+    FOR INSERT WITH CHECK (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+        AND player_id IN (
+            SELECT p.id
+            FROM players p
+            WHERE p.team_id = player_injuries.team_id
+        )
+    );
+
+COMMENT ON COLUMN players.injured_until IS 'Recovery date of the current injury; the player is available from this date';
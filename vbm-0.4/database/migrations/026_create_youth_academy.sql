@@ -0,0 +1,92 @@
+-- Migration: Create youth academy
+-- Description: Adds the academy quality of teams, the prospects of each
+--              team's youth academy and the seasons each academy took in
+-- Version: 0.4.3
+
+-- Academy quality (1-100) sets how many prospects arrive and how good they can become
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS academy_quality SMALLINT NOT NULL DEFAULT 40 CHECK (academy_quality >= 1 AND academy_quality <= 100);
+
+-- Prospects waiting in a team's academy
+CREATE TABLE IF NOT EXISTS youth_prospects (
+    id SERIAL PRIMARY KEY,
+    team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    -- Season of the intake the prospect arrived with
+    season TEXT NOT NULL,
+    player_name TEXT NOT NULL,
+    position TEXT NOT NULL,
+    age SMALLINT NOT NULL CHECK (age >= 16 AND age <= 19),
+    country TEXT NOT NULL,
+    overall SMALLINT NOT NULL CHECK (overall >= 1 AND overall <= 100),
+    potential SMALLINT NOT NULL CHECK (potential >= 1 AND potential <= 100),
+    -- Every stat the prospect takes to the players table when promoted
+    stats JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One intake per team and season
+CREATE TABLE IF NOT EXISTS youth_academy_intakes (
+    team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    season TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    PRIMARY KEY (team_id, season)
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_youth_prospects_team ON youth_prospects(team_id, season);
+
+-- Enable Row Level Security
+ALTER TABLE youth_prospects ENABLE ROW LEVEL SECURITY;
+ALTER TABLE youth_academy_intakes ENABLE ROW LEVEL SECURITY;
+
+-- Users can view the prospects of their own academy
+CREATE POLICY "Users can view own youth prospects" ON youth_prospects
+    FOR SELECT USING (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+    );
+
+-- Users can add prospects to their own academy
+CREATE POLICY "Users can insert own youth prospects" ON youth_prospects
+    FOR INSERT WITH CHECK (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+    );
+
+-- Users can promote or release the prospects of their own academy
+CREATE POLICY "Users can delete own youth prospects" ON youth_prospects
+    FOR DELETE USING (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+    );
+
+-- Users can view the intakes of their own academy
+CREATE POLICY "Users can view own academy intakes" ON youth_academy_intakes
+    FOR SELECT USING (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+    );
+
+-- Users can start the season intake of their own academy
+CREATE POLICY "Users can insert own academy intakes" ON youth_academy_intakes
+    FOR INSERT WITH CHECK (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+    );
+
+COMMENT ON COLUMN teams.academy_quality IS 'Youth academy quality (1-100), raises the number and potential of prospects';
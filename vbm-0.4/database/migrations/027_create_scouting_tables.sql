@@ -0,0 +1,96 @@
+-- Migration: Create scouting tables
+-- Description: Adds the scouts teams send to countries or leagues and the
+--              scouting reports that narrow the rating ranges of players
+-- Version: 0.4.3
+
+-- Scouts out watching the players of a country or a league
+CREATE TABLE IF NOT EXISTS scout_assignments (
+    id SERIAL PRIMARY KEY,
+    team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    target_type TEXT NOT NULL CHECK (target_type IN ('country', 'league')),
+    -- Country name or league ID
+    target_value TEXT NOT NULL,
+    assigned_date DATE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE (team_id, target_type, target_value)
+);
+
+-- How well a team knows the ratings of a player
+CREATE TABLE IF NOT EXISTS scouting_reports (
+    team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    accuracy SMALLINT NOT NULL DEFAULT 0 CHECK (accuracy >= 0 AND accuracy <= 100),
+    last_scouted DATE NOT NULL,
+
+    PRIMARY KEY (team_id, player_id)
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_scout_assignments_team ON scout_assignments(team_id);
+
+-- Enable Row Level Security
+ALTER TABLE scout_assignments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scouting_reports ENABLE ROW LEVEL SECURITY;
+
+-- Users can view the scouts of their own team
+CREATE POLICY "Users can view own scouts" ON scout_assignments
+    FOR SELECT USING (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+    );
+
+-- Users can send out the scouts of their own team
+CREATE POLICY "Users can insert own scouts" ON scout_assignments
+    FOR INSERT WITH CHECK (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+    );
+
+-- Users can recall the scouts of their own team
+CREATE POLICY "Users can delete own scouts" ON scout_assignments
+    FOR DELETE USING (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+    );
+
+-- Reports stay private to the team that wrote them
+CREATE POLICY "Users can view own scouting reports" ON scouting_reports
+    FOR SELECT USING (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+    );
+
+-- Users can start reports for their own team
+CREATE POLICY "Users can insert own scouting reports" ON scouting_reports
+    FOR INSERT WITH CHECK (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+    );
+
+-- Users can build up the reports of their own team
+CREATE POLICY "Users can update own scouting reports" ON scouting_reports
+    FOR UPDATE USING (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+    );
+
+COMMENT ON COLUMN scouting_reports.accuracy IS 'Report accuracy (0-100), narrows the rating ranges shown for the player';
@@ -0,0 +1,9 @@
+-- Migration: Add team tactics
+-- Description: Adds the tactics a team plays with: rotation system, serve
+--              strategy, block scheme and attack distribution
+-- Version: 0.4.3
+
+-- Tactics ({ system, serve, block, attack }), NULL plays the defaults
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS tactics JSONB;
+
+COMMENT ON COLUMN teams.tactics IS 'Team tactics ({ system, serve, block, attack }), computer teams pick counter-tactics per match';
@@ -0,0 +1,68 @@
+-- Migration: Create team lineups table
+-- Description: Stores the squad selection of a team in the database, so the
+--              lineup follows the user to any browser. Replaces the
+--              position_status columns dropped in migration 016
+-- Version: 0.4.3
+
+-- Saved starting lineup and bench of a team
+CREATE TABLE IF NOT EXISTS team_lineups (
+    id SERIAL PRIMARY KEY,
+    team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    -- Starting slots in order ([{ position, playerId }])
+    starting JSONB NOT NULL DEFAULT '[]'::jsonb,
+    -- Bench slots in order ([{ playerId }])
+    bench JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE (team_id)
+);
+
+-- Enable Row Level Security
+ALTER TABLE team_lineups ENABLE ROW LEVEL SECURITY;
+
+-- Users can view the lineup of their own team
+CREATE POLICY "Users can view own lineups" ON team_lineups
+    FOR SELECT USING (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+    );
+
+-- Users can save a lineup for their own team
+CREATE POLICY "Users can insert own lineups" ON team_lineups
+    FOR INSERT WITH CHECK (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+    );
+
+-- Users can change the lineup of their own team
+CREATE POLICY "Users can update own lineups" ON team_lineups
+    FOR UPDATE USING (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+    );
+
+-- Users can clear the lineup of their own team
+CREATE POLICY "Users can delete own lineups" ON team_lineups
+    FOR DELETE USING (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+    );
+
+-- Create trigger to update updated_at timestamp
+CREATE TRIGGER update_team_lineups_updated_at
+    BEFORE UPDATE ON team_lineups
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,72 @@
+-- Migration: Add named lineups
+-- Description: Lets a team keep several named lineups, one of them the
+--              default, and choose the lineup of each scheduled fixture
+-- Version: 0.4.3
+
+-- Lineups get a name and a default flag, existing lineups become the default
+ALTER TABLE team_lineups ADD COLUMN IF NOT EXISTS name TEXT NOT NULL DEFAULT 'Default';
+ALTER TABLE team_lineups ADD COLUMN IF NOT EXISTS is_default BOOLEAN NOT NULL DEFAULT false;
+UPDATE team_lineups SET is_default = true;
+
+-- A team can have many lineups, each with its own name
+ALTER TABLE team_lineups DROP CONSTRAINT IF EXISTS team_lineups_team_id_key;
+ALTER TABLE team_lineups ADD CONSTRAINT team_lineups_team_id_name_key UNIQUE (team_id, name);
+
+-- Only one default lineup per team
+CREATE UNIQUE INDEX IF NOT EXISTS idx_team_lineups_default ON team_lineups(team_id) WHERE is_default;
+
+-- Lineup a team plays a fixture with, the default lineup without a row
+CREATE TABLE IF NOT EXISTS fixture_lineups (
+    match_id INTEGER NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+    team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    -- Deleting a lineup sends its fixtures back to the default
+    lineup_id INTEGER NOT NULL REFERENCES team_lineups(id) ON DELETE CASCADE,
+
+    PRIMARY KEY (match_id, team_id)
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_fixture_lineups_team ON fixture_lineups(team_id);
+
+-- Enable Row Level Security
+ALTER TABLE fixture_lineups ENABLE ROW LEVEL SECURITY;
+
+-- Users can view the fixture lineups of their own team
+CREATE POLICY "Users can view own fixture lineups" ON fixture_lineups
+    FOR SELECT USING (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+    );
+
+-- Users can choose the lineup of their own fixtures
+CREATE POLICY "Users can insert own fixture lineups" ON fixture_lineups
+    FOR INSERT WITH CHECK (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+    );
+
+-- Users can change the lineup of their own fixtures
+CREATE POLICY "Users can update own fixture lineups" ON fixture_lineups
+    FOR UPDATE USING (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+    );
+
+-- Users can send their own fixtures back to the default lineup
+CREATE POLICY "Users can delete own fixture lineups" ON fixture_lineups
+    FOR DELETE USING (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+    );
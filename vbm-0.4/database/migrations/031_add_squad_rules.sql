@@ -0,0 +1,18 @@
+-- Migration: Add squad rules
+-- Description: Adds the league country and foreign-player quota checked by
+--              the squad rules, and the date until which a suspended player
+--              is out
+-- Version: 0.4.3
+
+-- Country of a league, players from any other country are foreign
+ALTER TABLE leagues ADD COLUMN IF NOT EXISTS country TEXT;
+
+-- Most foreign players a team may name in a lineup, no limit when NULL
+ALTER TABLE leagues ADD COLUMN IF NOT EXISTS foreign_player_quota SMALLINT CHECK (foreign_player_quota >= 0);
+
+-- Suspended players cannot play before this date
+ALTER TABLE players ADD COLUMN IF NOT EXISTS suspended_until DATE;
+
+COMMENT ON COLUMN leagues.country IS 'Country of the league, used for the foreign-player quota';
+COMMENT ON COLUMN leagues.foreign_player_quota IS 'Most foreign players in a lineup, no limit when NULL';
+COMMENT ON COLUMN players.suspended_until IS 'Date the player may play again after a suspension';
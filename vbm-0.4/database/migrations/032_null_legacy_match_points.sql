@@ -0,0 +1,18 @@
+-- Migration: Null the rally points of legacy results
+-- Description: The sample results of 013 hold set counts in home_score /
+--              away_score, which mean rally points since 017. Their points
+--              are unknown, so they are set to NULL and left out of the
+--              points ratio.
+-- Version: 0.4.3
+
+ALTER TABLE matches ALTER COLUMN home_score DROP NOT NULL;
+ALTER TABLE matches ALTER COLUMN away_score DROP NOT NULL;
+
+-- Results recorded before 017 have no set scores
+UPDATE matches
+SET home_score = NULL, away_score = NULL
+WHERE status = 'completed'
+AND set_scores = '[]'::jsonb;
+
+COMMENT ON COLUMN matches.home_score IS 'Total rally points scored by the home team, NULL for results recorded without points';
+COMMENT ON COLUMN matches.away_score IS 'Total rally points scored by the away team, NULL for results recorded without points';
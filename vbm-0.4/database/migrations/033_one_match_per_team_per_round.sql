@@ -0,0 +1,43 @@
+-- Migration: One match per team per round
+-- Description: The unique indexes of 018 only stop a team playing two home
+--              or two away matches in a round. This trigger also stops a
+--              team playing at home in one match and away in another.
+-- Version: 0.4.3
+
+CREATE OR REPLACE FUNCTION validate_match_round()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.round IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    -- Fixtures of the same round are checked one at a time
+    PERFORM pg_advisory_xact_lock(
+        hashtext('match_round:' || NEW.league_id || ':' || NEW.season || ':' || NEW.round)
+    );
+
+    IF EXISTS (
+        SELECT 1
+        FROM matches m
+        WHERE m.league_id = NEW.league_id
+        AND m.season = NEW.season
+        AND m.round = NEW.round
+        AND m.id <> NEW.id
+        AND (
+            m.home_team_id IN (NEW.home_team_id, NEW.away_team_id)
+            OR m.away_team_id IN (NEW.home_team_id, NEW.away_team_id)
+        )
+    ) THEN
+        RAISE EXCEPTION 'A team already plays in round % of season %', NEW.round, NEW.season
+            USING ERRCODE = 'unique_violation';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS validate_match_round_trigger ON matches;
+CREATE TRIGGER validate_match_round_trigger
+    BEFORE INSERT OR UPDATE OF league_id, season, round, home_team_id, away_team_id ON matches
+    FOR EACH ROW
+    EXECUTE FUNCTION validate_match_round();
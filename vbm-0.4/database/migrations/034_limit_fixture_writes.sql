@@ -0,0 +1,169 @@
+-- Migration: Limit fixture writes to teams the user controls
+-- Description: Users may only play fixtures of their own team and between
+--              computer-controlled teams (teams no user manages). Season
+--              schedules are created through a function that checks them,
+--              instead of open inserts into any league.
+-- Version: 0.4.3
+
+-- True when the user manages the team, or no user does and the computer
+-- plays it
+CREATE OR REPLACE FUNCTION user_controls_team(user_uuid UUID, team_id_param INTEGER)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN EXISTS (
+        SELECT 1
+        FROM user_teams ut
+        WHERE ut.user_id = user_uuid
+        AND ut.team_id = team_id_param
+    ) OR NOT EXISTS (
+        SELECT 1
+        FROM user_teams ut
+        WHERE ut.team_id = team_id_param
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public, pg_temp;
+
+-- True when the user may play a match: one of their own, or one between
+-- two computer-controlled teams
+CREATE OR REPLACE FUNCTION user_can_play_match(
+    user_uuid UUID,
+    home_team_id_param INTEGER,
+    away_team_id_param INTEGER
+)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN EXISTS (
+        SELECT 1
+        FROM user_teams ut
+        WHERE ut.user_id = user_uuid
+        AND ut.team_id IN (home_team_id_param, away_team_id_param)
+    ) OR NOT EXISTS (
+        SELECT 1
+        FROM user_teams ut
+        WHERE ut.team_id IN (home_team_id_param, away_team_id_param)
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public, pg_temp;
+
+-- Teams managed by a user; only their managers play their fixtures
+CREATE OR REPLACE FUNCTION get_managed_team_ids()
+RETURNS SETOF INTEGER AS $$
+    SELECT DISTINCT ut.team_id
+    FROM user_teams ut;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public, pg_temp;
+
+-- Results are only recorded for matches the user may play
+DROP POLICY IF EXISTS "Authenticated users can complete scheduled fixtures" ON matches;
+CREATE POLICY "Users can complete scheduled fixtures they may play" ON matches
+    FOR UPDATE USING (
+        status = 'scheduled'
+        AND round IS NOT NULL
+        AND user_can_play_match(auth.uid(), home_team_id, away_team_id)
+    ) WITH CHECK (
+        status = 'completed'
+        AND round IS NOT NULL
+        AND user_can_play_match(auth.uid(), home_team_id, away_team_id)
+    );
+
+DROP POLICY IF EXISTS "Authenticated users can insert player match stats" ON player_match_stats;
+CREATE POLICY "Users can insert player match stats of matches they may play" ON player_match_stats
+    FOR INSERT WITH CHECK (
+        match_id IN (
+            SELECT m.id
+            FROM matches m
+            WHERE m.status = 'completed'
+            AND user_can_play_match(auth.uid(), m.home_team_id, m.away_team_id)
+        )
+    );
+
+-- Fixtures are only created by create_season_fixtures
+DROP POLICY IF EXISTS "Authenticated users can create scheduled fixtures" ON matches;
+
+-- Create the schedule of a season. The first caller creates it, later
+-- calls return nothing. Every league must play a full double round-robin
+-- between its own teams within the season's year.
+CREATE OR REPLACE FUNCTION create_season_fixtures(season_param TEXT, fixtures JSONB)
+RETURNS SETOF matches AS $$
+DECLARE
+    invalid_league INTEGER;
+BEGIN
+    IF auth.role() <> 'authenticated' THEN
+        RAISE EXCEPTION 'Only signed-in users can create fixtures'
+            USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    -- Two clients reaching a new season create it once
+    PERFORM pg_advisory_xact_lock(hashtext('season_fixtures:' || season_param));
+
+    IF EXISTS (
+        SELECT 1
+        FROM matches m
+        WHERE m.season = season_param
+        AND m.round IS NOT NULL
+    ) THEN
+        RETURN;
+    END IF;
+
+    CREATE TEMP TABLE new_fixtures ON COMMIT DROP AS
+    SELECT *
+    FROM jsonb_to_recordset(fixtures) AS f(
+        home_team_id INTEGER,
+        away_team_id INTEGER,
+        league_id INTEGER,
+        match_date DATE,
+        round INTEGER
+    );
+
+    IF EXISTS (
+        SELECT 1
+        FROM new_fixtures f
+        LEFT JOIN teams home ON home.id = f.home_team_id
+        LEFT JOIN teams away ON away.id = f.away_team_id
+        WHERE f.round IS NULL
+        OR f.round < 1
+        OR f.match_date IS NULL
+        OR EXTRACT(YEAR FROM f.match_date)::TEXT <> season_param
+        OR home.league_id IS DISTINCT FROM f.league_id
+        OR away.league_id IS DISTINCT FROM f.league_id
+    ) THEN
+        RAISE EXCEPTION 'Fixtures must be between teams of their league within season %', season_param
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    -- Every team meets every other team of its league once at home
+    SELECT l.league_id INTO invalid_league
+    FROM (
+        SELECT
+            f.league_id,
+            COUNT(*) AS fixture_count,
+            COUNT(DISTINCT (f.home_team_id, f.away_team_id)) AS pairing_count
+        FROM new_fixtures f
+        GROUP BY f.league_id
+    ) l
+    WHERE l.fixture_count <> l.pairing_count
+    OR l.pairing_count <> (
+        SELECT COUNT(*) * (COUNT(*) - 1)
+        FROM teams t
+        WHERE t.league_id = l.league_id
+    )
+    LIMIT 1;
+
+    IF invalid_league IS NOT NULL THEN
+        RAISE EXCEPTION 'League % does not play a double round-robin', invalid_league
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    INSERT INTO matches (home_team_id, away_team_id, league_id, match_date, season, round, status)
+    SELECT f.home_team_id, f.away_team_id, f.league_id, f.match_date, season_param, f.round, 'scheduled'
+    FROM new_fixtures f;
+
+    RETURN QUERY
+    SELECT *
+    FROM matches m
+    WHERE m.season = season_param
+    AND m.round IS NOT NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+GRANT EXECUTE ON FUNCTION create_season_fixtures(TEXT, JSONB) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_managed_team_ids() TO authenticated;
@@ -0,0 +1,134 @@
+-- Migration: Standings per season
+-- Description: The standings added up the matches of every season. The view
+--              now has one row per team and season, and the standings
+--              functions take the season to show.
+-- Version: 0.4.3
+
+-- The column list changes, so the view and its functions are recreated
+DROP FUNCTION IF EXISTS get_league_standings(TEXT);
+DROP FUNCTION IF EXISTS get_team_standings(INTEGER);
+DROP VIEW IF EXISTS team_standings;
+
+CREATE VIEW team_standings AS
+WITH league_seasons AS (
+    -- Seasons a league has fixtures or results in
+    SELECT DISTINCT league_id, season
+    FROM matches
+    WHERE status <> 'cancelled'
+),
+team_matches AS (
+    -- One row per completed league match of a team and season, seen from
+    -- that team
+    SELECT
+        t.id as team_id,
+        t.team_name,
+        t.league_id,
+        l.league_name,
+        ls.season,
+        m.id as match_id,
+        CASE WHEN m.home_team_id = t.id THEN m.home_sets_won ELSE m.away_sets_won END as sets_won,
+        CASE WHEN m.home_team_id = t.id THEN m.away_sets_won ELSE m.home_sets_won END as sets_lost,
+        CASE WHEN m.home_team_id = t.id THEN m.home_score ELSE m.away_score END as rally_points_won,
+        CASE WHEN m.home_team_id = t.id THEN m.away_score ELSE m.home_score END as rally_points_lost
+    FROM teams t
+    LEFT JOIN leagues l ON t.league_id = l.id
+    LEFT JOIN league_seasons ls ON ls.league_id = t.league_id
+    LEFT JOIN matches m ON (m.home_team_id = t.id OR m.away_team_id = t.id)
+        AND m.league_id = t.league_id
+        AND m.season = ls.season
+        AND m.status = 'completed'
+),
+team_stats AS (
+    SELECT
+        team_id,
+        team_name,
+        league_id,
+        league_name,
+        season,
+        COUNT(match_id)::INTEGER as matches_played,
+        COUNT(match_id) FILTER (WHERE sets_won > sets_lost)::INTEGER as wins,
+        COUNT(match_id) FILTER (WHERE sets_won < sets_lost)::INTEGER as losses,
+        -- FIVB points: 3 for a 3-0 or 3-1 win, 2 for a 3-2 win, 1 for a 2-3 loss
+        COALESCE(SUM(
+            CASE
+                WHEN sets_won = 3 AND sets_lost <= 1 THEN 3
+                WHEN sets_won = 3 AND sets_lost = 2 THEN 2
+                WHEN sets_won = 2 AND sets_lost = 3 THEN 1
+                ELSE 0
+            END
+        ), 0)::INTEGER as points,
+        COALESCE(SUM(sets_won), 0)::INTEGER as sets_won,
+        COALESCE(SUM(sets_lost), 0)::INTEGER as sets_lost,
+        COALESCE(SUM(rally_points_won), 0)::INTEGER as rally_points_won,
+        COALESCE(SUM(rally_points_lost), 0)::INTEGER as rally_points_lost
+    FROM team_matches
+    GROUP BY team_id, team_name, league_id, league_name, season
+)
+SELECT
+    team_id,
+    team_name,
+    league_id,
+    league_name,
+    season,
+    matches_played,
+    wins,
+    losses,
+    points,
+    sets_won,
+    sets_lost,
+    -- NULL when nothing was lost yet (shown as MAX when something was won)
+    CASE
+        WHEN sets_lost > 0 THEN ROUND(sets_won::DECIMAL / sets_lost, 3)
+        ELSE NULL
+    END as set_ratio,
+    rally_points_won,
+    rally_points_lost,
+    CASE
+        WHEN rally_points_lost > 0 THEN ROUND(rally_points_won::DECIMAL / rally_points_lost, 3)
+        ELSE NULL
+    END as points_ratio,
+    CASE
+        WHEN matches_played > 0 THEN ROUND((wins::DECIMAL / matches_played) * 100, 1)
+        ELSE 0
+    END as win_percentage
+FROM team_stats
+ORDER BY
+    season,
+    league_id,
+    points DESC,
+    wins DESC,
+    (sets_lost = 0 AND sets_won > 0) DESC,
+    set_ratio DESC NULLS LAST,
+    (rally_points_lost = 0 AND rally_points_won > 0) DESC,
+    points_ratio DESC NULLS LAST,
+    team_name;
+
+-- Create a function to get standings for a specific league, of one season
+-- or of every season
+CREATE OR REPLACE FUNCTION get_league_standings(
+    league_name_param TEXT DEFAULT NULL,
+    season_param TEXT DEFAULT NULL
+)
+RETURNS SETOF team_standings AS $$
+BEGIN
+    RETURN QUERY
+    SELECT * FROM team_standings
+    WHERE (league_name_param IS NULL OR team_standings.league_name = league_name_param)
+    AND (season_param IS NULL OR team_standings.season = season_param);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Create a function to get standings for a specific team, of one season or
+-- of every season
+CREATE OR REPLACE FUNCTION get_team_standings(
+    team_id_param INTEGER,
+    season_param TEXT DEFAULT NULL
+)
+RETURNS SETOF team_standings AS $$
+BEGIN
+    RETURN QUERY
+    SELECT * FROM team_standings
+    WHERE team_standings.team_id = team_id_param
+    AND (season_param IS NULL OR team_standings.season = season_param);
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,133 @@
+-- Migration: Apply match effects to both teams
+-- Description: Morale, form, experience, fatigue and injuries change for the
+--              players of both teams of a match. Teams the user does not
+--              manage are written through apply_match_effects, which checks
+--              the match and applies its effects once per team.
+-- Version: 0.4.3
+
+-- Teams whose players were updated after a match
+CREATE TABLE IF NOT EXISTS match_effects (
+    match_id INTEGER NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+    team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    PRIMARY KEY (match_id, team_id)
+);
+
+-- Enable Row Level Security
+ALTER TABLE match_effects ENABLE ROW LEVEL SECURITY;
+
+-- Users can see which match effects were applied; rows are only written
+-- by apply_match_effects
+CREATE POLICY "Users can view match effects" ON match_effects
+    FOR SELECT USING (true);
+
+-- Update the players of one team after a match and record their injuries.
+-- Without a match (a friendly) only the user's own team can be updated.
+-- Injury lengths follow the severities of InjurySystem.
+CREATE OR REPLACE FUNCTION apply_match_effects(
+    team_id_param INTEGER,
+    match_id_param INTEGER,
+    player_updates JSONB,
+    injuries JSONB DEFAULT '[]'::jsonb
+)
+RETURNS INTEGER AS $$
+DECLARE
+    match_row matches%ROWTYPE;
+    updated_count INTEGER;
+BEGIN
+    IF match_id_param IS NULL THEN
+        IF NOT EXISTS (
+            SELECT 1
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid()
+            AND ut.team_id = team_id_param
+        ) THEN
+            RAISE EXCEPTION 'Only your own team can be updated after a friendly'
+                USING ERRCODE = 'insufficient_privilege';
+        END IF;
+    ELSE
+        SELECT * INTO match_row
+        FROM matches m
+        WHERE m.id = match_id_param;
+
+        IF NOT FOUND
+            OR match_row.status <> 'completed'
+            OR team_id_param NOT IN (match_row.home_team_id, match_row.away_team_id)
+            OR NOT user_can_play_match(auth.uid(), match_row.home_team_id, match_row.away_team_id)
+        THEN
+            RAISE EXCEPTION 'Match % cannot update team %', match_id_param, team_id_param
+                USING ERRCODE = 'insufficient_privilege';
+        END IF;
+
+        IF EXISTS (
+            SELECT 1
+            FROM jsonb_to_recordset(injuries) AS i(injury_date DATE)
+            WHERE i.injury_date IS DISTINCT FROM match_row.match_date
+        ) THEN
+            RAISE EXCEPTION 'Injuries of match % must date from the match', match_id_param
+                USING ERRCODE = 'check_violation';
+        END IF;
+
+        -- The effects of a match are applied once per team
+        INSERT INTO match_effects (match_id, team_id)
+        VALUES (match_id_param, team_id_param);
+    END IF;
+
+    IF EXISTS (
+        SELECT 1
+        FROM jsonb_to_recordset(injuries) AS i(severity TEXT, injury_date DATE, recovery_date DATE)
+        WHERE (i.recovery_date - i.injury_date) NOT BETWEEN
+            CASE i.severity WHEN 'minor' THEN 3 WHEN 'moderate' THEN 11 WHEN 'severe' THEN 36 END
+            AND CASE i.severity WHEN 'minor' THEN 10 WHEN 'moderate' THEN 35 WHEN 'severe' THEN 120 END
+        OR i.severity NOT IN ('minor', 'moderate', 'severe')
+    ) THEN
+        RAISE EXCEPTION 'Injury lengths must match their severity'
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    UPDATE players p
+    SET
+        morale = COALESCE(u.morale, p.morale),
+        form = COALESCE(u.form, p.form),
+        experience = COALESCE(u.experience, p.experience),
+        fatigue = COALESCE(u.fatigue, p.fatigue)
+    FROM jsonb_to_recordset(player_updates) AS u(
+        player_id INTEGER,
+        morale SMALLINT,
+        form SMALLINT,
+        experience SMALLINT,
+        fatigue SMALLINT
+    )
+    WHERE p.id = u.player_id
+    AND p.team_id = team_id_param;
+
+    GET DIAGNOSTICS updated_count = ROW_COUNT;
+
+    INSERT INTO player_injuries (player_id, team_id, injury_type, severity, injury_date, recovery_date, source)
+    SELECT i.player_id, team_id_param, i.injury_type, i.severity, i.injury_date, i.recovery_date, 'match'
+    FROM jsonb_to_recordset(injuries) AS i(
+        player_id INTEGER,
+        injury_type TEXT,
+        severity TEXT,
+        injury_date DATE,
+        recovery_date DATE
+    )
+    JOIN players p ON p.id = i.player_id AND p.team_id = team_id_param;
+
+    -- An injured player is out until the latest recovery date
+    UPDATE players p
+    SET injured_until = GREATEST(p.injured_until, i.recovery_date)
+    FROM (
+        SELECT r.player_id, MAX(r.recovery_date) AS recovery_date
+        FROM jsonb_to_recordset(injuries) AS r(player_id INTEGER, recovery_date DATE)
+        GROUP BY r.player_id
+    ) i
+    WHERE p.id = i.player_id
+    AND p.team_id = team_id_param;
+
+    RETURN updated_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+GRANT EXECUTE ON FUNCTION apply_match_effects(INTEGER, INTEGER, JSONB, JSONB) TO authenticated;
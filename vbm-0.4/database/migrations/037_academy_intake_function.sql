@@ -0,0 +1,100 @@
+-- Migration: Take academy intakes in one function
+-- Description: Every team's academy takes in prospects each season. The
+--              intake row and its prospects are saved together by
+--              take_academy_intake, for the user's own team and for
+--              computer-controlled teams.
+-- Version: 0.4.3
+
+-- Intakes and prospects are only added by take_academy_intake
+DROP POLICY IF EXISTS "Users can insert own youth prospects" ON youth_prospects;
+DROP POLICY IF EXISTS "Users can insert own academy intakes" ON youth_academy_intakes;
+
+-- Users can see which academies took in a season, so every client knows
+-- which intakes are left
+DROP POLICY IF EXISTS "Users can view own academy intakes" ON youth_academy_intakes;
+CREATE POLICY "Users can view academy intakes" ON youth_academy_intakes
+    FOR SELECT USING (true);
+
+-- Take a team's intake of a season. The first caller saves it with its
+-- prospects, later calls return nothing. Prospects of earlier intakes who
+-- were neither promoted nor released leave the academy. The number of
+-- prospects follows the academy quality like YouthAcademySystem.
+CREATE OR REPLACE FUNCTION take_academy_intake(
+    team_id_param INTEGER,
+    season_param TEXT,
+    prospects JSONB
+)
+RETURNS SETOF youth_prospects AS $$
+DECLARE
+    quality SMALLINT;
+BEGIN
+    IF auth.role() <> 'authenticated'
+        OR NOT user_controls_team(auth.uid(), team_id_param)
+    THEN
+        RAISE EXCEPTION 'Team % does not belong to you', team_id_param
+            USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    INSERT INTO youth_academy_intakes (team_id, season)
+    VALUES (team_id_param, season_param)
+    ON CONFLICT DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    SELECT t.academy_quality INTO quality
+    FROM teams t
+    WHERE t.id = team_id_param;
+
+    IF jsonb_array_length(prospects) <> 2 + ROUND(quality / 25.0) THEN
+        RAISE EXCEPTION 'The academy of team % takes in % prospects', team_id_param, 2 + ROUND(quality / 25.0)
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    CREATE TEMP TABLE new_prospects ON COMMIT DROP AS
+    SELECT *
+    FROM jsonb_to_recordset(prospects) AS p(
+        player_name TEXT,
+        position TEXT,
+        age SMALLINT,
+        country TEXT,
+        overall SMALLINT,
+        potential SMALLINT,
+        stats JSONB
+    );
+
+    IF EXISTS (
+        SELECT 1
+        FROM new_prospects p
+        WHERE COALESCE(p.player_name, '') = ''
+        OR p.position IS NULL
+        OR p.position NOT IN ('Outside Hitter', 'Middle Blocker', 'Setter', 'Opposite Hitter', 'Libero')
+        OR p.potential NOT BETWEEN 35 AND 99
+        OR p.overall NOT BETWEEN 1 AND p.potential
+        OR jsonb_typeof(p.stats) IS DISTINCT FROM 'object'
+        OR EXISTS (
+            SELECT 1
+            FROM jsonb_each(p.stats) AS s(stat, value)
+            WHERE jsonb_typeof(s.value) <> 'number'
+            OR (s.stat = 'height' AND s.value::NUMERIC NOT BETWEEN 150 AND 220)
+            OR (s.stat <> 'height' AND s.value::NUMERIC NOT BETWEEN 1 AND 100)
+        )
+    ) THEN
+        RAISE EXCEPTION 'Prospects need a name, a position and stats in range'
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    DELETE FROM youth_prospects yp
+    WHERE yp.team_id = team_id_param
+    AND yp.season <> season_param;
+
+    RETURN QUERY
+    INSERT INTO youth_prospects (team_id, season, player_name, position, age, country, overall, potential, stats)
+    SELECT team_id_param, season_param, p.player_name, p.position, p.age, p.country, p.overall, p.potential, p.stats
+    FROM new_prospects p
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+GRANT EXECUTE ON FUNCTION take_academy_intake(INTEGER, TEXT, JSONB) TO authenticated;
@@ -0,0 +1,325 @@
+-- Migration: Roll over seasons in one function
+-- Description: The end-of-season rollover runs in roll_over_season, one
+--              transaction that develops, ages and retires every player,
+--              records the development and refills the squads of
+--              computer-controlled teams from their academies. A failed
+--              rollover leaves nothing behind and can run again. Clients no
+--              longer write other teams' players during a rollover.
+-- Version: 0.4.3
+
+-- The rollover is only written by roll_over_season
+DROP POLICY IF EXISTS "Authenticated users can start season rollovers" ON season_rollovers;
+DROP POLICY IF EXISTS "Authenticated users can complete season rollovers" ON season_rollovers;
+DROP POLICY IF EXISTS "Authenticated users can develop players during a season rollover" ON players;
+DROP POLICY IF EXISTS "Authenticated users can insert season stat history during a rollover" ON player_stat_history;
+DROP POLICY IF EXISTS "Authenticated users can insert player season development" ON player_season_development;
+
+-- Overall rating of a player's stats at a position, the same weighted
+-- average as PlayerStatsSystem.calculatePlayerOverall. The stored overall
+-- and height are left out.
+CREATE OR REPLACE FUNCTION calculate_player_overall(stats JSONB, position_param TEXT)
+RETURNS INTEGER AS $$
+    SELECT COALESCE(
+        ROUND(
+            SUM((stats ->> w.stat)::NUMERIC * w.weight * COALESCE(pw.weight, 1.0))
+            / NULLIF(SUM(w.weight * COALESCE(pw.weight, 1.0)), 0)
+        ),
+        50
+    )::INTEGER
+    FROM (VALUES
+        ('attack', 0.8), ('defense', 0.8), ('serve', 0.7), ('block', 0.7),
+        ('receive', 0.8), ('setting', 0.6), ('speed', 0.5), ('agility', 0.5),
+        ('strength', 0.6), ('endurance', 0.4), ('leadership', 0.3),
+        ('teamwork', 0.4), ('concentration', 0.4), ('pressure_handling', 0.3),
+        ('jump_serve', 0.4), ('float_serve', 0.3), ('spike_power', 0.5),
+        ('spike_accuracy', 0.5), ('block_timing', 0.4), ('dig_technique', 0.4),
+        ('experience', 0.2), ('potential', 0.3), ('consistency', 0.4)
+    ) AS w(stat, weight)
+    LEFT JOIN (VALUES
+        ('Outside Hitter', 'attack', 1.2), ('Outside Hitter', 'spike_power', 1.1),
+        ('Outside Hitter', 'spike_accuracy', 1.1), ('Outside Hitter', 'receive', 1.0),
+        ('Outside Hitter', 'defense', 0.9), ('Outside Hitter', 'serve', 0.8),
+        ('Middle Blocker', 'block', 1.3), ('Middle Blocker', 'block_timing', 1.2),
+        ('Middle Blocker', 'attack', 1.0), ('Middle Blocker', 'defense', 0.8),
+        ('Middle Blocker', 'speed', 0.7),
+        ('Setter', 'setting', 1.4), ('Setter', 'concentration', 1.2),
+        ('Setter', 'leadership', 1.1), ('Setter', 'teamwork', 1.0),
+        ('Setter', 'defense', 0.8), ('Setter', 'attack', 0.6),
+        ('Opposite Hitter', 'attack', 1.3), ('Opposite Hitter', 'spike_power', 1.2),
+        ('Opposite Hitter', 'spike_accuracy', 1.1), ('Opposite Hitter', 'serve', 1.0),
+        ('Opposite Hitter', 'block', 0.9), ('Opposite Hitter', 'receive', 0.7),
+        ('Libero', 'receive', 1.4), ('Libero', 'dig_technique', 1.3),
+        ('Libero', 'defense', 1.2), ('Libero', 'agility', 1.1),
+        ('Libero', 'concentration', 1.0), ('Libero', 'attack', 0.3)
+    ) AS pw(position, stat, weight) ON pw.position = position_param AND pw.stat = w.stat
+    WHERE stats ->> w.stat IS NOT NULL;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Roll over a season that ended. The first caller runs it, later calls
+-- return nothing; seasons without fixtures are skipped.
+--
+-- Every player gets a year older. Each stat moves by a random amount
+-- around the change of the player's age: young players grow towards
+-- their potential (at half speed without playing time), veterans decline
+-- with physical stats declining faster, and mental stats grow with time
+-- on court. The overall is worked out again from the new stats. Players
+-- may retire from 33 and always do at 38, sooner with a low overall.
+--
+-- Retired players of computer-controlled teams are replaced by the best
+-- prospects of their team's academy.
+CREATE OR REPLACE FUNCTION roll_over_season(season_param TEXT)
+RETURNS TABLE (players_developed INTEGER, players_retired INTEGER) AS $$
+DECLARE
+    skill_stats TEXT[] := ARRAY[
+        'attack', 'defense', 'serve', 'block', 'receive', 'setting',
+        'jump_serve', 'float_serve', 'spike_power', 'spike_accuracy',
+        'block_timing', 'dig_technique'
+    ];
+    physical_stats TEXT[] := ARRAY['speed', 'agility', 'strength', 'endurance'];
+    mental_stats TEXT[] := ARRAY['leadership', 'teamwork', 'concentration', 'pressure_handling'];
+    player_row RECORD;
+    prospect RECORD;
+    stat_name TEXT;
+    developed JSONB;
+    old_overall INTEGER;
+    age_change NUMERIC;
+    growth_factor NUMERIC;
+    expected_change NUMERIC;
+    stat_change INTEGER;
+    current_value INTEGER;
+    next_value INTEGER;
+    new_age INTEGER;
+    new_overall INTEGER;
+    retirement_chance NUMERIC;
+    jersey INTEGER;
+BEGIN
+    IF auth.role() <> 'authenticated' THEN
+        RAISE EXCEPTION 'Only signed-in users can roll over a season'
+            USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    -- Two clients reaching a new season roll it over once
+    PERFORM pg_advisory_xact_lock(hashtext('season_rollover:' || season_param));
+
+    IF EXISTS (
+        SELECT 1
+        FROM season_rollovers sr
+        WHERE sr.season = season_param
+    ) OR NOT EXISTS (
+        SELECT 1
+        FROM matches m
+        WHERE m.season = season_param
+        AND m.round IS NOT NULL
+    ) THEN
+        RETURN;
+    END IF;
+
+    CREATE TEMP TABLE season_developments (
+        player_id INTEGER PRIMARY KEY,
+        team_id INTEGER,
+        age SMALLINT,
+        old_overall SMALLINT,
+        new_overall SMALLINT,
+        rallies_played INTEGER,
+        retired BOOLEAN
+    ) ON COMMIT DROP;
+
+    CREATE TEMP TABLE season_stat_changes (
+        player_id INTEGER,
+        stat TEXT,
+        old_value SMALLINT,
+        new_value SMALLINT
+    ) ON COMMIT DROP;
+
+    -- The player on court the most in a team sets the full playing share
+    FOR player_row IN
+        WITH season_rallies AS (
+            SELECT pms.player_id, SUM(pms.rallies_played) AS rallies_played
+            FROM player_match_stats pms
+            JOIN matches m ON m.id = pms.match_id
+            WHERE m.season = season_param
+            GROUP BY pms.player_id
+        )
+        SELECT
+            p.id,
+            p.team_id,
+            p.position,
+            p.age,
+            p.overall,
+            p.potential,
+            to_jsonb(p) AS stats,
+            COALESCE(r.rallies_played, 0) AS rallies_played,
+            COALESCE(
+                COALESCE(r.rallies_played, 0)::NUMERIC
+                / NULLIF(MAX(COALESCE(r.rallies_played, 0)) OVER (PARTITION BY p.team_id), 0),
+                0
+            ) AS playing_share
+        FROM players p
+        LEFT JOIN season_rallies r ON r.player_id = p.id
+        WHERE p.team_id IS NOT NULL
+        AND NOT p.retired
+    LOOP
+        new_age := COALESCE(player_row.age, 25) + 1;
+        old_overall := COALESCE(player_row.overall, 50);
+        age_change := CASE
+            WHEN new_age - 1 <= 21 THEN 3
+            WHEN new_age - 1 <= 24 THEN 2
+            WHEN new_age - 1 <= 27 THEN 1
+            WHEN new_age - 1 <= 29 THEN 0
+            WHEN new_age - 1 <= 31 THEN -1
+            WHEN new_age - 1 <= 33 THEN -2
+            ELSE -3.5
+        END;
+        -- Growth needs room below the potential
+        growth_factor :=
+            LEAST(1.5, GREATEST(0, (COALESCE(player_row.potential, old_overall) - old_overall) / 10.0))
+            * (0.5 + 0.5 * player_row.playing_share);
+        developed := player_row.stats;
+
+        FOREACH stat_name IN ARRAY skill_stats || physical_stats || mental_stats LOOP
+            current_value := (developed ->> stat_name)::INTEGER;
+            CONTINUE WHEN current_value IS NULL;
+
+            expected_change := CASE
+                WHEN stat_name = ANY (mental_stats)
+                    THEN GREATEST(age_change * growth_factor, player_row.playing_share)
+                WHEN age_change >= 0 THEN age_change * growth_factor
+                WHEN stat_name = ANY (physical_stats) THEN age_change * 1.5
+                ELSE age_change
+            END;
+
+            -- Normally distributed around the expected change
+            stat_change := ROUND((
+                expected_change
+                + 1.5 * LEAST(1, ABS(expected_change))
+                    * SQRT(-2 * LN(1 - RANDOM())) * COS(2 * PI() * RANDOM())
+            )::NUMERIC);
+
+            -- Randomness never turns growth into decline or the other way round
+            IF expected_change >= 0 THEN
+                stat_change := GREATEST(0, stat_change);
+            ELSE
+                stat_change := LEAST(0, stat_change);
+            END IF;
+
+            next_value := LEAST(100, GREATEST(1, current_value + stat_change));
+            IF next_value <> current_value THEN
+                INSERT INTO season_stat_changes (player_id, stat, old_value, new_value)
+                VALUES (player_row.id, stat_name, current_value, next_value);
+                developed := jsonb_set(developed, ARRAY[stat_name], to_jsonb(next_value));
+            END IF;
+        END LOOP;
+
+        new_overall := calculate_player_overall(developed, player_row.position);
+        retirement_chance := CASE
+            WHEN new_age >= 38 THEN 1
+            WHEN new_age < 33 THEN 0
+            ELSE LEAST(1, (new_age - 32) * 0.2 + CASE WHEN new_overall < 60 THEN 0.15 ELSE 0 END)
+        END;
+
+        INSERT INTO season_developments (player_id, team_id, age, old_overall, new_overall, rallies_played, retired)
+        VALUES (
+            player_row.id,
+            player_row.team_id,
+            new_age,
+            old_overall,
+            new_overall,
+            player_row.rallies_played,
+            RANDOM() < retirement_chance
+        );
+    END LOOP;
+
+    FOREACH stat_name IN ARRAY skill_stats || physical_stats || mental_stats LOOP
+        EXECUTE format(
+            'UPDATE players p SET %I = c.new_value FROM season_stat_changes c WHERE c.player_id = p.id AND c.stat = %L',
+            stat_name,
+            stat_name
+        );
+    END LOOP;
+
+    -- Retired players leave their team; player_value follows the new age
+    -- and overall through the players trigger
+    UPDATE players p
+    SET
+        age = d.age,
+        overall = d.new_overall,
+        retired = d.retired,
+        team_id = CASE WHEN d.retired THEN NULL ELSE p.team_id END
+    FROM season_developments d
+    WHERE d.player_id = p.id;
+
+    INSERT INTO player_stat_history (player_id, stat, old_value, new_value, change_date, source)
+    SELECT c.player_id, c.stat, c.old_value, c.new_value, (season_param || '-12-31')::DATE, 'season'
+    FROM season_stat_changes c;
+
+    INSERT INTO player_season_development (season, player_id, team_id, age, old_overall, new_overall, rallies_played, retired)
+    SELECT season_param, d.player_id, d.team_id, d.age, d.old_overall, d.new_overall, d.rallies_played, d.retired
+    FROM season_developments d;
+
+    -- Computer-controlled teams promote one prospect per retired player,
+    -- on the contract of YouthAcademyService
+    FOR prospect IN
+        SELECT yp.*
+        FROM (
+            SELECT d.team_id, COUNT(*) AS retired_count
+            FROM season_developments d
+            WHERE d.retired
+            AND NOT EXISTS (
+                SELECT 1
+                FROM user_teams ut
+                WHERE ut.team_id = d.team_id
+            )
+            GROUP BY d.team_id
+        ) r
+        CROSS JOIN LATERAL (
+            SELECT *
+            FROM youth_prospects best
+            WHERE best.team_id = r.team_id
+            ORDER BY best.potential DESC, best.id
+            LIMIT r.retired_count
+        ) yp
+    LOOP
+        SELECT MIN(n) INTO jersey
+        FROM generate_series(1, 99) AS n
+        WHERE NOT EXISTS (
+            SELECT 1
+            FROM players p
+            WHERE p.team_id = prospect.team_id
+            AND p.jersey_number = n
+        );
+        CONTINUE WHEN jersey IS NULL;
+
+        INSERT INTO players (
+            player_name, position, age, country, overall, potential, team_id,
+            jersey_number, contract_years, monthly_wage,
+            attack, defense, serve, block, receive, setting,
+            speed, agility, strength, endurance, height,
+            leadership, teamwork, concentration, pressure_handling,
+            jump_serve, float_serve, spike_power, spike_accuracy, block_timing, dig_technique,
+            experience, consistency
+        )
+        SELECT
+            prospect.player_name, prospect.position, prospect.age, prospect.country,
+            prospect.overall, prospect.potential, prospect.team_id,
+            jersey, 3, 1000,
+            s.attack, s.defense, s.serve, s.block, s.receive, s.setting,
+            s.speed, s.agility, s.strength, s.endurance, s.height,
+            s.leadership, s.teamwork, s.concentration, s.pressure_handling,
+            s.jump_serve, s.float_serve, s.spike_power, s.spike_accuracy, s.block_timing, s.dig_technique,
+            s.experience, s.consistency
+        FROM jsonb_populate_record(NULL::players, prospect.stats) AS s;
+
+        DELETE FROM youth_prospects yp
+        WHERE yp.id = prospect.id;
+    END LOOP;
+
+    INSERT INTO season_rollovers (season, status, completed_at)
+    VALUES (season_param, 'completed', NOW());
+
+    RETURN QUERY
+    SELECT COUNT(*)::INTEGER, (COUNT(*) FILTER (WHERE d.retired))::INTEGER
+    FROM season_developments d;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+GRANT EXECUTE ON FUNCTION roll_over_season(TEXT) TO authenticated;
@@ -0,0 +1,80 @@
+-- Migration: Run daily scouting in one function
+-- Description: Scouting report accuracy is only raised by run_daily_scouting,
+--              which works out each scout's daily gain. Clients can no
+--              longer write report accuracy themselves.
+-- Version: 0.4.3
+
+-- Day each scout last worked; a scout works once per game day
+ALTER TABLE scout_assignments ADD COLUMN IF NOT EXISTS last_worked DATE;
+
+-- Reports are only written by run_daily_scouting
+DROP POLICY IF EXISTS "Users can insert own scouting reports" ON scouting_reports;
+DROP POLICY IF EXISTS "Users can update own scouting reports" ON scouting_reports;
+
+-- Let a team's scouts work for a day. Each scout hands out 150 report
+-- points per day, shared by the players of its target, with at least one
+-- point per player; a player watched by several scouts gains from each.
+-- Only the team's first three scouts work, and each works once per date
+-- after the last one it worked. Returns the reports that changed.
+CREATE OR REPLACE FUNCTION run_daily_scouting(team_id_param INTEGER, date_param DATE)
+RETURNS SETOF scouting_reports AS $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM user_teams ut
+        WHERE ut.user_id = auth.uid()
+        AND ut.team_id = team_id_param
+        AND ut.is_primary = true
+    ) THEN
+        RAISE EXCEPTION 'Team % does not belong to you', team_id_param
+            USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    RETURN QUERY
+    WITH working AS (
+        UPDATE scout_assignments sa
+        SET last_worked = date_param
+        WHERE sa.id IN (
+            SELECT oldest.id
+            FROM scout_assignments oldest
+            WHERE oldest.team_id = team_id_param
+            ORDER BY oldest.id
+            LIMIT 3
+        )
+        AND (sa.last_worked IS NULL OR sa.last_worked < date_param)
+        RETURNING sa.id, sa.target_type, sa.target_value
+    ),
+    targets AS (
+        SELECT w.id AS assignment_id, p.id AS player_id
+        FROM working w
+        JOIN players p ON NOT p.retired
+            AND p.team_id IS DISTINCT FROM team_id_param
+        LEFT JOIN teams t ON t.id = p.team_id
+        WHERE (w.target_type = 'country' AND p.country = w.target_value)
+        OR (w.target_type = 'league' AND t.league_id::TEXT = w.target_value)
+    ),
+    gains AS (
+        SELECT tg.player_id, SUM(g.gain) AS gain
+        FROM targets tg
+        JOIN (
+            SELECT tc.assignment_id, GREATEST(1, ROUND(150.0 / COUNT(*))) AS gain
+            FROM targets tc
+            GROUP BY tc.assignment_id
+        ) g ON g.assignment_id = tg.assignment_id
+        GROUP BY tg.player_id
+    )
+    INSERT INTO scouting_reports AS sr (team_id, player_id, accuracy, last_scouted)
+    SELECT team_id_param, gn.player_id, LEAST(100, gn.gain), date_param
+    FROM gains gn
+    ON CONFLICT (team_id, player_id) DO UPDATE
+    SET
+        accuracy = LEAST(100, sr.accuracy + EXCLUDED.accuracy),
+        last_scouted = EXCLUDED.last_scouted
+    WHERE sr.accuracy < 100
+    RETURNING sr.*;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+GRANT EXECUTE ON FUNCTION run_daily_scouting(INTEGER, DATE) TO authenticated;
+
+COMMENT ON COLUMN scout_assignments.last_worked IS 'Game day the scout last worked on its reports';
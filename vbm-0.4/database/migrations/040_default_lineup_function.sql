@@ -0,0 +1,89 @@
+-- Migration: Set the default lineup in one function
+-- Description: The default lineup of a team is switched by
+--              set_default_team_lineup, so a team is never left without a
+--              default. Fixture lineups can only pick a lineup and a
+--              fixture of the team they are saved for.
+-- Version: 0.4.3
+
+-- Make a lineup the default of its team. The old default is cleared in the
+-- same transaction; the unique index allows only one default per team.
+CREATE OR REPLACE FUNCTION set_default_team_lineup(team_id_param INTEGER, lineup_id_param INTEGER)
+RETURNS VOID AS $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM user_teams ut
+        JOIN team_lineups tl ON tl.team_id = ut.team_id
+        WHERE ut.user_id = auth.uid()
+        AND ut.is_primary = true
+        AND ut.team_id = team_id_param
+        AND tl.id = lineup_id_param
+    ) THEN
+        RAISE EXCEPTION 'Lineup % is not a lineup of your team', lineup_id_param
+            USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    UPDATE team_lineups tl
+    SET is_default = false
+    WHERE tl.team_id = team_id_param
+    AND tl.is_default
+    AND tl.id <> lineup_id_param;
+
+    UPDATE team_lineups tl
+    SET is_default = true
+    WHERE tl.id = lineup_id_param;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+GRANT EXECUTE ON FUNCTION set_default_team_lineup(INTEGER, INTEGER) TO authenticated;
+
+-- Users can choose the lineup of their own fixtures, from their own lineups
+DROP POLICY IF EXISTS "Users can insert own fixture lineups" ON fixture_lineups;
+CREATE POLICY "Users can insert own fixture lineups" ON fixture_lineups
+    FOR INSERT WITH CHECK (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+        AND EXISTS (
+            SELECT 1
+            FROM team_lineups tl
+            WHERE tl.id = lineup_id AND tl.team_id = fixture_lineups.team_id
+        )
+        AND EXISTS (
+            SELECT 1
+            FROM matches m
+            WHERE m.id = match_id
+            AND fixture_lineups.team_id IN (m.home_team_id, m.away_team_id)
+        )
+    );
+
+-- Users can change the lineup of their own fixtures, to their own lineups
+DROP POLICY IF EXISTS "Users can update own fixture lineups" ON fixture_lineups;
+CREATE POLICY "Users can update own fixture lineups" ON fixture_lineups
+    FOR UPDATE USING (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+    )
+    WITH CHECK (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+        AND EXISTS (
+            SELECT 1
+            FROM team_lineups tl
+            WHERE tl.id = lineup_id AND tl.team_id = fixture_lineups.team_id
+        )
+        AND EXISTS (
+            SELECT 1
+            FROM matches m
+            WHERE m.id = match_id
+            AND fixture_lineups.team_id IN (m.home_team_id, m.away_team_id)
+        )
+    );
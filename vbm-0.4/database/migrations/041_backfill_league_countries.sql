@@ -0,0 +1,19 @@
+-- Migration: Backfill league countries
+-- Description: Gives the leagues created before the squad rules a country.
+--              Their foreign-player quota stays NULL (no limit), so existing
+--              lineups keep playing; a league opts in by setting its quota.
+-- Version: 0.4.3
+
+-- A league's country is the most common country of its players
+UPDATE leagues l
+SET country = c.country
+FROM (
+    SELECT DISTINCT ON (t.league_id) t.league_id, p.country
+    FROM players p
+    JOIN teams t ON t.id = p.team_id
+    WHERE NOT p.retired
+    GROUP BY t.league_id, p.country
+    ORDER BY t.league_id, COUNT(*) DESC, p.country
+) c
+WHERE c.league_id = l.id
+AND l.country IS NULL;
@@ -0,0 +1,39 @@
+-- Migration: Create training sessions table
+-- Description: Records the days a team trained, so a day's training session
+--              runs only once
+-- Version: 0.4.3
+
+-- One row per team and day a training session ran
+CREATE TABLE IF NOT EXISTS training_sessions (
+    team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    session_date DATE NOT NULL,
+    focus TEXT NOT NULL,
+    intensity TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    PRIMARY KEY (team_id, session_date)
+);
+
+-- Enable Row Level Security
+ALTER TABLE training_sessions ENABLE ROW LEVEL SECURITY;
+
+-- Users can view the training sessions of their own team
+CREATE POLICY "Users can view own training sessions" ON training_sessions
+    FOR SELECT USING (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+    );
+
+-- Users can record the training sessions of their own team; sessions are
+-- never changed or removed
+CREATE POLICY "Users can insert own training sessions" ON training_sessions
+    FOR INSERT WITH CHECK (
+        team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+    );
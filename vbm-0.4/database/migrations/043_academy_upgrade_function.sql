@@ -0,0 +1,54 @@
+-- Migration: Upgrade academies in one function
+-- Description: An academy upgrade is priced, paid for and applied by
+--              upgrade_academy, so a team can only raise its academy
+--              quality by paying the full price
+-- Version: 0.4.3
+
+-- Raise the academy quality of a team by one step and take the price from
+-- its money. Prices and steps follow YouthAcademySystem: 100000 plus 2500
+-- per quality point already reached, 10 points per upgrade, at most 100.
+CREATE OR REPLACE FUNCTION upgrade_academy(team_id_param INTEGER)
+RETURNS SETOF teams AS $$
+DECLARE
+    team_row teams%ROWTYPE;
+    cost NUMERIC;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM user_teams ut
+        WHERE ut.user_id = auth.uid()
+        AND ut.team_id = team_id_param
+        AND ut.is_primary = true
+    ) THEN
+        RAISE EXCEPTION 'Team % does not belong to you', team_id_param
+            USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    -- Lock the team so two upgrades cannot both pay from the same money
+    SELECT * INTO team_row
+    FROM teams t
+    WHERE t.id = team_id_param
+    FOR UPDATE;
+
+    IF team_row.academy_quality >= 100 THEN
+        RAISE EXCEPTION 'The academy is already at its best'
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    cost := 100000 + team_row.academy_quality * 2500;
+    IF COALESCE(team_row.team_money, 0) < cost THEN
+        RAISE EXCEPTION 'Not enough money: the upgrade costs $%', cost
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    RETURN QUERY
+    UPDATE teams t
+    SET
+        academy_quality = LEAST(100, t.academy_quality + 10),
+        team_money = t.team_money - cost
+    WHERE t.id = team_id_param
+    RETURNING t.*;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+GRANT EXECUTE ON FUNCTION upgrade_academy(INTEGER) TO authenticated;
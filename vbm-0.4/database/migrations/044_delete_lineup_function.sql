@@ -0,0 +1,68 @@
+-- Migration: Delete lineups in one function
+-- Description: delete_team_lineup hands the default on before deleting the
+--              default lineup, so a team is never left without a default
+-- Version: 0.4.3
+
+-- Users can only delete lineups other than their default directly
+DROP POLICY IF EXISTS "Users can delete own lineups" ON team_lineups;
+CREATE POLICY "Users can delete own lineups" ON team_lineups
+    FOR DELETE USING (
+        NOT is_default
+        AND team_id IN (
+            SELECT ut.team_id
+            FROM user_teams ut
+            WHERE ut.user_id = auth.uid() AND ut.is_primary = true
+        )
+    );
+
+-- Delete a lineup of the user's team. When it is the default, the oldest
+-- remaining lineup becomes the default in the same transaction. The last
+-- lineup of a team cannot be deleted. Returns the ID of the new default,
+-- or NULL when the default did not change.
+CREATE OR REPLACE FUNCTION delete_team_lineup(lineup_id_param INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+    lineup_row team_lineups%ROWTYPE;
+    new_default_id INTEGER;
+BEGIN
+    SELECT tl.* INTO lineup_row
+    FROM team_lineups tl
+    JOIN user_teams ut ON ut.team_id = tl.team_id
+    WHERE tl.id = lineup_id_param
+    AND ut.user_id = auth.uid()
+    AND ut.is_primary = true
+    FOR UPDATE OF tl;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Lineup % is not a lineup of your team', lineup_id_param
+            USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    SELECT tl.id INTO new_default_id
+    FROM team_lineups tl
+    WHERE tl.team_id = lineup_row.team_id
+    AND tl.id <> lineup_id_param
+    ORDER BY tl.id
+    LIMIT 1;
+
+    IF new_default_id IS NULL THEN
+        RAISE EXCEPTION 'Your team needs at least one lineup'
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    DELETE FROM team_lineups tl
+    WHERE tl.id = lineup_id_param;
+
+    IF NOT lineup_row.is_default THEN
+        RETURN NULL;
+    END IF;
+
+    UPDATE team_lineups tl
+    SET is_default = true
+    WHERE tl.id = new_default_id;
+
+    RETURN new_default_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+GRANT EXECUTE ON FUNCTION delete_team_lineup(INTEGER) TO authenticated;
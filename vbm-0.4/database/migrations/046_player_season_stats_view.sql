@@ -0,0 +1,60 @@
+-- Migration: Player season totals view
+-- Description: The season totals of every player are added up by the
+--              player_season_stats view, so the leaderboards read one row
+--              per player instead of every box score of the season
+-- Version: 0.4.3
+
+DROP VIEW IF EXISTS player_season_stats;
+
+CREATE VIEW player_season_stats AS
+WITH season_totals AS (
+    -- One row per player and season; a player who changed teams is listed
+    -- with the team and league of their latest match
+    SELECT
+        pms.player_id,
+        m.season,
+        (ARRAY_AGG(pms.team_id ORDER BY pms.match_id DESC))[1] as team_id,
+        (ARRAY_AGG(m.league_id ORDER BY pms.match_id DESC))[1] as league_id,
+        COUNT(*)::INTEGER as matches_played,
+        SUM(pms.kills)::INTEGER as kills,
+        SUM(pms.attack_errors)::INTEGER as attack_errors,
+        SUM(pms.attack_attempts)::INTEGER as attack_attempts,
+        SUM(pms.aces)::INTEGER as aces,
+        SUM(pms.service_errors)::INTEGER as service_errors,
+        SUM(pms.blocks)::INTEGER as blocks,
+        SUM(pms.digs)::INTEGER as digs,
+        SUM(pms.receptions)::INTEGER as receptions,
+        SUM(pms.reception_errors)::INTEGER as reception_errors,
+        SUM(pms.reception_points)::INTEGER as reception_points,
+        SUM(pms.assists)::INTEGER as assists,
+        SUM(pms.rallies_played)::INTEGER as rallies_played
+    FROM player_match_stats pms
+    JOIN matches m ON m.id = pms.match_id
+    GROUP BY pms.player_id, m.season
+)
+SELECT
+    st.player_id,
+    st.season,
+    p.player_name,
+    p.position,
+    st.team_id,
+    t.team_name,
+    st.league_id,
+    l.league_name,
+    st.matches_played,
+    st.kills,
+    st.attack_errors,
+    st.attack_attempts,
+    st.aces,
+    st.service_errors,
+    st.blocks,
+    st.digs,
+    st.receptions,
+    st.reception_errors,
+    st.reception_points,
+    st.assists,
+    st.rallies_played
+FROM season_totals st
+JOIN players p ON p.id = st.player_id
+LEFT JOIN teams t ON t.id = st.team_id
+LEFT JOIN leagues l ON l.id = st.league_id;
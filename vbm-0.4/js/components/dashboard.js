@@ -22,8 +22,16 @@ const Dashboard = {
   currentMonth: 1,
   currentYear: 2024,
   isTransitioning: false,
+  isProgressing: false,
   isInitialized: false,
 
+  // League fixtures of the user's team, keyed by date (YYYY-MM-DD)
+  fixtures: {},
+  fixturesSeason: null,
+
+  // Injured players of the user's team, keyed by recovery date (YYYY-MM-DD)
+  recoveries: {},
+
   // Month names for display
   monthNames: [
     "January",
@@ -61,6 +69,12 @@ const Dashboard = {
 
       console.log("Initializing Dashboard component...");
 
+      // Load the league schedule before drawing the calendar
+      await this.loadFixtures();
+      await this.loadRecoveries();
+      await window.ScoutingService.loadReports();
+      await window.LineupService.loadLineups();
+
       // Generate the initial calendar
       this.generateCalendar();
 
@@ -117,7 +131,9 @@ const Dashboard = {
       }
 
       // Fetch team statistics from database
-      const stats = await window.DatabaseService.getUserTeamStatistics();
+      const stats = await window.DatabaseService.getUserTeamStatistics(
+        String(this.currentYear)
+      );
 
       console.log("Dashboard received team statistics:", stats);
       console.log(
@@ -239,6 +255,15 @@ const Dashboard = {
       // Load team statistics when dashboard is actually shown
       await this.loadTeamStatistics();
 
+      // Load the schedule if the team was not known at initialization
+      if (!this.fixturesSeason) {
+        await this.loadFixtures();
+        await this.loadRecoveries();
+        await window.ScoutingService.loadReports();
+        await window.LineupService.loadLineups();
+        this.generateCalendar();
+      }
+
       // Update calendar if needed
       this.updateDayIndicator();
     } catch (error) {
@@ -301,20 +326,175 @@ const Dashboard = {
     return this.daysInMonth[month - 1];
   },
 
+  /**
+   * Load the league fixtures of the user's team for the current season
+   *
+   * This function makes sure the season schedule exists (generating it
+   * the first time) and keeps the team's fixtures by date.
+   *
+   * @returns {Promise<void>}
+   */
+  async loadFixtures() {
+    try {
+      const userTeam = window.AuthService?.getUserTeam();
+      if (!userTeam || !window.DatabaseService?.isInitialized) {
+        console.log("No user team, skipping fixtures");
+        this.fixtures = {};
+        return;
+      }
+
+      const season = String(this.currentYear);
+      await this.rollOverPreviousSeason();
+      await this.runAcademyIntake(userTeam.id, season);
+      await window.ScheduleService.ensureSeasonSchedule(season);
+
+      const fixtures = await window.DatabaseService.getTeamFixtures(
+        userTeam.id,
+        season
+      );
+
+      this.fixtures = {};
+      fixtures.forEach((match) => {
+        const isHome = match.home_team_id === userTeam.id;
+        this.fixtures[match.match_date] = {
+          id: match.id,
+          date: match.match_date,
+          round: match.round,
+          leagueId: match.league_id,
+          status: match.status,
+          isHome,
+          opponentId: isHome ? match.away_team_id : match.home_team_id,
+          opponentName: isHome
+            ? match.away_team?.team_name
+            : match.home_team?.team_name,
+        };
+      });
+      this.fixturesSeason = season;
+
+      console.log(`Loaded ${fixtures.length} fixtures for season ${season}`);
+    } catch (error) {
+      console.error("Error loading fixtures:", error);
+      this.fixtures = {};
+    }
+  },
+
+  /**
+   * Roll over the season before the current one if that was not done yet
+   *
+   * A failed rollover is logged so the new season can still be scheduled.
+   *
+   * @returns {Promise<void>}
+   */
+  async rollOverPreviousSeason() {
+    try {
+      const previousSeason = String(this.currentYear - 1);
+      const rollover =
+        await window.SeasonRolloverService.ensureSeasonRollover(previousSeason);
+
+      if (rollover) {
+        window.DOMHelpers.showNotification(
+          `Season ${previousSeason} is over: ${rollover.retired} players retired. See the development report in Team Management.`,
+          "info"
+        );
+      }
+    } catch (error) {
+      console.error("Error rolling over previous season:", error);
+    }
+  },
+
+  /**
+   * Bring in the academy prospects of a season
+   *
+   * Computer-controlled teams take in their prospects along with the
+   * user's team. A failed intake is logged so the season can still be
+   * scheduled.
+   *
+   * @param {number} teamId - User's team ID
+   * @param {string} season - Current season (year)
+   * @returns {Promise<void>}
+   */
+  async runAcademyIntake(teamId, season) {
+    try {
+      const prospects = await window.YouthAcademyService.ensureSeasonIntakes(
+        teamId,
+        season
+      );
+
+      if (prospects?.length) {
+        window.DOMHelpers.showNotification(
+          `${prospects.length} new prospects joined the youth academy.`,
+          "info"
+        );
+      }
+    } catch (error) {
+      console.error("Error running academy intake:", error);
+    }
+  },
+
+  /**
+   * Load the recovery dates of the injured players of the user's team
+   *
+   * @returns {Promise<void>}
+   */
+  async loadRecoveries() {
+    try {
+      const userTeam = window.AuthService?.getUserTeam();
+      if (!userTeam || !window.DatabaseService?.isInitialized) {
+        this.recoveries = {};
+        return;
+      }
+
+      const injuries = await window.DatabaseService.getTeamInjuries(
+        userTeam.id
+      );
+
+      this.recoveries = {};
+      injuries.forEach((injury) => {
+        const date = injury.recovery_date;
+        this.recoveries[date] = [
+          ...(this.recoveries[date] || []),
+          injury.players?.player_name || "Unknown Player",
+        ];
+      });
+    } catch (error) {
+      console.error("Error loading injury recoveries:", error);
+      this.recoveries = {};
+    }
+  },
+
+  /**
+   * Get the fixture of the user's team on a date
+   *
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {Object|null} - Fixture or null if there is no match that day
+   */
+  getFixtureForDate(date) {
+    return this.fixtures[date] || null;
+  },
+
+  /**
+   * Mark a fixture as played
+   *
+   * @param {string} date - Fixture date (YYYY-MM-DD)
+   * @returns {void}
+   */
+  markFixtureCompleted(date) {
+    if (this.fixtures[date]) {
+      this.fixtures[date].status = "completed";
+    }
+  },
+
   /**
    * Check if a specific day is a match day
    *
-   * This function determines if a given day should be marked as a match day
-   * based on the current scheduling logic. In a real application, this would
-   * check against actual match schedules.
+   * This function checks the league schedule for a fixture of the user's
+   * team on the given day of the current month.
    *
    * @param {number} day - Day of the month
    * @returns {boolean} - True if the day is a match day
    */
   isMatchDay(day) {
-    // Simple match day logic - every 3rd and 4th day
-    // In a real app, this would check against actual match schedules
-    return day % 3 === 0 || day % 4 === 0;
+    return Boolean(this.getFixtureForDate(this.getDateString(day)));
   },
 
   /**
@@ -381,7 +561,10 @@ const Dashboard = {
     dayElement.dataset.day = day;
 
     // Determine activity type and styling
-    const isMatch = this.isMatchDay(day);
+    const date = this.getDateString(day);
+    const fixture = this.getFixtureForDate(date);
+    const isMatch = Boolean(fixture);
+    const recoveries = this.recoveries[date] || [];
     const isCurrent = day === this.currentDay;
 
     // Add current day styling
@@ -403,10 +586,33 @@ const Dashboard = {
       dotClass = "calendar__day-dot--today";
     }
 
+    // Show the opponent on match days ("vs" at home, "@" away)
+    const info = isMatch
+      ? `${fixture.isHome ? "vs" : "@"} ${fixture.opponentName}`
+      : "Training";
+    if (isMatch) {
+      dayElement.title = `Round ${fixture.round}: ${info}`;
+    }
+
+    // Injured players are back on their recovery date
+    if (recoveries.length > 0) {
+      dayElement.title = [
+        dayElement.title,
+        `Back from injury: ${recoveries.join(", ")}`,
+      ]
+        .filter(Boolean)
+        .join("\n");
+    }
+    const recoveryHTML =
+      recoveries.length > 0
+        ? `<div class="calendar__day-recovery">${recoveries.length} back from injury</div>`
+        : "";
+
     // Create day content
     dayElement.innerHTML = `
       <div class="calendar__day-number">${day}</div>
-      <div class="calendar__day-info">${isMatch ? "Match" : "Training"}</div>
+      <div class="calendar__day-info">${info}</div>
+      ${recoveryHTML}
       <div class="calendar__day-dot ${dotClass}"></div>
     `;
 
@@ -471,26 +677,92 @@ const Dashboard = {
       if (trainingContent) {
         trainingContent.style.display = "block";
       }
+      window.TrainingPlanner?.renderPlanner();
     }
   },
 
   /**
    * Progress to the next day
    *
-   * This function advances the calendar to the next day, handling month
-   * and year transitions as needed. It includes smooth animations and
-   * user feedback.
+   * This function plays the league fixtures still scheduled for the
+   * current day, then advances the calendar to the next day, handling
+   * month and year transitions as needed. It includes smooth animations
+   * and user feedback. Only one day is played at a time, and no match can
+   * start while it is.
    *
-   * @returns {void}
+   * @returns {Promise<void>}
    */
-  progressDay() {
-    if (this.isTransitioning) {
+  async progressDay() {
+    if (this.isTransitioning || this.isProgressing) {
       console.log("Calendar is transitioning, please wait...");
       return;
     }
 
+    if (window.MatchSimulation?.isSimulating) {
+      window.DOMHelpers.showNotification(
+        "Finish the current match first",
+        "warning"
+      );
+      return;
+    }
+
+    const matchSimulation = window.MatchSimulation;
+    this.isProgressing = true;
+    if (matchSimulation) {
+      matchSimulation.isSimulating = true;
+    }
+
     try {
-      const maxDays = this.getDaysInMonth(this.currentMonth, this.currentYear);
+      const today = this.getCurrentDateString();
+
+      // A lineup breaking the squad rules cannot play today's fixture
+      if (
+        this.getFixtureForDate(today)?.status === "scheduled" &&
+        window.MatchSimulation &&
+        !(await window.MatchSimulation.checkSquadRules(today))
+      ) {
+        return;
+      }
+
+      // Days without a match for the user's team are training days
+      if (!this.getFixtureForDate(today) && window.TrainingPlanner) {
+        const training = await window.TrainingPlanner.runSession(today);
+        if (training) {
+          window.DOMHelpers.showNotification(
+            `${
+              window.TrainingSystem.FOCUSES[training.session.focus].name
+            } training: ${training.improvements} stat improvements`,
+            "info"
+          );
+        }
+      }
+
+      // Scouts work every day, match or not
+      const scouting = await window.ScoutingService.runDailyScouting(today);
+      if (scouting?.scouted) {
+        if (scouting.completed) {
+          window.DOMHelpers.showNotification(
+            `Scouts completed ${scouting.completed} player reports`,
+            "info"
+          );
+        }
+        await window.TransferMarket?.refreshScouting();
+      }
+
+      // Every league plays its fixtures of the day before the day ends
+      if (window.MatchSimulation) {
+        const { yourResult } =
+          await window.MatchSimulation.simulateFixturesForDate(today);
+
+        if (yourResult) {
+          window.DOMHelpers.showNotification(
+            `${yourResult.won ? "Won" : "Lost"} ${yourResult.yourScore}-${
+              yourResult.oppScore
+            } against ${yourResult.opponent.name}`,
+            yourResult.won ? "success" : "error"
+          );
+        }
+      }
 
       // Add transition animation to current day
       const currentDayElement = document.querySelector(
@@ -500,21 +772,16 @@ const Dashboard = {
         currentDayElement.classList.add("calendar__day--transition");
       }
 
-      // Advance to next day
-      if (this.currentDay < maxDays) {
-        this.currentDay++;
-      } else {
-        // Move to next month
-        this.currentDay = 1;
-        this.currentMonth++;
-        if (this.currentMonth > 12) {
-          this.currentMonth = 1;
-          this.currentYear++;
-        }
-      }
+      this.advanceDate();
 
       // Regenerate calendar after transition
-      setTimeout(() => {
+      setTimeout(async () => {
+        // A new year starts a new season with its own schedule
+        if (this.fixturesSeason !== String(this.currentYear)) {
+          await this.loadFixtures();
+        }
+        await this.loadRecoveries();
+
         this.generateCalendar();
 
         // Show progress notification
@@ -532,7 +799,38 @@ const Dashboard = {
     } catch (error) {
       console.error("Error progressing day:", error);
       window.DOMHelpers.showNotification("Error progressing day", "error");
+    } finally {
+      this.isProgressing = false;
+      if (matchSimulation) {
+        matchSimulation.isSimulating = false;
+      }
+    }
+  },
+
+  /**
+   * Advance the calendar date by one day
+   *
+   * This function only moves the date forward, handling month and year
+   * transitions. It does not redraw the calendar.
+   *
+   * @returns {string} - New current date (YYYY-MM-DD)
+   */
+  advanceDate() {
+    const maxDays = this.getDaysInMonth(this.currentMonth, this.currentYear);
+
+    if (this.currentDay < maxDays) {
+      this.currentDay++;
+    } else {
+      // Move to next month
+      this.currentDay = 1;
+      this.currentMonth++;
+      if (this.currentMonth > 12) {
+        this.currentMonth = 1;
+        this.currentYear++;
+      }
     }
+
+    return this.getCurrentDateString();
   },
 
   /**
@@ -565,36 +863,17 @@ const Dashboard = {
   /**
    * Simulate a match (simple version)
    *
-   * This function provides a basic match simulation with random results.
-   * In a full implementation, this would use team strength, player stats,
-   * and more sophisticated algorithms.
+   * This function plays a match through the match simulation component
+   * and shows the result, without the simulation delay.
    *
-   * @returns {Object|null} - Match result object or null if simulation fails
+   * @returns {Promise<Object|null>} - Match result object or null if simulation fails
    */
-  simulateMatch() {
+  async simulateMatch() {
     try {
-      const results = document.getElementById("matchResults");
-      const score = document.getElementById("finalScore");
-
-      if (!results || !score) {
-        console.error("Match results elements not found");
-        return null;
-      }
-
-      // Simple random match result
-      const yourScore = Math.floor(Math.random() * 4) + 1;
-      const oppScore = Math.floor(Math.random() * 4) + 1;
-
-      const result = {
-        yourScore,
-        oppScore,
-        won: yourScore > oppScore,
-        timestamp: new Date().toISOString(),
-      };
+      const result = await window.MatchSimulation.calculateMatchResult();
 
       // Display results
-      score.textContent = `${yourScore} - ${oppScore}`;
-      results.style.display = "block";
+      window.MatchSimulation.displayMatchResult(result);
 
       // Show result notification
       const message = result.won ? "Match Won! 🎉" : "Match Lost 😔";
@@ -617,11 +896,11 @@ const Dashboard = {
    * This function provides an instant match simulation without any delay,
    * useful for quick testing or when users want immediate results.
    *
-   * @returns {Object|null} - Match result object or null if simulation fails
+   * @returns {Promise<Object|null>} - Match result object or null if simulation fails
    */
-  quickSimulate() {
+  async quickSimulate() {
     try {
-      const result = this.simulateMatch();
+      const result = await this.simulateMatch();
 
       if (result) {
         // Show quick simulation notification
@@ -660,6 +939,29 @@ const Dashboard = {
     };
   },
 
+  /**
+   * Get a calendar date as a database date string
+   *
+   * @param {number} day - Day of the month
+   * @param {number} [month] - Month (1-12), the current month by default
+   * @param {number} [year] - Year, the current year by default
+   * @returns {string} - Date (YYYY-MM-DD)
+   */
+  getDateString(day, month = this.currentMonth, year = this.currentYear) {
+    const paddedMonth = String(month).padStart(2, "0");
+    const paddedDay = String(day).padStart(2, "0");
+    return `${year}-${paddedMonth}-${paddedDay}`;
+  },
+
+  /**
+   * Get the current calendar date as a database date string
+   *
+   * @returns {string} - Current date (YYYY-MM-DD)
+   */
+  getCurrentDateString() {
+    return this.getDateString(this.currentDay);
+  },
+
   /**
    * Set calendar to a specific date
    *
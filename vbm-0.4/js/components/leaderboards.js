@@ -0,0 +1,363 @@
+/**
+ * Leaderboards Component - Season leaders for individual player statistics
+ *
+ * This component ranks players on their season statistics: top scorers,
+ * best servers, blockers, receivers and setters. Boards can be narrowed
+ * to a league and to a position, and only players who played enough
+ * matches qualify.
+ *
+ * @fileoverview Player leaderboards built from per-match player statistics
+ * @author Spike Dynasty Team
+ * @version 0.4.0
+ */
+
+/**
+ * Leaderboards component object
+ *
+ * Season totals are loaded once when the page opens; changing a filter
+ * only re-ranks the loaded totals.
+ */
+const Leaderboards = {
+  // Component state
+  playerStats: [],
+  leagues: [],
+  currentLeague: "all",
+  currentPosition: "all",
+  isInitialized: false,
+
+  // Number of players listed per board
+  BOARD_SIZE: 10,
+
+  // Share of the most matches played in the league a player needs to qualify
+  MIN_MATCHES_SHARE: 0.5,
+
+  // Receptions per match a player needs to rank among the receivers
+  MIN_RECEPTIONS_PER_MATCH: 2,
+
+  // Boards with the statistic they rank on
+  BOARDS: [
+    {
+      id: "scorers",
+      title: "Top Scorers",
+      statLabel: "Pts",
+      getValue: (stats) => stats.kills + stats.aces + stats.blocks,
+      format: (value) => String(value),
+    },
+    {
+      id: "servers",
+      title: "Best Servers",
+      statLabel: "Aces/M",
+      getValue: (stats) => stats.aces / stats.matchesPlayed,
+      format: (value) => value.toFixed(2),
+    },
+    {
+      id: "blockers",
+      title: "Best Blockers",
+      statLabel: "Blk/M",
+      getValue: (stats) => stats.blocks / stats.matchesPlayed,
+      format: (value) => value.toFixed(2),
+    },
+    {
+      id: "receivers",
+      title: "Best Receivers",
+      statLabel: "Rec",
+      getValue: (stats) => stats.receptionRating,
+      format: (value) => value.toFixed(2),
+      isQualified: (stats) =>
+        stats.receptions >=
+        stats.matchesPlayed * Leaderboards.MIN_RECEPTIONS_PER_MATCH,
+    },
+    {
+      id: "setters",
+      title: "Best Setters",
+      statLabel: "Ast/M",
+      getValue: (stats) => stats.assists / stats.matchesPlayed,
+      format: (value) => value.toFixed(2),
+    },
+  ],
+
+  /**
+   * Initialize the leaderboards component
+   *
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    const content = document.getElementById("leaderboardsContent");
+    if (!content) {
+      console.error("Leaderboards content element not found");
+      return;
+    }
+
+    try {
+      console.log("Initializing Leaderboards component...");
+
+      if (!this.isInitialized) {
+        this.setupPositionFilters();
+        this.isInitialized = true;
+      }
+
+      content.innerHTML =
+        '<div class="loading-placeholder">Loading leaderboards...</div>';
+
+      const season = String(
+        window.Dashboard?.currentYear || new Date().getFullYear()
+      );
+      const [playerStats, leagues] = await Promise.all([
+        window.DatabaseService.getSeasonPlayerStats(season),
+        window.DatabaseService.getLeagues(),
+      ]);
+
+      this.playerStats = playerStats;
+      this.leagues = leagues;
+      this.renderLeagueFilters();
+      this.renderBoards();
+
+      console.log("Leaderboards component initialized successfully");
+    } catch (error) {
+      console.error("Error initializing Leaderboards:", error);
+      content.innerHTML =
+        '<div class="error-message">Error loading leaderboards. Please try again.</div>';
+      window.DOMHelpers.showNotification(
+        "Error loading leaderboards. Please try again.",
+        "error"
+      );
+    }
+  },
+
+  /**
+   * Set up the position filter buttons
+   *
+   * @returns {void}
+   */
+  setupPositionFilters() {
+    const filterButtons = document.querySelectorAll(
+      "#leaderboardPositions .filter-button"
+    );
+    filterButtons.forEach((button) => {
+      button.addEventListener("click", (e) => {
+        filterButtons.forEach((btn) =>
+          btn.classList.remove("filter-button--active")
+        );
+        e.target.classList.add("filter-button--active");
+
+        this.currentPosition = e.target.dataset.position;
+        this.renderBoards();
+      });
+    });
+  },
+
+  /**
+   * Render the league filter buttons
+   *
+   * @returns {void}
+   */
+  renderLeagueFilters() {
+    const container = document.getElementById("leaderboardLeagues");
+    if (!container) {
+      return;
+    }
+
+    const options = [
+      { value: "all", label: "All Leagues" },
+      ...this.leagues.map((league) => ({
+        value: String(league.id),
+        label: league.league_name,
+      })),
+    ];
+
+    container.innerHTML = options
+      .map(
+        (option) => `
+          <button class="filter-button ${
+            option.value === this.currentLeague ? "filter-button--active" : ""
+          }" data-league="${option.value}">
+            ${option.label}
+          </button>
+        `
+      )
+      .join("");
+
+    const filterButtons = container.querySelectorAll(".filter-button");
+    filterButtons.forEach((button) => {
+      button.addEventListener("click", (e) => {
+        filterButtons.forEach((btn) =>
+          btn.classList.remove("filter-button--active")
+        );
+        e.target.classList.add("filter-button--active");
+
+        this.currentLeague = e.target.dataset.league;
+        this.renderBoards();
+      });
+    });
+  },
+
+  /**
+   * Render every board for the current filters
+   *
+   * @returns {void}
+   */
+  renderBoards() {
+    const content = document.getElementById("leaderboardsContent");
+    if (!content) {
+      return;
+    }
+
+    const players = this.getFilteredPlayers();
+    const minMatches = this.getMinimumMatches();
+
+    if (players.length === 0) {
+      content.innerHTML =
+        '<div class="no-players">No player statistics for this season yet.</div>';
+      return;
+    }
+
+    content.innerHTML = `
+      <p class="leaderboards__qualification">
+        Minimum ${minMatches} ${minMatches === 1 ? "match" : "matches"} played to qualify
+      </p>
+      <div class="leaderboards__grid">
+        ${this.BOARDS.map((board) =>
+          this.renderBoard(board, this.rankPlayers(board, players, minMatches))
+        ).join("")}
+      </div>
+    `;
+
+    this.attachPlayerClickHandlers();
+  },
+
+  /**
+   * Get the players matching the league and position filters
+   *
+   * @returns {Array} - Season totals of the matching players
+   */
+  getFilteredPlayers() {
+    return this.playerStats.filter(
+      (stats) =>
+        (this.currentLeague === "all" ||
+          String(stats.leagueId) === this.currentLeague) &&
+        (this.currentPosition === "all" ||
+          stats.position === this.currentPosition)
+    );
+  },
+
+  /**
+   * Get the matches a player needs to qualify in the current league
+   *
+   * The bar is a share of the most matches any player of the league has
+   * played, so it grows with the season.
+   *
+   * @returns {number} - Minimum matches played
+   */
+  getMinimumMatches() {
+    const leaguePlayers = this.playerStats.filter(
+      (stats) =>
+        this.currentLeague === "all" ||
+        String(stats.leagueId) === this.currentLeague
+    );
+    const mostMatches = Math.max(
+      0,
+      ...leaguePlayers.map((stats) => stats.matchesPlayed)
+    );
+    return Math.max(1, Math.ceil(mostMatches * this.MIN_MATCHES_SHARE));
+  },
+
+  /**
+   * Rank the qualified players of a board
+   *
+   * @param {Object} board - Board definition
+   * @param {Array} players - Season totals to rank
+   * @param {number} minMatches - Minimum matches played to qualify
+   * @returns {Array} - Top players with their board value ({ stats, value })
+   */
+  rankPlayers(board, players, minMatches) {
+    return players
+      .filter(
+        (stats) =>
+          stats.matchesPlayed >= minMatches &&
+          (!board.isQualified || board.isQualified(stats))
+      )
+      .map((stats) => ({ stats, value: board.getValue(stats) }))
+      .filter((entry) => entry.value !== null && entry.value > 0)
+      .sort(
+        (a, b) =>
+          b.value - a.value ||
+          a.stats.playerName.localeCompare(b.stats.playerName)
+      )
+      .slice(0, this.BOARD_SIZE);
+  },
+
+  /**
+   * Render a single board
+   *
+   * @param {Object} board - Board definition
+   * @param {Array} entries - Ranked players ({ stats, value })
+   * @returns {string} - Board HTML
+   */
+  renderBoard(board, entries) {
+    const rows = entries.length
+      ? entries
+          .map(
+            (entry, index) => `
+              <div class="leaderboard__row" data-player-id="${
+                entry.stats.playerId
+              }">
+                <div class="leaderboard__rank">${index + 1}</div>
+                <div class="leaderboard__player">
+                  <div class="leaderboard__name">${entry.stats.playerName}</div>
+                  <div class="leaderboard__team">${entry.stats.teamName}</div>
+                </div>
+                <div class="leaderboard__matches">${
+                  entry.stats.matchesPlayed
+                }</div>
+                <div class="leaderboard__value">${board.format(
+                  entry.value
+                )}</div>
+              </div>
+            `
+          )
+          .join("")
+      : '<div class="leaderboard__empty">No qualified players</div>';
+
+    return `
+      <div class="leaderboard" data-board="${board.id}">
+        <h3 class="leaderboard__title">${board.title}</h3>
+        <div class="leaderboard__header">
+          <div class="leaderboard__rank">#</div>
+          <div class="leaderboard__player">Player</div>
+          <div class="leaderboard__matches">M</div>
+          <div class="leaderboard__value">${board.statLabel}</div>
+        </div>
+        ${rows}
+      </div>
+    `;
+  },
+
+  /**
+   * Open the player modal when a leaderboard row is clicked
+   *
+   * @returns {void}
+   */
+  attachPlayerClickHandlers() {
+    document.querySelectorAll(".leaderboard__row").forEach((row) => {
+      row.addEventListener("click", async () => {
+        try {
+          const player = await window.DatabaseService.getPlayerById(
+            row.dataset.playerId
+          );
+          if (player) {
+            window.ModalHelpers.showPlayerModal(player);
+          }
+        } catch (error) {
+          console.error("Error fetching player details:", error);
+          window.DOMHelpers.showNotification(
+            "Error loading player details",
+            "error"
+          );
+        }
+      });
+    });
+  },
+};
+
+// Export to global scope
+window.Leaderboards = Leaderboards;
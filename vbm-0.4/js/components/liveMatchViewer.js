@@ -0,0 +1,923 @@
+/**
+ * Live Match Viewer Component - Streams a match rally by rally
+ *
+ * This component plays a match engine match on the dashboard's match
+ * section one rally at a time. It shows the running score of the set, a
+ * rotation diagram of both teams, generated play-by-play commentary and a
+ * summary of every finished set.
+ *
+ * @fileoverview Live play-by-play match viewer
+ * @author Spike Dynasty Team
+ * @version 0.4.0
+ */
+
+/**
+ * LiveMatchViewer component object
+ *
+ * The viewer only drives the engine with MatchEngine.playRally; the match
+ * result is handed back through the onFinish callback, and a match the
+ * engine cannot go on with is aborted through onError. When the user
+ * coaches a side, play stops at technical moments so they can make
+ * substitutions or call a timeout.
+ */
+const LiveMatchViewer = {
+  // Delay between two rallies for each speed (instant plays to the end)
+  SPEEDS: {
+    "1x": 1200,
+    "4x": 300,
+    instant: 0,
+  },
+
+  // Number of commentary lines kept in the feed
+  MAX_FEED_ITEMS: 60,
+
+  // Serve rating from which a server uses a jump serve
+  JUMP_SERVE_RATING: 70,
+
+  // Serve named in the commentary for the serve stat of a serve strategy
+  SERVE_TYPES: {
+    jump_serve: "jump serve",
+    float_serve: "float serve",
+  },
+
+  // Commentary lines for each way a rally can end
+  COMMENTARY: {
+    ace: [
+      "{server} aces the {serveType}",
+      "{server} fires an ace with the {serveType}",
+      "Nobody touches the {serveType} from {server} - ace!",
+    ],
+    service_error: [
+      "{server} misses the {serveType}",
+      "The {serveType} from {server} goes into the net",
+      "{server} sends the {serveType} long",
+    ],
+    kill: [
+      "{attacker} hammers it down",
+      "{setter} sets {attacker}, who puts it away",
+      "Kill by {attacker}",
+    ],
+    block: [
+      "{blocker} stuffs {attacker} at the net",
+      "Huge block by {blocker}",
+      "{blocker} shuts down {attacker}",
+    ],
+    attack_error: [
+      "{attacker} hits it out",
+      "{attacker} sends the attack wide",
+      "{attacker} spikes into the net",
+    ],
+  },
+
+  // Component state
+  match: null,
+  timer: null,
+  speed: "1x",
+  isPaused: false,
+  isAborted: false,
+  onFinish: null,
+  onError: null,
+  userSide: null,
+  shownActions: 0,
+
+  /**
+   * Start streaming a match
+   *
+   * @param {Object} match - Match state from MatchEngine.createMatch
+   * @param {Object} [options] - Viewer options
+   * @param {Function} [options.onFinish] - Called with the engine result when the match ends
+   * @param {Function} [options.onError] - Called with the error when the match is aborted
+   * @param {string} [options.userSide] - Side coached by the user ("home" or "away")
+   * @returns {void}
+   */
+  start(match, options = {}) {
+    try {
+      this.stopTimer();
+      this.match = match;
+      this.onFinish = options.onFinish || null;
+      this.onError = options.onError || null;
+      this.userSide = options.userSide || null;
+      this.isPaused = false;
+      this.isAborted = false;
+      this.shownActions = 0;
+
+      const section = document.getElementById("matchSimulation");
+      const viewer = document.getElementById("liveMatch");
+      if (!section || !viewer) {
+        throw new Error("Live match elements not found");
+      }
+
+      section.classList.add("match-preview-enhanced--live");
+      viewer.style.display = "block";
+
+      document.getElementById("liveHomeName").textContent = match.home.name;
+      document.getElementById("liveAwayName").textContent = match.away.name;
+      document.getElementById("liveFeed").innerHTML = "";
+      document.getElementById("liveSetSummaries").innerHTML = "";
+      document.getElementById("liveCloseButton").style.display = "none";
+
+      this.updateControls();
+      this.renderScoreboard();
+      this.renderCourt();
+      this.renderBenchControls();
+      this.addFeedItem(
+        `${match[match.serving].name} serve to open the match`,
+        "live-match__feed-item--info"
+      );
+
+      this.scheduleNextRally();
+    } catch (error) {
+      console.error("Error starting live match:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Schedule the next rally at the current speed
+   *
+   * @returns {void}
+   */
+  scheduleNextRally() {
+    this.stopTimer();
+    if (!this.match || this.isOver() || this.isPaused) {
+      return;
+    }
+
+    if (this.speed === "instant") {
+      this.playRemainingRallies();
+      return;
+    }
+
+    this.timer = setTimeout(() => {
+      if (this.playNextRally()) {
+        this.scheduleNextRally();
+      }
+    }, this.SPEEDS[this.speed]);
+  },
+
+  /**
+   * Play and show one rally
+   *
+   * A rally the engine cannot play aborts the match.
+   *
+   * @returns {boolean} - False if no rally could be played
+   */
+  playNextRally() {
+    try {
+      const rally = window.MatchEngine.playRally(this.match);
+      if (!rally) {
+        throw new Error("The match engine returned no rally");
+      }
+
+      // Timeouts the computer coach called before the rally
+      this.showNewActions();
+      this.showRally(rally);
+
+      // Changes forced by injuries in the rally
+      this.showNewActions();
+
+      if (this.match.isFinished) {
+        this.finish();
+        return true;
+      }
+
+      this.pauseAtTechnicalMoment(rally);
+      return true;
+    } catch (error) {
+      console.error("Error playing live rally:", error);
+      this.abort(error);
+      return false;
+    }
+  },
+
+  /**
+   * Play every remaining rally at once
+   *
+   * Play stops at the first rally that cannot be played.
+   *
+   * @returns {void}
+   */
+  playRemainingRallies() {
+    while (this.match && !this.isOver()) {
+      if (!this.playNextRally()) {
+        break;
+      }
+    }
+  },
+
+  /**
+   * Show a rally on the scoreboard, court and commentary feed
+   *
+   * @param {Object} rally - Rally record from MatchEngine.playRally
+   * @returns {void}
+   */
+  showRally(rally) {
+    this.addFeedItem(
+      `${rally.score.home}-${rally.score.away} ${this.getCommentary(rally)}`,
+      `live-match__feed-item--${rally.winner}`
+    );
+
+    (rally.injuries || []).forEach((injury) =>
+      this.addFeedItem(
+        `${this.getShortName(injury.playerName)} (${
+          this.match[injury.side].name
+        }) is injured: ${injury.type}`,
+        "live-match__feed-item--injury"
+      )
+    );
+
+    if (rally.setFinished) {
+      const winner = rally.score.home > rally.score.away ? "home" : "away";
+      this.addFeedItem(
+        `${this.match[winner].name} take set ${rally.set} ${rally.score.home}-${rally.score.away}`,
+        "live-match__feed-item--info"
+      );
+      this.addSetSummary(rally.set);
+    }
+
+    this.renderScoreboard();
+    this.renderCourt();
+    this.renderBenchControls();
+  },
+
+  /**
+   * Stop play after a technical moment so the user can act
+   *
+   * Play stops at technical timeouts, at the end of a set and when the
+   * opponent goes on a run while the user still has a timeout left.
+   * Instant speed never stops.
+   *
+   * @param {Object} rally - Rally just played
+   * @returns {void}
+   */
+  pauseAtTechnicalMoment(rally) {
+    if (!this.userSide || this.speed === "instant") {
+      return;
+    }
+
+    const engine = window.MatchEngine;
+    const opponentSide = engine.getOpponentSide(this.userSide);
+    const { run } = this.match;
+    const hasTimeout =
+      this.match[this.userSide].setState.timeouts < engine.TIMEOUTS_PER_SET;
+
+    let moment = engine.getTechnicalMoment(this.match, rally);
+    if (
+      !moment &&
+      hasTimeout &&
+      run.side === opponentSide &&
+      run.length === engine.AUTO_TIMEOUT_RUN
+    ) {
+      moment = `${this.match[opponentSide].name} on a ${run.length}-point run`;
+    }
+
+    if (!moment) {
+      return;
+    }
+
+    this.isPaused = true;
+    this.stopTimer();
+    this.updateControls();
+    this.addFeedItem(
+      `${moment} - make your changes, then resume`,
+      "live-match__feed-item--info"
+    );
+  },
+
+  /**
+   * Make a substitution for the user's team from the bench controls
+   *
+   * @returns {void}
+   */
+  makeSubstitution() {
+    const team = this.getUserTeam();
+    if (!team) {
+      return;
+    }
+
+    const playerOut = this.findPlayer(
+      team.rotation,
+      document.getElementById("liveSubOut")?.value
+    );
+    const playerIn = this.findPlayer(
+      window.MatchEngine.getBenchPlayers(team),
+      document.getElementById("liveSubIn")?.value
+    );
+
+    this.runUserAction(() =>
+      window.MatchEngine.substitute(
+        this.match,
+        this.userSide,
+        playerOut?.id,
+        playerIn?.id
+      )
+    );
+  },
+
+  /**
+   * Call a timeout for the user's team
+   *
+   * @returns {void}
+   */
+  callTimeout() {
+    this.runUserAction(() =>
+      window.MatchEngine.callTimeout(this.match, this.userSide)
+    );
+  },
+
+  /**
+   * Bring in the bench libero for the user's team
+   *
+   * @returns {void}
+   */
+  replaceLibero() {
+    const team = this.getUserTeam();
+    if (!team) {
+      return;
+    }
+
+    const liberoIn = this.findPlayer(
+      team.bench,
+      document.getElementById("liveLiberoIn")?.value
+    );
+
+    this.runUserAction(() =>
+      window.MatchEngine.replaceLibero(this.match, this.userSide, liberoIn?.id)
+    );
+  },
+
+  /**
+   * Run a coaching action of the user and show its outcome
+   *
+   * Rule violations are reported to the user and leave the match as it
+   * was.
+   *
+   * @param {Function} action - Engine call making the action
+   * @returns {void}
+   */
+  runUserAction(action) {
+    if (!this.match || this.isOver() || !this.userSide) {
+      return;
+    }
+
+    try {
+      action();
+      this.showNewActions();
+      this.renderCourt();
+      this.renderBenchControls();
+    } catch (error) {
+      window.DOMHelpers.showNotification(error.message, "error");
+    }
+  },
+
+  /**
+   * Get the user's team inside the match
+   *
+   * @returns {Object|null} - Engine team or null if the user coaches no side
+   */
+  getUserTeam() {
+    return this.match && this.userSide ? this.match[this.userSide] : null;
+  },
+
+  /**
+   * Find a player by the ID stored in a select value
+   *
+   * @param {Array} players - Players to search
+   * @param {string} value - Selected player ID
+   * @returns {Object|undefined} - Matching player
+   */
+  findPlayer(players, value) {
+    return players.find((player) => String(player.id) === value);
+  },
+
+  /**
+   * Add the match actions not shown yet to the commentary feed
+   *
+   * @returns {void}
+   */
+  showNewActions() {
+    const engine = window.MatchEngine;
+    const actions = this.match.actions.slice(this.shownActions);
+    this.shownActions = this.match.actions.length;
+
+    actions.forEach((action) => {
+      const teamName = this.match[action.side].name;
+      let text;
+      if (action.type === "substitution") {
+        text = `${teamName} substitution: ${this.getShortName(
+          action.playerIn.playerName
+        )} replaces ${action.injury ? "injured " : ""}${this.getShortName(
+          action.playerOut.playerName
+        )} (${action.count}/${engine.SUBSTITUTIONS_PER_SET})`;
+      } else if (action.type === "libero") {
+        text = `${teamName} libero replacement: ${this.getShortName(
+          action.playerIn.playerName
+        )} replaces ${action.injury ? "injured " : ""}${this.getShortName(
+          action.playerOut.playerName
+        )}`;
+      } else {
+        text = `Timeout ${teamName} (${action.count}/${engine.TIMEOUTS_PER_SET})`;
+      }
+
+      this.addFeedItem(text, "live-match__feed-item--action");
+    });
+  },
+
+  /**
+   * Fill the substitution, timeout and libero controls of the user's team
+   *
+   * @returns {void}
+   */
+  renderBenchControls() {
+    const bench = document.getElementById("liveBench");
+    if (!bench) {
+      return;
+    }
+
+    const team = this.getUserTeam();
+    if (!team || this.isOver()) {
+      bench.style.display = "none";
+      return;
+    }
+    bench.style.display = "flex";
+
+    const engine = window.MatchEngine;
+    const state = team.setState;
+    const benchPlayers = engine.getBenchPlayers(team);
+    const toOptions = (players) =>
+      players
+        .map(
+          (player) =>
+            `<option value="${player.id}">${this.getShortName(
+              player.player_name
+            )} (${this.getPositionCode(player.position)})</option>`
+        )
+        .join("");
+
+    document.getElementById("liveBenchCounters").textContent =
+      `Substitutions ${state.substitutions}/${engine.SUBSTITUTIONS_PER_SET} · ` +
+      `Timeouts ${state.timeouts}/${engine.TIMEOUTS_PER_SET}`;
+    document.getElementById("liveSubOut").innerHTML = toOptions(team.rotation);
+    document.getElementById("liveSubIn").innerHTML = toOptions(
+      benchPlayers.filter((player) => player.position !== "Libero")
+    );
+
+    const benchLiberos = team.bench.filter(
+      (player) => player.position === "Libero"
+    );
+    document.getElementById("liveLiberoControls").style.display =
+      benchLiberos.length > 0 ? "inline-flex" : "none";
+    document.getElementById("liveLiberoIn").innerHTML = toOptions(benchLiberos);
+  },
+
+  /**
+   * Finish the match and hand the result back
+   *
+   * @returns {void}
+   */
+  finish() {
+    this.stopTimer();
+
+    const result = window.MatchEngine.getResult(this.match);
+    this.addFeedItem(
+      `${this.match[result.winner].name} win the match ${result.homeSetsWon}-${result.awaySetsWon}`,
+      "live-match__feed-item--info"
+    );
+
+    document.getElementById("livePauseButton").style.display = "none";
+    document.getElementById("liveCloseButton").style.display = "inline-block";
+    this.renderBenchControls();
+
+    const onFinish = this.onFinish;
+    this.onFinish = null;
+    if (onFinish) {
+      onFinish(result);
+    }
+  },
+
+  /**
+   * Stop a match the engine cannot go on with
+   *
+   * The match is left unfinished and no result is handed back; onError
+   * lets the caller release the match, and the viewer can be closed.
+   *
+   * @param {Error} error - Error that stopped the match
+   * @returns {void}
+   */
+  abort(error) {
+    this.stopTimer();
+    this.isAborted = true;
+
+    this.addFeedItem(
+      "The match was abandoned after an error",
+      "live-match__feed-item--info"
+    );
+    document.getElementById("livePauseButton").style.display = "none";
+    document.getElementById("liveCloseButton").style.display = "inline-block";
+    this.renderBenchControls();
+    window.DOMHelpers.showNotification(
+      "The match could not go on and was abandoned",
+      "error"
+    );
+
+    const onError = this.onError;
+    this.onFinish = null;
+    this.onError = null;
+    if (onError) {
+      onError(error);
+    }
+  },
+
+  /**
+   * Pause or resume the match
+   *
+   * @returns {void}
+   */
+  togglePause() {
+    if (!this.match || this.isOver()) {
+      return;
+    }
+
+    this.isPaused = !this.isPaused;
+    this.updateControls();
+
+    if (this.isPaused) {
+      this.stopTimer();
+    } else {
+      this.scheduleNextRally();
+    }
+  },
+
+  /**
+   * Change the playback speed
+   *
+   * @param {string} speed - "1x", "4x" or "instant"
+   * @returns {void}
+   */
+  setSpeed(speed) {
+    if (!(speed in this.SPEEDS)) {
+      console.error("Unknown live match speed:", speed);
+      return;
+    }
+
+    this.speed = speed;
+    this.updateControls();
+
+    if (this.match && !this.isOver() && !this.isPaused) {
+      this.scheduleNextRally();
+    }
+  },
+
+  /**
+   * Hide the viewer once the match is over
+   *
+   * @returns {void}
+   */
+  close() {
+    if (this.match && !this.isOver()) {
+      window.DOMHelpers.showNotification(
+        "Finish the match first (use Instant to skip ahead)",
+        "warning"
+      );
+      return;
+    }
+
+    this.stopTimer();
+    this.match = null;
+    this.isAborted = false;
+
+    const section = document.getElementById("matchSimulation");
+    const viewer = document.getElementById("liveMatch");
+    if (section) {
+      section.classList.remove("match-preview-enhanced--live");
+    }
+    if (viewer) {
+      viewer.style.display = "none";
+    }
+  },
+
+  /**
+   * Check if a match is being streamed
+   *
+   * @returns {boolean} - True while a live match is unfinished
+   */
+  isActive() {
+    return Boolean(this.match && !this.isOver());
+  },
+
+  /**
+   * Check if the streamed match has finished or was aborted
+   *
+   * @returns {boolean} - True if no more rallies are played
+   */
+  isOver() {
+    return Boolean(this.match?.isFinished || this.isAborted);
+  },
+
+  /**
+   * Stop the rally timer
+   *
+   * @returns {void}
+   */
+  stopTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  },
+
+  /**
+   * Update the pause and speed buttons
+   *
+   * @returns {void}
+   */
+  updateControls() {
+    const pauseButton = document.getElementById("livePauseButton");
+    if (pauseButton) {
+      pauseButton.style.display = "inline-block";
+      pauseButton.textContent = this.isPaused ? "Resume" : "Pause";
+    }
+
+    document.querySelectorAll(".live-match__speed").forEach((button) => {
+      button.classList.toggle(
+        "live-match__speed--active",
+        button.dataset.speed === this.speed
+      );
+    });
+  },
+
+  /**
+   * Show the sets won and the score of the current set
+   *
+   * @returns {void}
+   */
+  renderScoreboard() {
+    const match = this.match;
+    const lastSet = match.sets[match.sets.length - 1];
+    const score =
+      match.isFinished || !match.currentSet ? lastSet : match.currentSet;
+    const setNumber = match.isFinished
+      ? match.sets.length
+      : match.currentSet.number;
+
+    document.getElementById("liveHomeSets").textContent = match.setsWon.home;
+    document.getElementById("liveAwaySets").textContent = match.setsWon.away;
+    document.getElementById("liveSetLabel").textContent = match.isFinished
+      ? "Final"
+      : `Set ${setNumber}`;
+    document.getElementById("liveScore").textContent =
+      `${score.home} - ${score.away}`;
+  },
+
+  /**
+   * Draw the rotation of both teams
+   *
+   * Each team is shown with its front row (zones 4, 3, 2) next to the net
+   * and its back row (zones 5, 6, 1) behind it. The server is highlighted.
+   *
+   * @returns {void}
+   */
+  renderCourt() {
+    const court = document.getElementById("liveCourt");
+    if (!court) {
+      return;
+    }
+
+    court.innerHTML = ["home", "away"]
+      .map((side) => this.renderTeamCourt(side))
+      .join('<div class="live-match__net"></div>');
+  },
+
+  /**
+   * Build the rotation diagram of one team
+   *
+   * @param {string} side - "home" or "away"
+   * @returns {string} - HTML for the team's half of the court
+   */
+  renderTeamCourt(side) {
+    const team = this.match[side];
+    const players = window.MatchEngine.getCourtPlayers(team);
+    const isServing = !this.match.isFinished && this.match.serving === side;
+
+    // Zone numbers row by row, front row first; rotation index = zone - 1
+    const zoneRows = [
+      [4, 3, 2],
+      [5, 6, 1],
+    ];
+
+    const rowsHTML = zoneRows
+      .map((zones) =>
+        zones
+          .map((zone) => {
+            const player = players[zone - 1];
+            const isServer = isServing && zone === 1;
+            return `
+              <div class="live-match__zone ${
+                isServer ? "live-match__zone--serving" : ""
+              }">
+                <span class="live-match__zone-number">${zone}</span>
+                <span class="live-match__zone-player">${this.getShortName(
+                  player?.player_name
+                )}</span>
+                <span class="live-match__zone-position">${this.getPositionCode(
+                  player?.position
+                )}</span>
+              </div>
+            `;
+          })
+          .join("")
+      )
+      .join("");
+
+    return `
+      <div class="live-match__half live-match__half--${side}">
+        <div class="live-match__half-title">${team.name}</div>
+        <div class="live-match__zones">${rowsHTML}</div>
+      </div>
+    `;
+  },
+
+  /**
+   * Add a summary card for a finished set
+   *
+   * @param {number} setNumber - Set number
+   * @returns {void}
+   */
+  addSetSummary(setNumber) {
+    const container = document.getElementById("liveSetSummaries");
+    const set = this.match.sets.find((entry) => entry.number === setNumber);
+    if (!container || !set) {
+      return;
+    }
+
+    const rallies = this.match.rallies.filter(
+      (rally) => rally.set === setNumber
+    );
+    const count = (side, reasons) =>
+      rallies.filter(
+        (rally) => rally.winner === side && reasons.includes(rally.reason)
+      ).length;
+
+    const rows = [
+      ["Aces", ["ace"]],
+      ["Kills", ["kill"]],
+      ["Blocks", ["block"]],
+      ["Opponent errors", ["service_error", "attack_error"]],
+    ]
+      .map(
+        ([label, reasons]) => `
+          <div class="live-match__summary-row">
+            <span>${count("home", reasons)}</span>
+            <span class="live-match__summary-label">${label}</span>
+            <span>${count("away", reasons)}</span>
+          </div>
+        `
+      )
+      .join("");
+
+    container.insertAdjacentHTML(
+      "beforeend",
+      `
+        <div class="live-match__summary">
+          <div class="live-match__summary-title">
+            Set ${setNumber}: ${set.home} - ${set.away}
+          </div>
+          ${rows}
+        </div>
+      `
+    );
+  },
+
+  /**
+   * Add a line to the commentary feed
+   *
+   * @param {string} text - Commentary line
+   * @param {string} modifier - CSS modifier class of the line
+   * @returns {void}
+   */
+  addFeedItem(text, modifier) {
+    const feed = document.getElementById("liveFeed");
+    if (!feed) {
+      return;
+    }
+
+    const item = document.createElement("li");
+    item.className = `live-match__feed-item ${modifier}`;
+    item.textContent = text;
+    feed.prepend(item);
+
+    while (feed.children.length > this.MAX_FEED_ITEMS) {
+      feed.lastElementChild.remove();
+    }
+  },
+
+  /**
+   * Generate the commentary line of a rally
+   *
+   * The template is picked by rally number, so the same match always
+   * gets the same commentary without touching the match's random
+   * generator.
+   *
+   * @param {Object} rally - Rally record
+   * @returns {string} - Commentary line
+   */
+  getCommentary(rally) {
+    const templates = this.COMMENTARY[rally.reason];
+    if (!templates) {
+      return `Point ${this.match[rally.winner].name}`;
+    }
+
+    const findLast = (type) =>
+      [...rally.events].reverse().find((event) => event.type === type);
+    const attack = findLast("attack");
+    const set = findLast("set");
+    const block = findLast("block");
+    const digs = rally.events.filter((event) => event.type === "dig").length;
+
+    // A kill without a set to name falls back to the first template
+    let template =
+      templates[(this.match.rallies.length - 1) % templates.length];
+    if (template.includes("{setter}") && !set) {
+      template = templates[0];
+    }
+
+    const line = template.replace(
+      /\{(\w+)\}/g,
+      (_, key) =>
+        ({
+          server: this.getShortName(rally.server.playerName),
+          serveType: this.getServeType(rally),
+          attacker: this.getShortName(attack?.playerName),
+          setter: this.getShortName(set?.playerName),
+          blocker: this.getShortName(block?.playerName),
+        })[key] || ""
+    );
+
+    return digs >= 2 ? `${line} after a long rally` : line;
+  },
+
+  /**
+   * Get the kind of serve a rally's server uses
+   *
+   * The team's serve strategy decides the serve; with a mixed strategy
+   * each server picks their own. The server is looked up in the whole
+   * squad, as they may have come off the bench.
+   *
+   * @param {Object} rally - Rally record
+   * @returns {string} - "jump serve" or "float serve"
+   */
+  getServeType(rally) {
+    const engine = window.MatchEngine;
+    const team = this.match[rally.servingSide];
+    const strategy = window.TacticsSystem.getServeStrategy(team.tactics);
+    if (strategy.stat) {
+      return this.SERVE_TYPES[strategy.stat];
+    }
+
+    const server = engine
+      .getSquad(team)
+      .find((player) => player.id === rally.server.playerId);
+    const rating = engine.getRating(server, "serve");
+    return rating >= this.JUMP_SERVE_RATING
+      ? this.SERVE_TYPES.jump_serve
+      : this.SERVE_TYPES.float_serve;
+  },
+
+  /**
+   * Get the name a commentator would use for a player
+   *
+   * Generated players ("Team #3") keep their full name.
+   *
+   * @param {string} playerName - Full player name
+   * @returns {string} - Last name
+   */
+  getShortName(playerName) {
+    if (!playerName) {
+      return "Unknown";
+    }
+    if (playerName.includes("#")) {
+      return playerName;
+    }
+    return playerName.trim().split(/\s+/).pop();
+  },
+
+  /**
+   * Get the short code of a position
+   *
+   * @param {string} position - Position name
+   * @returns {string} - Position code (S, OH, MB, OP, L)
+   */
+  getPositionCode(position) {
+    const codes = {
+      Setter: "S",
+      "Outside Hitter": "OH",
+      "Middle Blocker": "MB",
+      "Opposite Hitter": "OP",
+      Libero: "L",
+    };
+    return codes[position] || "";
+  },
+};
+
+// Export to global scope
+window.LiveMatchViewer = LiveMatchViewer;
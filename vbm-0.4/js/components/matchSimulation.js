@@ -19,6 +19,9 @@ const MatchSimulation = {
   // Component state
   currentMatch: null,
   isSimulating: false,
+  yourTeam: null,
+  opponent: null,
+  fixture: null,
   matchHistory: [],
   seasonStats: {
     matchesPlayed: 0,
@@ -27,20 +30,23 @@ const MatchSimulation = {
     winRate: 0,
   },
 
+  // Longest time a multi-day simulation may keep the loading screen up
+  SIMULATION_TIMEOUT: 10 * 60 * 1000,
+
   /**
    * Initialize the match simulation component
    *
    * This function sets up the match simulation interface and prepares
    * any necessary components for match simulation.
    *
-   * @returns {void}
+   * @returns {Promise<void>}
    */
-  initialize() {
+  async initialize() {
     try {
       console.log("Initializing Match Simulation component...");
 
       // Setup the match simulation interface
-      this.setupMatchInterface();
+      await this.setupMatchInterface();
 
       console.log("Match Simulation component initialized successfully");
     } catch (error) {
@@ -52,18 +58,19 @@ const MatchSimulation = {
   /**
    * Setup the match simulation interface
    *
-   * This function prepares the match simulation interface and sets up
-   * any necessary event listeners or initial state.
+   * This function prepares the match simulation interface and loads
+   * the teams for the match of the current calendar day.
    *
-   * @returns {void}
+   * @returns {Promise<void>}
    */
-  setupMatchInterface() {
+  async setupMatchInterface() {
     try {
-      // Interface is already in HTML, just add any dynamic content if needed
-      this.updateMatchInfo();
-
       // Reset match results display
       this.resetMatchDisplay();
+
+      // Load both teams and show them in the match preview
+      await this.loadMatchup();
+      this.updateMatchInfo();
     } catch (error) {
       console.error("Error setting up match interface:", error);
     }
@@ -72,19 +79,23 @@ const MatchSimulation = {
   /**
    * Update match information display
    *
-   * This function updates the match information display with current
-   * team information and opponent details.
+   * This function shows the name, flag and rating of both teams in the
+   * match preview.
    *
    * @returns {void}
    */
   updateMatchInfo() {
     try {
-      const teamLogo = document.querySelector(".team__logo");
-      const teamName = document.querySelector(".team__name");
+      this.renderTeamPreview("your", this.yourTeam, "VM");
+      this.renderTeamPreview("opponent", this.opponent, "OPP");
 
-      if (teamLogo && teamName) {
-        // This could be made dynamic based on actual match data
-        console.log("Match interface ready");
+      const matchType = document.getElementById("matchType");
+      if (matchType) {
+        matchType.textContent = this.fixture
+          ? `League match - Round ${this.fixture.round} (${
+              this.fixture.isHome ? "home" : "away"
+            })`
+          : "Friendly match - no league fixture today";
       }
     } catch (error) {
       console.error("Error updating match info:", error);
@@ -92,72 +103,287 @@ const MatchSimulation = {
   },
 
   /**
-   * Start match simulation
+   * Render one team of the match preview
    *
-   * This function initiates a match simulation with realistic timing
-   * and provides user feedback during the process.
+   * @param {string} prefix - Element ID prefix ("your" or "opponent")
+   * @param {Object|null} team - Loaded match team
+   * @param {string} fallbackLogo - Logo text when the team has no flag
+   * @returns {void}
+   */
+  renderTeamPreview(prefix, team, fallbackLogo) {
+    const logo = document.getElementById(`${prefix}TeamLogo`);
+    const name = document.getElementById(`${prefix}TeamName`);
+    const rating = document.getElementById(`${prefix}TeamRating`);
+
+    if (!logo || !name || !rating) {
+      return;
+    }
+
+    if (!team) {
+      logo.textContent = fallbackLogo;
+      rating.textContent = "";
+      return;
+    }
+
+    name.textContent = team.name;
+    rating.textContent = `Rating ${team.strength}`;
+
+    const flagPath = window.DOMHelpers.getFlagPath(team.country);
+    if (flagPath) {
+      logo.innerHTML = `<img class="team__flag" src="${flagPath}" alt="${team.country} flag" />`;
+    } else {
+      logo.textContent = fallbackLogo;
+    }
+  },
+
+  /**
+   * Load the user's team and the opponent of the current calendar day
+   *
+   * The opponent comes from today's league fixture. Without a fixture to
+   * play today, a friendly is set up against a league rival instead.
    *
-   * @returns {Object|null} - Match result object or null if simulation fails
+   * @param {string} [date] - Match date (YYYY-MM-DD), today by default
+   * @returns {Promise<void>}
    */
-  simulateMatch() {
-    if (this.isSimulating) {
-      console.log("Match simulation already in progress");
-      return null;
+  async loadMatchup(date = window.Dashboard.getCurrentDateString()) {
+    try {
+      const userTeam = window.AuthService?.getUserTeam();
+      if (!userTeam || !window.DatabaseService?.isInitialized) {
+        console.log("No user team available, using generated teams");
+        this.yourTeam = null;
+        this.opponent = null;
+        this.fixture = null;
+        return;
+      }
+
+      const fixture = window.Dashboard.getFixtureForDate(date);
+      this.fixture = fixture?.status === "scheduled" ? fixture : null;
+
+      if (!window.LineupService.isLoadedForUserTeam()) {
+        await window.LineupService.loadLineups();
+      }
+      const savedLineup = window.LineupService.getLineup(
+        this.fixture?.id ?? null
+      );
+      this.yourTeam = await this.loadTeamForMatch(userTeam, savedLineup, date);
+
+      const opponentTeam = this.fixture
+        ? { id: this.fixture.opponentId, team_name: this.fixture.opponentName }
+        : await this.getOpponentForDay(userTeam);
+      this.opponent = opponentTeam
+        ? await this.loadTeamForMatch(opponentTeam, null, date)
+        : null;
+
+      console.log(
+        `Matchup loaded: ${this.yourTeam.name} vs ${
+          this.opponent?.name || "generated opponent"
+        }`
+      );
+    } catch (error) {
+      console.error("Error loading matchup:", error);
+      this.yourTeam = null;
+      this.opponent = null;
     }
+  },
 
+  /**
+   * Check the user's lineup against the squad rules before a match
+   *
+   * The lineup the user's team would play on the date is checked: the
+   * saved lineup, or the lineup picked at kick-off without one. Errors
+   * are shown and stop the match; warnings do not. A check that fails to
+   * run stops the match too.
+   *
+   * @param {string} [date] - Match date (YYYY-MM-DD), today by default
+   * @returns {Promise<boolean>} - True if the match can start
+   */
+  async checkSquadRules(date = window.Dashboard.getCurrentDateString()) {
     try {
-      this.isSimulating = true;
-      const results = document.getElementById("matchResults");
-      const score = document.getElementById("finalScore");
+      await this.loadMatchup(date);
+      // Generated teams play without a user team, so there is nothing to check
+      if (!this.yourTeam) {
+        if (
+          window.AuthService?.getUserTeam() &&
+          window.DatabaseService?.isInitialized
+        ) {
+          throw new Error("Your team could not be loaded");
+        }
+        return true;
+      }
+      const lineup = this.getSavedLineup() || this.yourTeam.lineup;
 
-      if (!results || !score) {
-        console.error("Match results elements not found");
-        this.isSimulating = false;
+      const league = await window.DatabaseService.getLeagueById(
+        window.AuthService.getUserTeam().league_id
+      );
+      const { errors } = window.SquadRulesSystem.validate(lineup, {
+        date,
+        league,
+      });
+      if (errors.length === 0) {
+        return true;
+      }
+
+      const more = errors.length > 1 ? ` (+${errors.length - 1} more)` : "";
+      window.DOMHelpers.showNotification(
+        `Fix your lineup before the match: ${errors[0].message}${more}`,
+        "error"
+      );
+      return false;
+    } catch (error) {
+      console.error("Error checking squad rules:", error);
+      window.DOMHelpers.showNotification(
+        "Could not check your lineup against the squad rules",
+        "error"
+      );
+      return false;
+    }
+  },
+
+  /**
+   * Pick a friendly opponent for the current calendar day
+   *
+   * The user's league rivals take turns by day of the year, so every
+   * calendar day always has the same friendly opponent.
+   *
+   * @param {Object} userTeam - User's team
+   * @returns {Promise<Object|null>} - Opponent team or null if none
+   */
+  async getOpponentForDay(userTeam) {
+    try {
+      const teams = await window.DatabaseService.getTeamsByLeague(
+        userTeam.league_id
+      );
+      const rivals = teams.filter((team) => team.id !== userTeam.id);
+
+      if (rivals.length === 0) {
         return null;
       }
 
-      // Hide results initially
-      results.style.display = "none";
+      const { currentDay, currentMonth, currentYear } =
+        window.Dashboard.getCalendarState();
+      const dayOfYear = Math.floor(
+        (Date.UTC(currentYear, currentMonth - 1, currentDay) -
+          Date.UTC(currentYear, 0, 1)) /
+          86400000
+      );
 
-      // Show simulation in progress notification
-      window.DOMHelpers.showNotification("Simulating match...", "info");
+      return rivals[dayOfYear % rivals.length];
+    } catch (error) {
+      console.error("Error picking opponent:", error);
+      return null;
+    }
+  },
 
-      // Simulate match with delay for realism
-      setTimeout(() => {
-        try {
-          const result = this.calculateMatchResult();
+  /**
+   * Load a team with its players and lineup for a match
+   *
+   * The lineup's players are matched to the team's current players by
+   * ID. When no lineup is given, the best lineup is picked automatically
+   * from the team's players, leaving out those injured on the date.
+   *
+   * Managers rest their players through training. Computer-controlled
+   * teams do not train, so their players recover on the days between
+   * their last match and this one.
+   *
+   * @param {Object} team - Team row
+   * @param {Object|null} [lineup] - Lineup to play with (stored or full)
+   * @param {string|null} [date] - Match date (YYYY-MM-DD)
+   * @returns {Promise<Object>} - Match team ({ id, name, country, players, lineup, strength })
+   */
+  async loadTeamForMatch(team, lineup = null, date = null) {
+    try {
+      const players = await window.DatabaseService.getPlayersByTeam(team.id);
 
-          // Display results
-          score.textContent = `${result.yourScore} - ${result.oppScore}`;
-          results.style.display = "block";
+      if (date) {
+        const managedTeamIds = await window.DatabaseService.getManagedTeamIds();
+        if (!managedTeamIds.has(team.id)) {
+          const restDays = await this.getRestDays(team.id, date);
+          players.forEach((player) => {
+            player.fatigue = window.FatigueSystem.getRestedFatigue(
+              player,
+              restDays
+            );
+          });
+        }
+      }
 
-          // Show result notification
-          const message = result.won ? "Match Won! 🎉" : "Match Lost 😔";
-          window.DOMHelpers.showNotification(
-            message,
-            result.won ? "success" : "error"
-          );
+      const matchLineup =
+        window.LineupBuilder.resolveLineup(lineup, players) ||
+        window.LineupBuilder.pickLineup(players, { date });
 
-          // Store match result
-          this.currentMatch = result;
-          this.matchHistory.push(result);
-          this.updateSeasonStats(result);
+      return {
+        id: team.id,
+        name: team.team_name,
+        country: window.LineupBuilder.getTeamCountry(players),
+        players,
+        lineup: matchLineup,
+        strength: this.calculateTeamStrength(matchLineup),
+      };
+    } catch (error) {
+      console.error("Error loading team for match:", error);
+      throw error;
+    }
+  },
 
-          this.isSimulating = false;
+  /**
+   * Get the days a team has rested before a match
+   *
+   * The match day itself is not a rest day.
+   *
+   * @param {number} teamId - Team ID
+   * @param {string} date - Match date (YYYY-MM-DD)
+   * @returns {Promise<number>} - Rest days, 0 if the team has not played yet
+   */
+  async getRestDays(teamId, date) {
+    const lastMatchDate = await window.DatabaseService.getLastMatchDate(
+      teamId,
+      date
+    );
+    if (!lastMatchDate) {
+      return 0;
+    }
+    const days = Math.round(
+      (new Date(date) - new Date(lastMatchDate)) / 86400000
+    );
+    return Math.max(0, days - 1);
+  },
+
+  /**
+   * Start a live match simulation
+   *
+   * This function sets up today's match and streams it rally by rally in
+   * the live match viewer on the dashboard. The result is stored when the
+   * last rally has been played.
+   *
+   * @returns {Promise<Object|null>} - Match state or null if simulation fails
+   */
+  async simulateMatch() {
+    if (this.isSimulating) {
+      console.log("Match simulation already in progress");
+      return null;
+    }
+
+    try {
+      this.isSimulating = true;
 
-          // Update any stats or progress
-          this.updatePostMatchStats(result);
-        } catch (error) {
-          console.error("Error during match simulation:", error);
+      if (!(await this.checkSquadRules())) {
+        this.isSimulating = false;
+        return null;
+      }
+
+      const { match, context } = await this.prepareMatch({ live: true });
+
+      window.DOMHelpers.showPage("dashboard");
+      window.LiveMatchViewer.start(match, {
+        userSide: "home",
+        onFinish: (engineResult) =>
+          this.completeLiveMatch(engineResult, context),
+        onError: () => {
           this.isSimulating = false;
-          window.DOMHelpers.showNotification(
-            "Error during match simulation",
-            "error"
-          );
-        }
-      }, 2000); // 2 second simulation delay
+        },
+      });
 
-      return this.currentMatch;
+      return match;
     } catch (error) {
       console.error("Error starting match simulation:", error);
       this.isSimulating = false;
@@ -169,25 +395,61 @@ const MatchSimulation = {
     }
   },
 
+  /**
+   * Store the result of a match played in the live viewer
+   *
+   * @param {Object} engineResult - Result from the match engine
+   * @param {Object} context - Match context from prepareMatch
+   * @returns {Promise<void>}
+   */
+  async completeLiveMatch(engineResult, context) {
+    try {
+      const result = this.buildMatchResult(engineResult, context);
+
+      // Display results on the match page as well
+      this.displayMatchResult(result);
+
+      // Show result notification
+      const message = result.won ? "Match Won! 🎉" : "Match Lost 😔";
+      window.DOMHelpers.showNotification(
+        message,
+        result.won ? "success" : "error"
+      );
+
+      await this.recordResult(result);
+    } catch (error) {
+      console.error("Error during match simulation:", error);
+      window.DOMHelpers.showNotification(
+        "Error during match simulation",
+        "error"
+      );
+    } finally {
+      this.isSimulating = false;
+    }
+  },
+
   /**
    * Quick simulate a match (no delay)
    *
    * This function provides an instant match simulation without any delay,
    * useful for quick testing or when users want immediate results.
    *
-   * @returns {Object|null} - Match result object or null if simulation fails
+   * @returns {Promise<Object|null>} - Match result object or null if simulation fails
    */
-  quickSimulate() {
-    try {
-      const result = this.calculateMatchResult();
-      const results = document.getElementById("matchResults");
-      const score = document.getElementById("finalScore");
+  async quickSimulate() {
+    if (this.isSimulating) {
+      console.log("Match simulation already in progress");
+      return null;
+    }
 
-      if (results && score) {
-        score.textContent = `${result.yourScore} - ${result.oppScore}`;
-        results.style.display = "block";
+    try {
+      if (!(await this.checkSquadRules())) {
+        return null;
       }
 
+      const result = await this.calculateMatchResult();
+      this.displayMatchResult(result);
+
       // Show result notification
       const message = result.won
         ? "Quick Match Won! 🎉"
@@ -197,13 +459,7 @@ const MatchSimulation = {
         result.won ? "success" : "error"
       );
 
-      // Store match result
-      this.currentMatch = result;
-      this.matchHistory.push(result);
-      this.updateSeasonStats(result);
-
-      // Update post-match stats
-      this.updatePostMatchStats(result);
+      await this.recordResult(result);
 
       return result;
     } catch (error) {
@@ -214,77 +470,623 @@ const MatchSimulation = {
   },
 
   /**
-   * Calculate match result based on team strength
+   * Store a played match
    *
-   * This function calculates the match result using team strength,
-   * player statistics, and some randomness for realistic outcomes.
+   * This function keeps the result in the match history and season
+   * statistics and saves league fixtures to the database.
    *
-   * @returns {Object} - Match result object
+   * @param {Object} result - Match result object
+   * @returns {Promise<void>}
+   */
+  async recordResult(result) {
+    this.currentMatch = result;
+    this.matchHistory.push(result);
+    this.updateSeasonStats(result);
+    await this.saveMatchResult(result);
+
+    // Update post-match stats
+    await this.updatePostMatchStats(result);
+  },
+
+  /**
+   * Display a match result in the results panel
+   *
+   * This function shows the final set score, the score of every set
+   * played and the box score of both teams in the match results panel.
+   *
+   * @param {Object} result - Match result object
+   * @returns {void}
    */
-  calculateMatchResult() {
+  displayMatchResult(result) {
     try {
-      const teamStrength = this.calculateTeamStrength();
-      const opponentStrength = this.generateOpponentStrength();
+      const results = document.getElementById("matchResults");
+      const score = document.getElementById("finalScore");
+      const setScores = document.getElementById("setScores");
 
-      // Base random scores (volleyball typically has 3-5 sets)
-      let yourScore = Math.floor(Math.random() * 3) + 1;
-      let oppScore = Math.floor(Math.random() * 3) + 1;
+      if (!results || !score) {
+        console.error("Match results elements not found");
+        return;
+      }
 
-      // Adjust based on team strength difference
-      const strengthDiff = teamStrength - opponentStrength;
+      score.textContent = `${result.yourScore} - ${result.oppScore}`;
 
-      if (strengthDiff > 0) {
-        // Your team is stronger
-        if (Math.random() < 0.3) yourScore++; // 30% chance for bonus point
-        if (strengthDiff > 10 && Math.random() < 0.2) yourScore++; // 20% chance for another if much stronger
-      } else if (strengthDiff < 0) {
-        // Opponent is stronger
-        if (Math.random() < 0.3) oppScore++; // 30% chance for opponent bonus
-        if (strengthDiff < -10 && Math.random() < 0.2) oppScore++; // 20% chance for another if much stronger
+      if (setScores) {
+        setScores.innerHTML = result.sets
+          .map(
+            (set, index) => `
+              <span class="match-results__set ${
+                set.yourPoints > set.oppPoints
+                  ? "match-results__set--won"
+                  : "match-results__set--lost"
+              }">
+                <span class="match-results__set-label">Set ${index + 1}</span>
+                ${set.yourPoints} - ${set.oppPoints}
+              </span>
+            `
+          )
+          .join("");
       }
 
-      // Ensure valid volleyball scores (max 5 sets)
-      yourScore = Math.min(yourScore, 5);
-      oppScore = Math.min(oppScore, 5);
+      const boxScore = document.getElementById("boxScore");
+      if (boxScore) {
+        boxScore.innerHTML = result.boxScore
+          ? this.renderBoxScoreTable(
+              result.lineups.home.name,
+              result.boxScore.home
+            ) +
+            this.renderBoxScoreTable(
+              result.lineups.away.name,
+              result.boxScore.away
+            )
+          : "";
+      }
 
-      const won = yourScore > oppScore;
-      const draw = yourScore === oppScore;
+      results.style.display = "block";
+    } catch (error) {
+      console.error("Error displaying match result:", error);
+    }
+  },
 
-      return {
-        yourScore,
-        oppScore,
-        won,
-        draw,
-        teamStrength,
-        opponentStrength,
-        strengthDiff,
-        timestamp: new Date().toISOString(),
+  /**
+   * Render the box score table of one team
+   *
+   * Attack efficiency is (kills - errors) / attempts and the reception
+   * rating runs from 0 (error) to 3 (perfect pass).
+   *
+   * @param {string} teamName - Team name
+   * @param {Array} lines - Player statistic lines from the match engine
+   * @returns {string} - Box score HTML
+   */
+  renderBoxScoreTable(teamName, lines) {
+    const formatAverage = (value, digits) =>
+      value === null ? "-" : value.toFixed(digits);
+
+    const rows = lines
+      .map(
+        (line) => `
+          <tr class="box-score__row">
+            <td class="box-score__player">${line.playerName}</td>
+            <td>${line.kills}</td>
+            <td>${line.attackErrors}</td>
+            <td>${line.attackAttempts}</td>
+            <td>${formatAverage(line.attackEfficiency, 3)}</td>
+            <td>${line.aces}</td>
+            <td>${line.serviceErrors}</td>
+            <td>${line.blocks}</td>
+            <td>${line.digs}</td>
+            <td>${formatAverage(line.receptionRating, 2)}</td>
+            <td>${line.assists}</td>
+          </tr>
+        `
+      )
+      .join("");
+
+    return `
+      <div class="box-score__team">
+        <h4 class="box-score__title">${teamName}</h4>
+        <table class="box-score__table">
+          <thead>
+            <tr>
+              <th class="box-score__player">Player</th>
+              <th title="Kills">K</th>
+              <th title="Attack errors">E</th>
+              <th title="Attack attempts">TA</th>
+              <th title="Attack efficiency">Eff</th>
+              <th title="Aces">Ace</th>
+              <th title="Service errors">SE</th>
+              <th title="Blocks">Blk</th>
+              <th title="Digs">Dig</th>
+              <th title="Reception rating (0-3)">Rec</th>
+              <th title="Assists">Ast</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  },
+
+  /**
+   * Save a match result to the database
+   *
+   * This function records the result of a league fixture in the matches
+   * table so standings and team statistics include it. Friendlies are not
+   * saved.
+   *
+   * @param {Object} result - Match result object
+   * @returns {Promise<Object|null>} - Saved match row or null if not saved
+   */
+  async saveMatchResult(result) {
+    try {
+      const userTeam = window.AuthService?.getUserTeam();
+      if (!userTeam || !result.fixture) {
+        console.log("Match not saved: friendly match");
+        return null;
+      }
+
+      const { isHome } = result.fixture;
+      const yourSide = {
+        teamId: userTeam.id,
+        sets: result.yourScore,
+        points: result.yourPoints,
       };
+      const opponentSide = {
+        teamId: result.opponent.id,
+        sets: result.oppScore,
+        points: result.oppPoints,
+      };
+      const home = isHome ? yourSide : opponentSide;
+      const away = isHome ? opponentSide : yourSide;
+
+      const savedMatch = await window.DatabaseService.recordMatchResult({
+        matchId: result.fixture.matchId,
+        homeTeamId: home.teamId,
+        awayTeamId: away.teamId,
+        leagueId: result.fixture.leagueId,
+        matchDate: result.fixture.date,
+        season: String(window.Dashboard.currentYear),
+        homeSetsWon: home.sets,
+        awaySetsWon: away.sets,
+        homePoints: home.points,
+        awayPoints: away.points,
+        sets: result.sets.map((set) => ({
+          home: isHome ? set.yourPoints : set.oppPoints,
+          away: isHome ? set.oppPoints : set.yourPoints,
+        })),
+        seed: result.seed,
+        boxScore: result.boxScore && {
+          home: isHome ? result.boxScore.home : result.boxScore.away,
+          away: isHome ? result.boxScore.away : result.boxScore.home,
+        },
+      });
+
+      result.matchId = savedMatch.id;
+      window.Dashboard.markFixtureCompleted(result.fixture.date);
+      this.fixture = null;
+
+      // Refresh the dashboard numbers with the new result
+      await window.Dashboard.refreshTeamStatistics();
+
+      return savedMatch;
+    } catch (error) {
+      console.error("Error saving match result:", error);
+      window.DOMHelpers.showNotification(
+        "Match played but the result could not be saved",
+        "warning"
+      );
+      return null;
+    }
+  },
+
+  /**
+   * Calculate match result by playing the match rally by rally
+   *
+   * This function builds both teams and lets the match engine play every
+   * rally of the match. The returned result uses sets won as the score and
+   * carries the points of every set. Everything random is drawn from the
+   * match seed, which is stored on the result.
+   *
+   * @param {Object} [options] - Simulation options
+   * @param {number} [options.seed] - Seed to play the match with
+   * @returns {Promise<Object>} - Match result object
+   */
+  async calculateMatchResult(options = {}) {
+    try {
+      const { match, context } = await this.prepareMatch(options);
+      const engineResult = window.MatchEngine.playToEnd(match);
+
+      return this.buildMatchResult(engineResult, context);
     } catch (error) {
       console.error("Error calculating match result:", error);
-      // Return a default result if calculation fails
+      throw error;
+    }
+  },
+
+  /**
+   * Set up today's match in the match engine
+   *
+   * This function builds both teams and creates the engine match without
+   * playing it, so it can be played at once or rally by rally. The user's
+   * team is always the home side of the engine match. In a live match the
+   * user makes the substitutions and timeouts of their team.
+   *
+   * @param {Object} [options] - Simulation options
+   * @param {number} [options.seed] - Seed to play the match with
+   * @param {boolean} [options.live] - Whether the user coaches their team
+   * @returns {Promise<Object>} - Engine match and the context needed to build the result ({ match, context })
+   */
+  async prepareMatch(options = {}) {
+    try {
+      const seed = options.seed ?? window.RandomGenerator.createSeed();
+      const setupRng = window.RandomGenerator.create(
+        window.RandomGenerator.deriveSeed(seed, "setup")
+      );
+
+      if (!this.yourTeam || !this.opponent) {
+        await this.loadMatchup();
+      }
+
+      // The saved lineup may have changed since the matchup was loaded
+      const lineup = this.removeInjuredPlayers(
+        this.refreshLineupPlayers(
+          this.getSavedLineup() || this.yourTeam?.lineup || null,
+          this.yourTeam?.players
+        ),
+        this.fixture?.date || window.Dashboard.getCurrentDateString()
+      );
+      const teamStrength = this.calculateTeamStrength(lineup);
+      const opponentStrength = this.opponent
+        ? this.opponent.strength
+        : this.generateOpponentStrength(setupRng);
+
+      // The opponent's coach sees the user's lineup and tactics
+      const yourTactics = window.TacticsSystem.normalize(
+        window.AuthService?.getUserTeam()?.tactics
+      );
+      const opponentTactics = this.getCounterTactics(
+        this.opponent?.lineup || null,
+        lineup,
+        yourTactics
+      );
+
+      const yourTeam = this.buildEngineTeam(
+        {
+          id: this.yourTeam?.id,
+          name: this.yourTeam?.name || "Your Team",
+          tactics: yourTactics,
+        },
+        lineup,
+        teamStrength,
+        setupRng
+      );
+      const opponentTeam = this.buildEngineTeam(
+        {
+          id: this.opponent?.id,
+          name: this.opponent?.name || "Opponents",
+          tactics: opponentTactics,
+        },
+        this.opponent?.lineup || null,
+        opponentStrength,
+        setupRng
+      );
+
       return {
-        yourScore: 1,
-        oppScore: 1,
-        won: false,
-        draw: true,
-        teamStrength: 75,
-        opponentStrength: 75,
-        strengthDiff: 0,
-        timestamp: new Date().toISOString(),
+        match: window.MatchEngine.createMatch(yourTeam, opponentTeam, {
+          seed,
+          autoCoach: options.live ? ["away"] : ["home", "away"],
+        }),
+        context: {
+          fixture: this.fixture
+            ? {
+                matchId: this.fixture.id,
+                date: this.fixture.date,
+                round: this.fixture.round,
+                leagueId: this.fixture.leagueId,
+                isHome: this.fixture.isHome,
+              }
+            : null,
+          opponent: {
+            id: this.opponent?.id ?? null,
+            name: opponentTeam.name,
+            country: this.opponent?.country ?? null,
+            rating: opponentStrength,
+          },
+          teamStrength,
+          opponentStrength,
+        },
       };
+    } catch (error) {
+      console.error("Error preparing match:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Build the match result object from an engine result
+   *
+   * @param {Object} engineResult - Result from the match engine
+   * @param {Object} context - Match context from prepareMatch
+   * @returns {Object} - Match result object
+   */
+  buildMatchResult(engineResult, context) {
+    return {
+      seed: engineResult.seed,
+      lineups: engineResult.lineups,
+      fixture: context.fixture,
+      opponent: context.opponent,
+      yourScore: engineResult.homeSetsWon,
+      oppScore: engineResult.awaySetsWon,
+      sets: engineResult.sets.map((set) => ({
+        yourPoints: set.home,
+        oppPoints: set.away,
+      })),
+      yourPoints: engineResult.homePoints,
+      oppPoints: engineResult.awayPoints,
+      won: engineResult.winner === "home",
+      rallies: engineResult.rallies,
+      actions: engineResult.actions,
+      injuries: engineResult.injuries,
+      boxScore: engineResult.boxScore,
+      teamStrength: context.teamStrength,
+      opponentStrength: context.opponentStrength,
+      strengthDiff: context.teamStrength - context.opponentStrength,
+      timestamp: new Date().toISOString(),
+    };
+  },
+
+  /**
+   * Build a team for the match engine from a lineup
+   *
+   * This function fields the starting seven of the lineup, each player in
+   * the role of their slot, with the lineup's bench available for
+   * substitutions. When there is no lineup or not enough players
+   * to field six on court, a generated team at the given strength is used
+   * instead.
+   *
+   * @param {Object} teamInfo - Team information ({ id, name, tactics })
+   * @param {Object|null} lineup - Lineup ({ starting, bench })
+   * @param {number} strength - Team strength for a generated team
+   * @param {Object} rng - Random generator for generated players
+   * @returns {Object} - Engine team object
+   */
+  buildEngineTeam(teamInfo, lineup, strength, rng) {
+    try {
+      const starters = lineup ? this.getLineupStarters(lineup) : [];
+
+      if (starters.filter((p) => p.position !== "Libero").length < 6) {
+        return window.MatchEngine.createGenericTeam(teamInfo, strength, rng);
+      }
+
+      return window.MatchEngine.createTeam(
+        teamInfo,
+        starters,
+        this.getLineupBench(lineup)
+      );
+    } catch (error) {
+      console.error("Error building engine team:", error);
+      return window.MatchEngine.createGenericTeam(teamInfo, strength, rng);
+    }
+  },
+
+  /**
+   * Pick the tactics of a computer team against an opponent
+   *
+   * @param {Object|null} lineup - Lineup of the computer team ({ starting, bench })
+   * @param {Object|null} opponentLineup - Lineup of the opponent
+   * @param {Object|null} [opponentTactics] - Known tactics of the opponent
+   * @returns {Object|null} - Tactics or null to play the defaults
+   */
+  getCounterTactics(lineup, opponentLineup, opponentTactics = null) {
+    try {
+      if (!lineup) {
+        return null;
+      }
+
+      return window.TacticsSystem.pickCounterTactics(
+        this.getLineupStarters(lineup),
+        opponentLineup ? this.getLineupStarters(opponentLineup) : [],
+        opponentTactics
+      );
+    } catch (error) {
+      console.error("Error picking counter-tactics:", error);
+      return null;
+    }
+  },
+
+  /**
+   * Get the saved starting lineup from Squad Selection
+   *
+   * The lineup chosen for the current fixture is used, the default
+   * lineup otherwise.
+   *
+   * @param {Array} [players] - Player rows of the team, the loaded ones by default
+   * @returns {Object|null} - Lineup ({ starting, bench }) or null if none saved
+   */
+  getSavedLineup(players = this.yourTeam?.players) {
+    try {
+      return window.LineupBuilder.resolveLineup(
+        window.LineupService.getLineup(this.fixture?.id ?? null),
+        players
+      );
+    } catch (error) {
+      console.error("Error loading saved lineup:", error);
+      return null;
+    }
+  },
+
+  /**
+   * Bring the players of a saved lineup up to date
+   *
+   * A lineup keeps copies of the players as they were when it was
+   * loaded, so morale, form and experience are taken from the team's
+   * current player rows.
+   *
+   * @param {Object|null} lineup - Saved lineup ({ starting, bench })
+   * @param {Array} [players] - Current player rows of the team
+   * @returns {Object|null} - Lineup with current player values
+   */
+  refreshLineupPlayers(lineup, players = []) {
+    if (!lineup || !players?.length) {
+      return lineup;
+    }
+
+    const playersById = new Map(players.map((player) => [player.id, player]));
+    const refreshSlot = (slot) =>
+      slot.player && playersById.has(slot.player.id)
+        ? {
+            ...slot,
+            player: { ...slot.player, ...playersById.get(slot.player.id) },
+          }
+        : slot;
+
+    return {
+      ...lineup,
+      starting: lineup.starting.map(refreshSlot),
+      bench: (lineup.bench || []).map(refreshSlot),
+    };
+  },
+
+  /**
+   * Take the injured players out of a lineup
+   *
+   * The slot of an injured starter goes to a healthy bench player of the
+   * same position, or to any healthy bench player who is not a libero.
+   * Injured bench players are left out.
+   *
+   * @param {Object|null} lineup - Lineup ({ starting, bench })
+   * @param {string} date - Match date (YYYY-MM-DD)
+   * @returns {Object|null} - Lineup without injured players
+   */
+  removeInjuredPlayers(lineup, date) {
+    if (!lineup) {
+      return lineup;
+    }
+
+    const isInjured = (slot) =>
+      window.InjurySystem.isInjured(slot.player, date);
+    const bench = (lineup.bench || []).filter(
+      (slot) => slot.player && !isInjured(slot)
+    );
+
+    const starting = lineup.starting.map((slot) => {
+      if (!slot.player || !isInjured(slot)) {
+        return slot;
+      }
+
+      let index = bench.findIndex(
+        (benchSlot) => benchSlot.player.position === slot.position
+      );
+      if (index === -1 && slot.position !== "Libero") {
+        index = bench.findIndex(
+          (benchSlot) => benchSlot.player.position !== "Libero"
+        );
+      }
+
+      if (index === -1) {
+        return { ...slot, player: null };
+      }
+      const [replacement] = bench.splice(index, 1);
+      return { ...slot, player: replacement.player };
+    });
+
+    return { ...lineup, starting, bench };
+  },
+
+  /**
+   * Turn the starting slots of a lineup into engine players
+   *
+   * Each player takes the role of the slot they were placed in. Players out
+   * of their natural position get a rating penalty, and morale and form
+   * raise or lower every rating a little.
+   *
+   * @param {Object} lineup - Saved lineup ({ starting, bench })
+   * @returns {Array} - Players ready for the match engine
+   */
+  getLineupStarters(lineup) {
+    return lineup.starting
+      .filter((slot) => slot.player)
+      .map((slot) => ({
+        ...slot.player,
+        position: slot.position,
+        naturalPosition: slot.player.position,
+        ratingModifier:
+          window.PlayerStatsSystem.getPositionPenalty(
+            slot.player.position,
+            slot.position
+          ) * window.MoraleSystem.getRatingModifier(slot.player),
+      }));
+  },
+
+  /**
+   * Get the bench players of a lineup for substitutions
+   *
+   * @param {Object} lineup - Lineup ({ starting, bench })
+   * @returns {Array} - Bench players in their natural position
+   */
+  getLineupBench(lineup) {
+    const starterIds = lineup.starting
+      .filter((slot) => slot.player)
+      .map((slot) => slot.player.id);
+
+    return (lineup.bench || [])
+      .filter((slot) => slot.player && !starterIds.includes(slot.player.id))
+      .map((slot) => ({
+        ...slot.player,
+        naturalPosition: slot.player.position,
+        ratingModifier: window.MoraleSystem.getRatingModifier(slot.player),
+      }));
+  },
+
+  /**
+   * Calculate team strength based on the starting lineup
+   *
+   * This function rates every starter for the slot they play, using the
+   * position weights of the stats system, the out-of-position penalty and
+   * the player's morale, form and fatigue.
+   * Empty slots count as a replacement-level player.
+   *
+   * @param {Object|null} lineup - Saved lineup ({ starting, bench })
+   * @returns {number} - Team strength rating
+   */
+  calculateTeamStrength(lineup = this.getSavedLineup()) {
+    try {
+      if (!lineup) {
+        return this.calculateSquadStrength();
+      }
+
+      const EMPTY_SLOT_RATING = 30;
+      const stats = window.PlayerStatsSystem;
+      const getCondition = (player) =>
+        window.MoraleSystem.getRatingModifier(player) *
+        window.FatigueSystem.getRatingModifier(player);
+
+      const slotRatings = lineup.starting.map((slot) =>
+        slot.player
+          ? stats.calculatePositionRating(slot.player, slot.position) *
+            getCondition(slot.player)
+          : EMPTY_SLOT_RATING
+      );
+
+      const averageRating =
+        slotRatings.reduce((sum, rating) => sum + rating, 0) /
+        slotRatings.length;
+
+      return Math.round(averageRating);
+    } catch (error) {
+      console.error("Error calculating team strength:", error);
+      return 75; // Default strength
     }
   },
 
   /**
-   * Calculate team strength based on current squad
+   * Calculate team strength from the whole squad
    *
-   * This function calculates the overall team strength based on
-   * the current squad's player ratings and positions.
+   * This function is used when no lineup has been saved yet and averages
+   * the overall rating of the top 7 players.
    *
    * @returns {number} - Team strength rating
    */
-  calculateTeamStrength() {
+  calculateSquadStrength() {
     try {
       const players = window.DataStorage.getPlayers();
 
@@ -293,7 +1095,7 @@ const MatchSimulation = {
       }
 
       // Get average overall rating of top 7 players
-      const sortedPlayers = players.sort(
+      const sortedPlayers = [...players].sort(
         (a, b) => (b.overall || 0) - (a.overall || 0)
       );
       const topPlayers = sortedPlayers.slice(0, 7);
@@ -304,7 +1106,7 @@ const MatchSimulation = {
 
       return Math.round(averageRating);
     } catch (error) {
-      console.error("Error calculating team strength:", error);
+      console.error("Error calculating squad strength:", error);
       return 75; // Default strength
     }
   },
@@ -312,17 +1114,18 @@ const MatchSimulation = {
   /**
    * Generate opponent strength (random with some variance)
    *
-   * This function generates a realistic opponent strength rating
-   * with some randomness for varied match outcomes.
+   * This function generates an opponent strength rating for when no
+   * league opponent is available (e.g. while offline).
    *
+   * @param {Object} [rng] - Random generator (the shared one by default)
    * @returns {number} - Opponent strength rating
    */
-  generateOpponentStrength() {
+  generateOpponentStrength(rng = window.RandomGenerator.getDefault()) {
     try {
-      // Generate opponent strength between 70-90 with normal distribution
+      // Generate opponent strength between 70-90
       const base = 80;
       const variance = 10;
-      const random = (Math.random() - 0.5) * 2; // -1 to 1
+      const random = rng.range(-1, 1);
 
       return Math.round(base + random * variance);
     } catch (error) {
@@ -338,16 +1141,13 @@ const MatchSimulation = {
    * after a match is completed.
    *
    * @param {Object} result - Match result object
-   * @returns {void}
+   * @returns {Promise<void>}
    */
-  updatePostMatchStats(result) {
+  async updatePostMatchStats(result) {
     try {
       console.log("Match completed:", result);
 
-      // Could trigger squad growth, player development, etc.
-      if (result.won) {
-        this.applyWinBonuses();
-      }
+      await this.applyMatchEffects(result);
 
       // Update any UI elements that show match statistics
       this.updateMatchStatisticsDisplay();
@@ -357,27 +1157,146 @@ const MatchSimulation = {
   },
 
   /**
-   * Apply bonuses for winning matches
+   * Update morale, form, experience and fatigue of both teams after a match
    *
-   * This function applies various bonuses and improvements
-   * when the team wins a match.
+   * Every player of both teams is updated: those who played from their
+   * box score line, the others for the result and the missed playing
+   * time. Fatigue grows with the sets a player was on court. Injuries
+   * picked up in the match are recorded and keep the player out until the
+   * recovery date. After a friendly only the user's own team is updated.
    *
-   * @returns {void}
+   * @param {Object} result - Match result object
+   * @returns {Promise<void>}
    */
-  applyWinBonuses() {
+  async applyMatchEffects(result) {
     try {
-      console.log("Applying win bonuses...");
+      const userTeam = window.AuthService?.getUserTeam();
+      if (!userTeam || !result.boxScore) {
+        return;
+      }
 
-      // In a real application, this would:
-      // - Increase player experience
-      // - Improve team morale
-      // - Unlock new features
-      // - Update player statistics
+      const matchId = result.matchId ?? null;
+      const date =
+        result.fixture?.date || window.Dashboard.getCurrentDateString();
+      const { updates, injuries } = await this.applyTeamMatchEffects(
+        userTeam.id,
+        {
+          matchId,
+          date,
+          lines: result.boxScore.home,
+          won: result.won,
+          injuries: (result.injuries || []).filter(
+            (injury) => injury.side === "home"
+          ),
+        }
+      );
+
+      if (matchId && result.opponent?.id) {
+        await this.applyTeamMatchEffects(
+          result.opponent.id,
+          {
+            matchId,
+            date,
+            lines: result.boxScore.away,
+            won: !result.won,
+            injuries: (result.injuries || []).filter(
+              (injury) => injury.side === "away"
+            ),
+          },
+          this.opponent?.id === result.opponent.id
+            ? this.opponent.players
+            : null
+        );
+      }
+
+      // Keep the loaded squad in step for the next match
+      this.yourTeam?.players?.forEach((player) =>
+        Object.assign(player, updates.get(player.id))
+      );
+
+      injuries.forEach((injury) =>
+        window.DOMHelpers.showNotification(
+          `${injury.playerName} is injured (${injury.type}) and out until ${injury.recoveryDate}`,
+          "warning"
+        )
+      );
     } catch (error) {
-      console.error("Error applying win bonuses:", error);
+      console.error("Error applying match effects:", error);
     }
   },
 
+  /**
+   * Update the players of one team after a match
+   *
+   * Friendlies grant no experience.
+   *
+   * @param {number} teamId - Team ID
+   * @param {Object} match - Match of the team
+   * @param {number|null} match.matchId - ID of the saved match, null for a friendly
+   * @param {string} match.date - Match date (YYYY-MM-DD)
+   * @param {Array} match.lines - Box score lines of the team
+   * @param {boolean} match.won - True if the team won
+   * @param {Array} match.injuries - Injuries of the team's players from the engine
+   * @param {Array|null} [players] - Players as they played the match, loaded when not given
+   * @returns {Promise<Object>} - Applied values ({ updates: Map by player ID, injuries })
+   */
+  async applyTeamMatchEffects(teamId, match, players = null) {
+    const squad =
+      players || (await window.DatabaseService.getPlayersByTeam(teamId));
+    const lines = new Map(match.lines.map((line) => [line.playerId, line]));
+
+    const injuries = match.injuries
+      .filter((injury) => squad.some((player) => player.id === injury.playerId))
+      .map((injury) => ({
+        ...injury,
+        date: match.date,
+        recoveryDate: window.InjurySystem.getRecoveryDate(
+          match.date,
+          injury.days
+        ),
+        source: "match",
+      }));
+
+    const updates = new Map(
+      squad.map((player) => {
+        const line = lines.get(player.id) || null;
+        return [
+          player.id,
+          {
+            ...window.MoraleSystem.getPlayerUpdate(player, line, match.won),
+            ...(match.matchId ? {} : { experience: player.experience }),
+            fatigue: window.FatigueSystem.getMatchFatigue(
+              player,
+              line?.ralliesPlayed || 0
+            ),
+          },
+        ];
+      })
+    );
+    injuries.forEach((injury) => {
+      updates.get(injury.playerId).injured_until = injury.recoveryDate;
+    });
+
+    const updatedCount = await window.DatabaseService.applyMatchEffects(
+      teamId,
+      match.matchId,
+      [...updates].map(([playerId, values]) => ({
+        playerId,
+        morale: values.morale,
+        form: values.form,
+        experience: values.experience,
+        fatigue: values.fatigue,
+      })),
+      injuries
+    );
+
+    console.log(
+      `Morale, form, experience and fatigue updated for ${updatedCount} players of team ${teamId}`
+    );
+
+    return { updates, injuries };
+  },
+
   /**
    * Update season statistics
    *
@@ -434,6 +1353,33 @@ const MatchSimulation = {
     return this.matchHistory;
   },
 
+  /**
+   * Replay a previous match from its seed and lineups
+   *
+   * This function plays a stored match again and checks that the rally
+   * log is identical, which makes reported matches reproducible.
+   *
+   * @param {Object} result - Match result from the match history
+   * @returns {Object|null} - Replayed engine result or null on failure
+   */
+  replayMatch(result = this.currentMatch) {
+    try {
+      const replay = window.MatchEngine.replayMatch(result);
+      const identical =
+        JSON.stringify(replay.rallies) === JSON.stringify(result.rallies);
+
+      console.log(
+        `Replayed match with seed ${result.seed}: ${
+          identical ? "identical rally log" : "rally log differs"
+        }`
+      );
+      return replay;
+    } catch (error) {
+      console.error("Error replaying match:", error);
+      return null;
+    }
+  },
+
   /**
    * Get current season statistics
    *
@@ -465,21 +1411,406 @@ const MatchSimulation = {
   },
 
   /**
-   * Simulate an entire season (placeholder for future feature)
+   * Simulate the calendar up to a target date
    *
-   * This function would simulate an entire season of matches.
-   * Currently it's a placeholder for future development.
+   * This function advances the dashboard date day by day and plays every
+   * scheduled league fixture on the way, in every league. The user's own
+   * fixtures are played with the saved lineup, which is checked against
+   * the squad rules on the morning of each one; a lineup breaking them
+   * stops the simulation on that day. A summary of the results is shown
+   * at the end.
    *
-   * @returns {void}
+   * @param {string} [target] - "next-match", "end-of-month" or "end-of-season"
+   * @returns {Promise<Object|null>} - Simulation summary or null if nothing was simulated
    */
-  simulateSeason() {
+  async simulateSeason(target = "next-match") {
+    if (this.isSimulating) {
+      console.log("Match simulation already in progress");
+      return null;
+    }
+
     try {
+      const dayCount = await this.getDaysToSimulate(target);
+      if (dayCount === 0) {
+        return null;
+      }
+
+      this.isSimulating = true;
+      const dashboard = window.Dashboard;
+      const summary = {
+        target,
+        startDate: dashboard.getCurrentDateString(),
+        endDate: null,
+        stoppedForLineup: false,
+        days: 0,
+        matchesPlayed: 0,
+        trainingSessions: 0,
+        yourResults: [],
+      };
+
+      window.DOMHelpers.showLoadingScreen(
+        "Simulating matches...",
+        0,
+        this.SIMULATION_TIMEOUT
+      );
+      const loading = window.DOMHelpers.createLoadingStateManager(
+        Array.from({ length: dayCount }, () => ({ weight: 1 }))
+      );
+
+      for (let day = 0; day < dayCount; day++) {
+        const date = dashboard.getCurrentDateString();
+
+        // The user's lineup must pass the squad rules before each fixture
+        if (
+          dashboard.getFixtureForDate(date)?.status === "scheduled" &&
+          !(await this.checkSquadRules(date))
+        ) {
+          summary.stoppedForLineup = true;
+          break;
+        }
+
+        // The user's team trains on days without a match
+        if (!dashboard.getFixtureForDate(date)) {
+          const training = await window.TrainingPlanner?.runSession(date);
+          if (training) {
+            summary.trainingSessions++;
+          }
+        }
+
+        // Scouts work every day, match or not
+        await window.ScoutingService.runDailyScouting(date);
+
+        const dayResults = await this.simulateFixturesForDate(date);
+
+        summary.matchesPlayed += dayResults.matchesPlayed;
+        if (dayResults.yourResult) {
+          summary.yourResults.push(dayResults.yourResult);
+        }
+
+        dashboard.advanceDate();
+        if (dashboard.fixturesSeason !== String(dashboard.currentYear)) {
+          await dashboard.loadFixtures();
+        }
+        summary.days++;
+
+        loading.nextStep(
+          `Simulated ${date} (${summary.matchesPlayed} matches played)`
+        );
+      }
+
+      summary.endDate = dashboard.getCurrentDateString();
+      loading.complete();
+
+      // Show the new day with its matchup
+      await dashboard.loadRecoveries();
+      await window.TransferMarket?.refreshScouting();
+      dashboard.generateCalendar();
+      await dashboard.refreshTeamStatistics();
+      await this.setupMatchInterface();
+      this.resetMatchDisplay();
+
+      this.showSimulationSummary(summary);
+      return summary;
+    } catch (error) {
+      console.error("Error in season simulation:", error);
+      window.DOMHelpers.hideLoadingScreen();
+      window.DOMHelpers.showNotification("Error simulating matches", "error");
+      return null;
+    } finally {
+      this.isSimulating = false;
+    }
+  },
+
+  /**
+   * Count the days to simulate to reach a target
+   *
+   * The simulation stops on the morning of the target day: the day of the
+   * user's next fixture, the last day of the month, or the day after the
+   * last fixture of the season.
+   *
+   * @param {string} target - "next-match", "end-of-month" or "end-of-season"
+   * @returns {Promise<number>} - Number of days to simulate (0 if none)
+   */
+  async getDaysToSimulate(target) {
+    const dashboard = window.Dashboard;
+    const today = dashboard.getCurrentDateString();
+    let stopDate = null;
+
+    switch (target) {
+      case "next-match": {
+        const todayFixture = dashboard.getFixtureForDate(today);
+        if (todayFixture?.status === "scheduled") {
+          window.DOMHelpers.showNotification(
+            "Your next match is today",
+            "info"
+          );
+          return 0;
+        }
+
+        const nextFixture = Object.values(dashboard.fixtures)
+          .filter(
+            (fixture) => fixture.status === "scheduled" && fixture.date > today
+          )
+          .sort((a, b) => a.date.localeCompare(b.date))[0];
+        stopDate = nextFixture?.date || null;
+        break;
+      }
+
+      case "end-of-month":
+        stopDate = dashboard.getDateString(
+          dashboard.getDaysInMonth(
+            dashboard.currentMonth,
+            dashboard.currentYear
+          )
+        );
+        break;
+
+      case "end-of-season": {
+        const lastDate = await window.DatabaseService.getSeasonLastFixtureDate(
+          String(dashboard.currentYear)
+        );
+        stopDate = lastDate ? this.getNextDateString(lastDate) : null;
+        break;
+      }
+
+      default:
+        console.error("Unknown simulation target:", target);
+        return 0;
+    }
+
+    if (!stopDate || stopDate <= today) {
       window.DOMHelpers.showNotification(
-        "Season simulation coming soon!",
+        "No matches left to simulate this season",
         "info"
       );
+      return 0;
+    }
+
+    return Math.round((Date.parse(stopDate) - Date.parse(today)) / 86400000);
+  },
+
+  /**
+   * Play every scheduled league fixture on a date
+   *
+   * The user's fixture is played with the saved lineup and stored like a
+   * match played from this page; fixtures between computer-controlled
+   * teams are played between auto-picked lineups. Fixtures of teams other
+   * users manage are left for their managers to play.
+   *
+   * @param {string} date - Match date (YYYY-MM-DD)
+   * @returns {Promise<Object>} - Day results ({ matchesPlayed, yourResult })
+   */
+  async simulateFixturesForDate(date) {
+    const dayResults = { matchesPlayed: 0, yourResult: null };
+
+    try {
+      if (!window.DatabaseService?.isInitialized) {
+        return dayResults;
+      }
+
+      const userTeam = window.AuthService?.getUserTeam();
+      const fixtures = await window.DatabaseService.getFixturesByDate(date);
+      if (fixtures.length === 0) {
+        return dayResults;
+      }
+      const managedTeamIds = await window.DatabaseService.getManagedTeamIds();
+
+      for (const match of fixtures) {
+        const isUserMatch =
+          userTeam &&
+          (match.home_team_id === userTeam.id ||
+            match.away_team_id === userTeam.id);
+
+        if (isUserMatch) {
+          dayResults.yourResult = await this.playUserFixture(date);
+        } else if (
+          managedTeamIds.has(match.home_team_id) ||
+          managedTeamIds.has(match.away_team_id)
+        ) {
+          continue;
+        } else {
+          await this.playFixture(match);
+        }
+        dayResults.matchesPlayed++;
+      }
+
+      return dayResults;
     } catch (error) {
-      console.error("Error in season simulation:", error);
+      console.error(`Error simulating fixtures of ${date}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Play the user's fixture on a date
+   *
+   * @param {string} date - Fixture date (YYYY-MM-DD)
+   * @returns {Promise<Object|null>} - Match result or null if nothing to play
+   */
+  async playUserFixture(date) {
+    await this.loadMatchup(date);
+    if (!this.fixture) {
+      return null;
+    }
+
+    const result = await this.calculateMatchResult();
+    await this.recordResult(result);
+
+    return result;
+  },
+
+  /**
+   * Play a fixture between two computer-controlled teams
+   *
+   * Both teams field their best lineup and the result is stored on the
+   * fixture row. Both squads are then updated for the match.
+   *
+   * @param {Object} match - Scheduled fixture row
+   * @returns {Promise<Object>} - Saved match row
+   */
+  async playFixture(match) {
+    try {
+      const loadTeam = (teamId, team) =>
+        this.loadTeamForMatch(
+          { id: teamId, team_name: team?.team_name },
+          null,
+          match.match_date
+        );
+
+      const home = await loadTeam(match.home_team_id, match.home_team);
+      const away = await loadTeam(match.away_team_id, match.away_team);
+
+      const seed = window.RandomGenerator.createSeed();
+      const setupRng = window.RandomGenerator.create(
+        window.RandomGenerator.deriveSeed(seed, "setup")
+      );
+
+      // Both coaches counter the other's lineup
+      const homeTeam = {
+        ...home,
+        tactics: this.getCounterTactics(home.lineup, away.lineup),
+      };
+      const awayTeam = {
+        ...away,
+        tactics: this.getCounterTactics(away.lineup, home.lineup),
+      };
+
+      const engineResult = window.MatchEngine.simulateMatch(
+        this.buildEngineTeam(homeTeam, home.lineup, home.strength, setupRng),
+        this.buildEngineTeam(awayTeam, away.lineup, away.strength, setupRng),
+        { seed }
+      );
+
+      const savedMatch = await window.DatabaseService.recordMatchResult({
+        matchId: match.id,
+        homeTeamId: match.home_team_id,
+        awayTeamId: match.away_team_id,
+        leagueId: match.league_id,
+        matchDate: match.match_date,
+        season: match.season,
+        homeSetsWon: engineResult.homeSetsWon,
+        awaySetsWon: engineResult.awaySetsWon,
+        homePoints: engineResult.homePoints,
+        awayPoints: engineResult.awayPoints,
+        sets: engineResult.sets,
+        seed: engineResult.seed,
+        boxScore: engineResult.boxScore,
+      });
+
+      for (const [side, team] of [
+        ["home", home],
+        ["away", away],
+      ]) {
+        await this.applyTeamMatchEffects(
+          team.id,
+          {
+            matchId: savedMatch.id,
+            date: match.match_date,
+            lines: engineResult.boxScore[side],
+            won: engineResult.winner === side,
+            injuries: engineResult.injuries.filter(
+              (injury) => injury.side === side
+            ),
+          },
+          team.players
+        );
+      }
+
+      return savedMatch;
+    } catch (error) {
+      console.error("Error playing fixture:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the day after a date
+   *
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {string} - Next date (YYYY-MM-DD)
+   */
+  getNextDateString(date) {
+    return new Date(Date.parse(date) + 86400000).toISOString().slice(0, 10);
+  },
+
+  /**
+   * Show the summary of a multi-day simulation
+   *
+   * @param {Object} summary - Simulation summary from simulateSeason
+   * @returns {void}
+   */
+  showSimulationSummary(summary) {
+    try {
+      const won = summary.yourResults.filter((result) => result.won).length;
+      const lost = summary.yourResults.length - won;
+
+      const resultsHTML =
+        summary.yourResults.length > 0
+          ? summary.yourResults
+              .map(
+                (result) => `
+                <li class="simulation-summary__result ${
+                  result.won
+                    ? "simulation-summary__result--won"
+                    : "simulation-summary__result--lost"
+                }">
+                  <span>Round ${result.fixture.round} - ${
+                    result.fixture.isHome ? "vs" : "@"
+                  } ${result.opponent.name}</span>
+                  <span>${result.won ? "W" : "L"} ${result.yourScore}-${
+                    result.oppScore
+                  }</span>
+                </li>
+              `
+              )
+              .join("")
+          : `<li class="simulation-summary__result">No matches for your team</li>`;
+
+      const content = `
+        <div class="simulation-summary">
+          <p class="simulation-summary__period">
+            ${summary.startDate} to ${summary.endDate}
+          </p>
+          ${
+            summary.stoppedForLineup
+              ? `<p class="simulation-summary__stopped">
+                  Stopped before your match on ${summary.endDate}: fix your lineup to play it
+                </p>`
+              : ""
+          }
+          <div class="simulation-summary__stats">
+            <div><strong>${summary.days}</strong> days</div>
+            <div><strong>${summary.matchesPlayed}</strong> matches played</div>
+            <div><strong>${won}-${lost}</strong> your record</div>
+            <div><strong>${summary.trainingSessions}</strong> training sessions</div>
+          </div>
+          <ul class="simulation-summary__results">${resultsHTML}</ul>
+        </div>
+      `;
+
+      window.ModalHelpers.showModal("Simulation Summary", content);
+    } catch (error) {
+      console.error("Error showing simulation summary:", error);
     }
   },
 
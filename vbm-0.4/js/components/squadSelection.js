@@ -17,7 +17,8 @@
  * including position validation and squad management.
  */
 const SquadSelection = {
-  // Squad position requirements (7 starting positions)
+  // Squad position requirements (7 starting positions): court zones 1 to
+  // 6 in serving order (see LineupBuilder.SQUAD_ZONES), then the libero
   squadPositions: [
     "Outside Hitter",
     "Middle Blocker",
@@ -28,6 +29,9 @@ const SquadSelection = {
     "Libero",
   ],
 
+  // Upcoming fixtures listed in the lineup manager
+  upcomingFixtureCount: 5,
+
   // Component state
   isInitialized: false,
   isPopulatingPlayers: false,
@@ -45,6 +49,8 @@ const SquadSelection = {
     // Filter state
     currentFilter: "all",
     searchTerm: "",
+    // League of the user's team, for the foreign-player quota
+    league: null,
   },
 
   /**
@@ -62,6 +68,8 @@ const SquadSelection = {
         console.log(
           "Squad Selection component already initialized, skipping..."
         );
+        // Fixtures may have been played since the page was last shown
+        this.renderLineupManager();
         return;
       }
 
@@ -133,6 +141,9 @@ const SquadSelection = {
       // Create bench slots
       this.createBenchSlots();
 
+      // Create auto-pick strategy options
+      this.createAutoPickOptions();
+
       // Update loading progress - loading players
       window.DOMHelpers.updateLoadingMessage("Loading players...");
       window.DOMHelpers.updateLoadingProgress(60);
@@ -173,7 +184,9 @@ const SquadSelection = {
    * Create starting position slots
    *
    * This function creates the 7 starting position slots with appropriate
-   * labels and drag and drop functionality.
+   * labels and drag and drop functionality. The six court slots are laid
+   * out as the court zones, front row at the net, each labelled with its
+   * zone and turn to serve; the libero slot sits off court.
    *
    * @returns {void}
    */
@@ -208,10 +221,43 @@ const SquadSelection = {
       // Add drag and drop functionality
       this.setupDragAndDropForSlot(slot, "starter", index);
 
-      startingPositions.appendChild(slot);
+      // The zone label lives outside the slot, which is redrawn on changes
+      const zone = window.LineupBuilder.SQUAD_ZONES[index];
+      const courtZone = document.createElement("div");
+      courtZone.className = `court-zone court-zone--${
+        zone ? `zone-${zone}` : "libero"
+      }`;
+      courtZone.innerHTML = zone
+        ? `
+            <div class="court-zone__label">
+              <span class="court-zone__number">${zone}</span>
+              ${position}
+              <span class="court-zone__serve">${this.getServeOrderLabel(
+                zone
+              )}</span>
+            </div>
+          `
+        : `<div class="court-zone__label">${position}</div>`;
+      courtZone.appendChild(slot);
+
+      startingPositions.appendChild(courtZone);
     });
   },
 
+  /**
+   * Get the serving turn of a court zone in the starting rotation
+   *
+   * The zone 1 player serves first and every side-out brings the next
+   * zone's player round to serve, so the zone is the serving order.
+   *
+   * @param {number} zone - Court zone (1-6)
+   * @returns {string} - Label like "serves 1st"
+   */
+  getServeOrderLabel(zone) {
+    const suffixes = { 1: "st", 2: "nd", 3: "rd" };
+    return `serves ${zone}${suffixes[zone] || "th"}`;
+  },
+
   /**
    * Create bench slots
    *
@@ -349,6 +395,9 @@ const SquadSelection = {
   createPlayerCard(player, index) {
     const playerCard = document.createElement("div");
     playerCard.className = "available-player-card-modern";
+    if (this.isInjured(player)) {
+      playerCard.classList.add("available-player-card-modern--injured");
+    }
     playerCard.dataset.playerId = player.id;
     playerCard.dataset.playerPosition = player.position;
 
@@ -367,6 +416,8 @@ const SquadSelection = {
                 <div class="available-player-position-modern" data-position="${
                   player.position || "Unknown"
                 }">${player.position || "Unknown Position"}</div>
+                ${this.createInjuryBadge(player)}
+                ${this.createFatigueBar(player)}
             </div>
             <div class="available-player-overall-modern">${
               player.overall || "N/A"
@@ -393,6 +444,83 @@ const SquadSelection = {
     return playerCard;
   },
 
+  /**
+   * Create the fatigue bar of a player card
+   *
+   * @param {Object} player - Player object
+   * @returns {string} - Fatigue bar HTML
+   */
+  createFatigueBar(player) {
+    const fatigue = player.fatigue || 0;
+    const tired = window.FatigueSystem.isTired(player);
+
+    return `
+      <div class="fatigue-bar ${tired ? "fatigue-bar--tired" : ""}" title="Fatigue ${fatigue}">
+        <div class="fatigue-bar__fill" style="width: ${fatigue}%"></div>
+      </div>
+    `;
+  },
+
+  /**
+   * Warn when a tired player is put in the starting seven
+   *
+   * @param {Object} player - Player object
+   * @returns {void}
+   */
+  warnIfTired(player) {
+    if (window.FatigueSystem.isTired(player)) {
+      window.DOMHelpers.showNotification(
+        `${player.player_name} is tired (fatigue ${player.fatigue}) and will fade late in matches`,
+        "warning"
+      );
+    }
+  },
+
+  /**
+   * Check whether a player is injured on the current game date
+   *
+   * @param {Object} player - Player object
+   * @returns {boolean} - True if the player is injured
+   */
+  isInjured(player) {
+    return window.InjurySystem.isInjured(
+      player,
+      window.Dashboard.getCurrentDateString()
+    );
+  },
+
+  /**
+   * Create the injury badge of an injured player's card
+   *
+   * @param {Object} player - Player object
+   * @returns {string} - Badge HTML, empty for a fit player
+   */
+  createInjuryBadge(player) {
+    if (!this.isInjured(player)) {
+      return "";
+    }
+
+    return `<div class="injury-badge" title="Out until ${player.injured_until}">Injured</div>`;
+  },
+
+  /**
+   * Stop an injured player from being put in the squad
+   *
+   * @param {Object} player - Player object
+   * @returns {boolean} - True if the player is injured and was refused
+   */
+  rejectIfInjured(player) {
+    if (!this.isInjured(player)) {
+      return false;
+    }
+
+    window.DOMHelpers.showNotification(
+      `${player.player_name} is injured until ${player.injured_until}`,
+      "error"
+    );
+    return true;
+  },
+
   /**
    * Get player initials for avatar (fallback)
    */
@@ -569,6 +697,10 @@ const SquadSelection = {
    * @param {number} positionIndex - Position index (0-6)
    */
   moveToStarter(player, positionIndex = null) {
+    if (this.rejectIfInjured(player)) {
+      return;
+    }
+
     console.log(
       "Moving player to starter:",
       player.player_name,
@@ -602,6 +734,7 @@ const SquadSelection = {
     this.updateStartingPositionUI(positionIndex, player);
     this.renderAvailablePlayers();
     this.saveSquadSelections();
+    this.warnIfTired(player);
   },
 
   /**
@@ -620,6 +753,10 @@ const SquadSelection = {
    * @param {number} benchIndex - Bench index (0-8)
    */
   moveToBench(player, benchIndex = null) {
+    if (this.rejectIfInjured(player)) {
+      return;
+    }
+
     console.log(
       "Moving player to bench:",
       player.player_name,
@@ -793,6 +930,8 @@ const SquadSelection = {
             <div class="player-stat-label">SET</div>
           </div>
         </div>
+        ${this.createInjuryBadge(player)}
+        ${this.createFatigueBar(player)}
         <div class="player-card-footer">
           <div class="player-position-footer" data-position="${this.getPositionDisplayName(
             player.position || "Unknown"
@@ -929,6 +1068,8 @@ const SquadSelection = {
             <div class="player-stat-label">SET</div>
           </div>
         </div>
+        ${this.createInjuryBadge(player)}
+        ${this.createFatigueBar(player)}
         <div class="player-card-footer">
           <div class="player-position-footer" data-position="${this.getPositionDisplayName(
             player.position || "Unknown"
@@ -1039,78 +1180,414 @@ const SquadSelection = {
   },
 
   /**
-   * Save squad selections to local storage
+   * Save squad selections to the lineup being edited
    */
   async saveSquadSelections() {
     try {
       const squad = this.getCurrentSquad();
-      localStorage.setItem("squadSelection", JSON.stringify(squad));
+      await window.LineupService.saveLineup(squad);
+      // Saving the team's first lineup creates it
+      this.renderLineupManager();
+      this.renderSquadRules();
       console.log("Squad selections saved successfully");
     } catch (error) {
       console.error("Error saving squad selections:", error);
+      window.DOMHelpers.showNotification("Error saving the squad", "error");
     }
   },
 
   /**
-   * Load saved squad selections from local storage
-   *
-   * This function loads previously saved squad selections from local storage
-   * since position_status columns have been removed from the database.
+   * Load the team's saved lineups and show the one being edited
    *
    * @returns {Promise<void>}
    */
   async loadSavedSquadSelections() {
     try {
-      console.log("Loading squad selections from local storage...");
-
-      // Try to load from local storage
-      const savedSquad = localStorage.getItem("squadSelection");
-      if (!savedSquad) {
-        console.log("No saved squad selections found");
-        return;
-      }
+      console.log("Loading saved squad selections...");
+
+      const userTeam = window.AuthService?.getUserTeam();
+      const [league] = await Promise.all([
+        userTeam
+          ? window.DatabaseService.getLeagueById(userTeam.league_id)
+          : null,
+        window.LineupService.loadLineups(),
+      ]);
+      this.state.league = league;
+      this.applyLineup(window.LineupService.getSelectedLineup());
+      this.renderLineupManager();
+    } catch (error) {
+      console.error("Error loading saved squad selections:", error);
+    }
+  },
 
-      const squad = JSON.parse(savedSquad);
-      console.log("Loaded squad from local storage:", squad);
+  /**
+   * Show a saved lineup in the starting positions and bench
+   *
+   * @param {Object|null} lineup - Stored lineup, an empty squad without one
+   * @returns {void}
+   */
+  applyLineup(lineup) {
+    this.resetSquad();
+    if (!lineup) {
+      this.renderAvailablePlayers();
+      this.renderSquadRules();
+      console.log("No saved squad selections found");
+      return;
+    }
 
-      // Restore starters
-      for (let i = 0; i < squad.starting.length; i++) {
-        const starter = squad.starting[i];
-        if (starter.playerId) {
-          const player = this.state.allPlayers.find(
-            (p) => p.id === starter.playerId
+    // Restore starters
+    for (let i = 0; i < lineup.starting.length; i++) {
+      const starter = lineup.starting[i];
+      if (starter.playerId) {
+        const player = this.state.allPlayers.find(
+          (p) => p.id === starter.playerId
+        );
+        if (player) {
+          this.state.starters[i] = player;
+          this.state.availablePlayers = this.state.availablePlayers.filter(
+            (p) => p.id !== player.id
           );
-          if (player) {
-            this.state.starters[i] = player;
-            this.state.availablePlayers = this.state.availablePlayers.filter(
-              (p) => p.id !== player.id
-            );
-            this.updateStartingPositionUI(i, player);
-          }
+          this.updateStartingPositionUI(i, player);
         }
       }
+    }
 
-      // Restore bench
-      for (let i = 0; i < squad.bench.length; i++) {
-        const benchPlayer = squad.bench[i];
-        if (benchPlayer.playerId) {
-          const player = this.state.allPlayers.find(
-            (p) => p.id === benchPlayer.playerId
+    // Restore bench
+    for (let i = 0; i < lineup.bench.length; i++) {
+      const benchPlayer = lineup.bench[i];
+      if (benchPlayer.playerId) {
+        const player = this.state.allPlayers.find(
+          (p) => p.id === benchPlayer.playerId
+        );
+        if (player) {
+          this.state.bench[i] = player;
+          this.state.availablePlayers = this.state.availablePlayers.filter(
+            (p) => p.id !== player.id
           );
-          if (player) {
-            this.state.bench[i] = player;
-            this.state.availablePlayers = this.state.availablePlayers.filter(
-              (p) => p.id !== player.id
-            );
-            this.updateBenchUI(i, player);
-          }
+          this.updateBenchUI(i, player);
         }
       }
+    }
 
-      this.renderAvailablePlayers();
-      console.log("Squad selections loaded successfully from local storage");
+    this.renderAvailablePlayers();
+    this.renderSquadRules();
+    console.log("Squad selections loaded successfully");
+  },
+
+  /**
+   * Empty the starting positions and bench without saving
+   *
+   * @returns {void}
+   */
+  resetSquad() {
+    this.state.starters = new Array(7).fill(null);
+    this.state.bench = new Array(9).fill(null);
+    this.state.availablePlayers = [...this.state.allPlayers];
+
+    for (let i = 0; i < this.squadPositions.length; i++) {
+      this.clearStartingPositionUI(i);
+    }
+    for (let i = 0; i < 9; i++) {
+      this.clearBenchUI(i);
+    }
+  },
+
+  /**
+   * Render the lineup picker, its actions and the upcoming fixtures
+   *
+   * @returns {void}
+   */
+  renderLineupManager() {
+    const container = document.getElementById("lineupManager");
+    if (!container) {
+      return;
+    }
+
+    const lineups = window.LineupService.getLineups();
+    const selected = window.LineupService.getSelectedLineup();
+    const fixtures = this.getUpcomingFixtures();
+
+    container.innerHTML = `
+      <div class="lineup-manager__controls">
+        <select
+          id="lineupSelect"
+          class="lineup-manager__select"
+          onchange="selectSquadLineup(this.value)"
+          ${lineups.length === 0 ? "disabled" : ""}
+        ></select>
+        <button class="btn btn--secondary" onclick="createSquadLineup()">
+          New
+        </button>
+        <button class="btn btn--secondary" onclick="duplicateSquadLineup()"
+          ${selected ? "" : "disabled"}>
+          Duplicate
+        </button>
+        <button class="btn btn--secondary" onclick="renameSquadLineup()"
+          ${selected ? "" : "disabled"}>
+          Rename
+        </button>
+        <button class="btn btn--secondary" onclick="setDefaultSquadLineup()"
+          ${selected && !selected.is_default ? "" : "disabled"}>
+          Set Default
+        </button>
+        <button class="btn btn--danger" onclick="deleteSquadLineup()"
+          ${lineups.length > 1 ? "" : "disabled"}>
+          Delete
+        </button>
+      </div>
+      <h3 class="lineup-manager__subtitle">Upcoming Fixtures</h3>
+      <div class="lineup-manager__fixtures">
+        ${
+          fixtures.length === 0
+            ? '<p class="lineup-manager__empty">No upcoming fixtures</p>'
+            : fixtures
+                .map(
+                  (fixture) => `
+                    <div class="lineup-manager__fixture">
+                      <span class="lineup-manager__fixture-date">
+                        ${this.formatFixtureDate(fixture.date)}
+                      </span>
+                      <span class="lineup-manager__fixture-opponent">
+                        ${fixture.isHome ? "vs" : "@"} ${fixture.opponentName}
+                      </span>
+                      <select
+                        class="lineup-manager__select"
+                        data-match-id="${fixture.id}"
+                        onchange="setFixtureLineup(${fixture.id}, this.value)"
+                      ></select>
+                    </div>
+                  `
+                )
+                .join("")
+        }
+      </div>
+    `;
+
+    // Lineup names are typed by the user, so options are built as elements
+    const lineupSelect = container.querySelector("#lineupSelect");
+    if (lineups.length === 0) {
+      lineupSelect.add(new Option("No saved lineups", ""));
+    }
+    lineups.forEach((lineup) => {
+      const label = lineup.is_default
+        ? `${lineup.name} (default)`
+        : lineup.name;
+      lineupSelect.add(
+        new Option(label, lineup.id, false, lineup.id === selected?.id)
+      );
+    });
+
+    container
+      .querySelectorAll(".lineup-manager__fixture select")
+      .forEach((select) => {
+        const chosenId = window.LineupService.getFixtureLineupId(
+          Number(select.dataset.matchId)
+        );
+        select.add(new Option("Default lineup", ""));
+        lineups.forEach((lineup) => {
+          select.add(
+            new Option(lineup.name, lineup.id, false, lineup.id === chosenId)
+          );
+        });
+      });
+  },
+
+  /**
+   * Get the next scheduled fixtures of the user's team
+   *
+   * @returns {Array} - Fixtures, soonest first
+   */
+  getUpcomingFixtures() {
+    const today = window.Dashboard.getCurrentDateString();
+
+    return Object.values(window.Dashboard.fixtures || {})
+      .filter(
+        (fixture) => fixture.status === "scheduled" && fixture.date >= today
+      )
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .slice(0, this.upcomingFixtureCount);
+  },
+
+  /**
+   * Format a fixture date for the fixture list
+   *
+   * @param {string} date - Fixture date (YYYY-MM-DD)
+   * @returns {string} - Date like "Oct 21"
+   */
+  formatFixtureDate(date) {
+    const [, month, day] = date.split("-").map(Number);
+    return `${window.Dashboard.monthNames[month - 1].slice(0, 3)} ${day}`;
+  },
+
+  /**
+   * Switch to editing another saved lineup
+   *
+   * @param {number|string} lineupId - Lineup ID
+   * @returns {void}
+   */
+  selectLineup(lineupId) {
+    const lineup = window.LineupService.selectLineup(Number(lineupId));
+    if (!lineup) {
+      return;
+    }
+
+    this.applyLineup(lineup);
+    this.renderLineupManager();
+  },
+
+  /**
+   * Create an empty lineup and start editing it
+   *
+   * @returns {Promise<void>}
+   */
+  async createLineup() {
+    const name = prompt("Name of the new lineup:");
+    if (name === null) {
+      return;
+    }
+
+    try {
+      const lineup = await window.LineupService.createLineup(name);
+      this.applyLineup(lineup);
+      this.renderLineupManager();
+      window.DOMHelpers.showNotification(
+        `Lineup "${lineup.name}" created`,
+        "success"
+      );
     } catch (error) {
-      console.error("Error loading saved squad selections:", error);
+      window.DOMHelpers.showNotification(error.message, "error");
+    }
+  },
+
+  /**
+   * Copy the lineup being edited and start editing the copy
+   *
+   * @returns {Promise<void>}
+   */
+  async duplicateLineup() {
+    const selected = window.LineupService.getSelectedLineup();
+    if (!selected) {
+      return;
+    }
+
+    const name = prompt("Name of the copy:", `${selected.name} (copy)`);
+    if (name === null) {
+      return;
+    }
+
+    try {
+      const lineup = await window.LineupService.duplicateLineup(
+        selected.id,
+        name
+      );
+      this.renderLineupManager();
+      window.DOMHelpers.showNotification(
+        `Lineup "${lineup.name}" created`,
+        "success"
+      );
+    } catch (error) {
+      window.DOMHelpers.showNotification(error.message, "error");
+    }
+  },
+
+  /**
+   * Rename the lineup being edited
+   *
+   * @returns {Promise<void>}
+   */
+  async renameLineup() {
+    const selected = window.LineupService.getSelectedLineup();
+    if (!selected) {
+      return;
+    }
+
+    const name = prompt("New name of the lineup:", selected.name);
+    if (name === null || name.trim() === selected.name) {
+      return;
+    }
+
+    try {
+      await window.LineupService.renameLineup(selected.id, name);
+      this.renderLineupManager();
+      window.DOMHelpers.showNotification("Lineup renamed", "success");
+    } catch (error) {
+      window.DOMHelpers.showNotification(error.message, "error");
+    }
+  },
+
+  /**
+   * Delete the lineup being edited and show the default lineup
+   *
+   * @returns {Promise<void>}
+   */
+  async deleteLineup() {
+    const selected = window.LineupService.getSelectedLineup();
+    if (
+      !selected ||
+      !confirm(`Delete the lineup "${selected.name}"? This cannot be undone.`)
+    ) {
+      return;
+    }
+
+    try {
+      await window.LineupService.deleteLineup(selected.id);
+      this.applyLineup(window.LineupService.getSelectedLineup());
+      this.renderLineupManager();
+      window.DOMHelpers.showNotification(
+        `Lineup "${selected.name}" deleted`,
+        "success"
+      );
+    } catch (error) {
+      window.DOMHelpers.showNotification(error.message, "error");
+    }
+  },
+
+  /**
+   * Make the lineup being edited the one played without a fixture choice
+   *
+   * @returns {Promise<void>}
+   */
+  async setDefaultLineup() {
+    const selected = window.LineupService.getSelectedLineup();
+    if (!selected) {
+      return;
+    }
+
+    try {
+      await window.LineupService.setDefaultLineup(selected.id);
+      this.renderLineupManager();
+      window.DOMHelpers.showNotification(
+        `"${selected.name}" is now the default lineup`,
+        "success"
+      );
+    } catch (error) {
+      window.DOMHelpers.showNotification(
+        "Error setting the default lineup",
+        "error"
+      );
+    }
+  },
+
+  /**
+   * Choose the lineup a fixture is played with
+   *
+   * @param {number} matchId - Fixture (match) ID
+   * @param {number|string} lineupId - Lineup ID, empty for the default lineup
+   * @returns {Promise<void>}
+   */
+  async setFixtureLineup(matchId, lineupId) {
+    try {
+      await window.LineupService.setFixtureLineup(
+        matchId,
+        lineupId ? Number(lineupId) : null
+      );
+      window.DOMHelpers.showNotification("Fixture lineup saved", "success");
+    } catch (error) {
+      this.renderLineupManager();
+      window.DOMHelpers.showNotification(
+        "Error saving the fixture lineup",
+        "error"
+      );
     }
   },
 
@@ -1274,56 +1751,99 @@ const SquadSelection = {
   /**
    * Validate current squad setup
    *
-   * This function checks if the current squad setup is valid and complete.
+   * This function checks the current squad against the squad rules.
+   * Errors stop the match from starting; warnings only weaken the team.
    *
-   * @returns {Object} - Validation result with errors if any
+   * @returns {Object} - Validation result ({ isValid, errors, warnings }, see SquadRulesSystem)
    */
   validateSquad() {
-    const squad = this.getCurrentSquad();
-    const errors = [];
-
-    // Check if all starting positions are filled
-    squad.starting.forEach((pos, index) => {
-      if (!pos.player) {
-        errors.push(`${pos.position} position is empty`);
-      }
+    return window.SquadRulesSystem.validate(this.getCurrentSquad(), {
+      date: window.Dashboard.getCurrentDateString(),
+      league: this.state.league,
     });
+  },
 
-    return {
-      isValid: errors.length === 0,
-      errors,
+  /**
+   * Show the squad rule errors and warnings on the court
+   *
+   * Slots with an issue are marked and list it in their tooltip, and
+   * every issue is listed under the starting seven.
+   *
+   * @returns {void}
+   */
+  renderSquadRules() {
+    const { errors, warnings } = this.validateSquad();
+    const issues = [
+      ...errors.map((issue) => ({ ...issue, level: "error" })),
+      ...warnings.map((issue) => ({ ...issue, level: "warning" })),
+    ];
+
+    const slotSelectors = {
+      starting: (index) => `.position-slot-modern[data-position="${index}"]`,
+      bench: (index) => `.bench-slot-modern[data-bench="${index}"]`,
     };
+    document
+      .querySelectorAll(".position-slot-modern, .bench-slot-modern")
+      .forEach((slot) => {
+        const block = slot.classList.contains("bench-slot-modern")
+          ? "bench-slot-modern"
+          : "position-slot-modern";
+        slot.classList.remove(`${block}--error`, `${block}--warning`);
+        slot.removeAttribute("title");
+      });
+
+    issues.forEach((issue) => {
+      issue.slots.forEach(({ type, index }) => {
+        const slot = document.querySelector(slotSelectors[type](index));
+        if (!slot) {
+          return;
+        }
+
+        // An error outranks a warning on the same slot
+        const block =
+          type === "bench" ? "bench-slot-modern" : "position-slot-modern";
+        if (!slot.classList.contains(`${block}--error`)) {
+          slot.classList.remove(`${block}--warning`);
+          slot.classList.add(`${block}--${issue.level}`);
+        }
+        slot.title = [slot.title, issue.message].filter(Boolean).join("\n");
+      });
+    });
+
+    const list = document.getElementById("squadRules");
+    if (!list) {
+      return;
+    }
+
+    list.innerHTML = issues
+      .map(
+        (issue) => `
+          <li class="squad-rules__item squad-rules__item--${issue.level}">
+            ${issue.level === "error" ? "⛔" : "⚠️"} ${issue.message}
+          </li>
+        `
+      )
+      .join("");
   },
 
   /**
    * Clear all squad selections
    *
-   * This function removes all players from the squad and clears local storage.
+   * This function removes all players from the squad and empties the
+   * lineup being edited.
    *
    * @returns {Promise<void>}
    */
   async clearSquad() {
     try {
-      // Clear local storage
-      localStorage.removeItem("squadSelection");
+      // Empty the saved lineup
+      await window.LineupService.clearLineup();
 
-      // Reset state
-      this.state.starters = new Array(7).fill(null);
-      this.state.bench = new Array(9).fill(null);
-      this.state.availablePlayers = [...this.state.allPlayers];
-
-      // Clear all starting positions
-      for (let i = 0; i < this.squadPositions.length; i++) {
-        this.clearStartingPositionUI(i);
-      }
-
-      // Clear all bench slots
-      for (let i = 0; i < 9; i++) {
-        this.clearBenchUI(i);
-      }
+      this.resetSquad();
 
       // Refresh available players to show all players
       this.renderAvailablePlayers();
+      this.renderSquadRules();
 
       console.log("Squad cleared successfully");
     } catch (error) {
@@ -1332,6 +1852,95 @@ const SquadSelection = {
     }
   },
 
+  /**
+   * Create the options of the auto-pick strategy select
+   *
+   * The options follow LineupBuilder.STRATEGIES, with each strategy's
+   * description as its tooltip.
+   *
+   * @returns {void}
+   */
+  createAutoPickOptions() {
+    const select = document.getElementById("autoPickStrategy");
+    if (!select) {
+      console.error("Auto-pick strategy element not found");
+      return;
+    }
+
+    select.innerHTML = "";
+    Object.entries(window.LineupBuilder.STRATEGIES).forEach(
+      ([key, strategy]) => {
+        const option = document.createElement("option");
+        option.value = key;
+        option.textContent = strategy.name;
+        option.title = strategy.description;
+        select.appendChild(option);
+      }
+    );
+  },
+
+  /**
+   * Fill the squad automatically with a lineup strategy
+   *
+   * This function replaces the current starters and bench with the
+   * lineup LineupBuilder picks for the chosen strategy, leaving out
+   * injured players and starting exhausted ones only as a last resort.
+   *
+   * @param {string} strategy - Key of LineupBuilder.STRATEGIES
+   * @returns {Promise<void>}
+   */
+  async autoPick(strategy = "strongest") {
+    try {
+      if (!this.state.allPlayers || this.state.allPlayers.length === 0) {
+        window.DOMHelpers.showNotification("No players to pick from", "error");
+        return;
+      }
+
+      const lineup = window.LineupBuilder.pickLineup(this.state.allPlayers, {
+        strategy,
+        date: window.Dashboard.getCurrentDateString(),
+      });
+
+      // Start from an empty squad
+      this.resetSquad();
+
+      lineup.starting.forEach((slot, index) => {
+        if (slot.player) {
+          this.state.starters[index] = slot.player;
+          this.updateStartingPositionUI(index, slot.player);
+        }
+      });
+      lineup.bench.forEach((slot, index) => {
+        this.state.bench[index] = slot.player;
+        this.updateBenchUI(index, slot.player);
+      });
+
+      const picked = new Set(
+        [...this.state.starters, ...this.state.bench]
+          .filter(Boolean)
+          .map((player) => player.id)
+      );
+      this.state.availablePlayers = this.state.allPlayers.filter(
+        (player) => !picked.has(player.id)
+      );
+      this.renderAvailablePlayers();
+      await this.saveSquadSelections();
+
+      const strategyName =
+        window.LineupBuilder.STRATEGIES[strategy]?.name || strategy;
+      window.DOMHelpers.showNotification(
+        `Squad picked: ${strategyName}`,
+        "success"
+      );
+      lineup.warnings.forEach((warning) =>
+        window.DOMHelpers.showNotification(warning, "warning")
+      );
+    } catch (error) {
+      console.error("Error auto-picking squad:", error);
+      window.DOMHelpers.showNotification("Error picking the squad", "error");
+    }
+  },
+
   /**
    * Setup filter controls
    *
@@ -1525,6 +2134,9 @@ const SquadSelection = {
    */
   handlePlayerDrop(dragData, slotType, slotIndex) {
     const player = dragData.player;
+    if (this.rejectIfInjured(player)) {
+      return;
+    }
 
     if (slotType === "starter") {
       // Check if there's already a player in this starting position
@@ -1538,6 +2150,7 @@ const SquadSelection = {
         );
         this.updateStartingPositionUI(slotIndex, player);
         this.renderAvailablePlayers();
+        this.warnIfTired(player);
       } else {
         // No existing player, just add normally
         this.moveToStarter(player, slotIndex);
@@ -1580,6 +2193,15 @@ const SquadSelection = {
       return;
     }
 
+    // An injured player can leave the starting seven but not join it
+    if (
+      slotType === "starter" &&
+      sourceType !== "starter" &&
+      this.rejectIfInjured(player)
+    ) {
+      return;
+    }
+
     // Check if there's already a player in the target position
     let existingPlayer = null;
     if (slotType === "starter") {
@@ -1616,6 +2238,9 @@ const SquadSelection = {
     if (slotType === "starter") {
       this.state.starters[slotIndex] = player;
       this.updateStartingPositionUI(slotIndex, player);
+      if (sourceType !== "starter") {
+        this.warnIfTired(player);
+      }
     } else if (slotType === "bench") {
       this.state.bench[slotIndex] = player;
       this.updateBenchUI(slotIndex, player);
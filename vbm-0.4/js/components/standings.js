@@ -108,7 +108,9 @@ const Standings = {
       window.DOMHelpers.updateLoadingProgress(40);
 
       // Clear any potential cache and get fresh standings data from database
-      const standingsData = await window.DatabaseService.getStandings();
+      const standingsData = await window.DatabaseService.getStandings(
+        this.getSeason()
+      );
 
       console.log("Standings data from database:", standingsData);
 
@@ -200,22 +202,81 @@ const Standings = {
 
     // Teams are already sorted by the database query, but ensure proper ordering
     Object.keys(leagues).forEach((league) => {
-      leagues[league].sort((a, b) => {
-        // Primary sort: points (descending)
-        if (b.points !== a.points) return b.points - a.points;
-        // Secondary sort: wins (descending)
-        if (b.wins !== a.wins) return b.wins - a.wins;
-        // Tertiary sort: win percentage (descending)
-        if (b.win_percentage !== a.win_percentage)
-          return b.win_percentage - a.win_percentage;
-        // Final sort: team name (ascending)
-        return a.team_name.localeCompare(b.team_name);
-      });
+      leagues[league].sort((a, b) => this.compareStandings(a, b));
     });
 
     return leagues;
   },
 
+  /**
+   * Compare two teams for their position in the standings
+   *
+   * Teams are ranked by points, then matches won, set ratio and points
+   * ratio, and finally by name.
+   *
+   * @param {Object} a - Team standings object
+   * @param {Object} b - Team standings object
+   * @returns {number} - Negative if a ranks above b, positive if below
+   */
+  compareStandings(a, b) {
+    // Primary sort: points (descending)
+    if (b.points !== a.points) return b.points - a.points;
+    // Secondary sort: matches won (descending)
+    if (b.wins !== a.wins) return b.wins - a.wins;
+    // Tertiary sort: set ratio (descending)
+    const setRatioA = this.getRatio(a.sets_won, a.sets_lost);
+    const setRatioB = this.getRatio(b.sets_won, b.sets_lost);
+    if (setRatioB !== setRatioA) return setRatioB > setRatioA ? 1 : -1;
+    // Quaternary sort: points ratio (descending)
+    const pointsRatioA = this.getRatio(a.rally_points_won, a.rally_points_lost);
+    const pointsRatioB = this.getRatio(b.rally_points_won, b.rally_points_lost);
+    if (pointsRatioB !== pointsRatioA)
+      return pointsRatioB > pointsRatioA ? 1 : -1;
+    // Final sort: team name (ascending)
+    return a.team_name.localeCompare(b.team_name);
+  },
+
+  /**
+   * Calculate a won/lost ratio
+   *
+   * A ratio with nothing lost is infinite (shown as MAX) when something
+   * was won, and zero when nothing was played.
+   *
+   * @param {number} won - Sets or points won
+   * @param {number} lost - Sets or points lost
+   * @returns {number} - Ratio
+   */
+  getRatio(won = 0, lost = 0) {
+    if (lost > 0) {
+      return won / lost;
+    }
+    return won > 0 ? Infinity : 0;
+  },
+
+  /**
+   * Format a won/lost ratio for the standings table
+   *
+   * @param {number} won - Sets or points won
+   * @param {number} lost - Sets or points lost
+   * @returns {string} - Ratio with three decimals, "MAX" or "-"
+   */
+  formatRatio(won = 0, lost = 0) {
+    const ratio = this.getRatio(won, lost);
+    if (ratio === Infinity) {
+      return "MAX";
+    }
+    return won + lost > 0 ? ratio.toFixed(3) : "-";
+  },
+
+  /**
+   * Get the season the standings are shown for
+   *
+   * @returns {string} - Current season (year) of the game calendar
+   */
+  getSeason() {
+    return String(window.Dashboard?.currentYear || new Date().getFullYear());
+  },
+
   /**
    * Organize teams by league (legacy method for backward compatibility)
    *
@@ -263,6 +324,9 @@ const Standings = {
                         <div class="standings-table__played">P</div>
                         <div class="standings-table__won">W</div>
                         <div class="standings-table__lost">L</div>
+                        <div class="standings-table__sets">Sets</div>
+                        <div class="standings-table__set-ratio">SR</div>
+                        <div class="standings-table__points-ratio">PR</div>
                         <div class="standings-table__points">Pts</div>
                     </div>
                     ${teams
@@ -285,10 +349,16 @@ const Standings = {
    * @returns {string} - HTML string for the team row
    */
   generateTeamRow(team, position) {
+    const setRatio = this.getRatio(team.sets_won, team.sets_lost);
+    const pointsRatio = this.getRatio(
+      team.rally_points_won,
+      team.rally_points_lost
+    );
+
     return `
             <div class="standings-table__row" data-team="${
               team.team_name
-            }" data-team-id="${team.team_id}">
+            }" data-team-id="${team.team_id}" data-set-ratio="${setRatio}" data-points-ratio="${pointsRatio}">
                 <div class="standings-table__pos">${position}</div>
                 <div class="standings-table__team">${team.team_name}</div>
                 <div class="standings-table__played">${
@@ -296,6 +366,17 @@ const Standings = {
                 }</div>
                 <div class="standings-table__won">${team.wins || 0}</div>
                 <div class="standings-table__lost">${team.losses || 0}</div>
+                <div class="standings-table__sets">${team.sets_won || 0}-${
+                  team.sets_lost || 0
+                }</div>
+                <div class="standings-table__set-ratio">${this.formatRatio(
+                  team.sets_won,
+                  team.sets_lost
+                )}</div>
+                <div class="standings-table__points-ratio">${this.formatRatio(
+                  team.rally_points_won,
+                  team.rally_points_lost
+                )}</div>
                 <div class="standings-table__points">${team.points || 0}</div>
             </div>
         `;
@@ -391,7 +472,7 @@ const Standings = {
    *
    * This function sorts the standings table by the specified criteria.
    *
-   * @param {string} criteria - Sort criteria (points, wins, losses, etc.)
+   * @param {string} criteria - Sort criteria (points, wins, losses, setRatio, pointsRatio, team)
    * @param {boolean} ascending - Sort direction
    * @returns {void}
    */
@@ -434,6 +515,14 @@ const Standings = {
               b.querySelector(".standings-table__lost").textContent
             );
             break;
+          case "setRatio":
+            valueA = parseFloat(a.dataset.setRatio);
+            valueB = parseFloat(b.dataset.setRatio);
+            break;
+          case "pointsRatio":
+            valueA = parseFloat(a.dataset.pointsRatio);
+            valueB = parseFloat(b.dataset.pointsRatio);
+            break;
           case "team":
             valueA = a
               .querySelector(".standings-table__team")
@@ -520,7 +609,9 @@ const Standings = {
         throw new Error("Database service not available");
       }
 
-      const standingsData = await window.DatabaseService.getStandings();
+      const standingsData = await window.DatabaseService.getStandings(
+        this.getSeason()
+      );
       return this.organizeStandingsByLeague(standingsData);
     } catch (error) {
       console.error("Error getting current standings:", error);
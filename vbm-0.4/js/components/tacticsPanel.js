@@ -0,0 +1,125 @@
+/**
+ * Tactics Panel Component - Team tactics next to the squad selection
+ *
+ * This component lets the user choose the rotation system, serve
+ * strategy, block scheme and attack distribution of their team. Every
+ * change is saved to the team straight away and used in the next match.
+ *
+ * @fileoverview Tactics panel of the user's team
+ * @author Spike Dynasty Team
+ * @version 0.4.0
+ */
+
+/**
+ * TacticsPanel component object
+ *
+ * Choices go through DatabaseService and are mirrored on the cached user
+ * team, where the match simulation reads them.
+ */
+const TacticsPanel = {
+  // Choices shown in the panel, with the TacticsSystem options they use
+  CHOICES: [
+    { key: "system", label: "Rotation System", options: "SYSTEMS" },
+    { key: "serve", label: "Serve Strategy", options: "SERVE_STRATEGIES" },
+    { key: "block", label: "Block Scheme", options: "BLOCK_SCHEMES" },
+    {
+      key: "attack",
+      label: "Attack Distribution",
+      options: "ATTACK_DISTRIBUTIONS",
+    },
+  ],
+
+  // Component state
+  tactics: null,
+
+  /**
+   * Initialize the tactics panel
+   *
+   * @returns {void}
+   */
+  initialize() {
+    const userTeam = window.AuthService?.getUserTeam();
+    this.tactics = window.TacticsSystem.normalize(userTeam?.tactics);
+    this.render();
+  },
+
+  /**
+   * Render the tactics choices
+   *
+   * @returns {void}
+   */
+  render() {
+    const panel = document.getElementById("tacticsPanel");
+    if (!panel) {
+      return;
+    }
+
+    panel.innerHTML = this.CHOICES.map((choice) => {
+      const options = window.TacticsSystem[choice.options];
+      const selected = options[this.tactics[choice.key]];
+
+      return `
+        <div class="tactics-panel__choice">
+          <label class="tactics-panel__label" for="tactic-${choice.key}">
+            ${choice.label}
+          </label>
+          <select
+            id="tactic-${choice.key}"
+            class="tactics-panel__select"
+            onchange="setTactic('${choice.key}', this.value)"
+          >
+            ${Object.entries(options)
+              .map(
+                ([value, option]) => `
+                  <option value="${value}" ${
+                    value === this.tactics[choice.key] ? "selected" : ""
+                  }>${option.name}</option>
+                `
+              )
+              .join("")}
+          </select>
+          <p class="tactics-panel__description">${selected.description}</p>
+        </div>
+      `;
+    }).join("");
+  },
+
+  /**
+   * Change one tactics choice and save it to the team
+   *
+   * @param {string} key - Tactics choice ("system", "serve", "block" or "attack")
+   * @param {string} value - Option key
+   * @returns {Promise<void>}
+   */
+  async setTactic(key, value) {
+    const userTeam = window.AuthService?.getUserTeam();
+    if (!userTeam) {
+      window.DOMHelpers.showNotification(
+        "No team assigned to your account",
+        "error"
+      );
+      return;
+    }
+
+    const previous = this.tactics;
+    this.tactics = window.TacticsSystem.normalize({
+      ...this.tactics,
+      [key]: value,
+    });
+    this.render();
+
+    try {
+      await window.DatabaseService.updateTeamTactics(userTeam.id, this.tactics);
+      userTeam.tactics = this.tactics;
+      window.DOMHelpers.showNotification("Tactics saved", "success");
+    } catch (error) {
+      console.error("Error saving tactics:", error);
+      this.tactics = previous;
+      this.render();
+      window.DOMHelpers.showNotification("Error saving tactics", "error");
+    }
+  },
+};
+
+// Export to global scope
+window.TacticsPanel = TacticsPanel;
@@ -62,7 +62,9 @@ const TeamManagement = {
       });
     }
 
-    const filterButtons = document.querySelectorAll(".filter-button");
+    const filterButtons = document.querySelectorAll(
+      "#team-management .filter-button"
+    );
     filterButtons.forEach((button) => {
       button.addEventListener("click", (e) => {
         // Remove active class from all buttons
@@ -217,6 +219,18 @@ const TeamManagement = {
           <div class="player-card__stat-label">SET</div>
         </div>
       </div>
+      <div class="player-card__condition">
+        ${this.createConditionMeter(
+          "Morale",
+          player.morale ?? window.MoraleSystem.DEFAULT_MORALE,
+          window.MoraleSystem.DEFAULT_MORALE
+        )}
+        ${this.createConditionMeter(
+          "Form",
+          player.form ?? window.MoraleSystem.DEFAULT_FORM,
+          window.MoraleSystem.DEFAULT_FORM
+        )}
+      </div>
     `;
 
     // Insert the avatar element into the avatar container
@@ -231,6 +245,28 @@ const TeamManagement = {
     return playerCard;
   },
 
+  /**
+   * Create a morale or form meter for a player card
+   *
+   * @param {string} label - Meter label
+   * @param {number} value - Morale or form (0-100)
+   * @param {number} normal - Value of a player at their usual level
+   * @returns {string} - Meter HTML
+   */
+  createConditionMeter(label, value, normal) {
+    const level = window.MoraleSystem.getLevel(value, normal);
+
+    return `
+      <div class="player-card__meter player-card__meter--${level}">
+        <span class="player-card__meter-label">${label}</span>
+        <div class="player-card__meter-bar">
+          <div class="player-card__meter-fill" style="width: ${value}%"></div>
+        </div>
+        <span class="player-card__meter-value">${value}</span>
+      </div>
+    `;
+  },
+
   /**
    * Get player initials for avatar (fallback)
    */
@@ -332,6 +368,173 @@ const TeamManagement = {
     }
   },
 
+  /**
+   * Show the end-of-season development report of the user's team
+   *
+   * @param {string} [season] - Season (year) that ended, the previous one by default
+   * @returns {Promise<void>}
+   */
+  async showDevelopmentReport(season) {
+    try {
+      const userTeam = window.AuthService?.getUserTeam();
+      if (!userTeam) {
+        return;
+      }
+
+      const reportSeason =
+        season ||
+        String((window.Dashboard?.currentYear || new Date().getFullYear()) - 1);
+      const report = await window.DatabaseService.getSeasonDevelopmentReport(
+        userTeam.id,
+        reportSeason
+      );
+
+      const rows = report.length
+        ? report
+            .map((line) => {
+              const change = line.new_overall - line.old_overall;
+              const changeClass =
+                change > 0
+                  ? "development-report__change--up"
+                  : change < 0
+                    ? "development-report__change--down"
+                    : "";
+              return `
+                <tr class="development-report__row">
+                  <td>${line.players?.player_name || "Unknown Player"}</td>
+                  <td>${line.players?.position || "-"}</td>
+                  <td>${line.age}</td>
+                  <td>${line.rallies_played}</td>
+                  <td>${line.old_overall} → ${line.new_overall}</td>
+                  <td class="development-report__change ${changeClass}">${
+                    change > 0 ? `+${change}` : change
+                  }</td>
+                  <td>${line.retired ? "Retired" : ""}</td>
+                </tr>
+              `;
+            })
+            .join("")
+        : `<tr><td colspan="7" class="development-report__empty">No development report for ${reportSeason}</td></tr>`;
+
+      window.ModalHelpers.showModal(
+        `Season ${reportSeason} Development Report`,
+        `
+          <table class="development-report">
+            <thead>
+              <tr>
+                <th>Player</th>
+                <th>Position</th>
+                <th>Age</th>
+                <th>Rallies</th>
+                <th>Overall</th>
+                <th>Change</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        `
+      );
+    } catch (error) {
+      console.error("Error showing development report:", error);
+      window.DOMHelpers.showNotification(
+        "Error loading the development report",
+        "error"
+      );
+    }
+  },
+
+  /**
+   * Show the medical report of the user's team
+   *
+   * Current injuries are listed with the days left until the player is
+   * back, followed by the injuries the squad has recovered from.
+   *
+   * @returns {Promise<void>}
+   */
+  async showMedicalReport() {
+    try {
+      const userTeam = window.AuthService?.getUserTeam();
+      if (!userTeam) {
+        return;
+      }
+
+      const today = window.Dashboard.getCurrentDateString();
+      const injuries = await window.DatabaseService.getTeamInjuries(
+        userTeam.id
+      );
+      const current = injuries.filter((injury) => injury.recovery_date > today);
+      const past = injuries.filter((injury) => injury.recovery_date <= today);
+
+      const renderRows = (rows, emptyText, isCurrent) =>
+        rows.length
+          ? rows
+              .map(
+                (injury) => `
+                <tr class="medical-report__row">
+                  <td>${injury.players?.player_name || "Unknown Player"}</td>
+                  <td>${injury.injury_type}</td>
+                  <td class="medical-report__severity medical-report__severity--${
+                    injury.severity
+                  }">${
+                    window.InjurySystem.SEVERITIES[injury.severity]?.name ||
+                    injury.severity
+                  }</td>
+                  <td>${injury.source === "training" ? "Training" : "Match"}</td>
+                  <td>${injury.injury_date}</td>
+                  <td>${injury.recovery_date}${
+                    isCurrent
+                      ? ` (${window.InjurySystem.getDaysLeft(
+                          injury.recovery_date,
+                          today
+                        )} days)`
+                      : ""
+                  }</td>
+                </tr>
+              `
+              )
+              .join("")
+          : `<tr><td colspan="6" class="medical-report__empty">${emptyText}</td></tr>`;
+
+      const renderTable = (title, rows) => `
+        <h3 class="medical-report__title">${title}</h3>
+        <table class="medical-report">
+          <thead>
+            <tr>
+              <th>Player</th>
+              <th>Injury</th>
+              <th>Severity</th>
+              <th>Where</th>
+              <th>Injured</th>
+              <th>Back</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      `;
+
+      window.ModalHelpers.showModal(
+        "Medical Report",
+        `
+          ${renderTable(
+            `Current Injuries (${current.length})`,
+            renderRows(current, "No injured players", true)
+          )}
+          ${renderTable(
+            "Injury History",
+            renderRows(past, "No past injuries", false)
+          )}
+        `
+      );
+    } catch (error) {
+      console.error("Error showing medical report:", error);
+      window.DOMHelpers.showNotification(
+        "Error loading the medical report",
+        "error"
+      );
+    }
+  },
+
   /**
    * Apply filters and search
    */
@@ -462,12 +665,14 @@ const TeamManagement = {
       const searchInput = document.getElementById("playerSearch");
       if (searchInput) searchInput.value = "";
 
-      const filterButtons = document.querySelectorAll(".filter-button");
+      const filterButtons = document.querySelectorAll(
+        "#team-management .filter-button"
+      );
       filterButtons.forEach((btn) =>
         btn.classList.remove("filter-button--active")
       );
       const allButton = document.querySelector(
-        '.filter-button[data-position="all"]'
+        '#team-management .filter-button[data-position="all"]'
       );
       if (allButton) allButton.classList.add("filter-button--active");
 
@@ -0,0 +1,315 @@
+/**
+ * Training Planner Component - Plans and runs the team's training sessions
+ *
+ * This component lets the manager pick the focus and intensity of the
+ * training session on the Dashboard and runs the session when the day
+ * ends. Stat changes are saved on the players and in their development
+ * history.
+ *
+ * @fileoverview Training planner with session focus and intensity
+ * @author Spike Dynasty Team
+ * @version 0.4.0
+ */
+
+/**
+ * Training planner component object
+ *
+ * The plan is kept in local storage, one per team, so managers sharing a
+ * browser keep their own plans. A session chosen for a day also becomes
+ * the default for the days after it.
+ */
+const TrainingPlanner = {
+  // Local storage key prefix of the training plans, followed by the team ID
+  STORAGE_KEY: "trainingPlan",
+
+  // Session used before the manager picks one
+  DEFAULT_SESSION: { focus: "tactical", intensity: "normal" },
+
+  /**
+   * Get the local storage key of the user's team's training plan
+   *
+   * @returns {string|null} - Storage key or null without a user team
+   */
+  getStorageKey() {
+    const userTeam = window.AuthService?.getUserTeam();
+    return userTeam ? `${this.STORAGE_KEY}_${userTeam.id}` : null;
+  },
+
+  /**
+   * Load the training plan of the user's team from local storage
+   *
+   * @returns {Object} - Training plan ({ default, sessions })
+   */
+  loadPlan() {
+    try {
+      const storageKey = this.getStorageKey();
+      const savedPlan = storageKey && localStorage.getItem(storageKey);
+      const plan = savedPlan ? JSON.parse(savedPlan) : {};
+      return {
+        default: plan.default || { ...this.DEFAULT_SESSION },
+        sessions: plan.sessions || {},
+      };
+    } catch (error) {
+      console.error("Error loading training plan:", error);
+      return { default: { ...this.DEFAULT_SESSION }, sessions: {} };
+    }
+  },
+
+  /**
+   * Save the training plan of the user's team to local storage
+   *
+   * @param {Object} plan - Training plan ({ default, sessions })
+   * @returns {void}
+   */
+  savePlan(plan) {
+    try {
+      const storageKey = this.getStorageKey();
+      if (!storageKey) {
+        return;
+      }
+      localStorage.setItem(storageKey, JSON.stringify(plan));
+    } catch (error) {
+      console.error("Error saving training plan:", error);
+    }
+  },
+
+  /**
+   * Get the session planned for a day
+   *
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {Object} - Training session ({ focus, intensity })
+   */
+  getSession(date) {
+    const plan = this.loadPlan();
+    return plan.sessions[date] || plan.default;
+  },
+
+  /**
+   * Change the focus or intensity of today's session
+   *
+   * @param {Object} changes - Session fields to change ({ focus, intensity })
+   * @returns {void}
+   */
+  updateTodaySession(changes) {
+    const date = window.Dashboard.getCurrentDateString();
+    const plan = this.loadPlan();
+    const session = { ...(plan.sessions[date] || plan.default), ...changes };
+
+    plan.sessions[date] = session;
+    plan.default = { ...session };
+    this.savePlan(plan);
+    this.renderPlanner();
+  },
+
+  /**
+   * Set the focus of today's session
+   *
+   * @param {string} focus - Focus key (see TrainingSystem.FOCUSES)
+   * @returns {void}
+   */
+  setFocus(focus) {
+    if (!window.TrainingSystem.FOCUSES[focus]) {
+      console.error(`Unknown training focus: ${focus}`);
+      return;
+    }
+    this.updateTodaySession({ focus });
+  },
+
+  /**
+   * Set the intensity of today's session
+   *
+   * @param {string} intensity - Intensity key (see TrainingSystem.INTENSITIES)
+   * @returns {void}
+   */
+  setIntensity(intensity) {
+    if (!window.TrainingSystem.INTENSITIES[intensity]) {
+      console.error(`Unknown training intensity: ${intensity}`);
+      return;
+    }
+    this.updateTodaySession({ intensity });
+  },
+
+  /**
+   * Render the focus and intensity choices of today's session
+   *
+   * @returns {void}
+   */
+  renderPlanner() {
+    const focusOptions = document.getElementById("trainingFocusOptions");
+    const intensityOptions = document.getElementById(
+      "trainingIntensityOptions"
+    );
+    const summary = document.getElementById("trainingSummary");
+    if (!focusOptions || !intensityOptions) {
+      return;
+    }
+
+    const training = window.TrainingSystem;
+    const session = this.getSession(window.Dashboard.getCurrentDateString());
+    const renderOptions = (options, selected, handler) =>
+      Object.entries(options)
+        .map(
+          ([key, option]) => `
+            <button class="training-planner__option ${
+              key === selected ? "training-planner__option--active" : ""
+            }" onclick="${handler}('${key}')">${option.name}</button>
+          `
+        )
+        .join("");
+
+    focusOptions.innerHTML = renderOptions(
+      training.FOCUSES,
+      session.focus,
+      "setTrainingFocus"
+    );
+    intensityOptions.innerHTML = renderOptions(
+      training.INTENSITIES,
+      session.intensity,
+      "setTrainingIntensity"
+    );
+
+    if (summary) {
+      const focus = training.FOCUSES[session.focus];
+      const intensity = training.INTENSITIES[session.intensity];
+      const statNames = focus.stats
+        .map((stat) => window.PlayerStatsSystem.getAllStats()[stat].name)
+        .join(", ");
+
+      summary.textContent =
+        intensity.growth === 0
+          ? "Rest day: players recover without training."
+          : `Trains ${statNames}. Fatigue +${intensity.fatigue} after recovery, ${intensity.name.toLowerCase()} injury risk.`;
+    }
+  },
+
+  /**
+   * Run the training session of a day for the user's team
+   *
+   * Stat gains, the overall rating they lead to and the new fatigue are
+   * saved on every player and each stat change is added to the player's
+   * development history. Injured
+   * players only recover, and the others may get hurt in the session. A
+   * team trains once per day: the session is recorded before any player
+   * changes, and a day that already has one is skipped. A failed session
+   * is logged and skipped so the day can still end.
+   *
+   * @param {string} date - Date of the session (YYYY-MM-DD)
+   * @returns {Promise<Object|null>} - Session summary ({ session, improvements, injuries }) or null
+   */
+  async runSession(date) {
+    try {
+      const userTeam = window.AuthService?.getUserTeam();
+      if (!userTeam) {
+        return null;
+      }
+
+      const session = this.getSession(date);
+      const started = await window.DatabaseService.startTrainingSession(
+        userTeam.id,
+        date,
+        session
+      );
+      if (!started) {
+        return null;
+      }
+
+      const [players, team] = await Promise.all([
+        window.DatabaseService.getPlayersByTeam(userTeam.id),
+        window.DatabaseService.getTeamById(userTeam.id),
+      ]);
+      const rng = window.RandomGenerator.create();
+
+      const results = players.map((player) => {
+        if (window.InjurySystem.isInjured(player, date)) {
+          return {
+            player,
+            changes: [],
+            fatigue: window.FatigueSystem.getRecoveredFatigue(player),
+            injury: null,
+          };
+        }
+
+        const result = window.TrainingSystem.getSessionResult(
+          player,
+          session,
+          team?.coach_quality,
+          rng
+        );
+        const injury = rng.chance(result.injuryRisk)
+          ? window.InjurySystem.createInjury(rng)
+          : null;
+
+        return {
+          player,
+          ...result,
+          injury: injury && {
+            playerId: player.id,
+            playerName: player.player_name,
+            ...injury,
+            date,
+            recoveryDate: window.InjurySystem.getRecoveryDate(
+              date,
+              injury.days
+            ),
+            source: "training",
+          },
+        };
+      });
+
+      await Promise.all(
+        results.map(({ player, changes, fatigue, injury }) => {
+          const stats = Object.fromEntries(
+            changes.map((change) => [change.stat, change.newValue])
+          );
+          return window.DatabaseService.updatePlayer(player.id, {
+            fatigue,
+            ...stats,
+            ...(changes.length > 0
+              ? {
+                  overall: window.PlayerStatsSystem.calculatePlayerOverall({
+                    ...player,
+                    ...stats,
+                  }),
+                }
+              : {}),
+            ...(injury ? { injured_until: injury.recoveryDate } : {}),
+          });
+        })
+      );
+
+      const injuries = results
+        .filter(({ injury }) => injury)
+        .map(({ injury }) => injury);
+      await window.DatabaseService.recordInjuries(userTeam.id, injuries);
+      injuries.forEach((injury) =>
+        window.DOMHelpers.showNotification(
+          `${injury.playerName} was injured in training (${injury.type}) and is out until ${injury.recoveryDate}`,
+          "warning"
+        )
+      );
+
+      const statChanges = results.flatMap(({ player, changes }) =>
+        changes.map((change) => ({
+          playerId: player.id,
+          ...change,
+          date,
+          source: "training",
+        }))
+      );
+      await window.DatabaseService.recordStatChanges(statChanges);
+
+      // The session is done; later days fall back to the default
+      const plan = this.loadPlan();
+      delete plan.sessions[date];
+      this.savePlan(plan);
+
+      return { session, improvements: statChanges.length, injuries };
+    } catch (error) {
+      console.error("Error running training session:", error);
+      return null;
+    }
+  },
+};
+
+// Export to global scope
+window.TrainingPlanner = TrainingPlanner;
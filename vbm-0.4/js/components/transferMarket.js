@@ -94,6 +94,9 @@ const TransferMarket = {
                     <button class="tab-btn" data-tab="sent">
                         Sent Offers
                     </button>
+                    <button class="tab-btn" data-tab="scouting">
+                        Scouting
+                    </button>
                 </div>
                 
                 <div id="availablePlayersSection" class="transfer-section">
@@ -113,13 +116,20 @@ const TransferMarket = {
                         Loading sent offers...
                     </div>
                 </div>
+                
+                <div id="scoutingSection" class="transfer-section" style="display: none;">
+                    <div class="scouting" id="scoutingPanel">
+                        Loading scouts...
+                    </div>
+                </div>
             `;
 
       // Update loading progress
       window.DOMHelpers.updateLoadingMessage("Loading available players...");
       window.DOMHelpers.updateLoadingProgress(40);
 
-      // Load available players
+      // Load available players with the user's scouting reports
+      await window.ScoutingService.loadReports();
       const availablePlayersHTML = await this.generateAvailablePlayersHTML();
       document.getElementById("availableTransferPlayers").innerHTML =
         availablePlayersHTML;
@@ -134,6 +144,8 @@ const TransferMarket = {
       const sentOffersHTML = await this.generateSentOffersHTML();
       document.getElementById("sentOffersList").innerHTML = sentOffersHTML;
 
+      await this.renderScoutingPanel();
+
       window.DOMHelpers.updateLoadingMessage("Setting up event listeners...");
       window.DOMHelpers.updateLoadingProgress(90);
 
@@ -236,7 +248,12 @@ const TransferMarket = {
    * @returns {string} - HTML string for the player card
    */
   generatePlayerCardHTML(player) {
-    const transferPrice = this.calculateTransferPrice(player);
+    // Ratings and price follow what the user's scouts know of the player
+    const estimate = window.ScoutingService.getEstimate(player);
+    const transferPrice = this.calculateTransferPrice({
+      ...player,
+      overall: window.ScoutingSystem.getMidpoint(estimate.ratings.overall),
+    });
     const avatarHTML = this.createCountryFlagAvatar(
       player.country,
       player.player_name
@@ -256,10 +273,19 @@ const TransferMarket = {
                           player.position || "Unknown"
                         }">${player.position || "Unknown Position"}</div>
                     </div>
-                    <div class="transfer-player-card__overall">${
-                      player.overall || "N/A"
-                    }</div>
+                    <div class="transfer-player-card__overall ${
+                      estimate.known
+                        ? ""
+                        : "transfer-player-card__overall--estimate"
+                    }">${window.ScoutingSystem.formatRange(
+                      estimate.ratings.overall
+                    )}</div>
                 </div>
+                <div class="transfer-player-card__scouting">${
+                  estimate.known
+                    ? "Fully scouted"
+                    : `Scouted ${estimate.accuracy}%`
+                }</div>
                 <div class="transfer-player-card__bottom">
                     <div class="transfer-player-card__price">$${transferPrice.toLocaleString()}</div>
                     <button class="transfer-player-card__offer-btn" 
@@ -533,6 +559,202 @@ const TransferMarket = {
         `;
   },
 
+  /**
+   * Render the scouts of the user's team and the form to send one out
+   *
+   * @returns {Promise<void>}
+   */
+  async renderScoutingPanel() {
+    const panel = document.getElementById("scoutingPanel");
+    if (!panel) {
+      return;
+    }
+
+    try {
+      const [allPlayers, leagues] = await Promise.all([
+        window.DatabaseService.getAllPlayers(),
+        window.DatabaseService.getLeagues(),
+      ]);
+      const userTeamId = window.AuthService.getUserTeam()?.id;
+      const players = allPlayers.filter(
+        (player) => !player.retired && player.team_id !== userTeamId
+      );
+      const countries = [
+        ...new Set(players.map((player) => player.country).filter(Boolean)),
+      ].sort();
+
+      const assignments = window.ScoutingService.assignments;
+      const getTargetName = (assignment) =>
+        assignment.target_type === "country"
+          ? assignment.target_value
+          : leagues.find(
+              (league) => String(league.id) === assignment.target_value
+            )?.league_name || "Unknown League";
+
+      const scoutsHTML = assignments.length
+        ? assignments
+            .map((assignment) => {
+              const targets = players.filter((player) =>
+                window.ScoutingSystem.isInTarget(player, assignment)
+              );
+              const averageAccuracy = targets.length
+                ? Math.round(
+                    targets.reduce(
+                      (sum, player) =>
+                        sum + window.ScoutingService.getAccuracy(player),
+                      0
+                    ) / targets.length
+                  )
+                : 0;
+
+              return `
+                <div class="scouting__scout">
+                    <div class="scouting__scout-info">
+                        <div class="scouting__scout-target">${getTargetName(
+                          assignment
+                        )}</div>
+                        <div class="scouting__scout-meta">${
+                          assignment.target_type === "country"
+                            ? "Country"
+                            : "League"
+                        } · since ${assignment.assigned_date} · ${
+                          targets.length
+                        } players · ${averageAccuracy}% scouted</div>
+                    </div>
+                    <button class="btn btn--small btn--secondary scouting__recall" data-assignment-id="${
+                      assignment.id
+                    }">Recall</button>
+                </div>
+              `;
+            })
+            .join("")
+        : '<div class="no-offers">No scouts out. Send one to a country or a league.</div>';
+
+      const targetOptions = `
+        <optgroup label="Countries">
+            ${countries
+              .map(
+                (country) =>
+                  `<option value="country:${country}">${country}</option>`
+              )
+              .join("")}
+        </optgroup>
+        <optgroup label="Leagues">
+            ${leagues
+              .map(
+                (league) =>
+                  `<option value="league:${league.id}">${league.league_name}</option>`
+              )
+              .join("")}
+        </optgroup>
+      `;
+
+      panel.innerHTML = `
+        <h3 class="transfer-section__title">Scouts (${assignments.length}/${
+          window.ScoutingSystem.MAX_SCOUTS
+        })</h3>
+        <p class="scouting__help">
+            Ratings of players outside your team show as ranges. Scouts narrow
+            the ranges of every player in their country or league day by day.
+        </p>
+        <div class="scouting__scouts">${scoutsHTML}</div>
+        ${
+          assignments.length < window.ScoutingSystem.MAX_SCOUTS
+            ? `
+        <div class="scouting__assign">
+            <select id="scoutTarget" class="scouting__select">${targetOptions}</select>
+            <button class="btn btn--primary" id="assignScoutBtn">Send Scout</button>
+        </div>`
+            : ""
+        }
+      `;
+
+      panel.querySelectorAll(".scouting__recall").forEach((btn) => {
+        btn.addEventListener("click", () =>
+          this.recallScout(Number(btn.getAttribute("data-assignment-id")))
+        );
+      });
+
+      const assignButton = document.getElementById("assignScoutBtn");
+      if (assignButton) {
+        assignButton.addEventListener("click", () => {
+          const [targetType, ...value] = document
+            .getElementById("scoutTarget")
+            .value.split(":");
+          this.assignScout(targetType, value.join(":"));
+        });
+      }
+    } catch (error) {
+      console.error("Error rendering scouting panel:", error);
+      panel.innerHTML =
+        '<div class="error-message">Error loading scouts.</div>';
+    }
+  },
+
+  /**
+   * Send a scout to a country or a league
+   *
+   * @param {string} targetType - "country" or "league"
+   * @param {string} targetValue - Country name or league ID
+   * @returns {Promise<void>}
+   */
+  async assignScout(targetType, targetValue) {
+    try {
+      await window.ScoutingService.assignScout(
+        targetType,
+        targetValue,
+        window.Dashboard.getCurrentDateString()
+      );
+      window.DOMHelpers.showNotification("Scout sent out", "success");
+      await this.renderScoutingPanel();
+    } catch (error) {
+      console.error("Error assigning scout:", error);
+      window.DOMHelpers.showNotification(
+        error.message || "Error sending the scout",
+        "error"
+      );
+    }
+  },
+
+  /**
+   * Recall a scout
+   *
+   * @param {number} assignmentId - Assignment ID
+   * @returns {Promise<void>}
+   */
+  async recallScout(assignmentId) {
+    try {
+      await window.ScoutingService.recallScout(assignmentId);
+      window.DOMHelpers.showNotification("Scout recalled", "info");
+      await this.renderScoutingPanel();
+    } catch (error) {
+      console.error("Error recalling scout:", error);
+      window.DOMHelpers.showNotification("Error recalling the scout", "error");
+    }
+  },
+
+  /**
+   * Redraw the player cards and scouts after the reports changed
+   *
+   * @returns {Promise<void>}
+   */
+  async refreshScouting() {
+    if (!this.isInitialized) {
+      return;
+    }
+
+    try {
+      const container = document.getElementById("availableTransferPlayers");
+      if (container) {
+        container.innerHTML = await this.generateAvailablePlayersHTML();
+        this.attachPlayerCardListeners();
+      }
+      await this.renderScoutingPanel();
+    } catch (error) {
+      console.error("Error refreshing scouting:", error);
+    }
+  },
+
   /**
    * Calculate transfer price for a player
    *
@@ -571,23 +793,8 @@ const TransferMarket = {
         });
       });
 
-      // Transfer player card clicks (for player details)
-      document.querySelectorAll(".transfer-player-card").forEach((card) => {
-        card.addEventListener("click", (e) => {
-          // Don't show player details if clicking on the offer button or its children
-          if (
-            e.target &&
-            (e.target.classList.contains("transfer-player-card__offer-btn") ||
-              e.target.closest(".transfer-player-card__offer-btn"))
-          ) {
-            return;
-          }
-
-          const playerId = card.getAttribute("data-player-id");
-          const playerName = card.getAttribute("data-player-name");
-          this.showPlayerDetailsById(playerId, playerName);
-        });
-      });
+      // Player cards and their offer buttons
+      this.attachPlayerCardListeners();
 
       // Offer card clicks (for offer details)
       document.querySelectorAll(".offer-card").forEach((card) => {
@@ -626,38 +833,63 @@ const TransferMarket = {
         });
       });
 
-      // Transfer offer buttons
-      document
-        .querySelectorAll(".transfer-player-card__offer-btn")
-        .forEach((btn) => {
-          btn.addEventListener("click", (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-
-            const playerId = btn.getAttribute("data-player-id");
-            const playerName = btn.getAttribute("data-player-name");
-            const suggestedPrice = parseFloat(
-              btn.getAttribute("data-suggested-price")
-            );
-
-            if (playerId && playerName) {
-              this.makeTransferOffer(playerId, playerName, suggestedPrice);
-            } else {
-              console.error("Missing player data for transfer offer button");
-            }
-          });
-        });
-
       console.log("Transfer market event listeners attached");
     } catch (error) {
       console.error("Error attaching transfer event listeners:", error);
     }
   },
 
+  /**
+   * Attach event listeners to the available player cards
+   *
+   * @returns {void}
+   */
+  attachPlayerCardListeners() {
+    // Transfer player card clicks (for player details)
+    document.querySelectorAll(".transfer-player-card").forEach((card) => {
+      card.addEventListener("click", (e) => {
+        // Don't show player details if clicking on the offer button or its children
+        if (
+          e.target &&
+          (e.target.classList.contains("transfer-player-card__offer-btn") ||
+            e.target.closest(".transfer-player-card__offer-btn"))
+        ) {
+          return;
+        }
+
+        const playerId = card.getAttribute("data-player-id");
+        const playerName = card.getAttribute("data-player-name");
+        this.showPlayerDetailsById(playerId, playerName);
+      });
+    });
+
+    // Transfer offer buttons
+    document
+      .querySelectorAll(".transfer-player-card__offer-btn")
+      .forEach((btn) => {
+        btn.addEventListener("click", (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+
+          const playerId = btn.getAttribute("data-player-id");
+          const playerName = btn.getAttribute("data-player-name");
+          const suggestedPrice = parseFloat(
+            btn.getAttribute("data-suggested-price")
+          );
+
+          if (playerId && playerName) {
+            this.makeTransferOffer(playerId, playerName, suggestedPrice);
+          } else {
+            console.error("Missing player data for transfer offer button");
+          }
+        });
+      });
+  },
+
   /**
    * Switch between transfer market tabs
    *
-   * This function handles switching between available players, received offers, and sent offers tabs.
+   * This function handles switching between available players, received offers, sent offers and scouting tabs.
    *
    * @param {string} tab - Tab to switch to
    * @returns {void}
@@ -675,11 +907,13 @@ const TransferMarket = {
       );
       const receivedSection = document.getElementById("receivedOffersSection");
       const sentSection = document.getElementById("sentOffersSection");
+      const scoutingSection = document.getElementById("scoutingSection");
 
       // Hide all sections first
       if (availableSection) availableSection.style.display = "none";
       if (receivedSection) receivedSection.style.display = "none";
       if (sentSection) sentSection.style.display = "none";
+      if (scoutingSection) scoutingSection.style.display = "none";
 
       // Show the selected section
       switch (tab) {
@@ -692,6 +926,9 @@ const TransferMarket = {
         case "sent":
           if (sentSection) sentSection.style.display = "block";
           break;
+        case "scouting":
+          if (scoutingSection) scoutingSection.style.display = "block";
+          break;
         default:
           console.warn(`Unknown tab: ${tab}`);
       }
@@ -0,0 +1,281 @@
+/**
+ * Youth Academy Component - Prospects and quality of the team's academy
+ *
+ * This component shows the academy quality with the price of the next
+ * upgrade and lists the season's prospects, who can be promoted to the
+ * senior squad or released.
+ *
+ * @fileoverview Youth academy page of the user's team
+ * @author Spike Dynasty Team
+ * @version 0.4.0
+ */
+
+/**
+ * YouthAcademy component object
+ *
+ * Actions go through YouthAcademyService and reload the page afterwards.
+ */
+const YouthAcademy = {
+  // Component state
+  team: null,
+  prospects: [],
+  isInitialized: false,
+
+  /**
+   * Initialize the youth academy component
+   *
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    const content = document.getElementById("youthAcademyContent");
+    if (!content) {
+      console.error("Youth academy content element not found");
+      return;
+    }
+
+    try {
+      console.log("Initializing YouthAcademy component...");
+
+      const userTeam = window.AuthService?.getUserTeam();
+      if (!userTeam) {
+        content.innerHTML =
+          '<div class="no-players">No team assigned to your account.</div>';
+        return;
+      }
+
+      content.innerHTML =
+        '<div class="loading-placeholder">Loading youth academy...</div>';
+
+      const [team, prospects] = await Promise.all([
+        window.DatabaseService.getTeamById(userTeam.id),
+        window.DatabaseService.getYouthProspects(userTeam.id),
+      ]);
+
+      this.team = team;
+      this.prospects = prospects;
+      this.isInitialized = true;
+      this.render();
+
+      console.log("YouthAcademy component initialized successfully");
+    } catch (error) {
+      console.error("Error initializing YouthAcademy:", error);
+      content.innerHTML =
+        '<div class="error-message">Error loading the youth academy. Please try again.</div>';
+      window.DOMHelpers.showNotification(
+        "Error loading the youth academy. Please try again.",
+        "error"
+      );
+    }
+  },
+
+  /**
+   * Render the academy overview and the prospects
+   *
+   * @returns {void}
+   */
+  render() {
+    const content = document.getElementById("youthAcademyContent");
+    if (!content) {
+      return;
+    }
+
+    content.innerHTML = `
+      ${this.renderOverview()}
+      ${
+        this.prospects.length
+          ? `<div class="youth-academy__prospects">
+              ${this.prospects.map((prospect) => this.renderProspect(prospect)).join("")}
+            </div>`
+          : '<div class="no-players">No prospects in the academy. A new intake arrives every season.</div>'
+      }
+    `;
+  },
+
+  /**
+   * Render the academy quality, upgrade price and team money
+   *
+   * @returns {string} - HTML of the overview
+   */
+  renderOverview() {
+    const quality =
+      this.team?.academy_quality ?? window.YouthAcademySystem.DEFAULT_QUALITY;
+    const money = this.team?.team_money || 0;
+    const cost = window.YouthAcademySystem.getUpgradeCost(quality);
+
+    return `
+      <div class="youth-academy__overview">
+        <div class="youth-academy__stat">
+          <span class="youth-academy__label">Academy Quality</span>
+          <span class="youth-academy__value">${quality}/${
+            window.YouthAcademySystem.MAX_QUALITY
+          }</span>
+        </div>
+        <div class="youth-academy__stat">
+          <span class="youth-academy__label">Prospects per Season</span>
+          <span class="youth-academy__value">${window.YouthAcademySystem.getIntakeSize(
+            quality
+          )}</span>
+        </div>
+        <div class="youth-academy__stat">
+          <span class="youth-academy__label">Team Money</span>
+          <span class="youth-academy__value">$${money.toLocaleString()}</span>
+        </div>
+        <button
+          class="btn btn--primary youth-academy__upgrade"
+          onclick="upgradeAcademy()"
+          ${cost === null || money < cost ? "disabled" : ""}
+        >
+          ${
+            cost === null
+              ? "Academy at its best"
+              : `Upgrade (+${
+                  window.YouthAcademySystem.UPGRADE_STEP
+                }) for $${cost.toLocaleString()}`
+          }
+        </button>
+      </div>
+    `;
+  },
+
+  /**
+   * Render a prospect card
+   *
+   * @param {Object} prospect - Prospect row
+   * @returns {string} - HTML of the card
+   */
+  renderProspect(prospect) {
+    const stats = prospect.stats || {};
+
+    return `
+      <div class="youth-prospect">
+        <div class="youth-prospect__header">
+          <div>
+            <div class="youth-prospect__name">${prospect.player_name}</div>
+            <div class="youth-prospect__info">
+              ${prospect.position} · ${prospect.age} years · ${prospect.country}
+            </div>
+          </div>
+          <div class="youth-prospect__ratings">
+            <span class="youth-prospect__overall">${prospect.overall}</span>
+            <span class="youth-prospect__potential">POT ${prospect.potential}</span>
+          </div>
+        </div>
+        <div class="youth-prospect__stats">
+          ${["attack", "defense", "serve", "block", "receive", "setting"]
+            .map(
+              (stat) => `
+                <div class="youth-prospect__stat">
+                  <span>${stat}</span>
+                  <strong>${stats[stat] ?? "-"}</strong>
+                </div>
+              `
+            )
+            .join("")}
+          <div class="youth-prospect__stat">
+            <span>height</span>
+            <strong>${stats.height ? `${stats.height} cm` : "-"}</strong>
+          </div>
+        </div>
+        <div class="youth-prospect__actions">
+          <button
+            class="btn btn--small btn--primary"
+            onclick="promoteProspect(${prospect.id})"
+          >
+            Promote
+          </button>
+          <button
+            class="btn btn--small btn--secondary"
+            onclick="releaseProspect(${prospect.id})"
+          >
+            Release
+          </button>
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * Promote a prospect to the senior squad
+   *
+   * @param {number} prospectId - Prospect ID
+   * @returns {Promise<void>}
+   */
+  async promoteProspect(prospectId) {
+    try {
+      const player =
+        await window.YouthAcademyService.promoteProspect(prospectId);
+      window.DOMHelpers.showNotification(
+        `${player.player_name} joins the squad wearing #${player.jersey_number}`,
+        "success"
+      );
+      await this.initialize();
+    } catch (error) {
+      console.error("Error promoting prospect:", error);
+      window.DOMHelpers.showNotification(
+        error.message || "Error promoting the prospect",
+        "error"
+      );
+    }
+  },
+
+  /**
+   * Release a prospect from the academy
+   *
+   * @param {number} prospectId - Prospect ID
+   * @returns {Promise<void>}
+   */
+  async releaseProspect(prospectId) {
+    const prospect = this.prospects.find((p) => p.id === prospectId);
+    if (!confirm(`Release ${prospect?.player_name || "this prospect"}?`)) {
+      return;
+    }
+
+    try {
+      await window.YouthAcademyService.releaseProspect(prospectId);
+      window.DOMHelpers.showNotification(
+        `${prospect?.player_name || "Prospect"} was released`,
+        "info"
+      );
+      await this.initialize();
+    } catch (error) {
+      console.error("Error releasing prospect:", error);
+      window.DOMHelpers.showNotification(
+        "Error releasing the prospect",
+        "error"
+      );
+    }
+  },
+
+  /**
+   * Pay for the next academy quality level
+   *
+   * @returns {Promise<void>}
+   */
+  async upgradeAcademy() {
+    try {
+      const userTeam = window.AuthService?.getUserTeam();
+      if (!userTeam) {
+        return;
+      }
+
+      const team = await window.YouthAcademyService.upgradeAcademy(userTeam.id);
+      userTeam.team_money = team.team_money;
+      userTeam.academy_quality = team.academy_quality;
+
+      window.DOMHelpers.showNotification(
+        `Academy quality raised to ${team.academy_quality}`,
+        "success"
+      );
+      await this.initialize();
+    } catch (error) {
+      console.error("Error upgrading academy:", error);
+      window.DOMHelpers.showNotification(
+        error.message || "Error upgrading the academy",
+        "error"
+      );
+    }
+  },
+};
+
+// Export to global scope
+window.YouthAcademy = YouthAcademy;
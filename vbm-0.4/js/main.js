@@ -398,15 +398,22 @@ const VBManager = {
           break;
         case "squad-selection":
           window.SquadSelection.initialize();
+          window.TacticsPanel.initialize();
           break;
         case "standings":
           await window.Standings.initialize();
           break;
+        case "leaderboards":
+          await window.Leaderboards.initialize();
+          break;
+        case "youth-academy":
+          await window.YouthAcademy.initialize();
+          break;
         case "transfer-market":
           window.TransferMarket.initialize();
           break;
         case "match-simulation":
-          window.MatchSimulation.initialize();
+          await window.MatchSimulation.initialize();
           break;
         default:
           console.warn(`Unknown page: ${pageId}`);
@@ -587,6 +594,160 @@ function viewCalendar() {
   window.Dashboard.viewCalendar();
 }
 
+/**
+ * Set the training focus function called from HTML
+ *
+ * @param {string} focus - Training focus key
+ * @returns {void}
+ */
+function setTrainingFocus(focus) {
+  window.TrainingPlanner.setFocus(focus);
+}
+
+/**
+ * Set the training intensity function called from HTML
+ *
+ * @param {string} intensity - Training intensity key
+ * @returns {void}
+ */
+function setTrainingIntensity(intensity) {
+  window.TrainingPlanner.setIntensity(intensity);
+}
+
+/**
+ * Show the season development report function called from HTML
+ *
+ * @returns {void}
+ */
+function showDevelopmentReport() {
+  window.TeamManagement.showDevelopmentReport();
+}
+
+/**
+ * Show the medical report of the team, called from HTML
+ *
+ * @returns {void}
+ */
+function showMedicalReport() {
+  window.TeamManagement.showMedicalReport();
+}
+
+/**
+ * Promote an academy prospect to the squad, called from HTML
+ *
+ * @param {number} prospectId - Prospect ID
+ * @returns {void}
+ */
+function promoteProspect(prospectId) {
+  window.YouthAcademy.promoteProspect(prospectId);
+}
+
+/**
+ * Release an academy prospect, called from HTML
+ *
+ * @param {number} prospectId - Prospect ID
+ * @returns {void}
+ */
+function releaseProspect(prospectId) {
+  window.YouthAcademy.releaseProspect(prospectId);
+}
+
+/**
+ * Upgrade the youth academy, called from HTML
+ *
+ * @returns {void}
+ */
+function upgradeAcademy() {
+  window.YouthAcademy.upgradeAcademy();
+}
+
+/**
+ * Fill the squad with the chosen auto-pick strategy, called from HTML
+ *
+ * @returns {void}
+ */
+function autoPickSquad() {
+  const strategy = document.getElementById("autoPickStrategy")?.value;
+  window.SquadSelection.autoPick(strategy || "strongest");
+}
+
+/**
+ * Switch to editing another saved lineup, called from HTML
+ *
+ * @param {string} lineupId - Lineup ID
+ * @returns {void}
+ */
+function selectSquadLineup(lineupId) {
+  window.SquadSelection.selectLineup(lineupId);
+}
+
+/**
+ * Create a new empty lineup, called from HTML
+ *
+ * @returns {void}
+ */
+function createSquadLineup() {
+  window.SquadSelection.createLineup();
+}
+
+/**
+ * Copy the lineup being edited, called from HTML
+ *
+ * @returns {void}
+ */
+function duplicateSquadLineup() {
+  window.SquadSelection.duplicateLineup();
+}
+
+/**
+ * Rename the lineup being edited, called from HTML
+ *
+ * @returns {void}
+ */
+function renameSquadLineup() {
+  window.SquadSelection.renameLineup();
+}
+
+/**
+ * Delete the lineup being edited, called from HTML
+ *
+ * @returns {void}
+ */
+function deleteSquadLineup() {
+  window.SquadSelection.deleteLineup();
+}
+
+/**
+ * Make the lineup being edited the default, called from HTML
+ *
+ * @returns {void}
+ */
+function setDefaultSquadLineup() {
+  window.SquadSelection.setDefaultLineup();
+}
+
+/**
+ * Choose the lineup of a fixture, called from HTML
+ *
+ * @param {number} matchId - Fixture (match) ID
+ * @param {string} lineupId - Lineup ID, empty for the default lineup
+ * @returns {void}
+ */
+function setFixtureLineup(matchId, lineupId) {
+  window.SquadSelection.setFixtureLineup(matchId, lineupId);
+}
+
+/**
+ * Change a team tactics choice, called from HTML
+ *
+ * @param {string} key - Tactics choice ("system", "serve", "block" or "attack")
+ * @param {string} value - Option key
+ * @returns {void}
+ */
+function setTactic(key, value) {
+  window.TacticsPanel.setTactic(key, value);
+}
+
 /**
  * Simulate match function called from HTML
  *
@@ -605,6 +766,71 @@ function quickSimulate() {
   window.MatchSimulation.quickSimulate();
 }
 
+/**
+ * Pause or resume the live match function called from HTML
+ *
+ * @returns {void}
+ */
+function toggleLiveMatchPause() {
+  window.LiveMatchViewer.togglePause();
+}
+
+/**
+ * Set live match speed function called from HTML
+ *
+ * @param {string} speed - "1x", "4x" or "instant"
+ * @returns {void}
+ */
+function setLiveMatchSpeed(speed) {
+  window.LiveMatchViewer.setSpeed(speed);
+}
+
+/**
+ * Make a live substitution function called from HTML
+ *
+ * @returns {void}
+ */
+function makeLiveSubstitution() {
+  window.LiveMatchViewer.makeSubstitution();
+}
+
+/**
+ * Call a live timeout function called from HTML
+ *
+ * @returns {void}
+ */
+function callLiveTimeout() {
+  window.LiveMatchViewer.callTimeout();
+}
+
+/**
+ * Replace the libero in a live match function called from HTML
+ *
+ * @returns {void}
+ */
+function replaceLiveLibero() {
+  window.LiveMatchViewer.replaceLibero();
+}
+
+/**
+ * Close the live match viewer function called from HTML
+ *
+ * @returns {void}
+ */
+function closeLiveMatch() {
+  window.LiveMatchViewer.close();
+}
+
+/**
+ * Simulate to a target date function called from HTML
+ *
+ * @param {string} target - "next-match", "end-of-month" or "end-of-season"
+ * @returns {void}
+ */
+function simulateSeason(target) {
+  window.MatchSimulation.simulateSeason(target);
+}
+
 /**
  * Close player modal function called from HTML
  *
@@ -667,6 +893,8 @@ window.debug = {
   refreshTeamStats: () => refreshTeamStatistics(),
   clearCache: (key) => window.DatabaseService?.clearCache(key),
   clearAllCache: () => window.DatabaseService?.clearCache(),
+  setSeed: (seed) => window.RandomGenerator.setSeed(seed),
+  replayMatch: (result) => window.MatchSimulation.replayMatch(result),
   showError: (message) => window.DOMHelpers.showNotification(message, "error"),
   showSuccess: (message) =>
     window.DOMHelpers.showNotification(message, "success"),
@@ -319,6 +319,30 @@ const DatabaseService = {
     }
   },
 
+  /**
+   * Update team tactics
+   *
+   * @param {number} teamId - Team ID
+   * @param {Object} tactics - Tactics ({ system, serve, block, attack })
+   * @returns {Promise<Object>} - Updated team object
+   */
+  async updateTeamTactics(teamId, tactics) {
+    try {
+      const { data, error } = await this.getClient()
+        .from("teams")
+        .update({ tactics })
+        .eq("id", teamId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error("Error updating team tactics:", error);
+      throw error;
+    }
+  },
+
   // ==================== PLAYERS OPERATIONS ====================
 
   /**
@@ -381,7 +405,7 @@ const DatabaseService = {
         .select(
           `
           *,
-          teams(team_name, team_money)
+          teams(team_name, team_money, league_id)
         `
         )
         .order("player_name");
@@ -630,57 +654,269 @@ const DatabaseService = {
     }
   },
 
-  // ==================== POSITION STATUS OPERATIONS ====================
+  // ==================== LINEUP OPERATIONS ====================
+
+  /**
+   * Get all saved lineups of a team
+   *
+   * @param {number} teamId - Team ID
+   * @returns {Promise<Array>} - Lineup rows ({ id, team_id, name, is_default, starting, bench }), oldest first
+   */
+  async getTeamLineups(teamId) {
+    try {
+      const { data, error } = await this.getClient()
+        .from("team_lineups")
+        .select("*")
+        .eq("team_id", teamId)
+        .order("id");
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error("Error fetching team lineups:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the default lineup of a team
+   *
+   * @param {number} teamId - Team ID
+   * @returns {Promise<Object|null>} - Lineup row or null if none saved
+   */
+  async getTeamLineup(teamId) {
+    try {
+      const { data, error } = await this.getClient()
+        .from("team_lineups")
+        .select("*")
+        .eq("team_id", teamId)
+        .eq("is_default", true)
+        .single();
+
+      if (error && error.code !== "PGRST116") throw error;
+      return data;
+    } catch (error) {
+      console.error("Error fetching team lineup:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a named lineup for a team
+   *
+   * @param {number} teamId - Team ID
+   * @param {string} name - Lineup name, unique per team
+   * @param {Object} lineup - Stored lineup ({ starting: [{ position, playerId }], bench: [{ playerId }] })
+   * @param {boolean} [isDefault] - Whether the lineup is the team's default
+   * @returns {Promise<Object>} - Created lineup row
+   */
+  async createTeamLineup(teamId, name, lineup, isDefault = false) {
+    try {
+      const { data, error } = await this.getClient()
+        .from("team_lineups")
+        .insert({
+          team_id: teamId,
+          name,
+          is_default: isDefault,
+          starting: lineup.starting,
+          bench: lineup.bench,
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error("Error creating team lineup:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Save the players of a lineup
+   *
+   * @param {number} lineupId - Lineup ID
+   * @param {Object} lineup - Stored lineup ({ starting: [{ position, playerId }], bench: [{ playerId }] })
+   * @returns {Promise<Object>} - Saved lineup row
+   */
+  async saveTeamLineup(lineupId, lineup) {
+    try {
+      const { data, error } = await this.getClient()
+        .from("team_lineups")
+        .update({ starting: lineup.starting, bench: lineup.bench })
+        .eq("id", lineupId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error("Error saving team lineup:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Rename a lineup
+   *
+   * @param {number} lineupId - Lineup ID
+   * @param {string} name - New lineup name, unique per team
+   * @returns {Promise<Object>} - Updated lineup row
+   */
+  async renameTeamLineup(lineupId, name) {
+    try {
+      const { data, error } = await this.getClient()
+        .from("team_lineups")
+        .update({ name })
+        .eq("id", lineupId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error("Error renaming team lineup:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Make a lineup the default of its team
+   *
+   * The database clears the old default in the same transaction.
+   *
+   * @param {number} teamId - Team ID
+   * @param {number} lineupId - Lineup ID
+   * @returns {Promise<void>}
+   */
+  async setDefaultTeamLineup(teamId, lineupId) {
+    try {
+      const { error } = await this.getClient().rpc("set_default_team_lineup", {
+        team_id_param: teamId,
+        lineup_id_param: lineupId,
+      });
+      if (error) throw error;
+    } catch (error) {
+      console.error("Error setting default team lineup:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a lineup
+   *
+   * Fixtures that were to be played with it go back to the default. When
+   * the default is deleted, the database makes the oldest remaining
+   * lineup the default in the same transaction.
+   *
+   * @param {number} lineupId - Lineup ID
+   * @returns {Promise<number|null>} - ID of the new default lineup, or null if the default did not change
+   */
+  async deleteTeamLineup(lineupId) {
+    try {
+      const { data, error } = await this.getClient().rpc("delete_team_lineup", {
+        lineup_id_param: lineupId,
+      });
+
+      if (error) throw error;
+      return data ?? null;
+    } catch (error) {
+      console.error("Error deleting team lineup:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the lineups a team chose for its fixtures
+   *
+   * @param {number} teamId - Team ID
+   * @returns {Promise<Array>} - Fixture lineup rows ({ match_id, team_id, lineup_id })
+   */
+  async getFixtureLineups(teamId) {
+    try {
+      const { data, error } = await this.getClient()
+        .from("fixture_lineups")
+        .select("*")
+        .eq("team_id", teamId);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error("Error fetching fixture lineups:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Choose the lineup a team plays a fixture with
+   *
+   * @param {number} matchId - Fixture (match) ID
+   * @param {number} teamId - Team ID
+   * @param {number|null} lineupId - Lineup ID, null to play the default
+   * @returns {Promise<void>}
+   */
+  async setFixtureLineup(matchId, teamId, lineupId) {
+    try {
+      const query = this.getClient().from("fixture_lineups");
+      const { error } =
+        lineupId === null
+          ? await query.delete().eq("match_id", matchId).eq("team_id", teamId)
+          : await query.upsert(
+              { match_id: matchId, team_id: teamId, lineup_id: lineupId },
+              { onConflict: "match_id,team_id" }
+            );
+
+      if (error) throw error;
+    } catch (error) {
+      console.error("Error setting fixture lineup:", error);
+      throw error;
+    }
+  },
 
   /**
    * Get players by position status (available, starter, bench)
    *
+   * The status comes from the team's default lineup. Starters and bench
+   * players are returned in slot order, available players by overall.
+   *
    * @param {string} status - Position status to filter by
    * @param {number} teamId - Optional team ID to filter by
    * @returns {Promise<Array>} - Array of player objects with the specified status
    */
   async getPlayersByPositionStatus(status, teamId = null) {
     try {
-      console.log(
-        `DEBUG DatabaseService: getPlayersByPositionStatus(${status}, ${teamId}) called`
-      );
-
       // Validate status
       if (!["available", "starter", "bench"].includes(status)) {
         throw new Error(`Invalid position status: ${status}`);
       }
 
-      // Use team ID if provided, otherwise get current user's team
-      let targetTeamId = teamId;
-      if (!targetTeamId && window.AuthService) {
-        const userTeam = window.AuthService.getUserTeam();
-        targetTeamId = userTeam?.id;
-      }
-
+      const targetTeamId = teamId || window.AuthService?.getUserTeam()?.id;
       if (!targetTeamId) {
-        console.log("DEBUG DatabaseService: No team ID available");
         return [];
       }
 
-      const { data, error } = await this.getClient()
-        .from("players")
-        .select(
-          `
-          *,
-          teams(team_name, team_money)
-        `
-        )
-        .eq("team_id", targetTeamId)
-        .eq("position_status", status)
-        .order("overall", { ascending: false });
+      const [players, savedLineup] = await Promise.all([
+        this.getPlayersByTeam(targetTeamId),
+        this.getTeamLineup(targetTeamId),
+      ]);
+      const lineup = window.LineupBuilder.resolveLineup(savedLineup, players);
 
-      if (error) throw error;
-      console.log(
-        `DEBUG DatabaseService: Found ${
-          (data || []).length
-        } players with status ${status}`
-      );
-      return data || [];
+      const starters = (lineup?.starting || [])
+        .map((slot) => slot.player)
+        .filter(Boolean);
+      const bench = (lineup?.bench || []).map((slot) => slot.player);
+
+      if (status === "starter") {
+        return starters;
+      }
+      if (status === "bench") {
+        return bench;
+      }
+
+      const inSquad = new Set([...starters, ...bench]);
+      return players
+        .filter((player) => !inSquad.has(player))
+        .sort((a, b) => (b.overall || 0) - (a.overall || 0));
     } catch (error) {
       console.error(
         `Error fetching players by position status ${status}:`,
@@ -691,7 +927,7 @@ const DatabaseService = {
   },
 
   /**
-   * Update player position status and indices
+   * Move a player in their team's default lineup
    *
    * @param {number} playerId - Player ID to update
    * @param {string} status - New position status
@@ -706,50 +942,44 @@ const DatabaseService = {
     benchIndex = null
   ) {
     try {
-      console.log(
-        `DEBUG DatabaseService: updatePlayerPositionStatus(${playerId}, ${status}, ${positionIndex}, ${benchIndex}) called`
-      );
-
       // Validate status
       if (!["available", "starter", "bench"].includes(status)) {
         throw new Error(`Invalid position status: ${status}`);
       }
 
-      // Prepare update data
-      const updateData = {
-        position_status: status,
-        updated_at: new Date().toISOString(),
-      };
-
-      // Set appropriate index based on status
-      if (status === "starter" && positionIndex !== null) {
-        updateData.position_index = positionIndex;
-        updateData.bench_index = null;
-      } else if (status === "bench" && benchIndex !== null) {
-        updateData.bench_index = benchIndex;
-        updateData.position_index = null;
-      } else if (status === "available") {
-        updateData.position_index = null;
-        updateData.bench_index = null;
+      const player = await this.getPlayerById(playerId);
+      if (!player) {
+        throw new Error(`Player ${playerId} not found`);
       }
 
-      const { data, error } = await this.getClient()
-        .from("players")
-        .update(updateData)
-        .eq("id", playerId)
-        .select(
-          `
-          *,
-          teams(team_name, team_money)
-        `
-        )
-        .single();
+      const savedLineup =
+        (await this.getTeamLineup(player.team_id)) ||
+        (await this.createTeamLineup(
+          player.team_id,
+          window.LineupBuilder.DEFAULT_LINEUP_NAME,
+          window.LineupBuilder.createEmptyLineup(),
+          true
+        ));
+      const lineup = window.LineupBuilder.toStoredLineup(savedLineup);
+
+      // Take the player out of any slot first
+      lineup.starting.forEach((slot) => {
+        if (slot.playerId === playerId) {
+          slot.playerId = null;
+        }
+      });
+      lineup.bench = lineup.bench.filter((slot) => slot.playerId !== playerId);
+
+      if (status === "starter" && lineup.starting[positionIndex]) {
+        lineup.starting[positionIndex].playerId = playerId;
+      } else if (status === "bench") {
+        lineup.bench.splice(benchIndex ?? lineup.bench.length, 0, {
+          playerId,
+        });
+      }
 
-      if (error) throw error;
-      console.log(
-        `DEBUG DatabaseService: Player ${playerId} position status updated to ${status}`
-      );
-      return data;
+      await this.saveTeamLineup(savedLineup.id, lineup);
+      return player;
     } catch (error) {
       console.error(
         `Error updating player ${playerId} position status:`,
@@ -767,11 +997,7 @@ const DatabaseService = {
    */
   async getStartingLineup(teamId = null) {
     try {
-      const players = await this.getPlayersByPositionStatus("starter", teamId);
-      // Sort by position_index to maintain order
-      return players.sort(
-        (a, b) => (a.position_index || 0) - (b.position_index || 0)
-      );
+      return await this.getPlayersByPositionStatus("starter", teamId);
     } catch (error) {
       console.error("Error getting starting lineup:", error);
       throw error;
@@ -786,11 +1012,7 @@ const DatabaseService = {
    */
   async getBenchPlayers(teamId = null) {
     try {
-      const players = await this.getPlayersByPositionStatus("bench", teamId);
-      // Sort by bench_index to maintain order
-      return players.sort(
-        (a, b) => (a.bench_index || 0) - (b.bench_index || 0)
-      );
+      return await this.getPlayersByPositionStatus("bench", teamId);
     } catch (error) {
       console.error("Error getting bench players:", error);
       throw error;
@@ -816,37 +1038,27 @@ const DatabaseService = {
    * Reset all players to available status
    *
    * @param {number} teamId - Optional team ID
-   * @returns {Promise<number>} - Number of players updated
+   * @returns {Promise<number>} - Number of players taken out of the default lineup
    */
   async resetAllPlayerPositions(teamId = null) {
     try {
-      // Use team ID if provided, otherwise get current user's team
-      let targetTeamId = teamId;
-      if (!targetTeamId && window.AuthService) {
-        const userTeam = window.AuthService.getUserTeam();
-        targetTeamId = userTeam?.id;
-      }
-
+      const targetTeamId = teamId || window.AuthService?.getUserTeam()?.id;
       if (!targetTeamId) {
         throw new Error("No team ID available");
       }
 
-      const { data, error } = await this.getClient()
-        .from("players")
-        .update({
-          position_status: "available",
-          position_index: null,
-          bench_index: null,
-          updated_at: new Date().toISOString(),
-        })
-        .eq("team_id", targetTeamId)
-        .neq("position_status", "available");
+      const lineup = await this.getTeamLineup(targetTeamId);
+      if (lineup) {
+        await this.saveTeamLineup(
+          lineup.id,
+          window.LineupBuilder.createEmptyLineup()
+        );
+      }
 
-      if (error) throw error;
-      console.log(
-        `DEBUG DatabaseService: Reset player positions for team ${targetTeamId}`
-      );
-      return data?.length || 0;
+      return lineup
+        ? lineup.starting.filter((slot) => slot.playerId).length +
+            lineup.bench.length
+        : 0;
     } catch (error) {
       console.error("Error resetting player positions:", error);
       throw error;
@@ -1029,15 +1241,32 @@ const DatabaseService = {
     console.log(`Team cache invalidated for team ${teamId}`);
   },
 
+  /**
+   * Invalidate cache for standings data
+   *
+   * @returns {void}
+   */
+  invalidateStandingsCache() {
+    const keysToDelete = [];
+    for (const key of this.cache.keys()) {
+      if (key.startsWith("standings")) {
+        keysToDelete.push(key);
+      }
+    }
+    keysToDelete.forEach((key) => this.cache.delete(key));
+    console.log("Standings cache invalidated");
+  },
+
   // ==================== TEAM STATISTICS OPERATIONS ====================
 
   /**
    * Get comprehensive team statistics for a specific team (OPTIMIZED)
    *
    * @param {number} teamId - Team ID
+   * @param {string} season - Season (year) of the match record
    * @returns {Promise<Object>} - Team statistics object
    */
-  async getTeamStatisticsOptimized(teamId) {
+  async getTeamStatisticsOptimized(teamId, season) {
     try {
       console.log(`Fetching optimized team statistics for team ID: ${teamId}`);
 
@@ -1057,6 +1286,7 @@ const DatabaseService = {
           .from("team_standings")
           .select("matches_played, wins, losses, points, win_percentage")
           .eq("team_id", teamId)
+          .eq("season", season)
           .single();
 
       if (standingsError && standingsError.code !== "PGRST116") {
@@ -1130,9 +1360,10 @@ const DatabaseService = {
    * Get comprehensive team statistics for a specific team (LEGACY - kept for compatibility)
    *
    * @param {number} teamId - Team ID
+   * @param {string} season - Season (year) of the match record
    * @returns {Promise<Object>} - Team statistics object
    */
-  async getTeamStatistics(teamId) {
+  async getTeamStatistics(teamId, season) {
     try {
       // Get team basic info including budget
       const { data: teamData, error: teamError } = await this.getClient()
@@ -1144,7 +1375,7 @@ const DatabaseService = {
       if (teamError) throw teamError;
 
       // Get team standings for match statistics
-      const standings = await this.getTeamStandings(teamId);
+      const standings = await this.getTeamStandings(teamId, season);
 
       // Get squad size (number of players)
       const { data: playersData, error: playersError } = await this.getClient()
@@ -1185,14 +1416,16 @@ const DatabaseService = {
         teamName: teamData.team_name,
         wins: standings?.wins || 0,
         losses: standings?.losses || 0,
-        draws: standings?.draws || 0,
+        setsWon: standings?.sets_won || 0,
+        setsLost: standings?.sets_lost || 0,
         matchesPlayed: standings?.matches_played || 0,
         squadSize: playersData.length,
         winRate: winRate,
         averageRating: parseFloat(averageRating),
         budget: teamData.team_money || 0,
         points: standings?.points || 0,
-        goalDifference: standings?.goal_difference || 0,
+        setRatio: standings?.set_ratio ?? null,
+        pointsRatio: standings?.points_ratio ?? null,
       };
     } catch (error) {
       console.error("Error fetching team statistics:", error);
@@ -1203,9 +1436,10 @@ const DatabaseService = {
   /**
    * Get user's team statistics (OPTIMIZED with caching)
    *
+   * @param {string} season - Season (year) of the match record
    * @returns {Promise<Object>} - User's team statistics object
    */
-  async getUserTeamStatistics() {
+  async getUserTeamStatistics(season) {
     try {
       const userTeam = window.AuthService.getUserTeam();
       if (!userTeam) {
@@ -1214,8 +1448,8 @@ const DatabaseService = {
 
       // Use cached data with optimized query
       return await this.getCachedData(
-        `team_stats_${userTeam.id}`,
-        () => this.getTeamStatisticsOptimized(userTeam.id),
+        `team_stats_${userTeam.id}_${season}`,
+        () => this.getTeamStatisticsOptimized(userTeam.id, season),
         2 * 60 * 1000 // 2 minutes cache for team stats
       );
     } catch (error) {
@@ -1224,56 +1458,1057 @@ const DatabaseService = {
     }
   },
 
-  // ==================== STANDINGS OPERATIONS ====================
+  // ==================== MATCHES OPERATIONS ====================
 
   /**
-   * Get team standings for all leagues
+   * Record the result of a played match
    *
-   * @returns {Promise<Array>} - Array of team standings objects
+   * Updates the scheduled fixture when a match ID is given, otherwise a new
+   * completed match is inserted. A fixture that was already played is
+   * left as it is and rejected. home_score / away_score hold the total
+   * rally points of each team. Standings and team statistics caches are
+   * invalidated so every page shows the new result.
+   *
+   * @param {Object} match - Match result
+   * @param {number} [match.matchId] - ID of the scheduled fixture, if any
+   * @param {number} match.homeTeamId - Home team ID
+   * @param {number} match.awayTeamId - Away team ID
+   * @param {number} match.leagueId - League ID
+   * @param {string} match.matchDate - Match date (YYYY-MM-DD)
+   * @param {string} match.season - Season the match belongs to
+   * @param {number} match.homeSetsWon - Sets won by the home team
+   * @param {number} match.awaySetsWon - Sets won by the away team
+   * @param {number} match.homePoints - Total points of the home team
+   * @param {number} match.awayPoints - Total points of the away team
+   * @param {Array} [match.sets] - Points per set ([{ home, away }])
+   * @param {number} [match.seed] - Simulation seed
+   * @param {Object} [match.boxScore] - Player statistic lines per side ({ home, away })
+   * @returns {Promise<Object>} - Saved match row
    */
-  async getStandings() {
-    return await this.executeWithRetry(
-      async () => {
-        const { data, error } = await this.getClient()
-          .from("team_standings")
-          .select("*")
-          .order("league_id", { ascending: true })
-          .order("points", { ascending: false })
-          .order("wins", { ascending: false })
-          .order("team_name", { ascending: true });
+  async recordMatchResult(match) {
+    try {
+      const matchData = {
+        home_team_id: match.homeTeamId,
+        away_team_id: match.awayTeamId,
+        league_id: match.leagueId,
+        match_date: match.matchDate,
+        season: match.season,
+        home_sets_won: match.homeSetsWon,
+        away_sets_won: match.awaySetsWon,
+        home_score: match.homePoints,
+        away_score: match.awayPoints,
+        set_scores: match.sets || [],
+        seed: match.seed ?? null,
+        status: "completed",
+      };
 
-        if (error) throw error;
-        return data || [];
-      },
-      "getStandings",
-      15000,
-      2
-    ); // 15 second timeout, 2 retries for standings
-  },
+      const query = match.matchId
+        ? this.getClient()
+            .from("matches")
+            .update(matchData)
+            .eq("id", match.matchId)
+            .eq("status", "scheduled")
+        : this.getClient().from("matches").insert([matchData]);
 
-  /**
-   * Get standings for a specific league
-   *
-   * @param {string} leagueName - League name to filter by
-   * @returns {Promise<Array>} - Array of team standings objects for the league
-   */
-  async getStandingsByLeague(leagueName) {
-    return await this.executeWithRetry(
-      async () => {
-        const { data, error } = await this.getClient()
-          .from("team_standings")
-          .select("*")
-          .eq("league_name", leagueName)
-          .order("points", { ascending: false })
-          .order("wins", { ascending: false })
-          .order("team_name", { ascending: true });
+      const { data, error } = await query.select().maybeSingle();
 
-        if (error) throw error;
-        return data || [];
-      },
-      `getStandingsByLeague(${leagueName})`,
-      12000,
-      2
+      if (error) throw error;
+      if (!data) {
+        throw new Error(`Match ${match.matchId} was already played`);
+      }
+
+      if (match.boxScore) {
+        await this.savePlayerMatchStats(
+          data.id,
+          match.homeTeamId,
+          match.boxScore.home
+        );
+        await this.savePlayerMatchStats(
+          data.id,
+          match.awayTeamId,
+          match.boxScore.away
+        );
+      }
+
+      this.invalidateStandingsCache();
+      this.invalidateTeamCache(match.homeTeamId);
+      this.invalidateTeamCache(match.awayTeamId);
+
+      console.log(
+        `Match ${data.id} recorded: ${match.homeSetsWon}-${match.awaySetsWon}`
+      );
+      return data;
+    } catch (error) {
+      console.error("Error recording match result:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Count the scheduled league fixtures of a season
+   *
+   * @param {string} season - Season (year)
+   * @returns {Promise<number>} - Number of generated fixtures
+   */
+  async getSeasonFixtureCount(season) {
+    try {
+      const { count, error } = await this.getClient()
+        .from("matches")
+        .select("id", { count: "exact", head: true })
+        .eq("season", season)
+        .not("round", "is", null);
+
+      if (error) throw error;
+      return count || 0;
+    } catch (error) {
+      console.error("Error counting season fixtures:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Insert the generated fixtures of a season
+   *
+   * The database checks that every league plays a double round-robin
+   * between its own teams. Only the first client to reach a season creates
+   * its fixtures; later calls insert nothing.
+   *
+   * @param {string} season - Season (year)
+   * @param {Array} fixtures - Fixture rows ({ home_team_id, away_team_id, league_id, match_date, round })
+   * @returns {Promise<Array>} - Inserted fixtures
+   */
+  async createSeasonFixtures(season, fixtures) {
+    try {
+      const { data, error } = await this.getClient().rpc(
+        "create_season_fixtures",
+        { season_param: season, fixtures }
+      );
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error("Error creating fixtures:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the IDs of the teams managed by a user
+   *
+   * Fixtures of these teams are only played by their managers; every other
+   * team is computer-controlled.
+   *
+   * @returns {Promise<Set>} - Team IDs
+   */
+  async getManagedTeamIds() {
+    try {
+      return await this.getCachedData("managed_team_ids", async () => {
+        const { data, error } = await this.getClient().rpc(
+          "get_managed_team_ids"
+        );
+
+        if (error) throw error;
+        return new Set(data || []);
+      });
+    } catch (error) {
+      console.error("Error fetching managed teams:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get all fixtures of a team in a season
+   *
+   * @param {number} teamId - Team ID
+   * @param {string} season - Season (year)
+   * @returns {Promise<Array>} - Fixtures with team names, ordered by date
+   */
+  async getTeamFixtures(teamId, season) {
+    try {
+      const { data, error } = await this.getClient()
+        .from("matches")
+        .select(
+          `
+          *,
+          home_team:teams!matches_home_team_id_fkey(team_name),
+          away_team:teams!matches_away_team_id_fkey(team_name)
+        `
+        )
+        .eq("season", season)
+        .not("round", "is", null)
+        .or(`home_team_id.eq.${teamId},away_team_id.eq.${teamId}`)
+        .order("match_date");
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error("Error fetching team fixtures:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the scheduled league fixtures of every league on a date
+   *
+   * @param {string} date - Match date (YYYY-MM-DD)
+   * @returns {Promise<Array>} - Fixtures still to play, with team names
+   */
+  async getFixturesByDate(date) {
+    try {
+      const { data, error } = await this.getClient()
+        .from("matches")
+        .select(
+          `
+          *,
+          home_team:teams!matches_home_team_id_fkey(team_name),
+          away_team:teams!matches_away_team_id_fkey(team_name)
+        `
+        )
+        .eq("match_date", date)
+        .eq("status", "scheduled")
+        .not("round", "is", null)
+        .order("league_id");
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error("Error fetching fixtures by date:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the date of the last league fixture of a season
+   *
+   * @param {string} season - Season (year)
+   * @returns {Promise<string|null>} - Last match date or null if unscheduled
+   */
+  async getSeasonLastFixtureDate(season) {
+    try {
+      const { data, error } = await this.getClient()
+        .from("matches")
+        .select("match_date")
+        .eq("season", season)
+        .not("round", "is", null)
+        .order("match_date", { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+      return data?.[0]?.match_date || null;
+    } catch (error) {
+      console.error("Error fetching last fixture date:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the date of a team's last completed match before a date
+   *
+   * @param {number} teamId - Team ID
+   * @param {string} beforeDate - Date (YYYY-MM-DD) the match must precede
+   * @returns {Promise<string|null>} - Match date or null if the team has not played
+   */
+  async getLastMatchDate(teamId, beforeDate) {
+    try {
+      const { data, error } = await this.getClient()
+        .from("matches")
+        .select("match_date")
+        .or(`home_team_id.eq.${teamId},away_team_id.eq.${teamId}`)
+        .eq("status", "completed")
+        .lt("match_date", beforeDate)
+        .order("match_date", { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+      return data?.[0]?.match_date || null;
+    } catch (error) {
+      console.error("Error fetching last match date:", error);
+      throw error;
+    }
+  },
+
+  // ==================== PLAYER STATISTICS OPERATIONS ====================
+
+  /**
+   * Save the box score of one team in a match
+   *
+   * Generated players that are not in the players table are skipped. A
+   * failure is logged but not thrown, since the match result itself is
+   * already saved.
+   *
+   * @param {number} matchId - Match ID
+   * @param {number} teamId - Team ID
+   * @param {Array} lines - Player statistic lines from the match engine
+   * @returns {Promise<Array>} - Saved player statistic rows
+   */
+  async savePlayerMatchStats(matchId, teamId, lines) {
+    try {
+      const rows = (lines || [])
+        .filter((line) => Number.isInteger(line.playerId))
+        .map((line) => ({
+          match_id: matchId,
+          player_id: line.playerId,
+          team_id: teamId,
+          kills: line.kills,
+          attack_errors: line.attackErrors,
+          attack_attempts: line.attackAttempts,
+          aces: line.aces,
+          service_errors: line.serviceErrors,
+          blocks: line.blocks,
+          digs: line.digs,
+          receptions: line.receptions,
+          reception_errors: line.receptionErrors,
+          reception_points: line.receptionPoints,
+          assists: line.assists,
+          rallies_played: line.ralliesPlayed || 0,
+        }));
+
+      if (rows.length === 0) {
+        return [];
+      }
+
+      const { data, error } = await this.getClient()
+        .from("player_match_stats")
+        .insert(rows)
+        .select();
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error("Error saving player match stats:", error);
+      return [];
+    }
+  },
+
+  /**
+   * Get the season totals of a player
+   *
+   * @param {number} playerId - Player ID
+   * @param {string} season - Season (year)
+   * @returns {Promise<Object>} - Season totals with attack efficiency and reception rating
+   */
+  async getPlayerSeasonStats(playerId, season) {
+    try {
+      const { data, error } = await this.getClient()
+        .from("player_match_stats")
+        .select("*, matches!inner(season)")
+        .eq("player_id", playerId)
+        .eq("matches.season", season);
+
+      if (error) throw error;
+
+      return this.sumPlayerMatchStats(data || []);
+    } catch (error) {
+      console.error("Error fetching player season stats:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the season totals of every player with match statistics
+   *
+   * The totals are added up by the player_season_stats view and read page
+   * by page, so no player is cut off by the row limit of the API. A player
+   * who changed teams during the season is listed with the team and league
+   * of their latest match.
+   *
+   * @param {string} season - Season (year)
+   * @returns {Promise<Array>} - Season totals with player, team and league information
+   */
+  async getSeasonPlayerStats(season) {
+    const pageSize = 1000;
+
+    try {
+      const rows = [];
+      for (let from = 0; ; from += pageSize) {
+        const { data, error } = await this.getClient()
+          .from("player_season_stats")
+          .select("*")
+          .eq("season", season)
+          .order("player_id")
+          .range(from, from + pageSize - 1);
+
+        if (error) throw error;
+
+        rows.push(...(data || []));
+        if (!data || data.length < pageSize) break;
+      }
+
+      return rows.map((row) => ({
+        playerId: row.player_id,
+        playerName: row.player_name || "Unknown Player",
+        position: row.position || null,
+        teamName: row.team_name || "Unknown Team",
+        leagueId: row.league_id ?? null,
+        leagueName: row.league_name || null,
+        ...this.addStatRatings({
+          matchesPlayed: row.matches_played,
+          kills: row.kills,
+          attackErrors: row.attack_errors,
+          attackAttempts: row.attack_attempts,
+          aces: row.aces,
+          serviceErrors: row.service_errors,
+          blocks: row.blocks,
+          digs: row.digs,
+          receptions: row.receptions,
+          receptionErrors: row.reception_errors,
+          receptionPoints: row.reception_points,
+          assists: row.assists,
+          ralliesPlayed: row.rallies_played,
+        }),
+      }));
+    } catch (error) {
+      console.error("Error fetching season player stats:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add up player match statistic rows
+   *
+   * @param {Array} rows - Rows of the player_match_stats table
+   * @returns {Object} - Totals with attack efficiency and reception rating
+   */
+  sumPlayerMatchStats(rows) {
+    const totals = rows.reduce(
+      (sum, row) => ({
+        matchesPlayed: sum.matchesPlayed + 1,
+        kills: sum.kills + row.kills,
+        attackErrors: sum.attackErrors + row.attack_errors,
+        attackAttempts: sum.attackAttempts + row.attack_attempts,
+        aces: sum.aces + row.aces,
+        serviceErrors: sum.serviceErrors + row.service_errors,
+        blocks: sum.blocks + row.blocks,
+        digs: sum.digs + row.digs,
+        receptions: sum.receptions + row.receptions,
+        receptionErrors: sum.receptionErrors + row.reception_errors,
+        receptionPoints: sum.receptionPoints + row.reception_points,
+        assists: sum.assists + row.assists,
+        ralliesPlayed: sum.ralliesPlayed + (row.rallies_played || 0),
+      }),
+      {
+        matchesPlayed: 0,
+        kills: 0,
+        attackErrors: 0,
+        attackAttempts: 0,
+        aces: 0,
+        serviceErrors: 0,
+        blocks: 0,
+        digs: 0,
+        receptions: 0,
+        receptionErrors: 0,
+        receptionPoints: 0,
+        assists: 0,
+        ralliesPlayed: 0,
+      }
+    );
+
+    return this.addStatRatings(totals);
+  },
+
+  /**
+   * Add attack efficiency and reception rating to statistic totals
+   *
+   * @param {Object} totals - Totals as returned by sumPlayerMatchStats
+   * @returns {Object} - Totals with attack efficiency and reception rating
+   */
+  addStatRatings(totals) {
+    return {
+      ...totals,
+      attackEfficiency: totals.attackAttempts
+        ? (totals.kills - totals.attackErrors) / totals.attackAttempts
+        : null,
+      receptionRating: totals.receptions
+        ? totals.receptionPoints / totals.receptions
+        : null,
+    };
+  },
+
+  /**
+   * Record a team's training session of a day
+   *
+   * A team trains once per day, so a session already recorded for the
+   * date is not recorded again.
+   *
+   * @param {number} teamId - Team ID
+   * @param {string} date - Date of the session (YYYY-MM-DD)
+   * @param {Object} session - Session ({ focus, intensity })
+   * @returns {Promise<boolean>} - True if the session was recorded, false if the team already trained that day
+   */
+  async startTrainingSession(teamId, date, session) {
+    try {
+      const { data, error } = await this.getClient()
+        .from("training_sessions")
+        .upsert(
+          {
+            team_id: teamId,
+            session_date: date,
+            focus: session.focus,
+            intensity: session.intensity,
+          },
+          { onConflict: "team_id,session_date", ignoreDuplicates: true }
+        )
+        .select();
+
+      if (error) throw error;
+      return (data || []).length > 0;
+    } catch (error) {
+      console.error("Error starting training session:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record stat changes of players
+   *
+   * @param {Array} changes - Stat changes ({ playerId, stat, oldValue, newValue, date, source })
+   * @returns {Promise<Array>} - Saved history rows
+   */
+  async recordStatChanges(changes) {
+    try {
+      if (!changes.length) {
+        return [];
+      }
+
+      const { data, error } = await this.getClient()
+        .from("player_stat_history")
+        .insert(
+          changes.map((change) => ({
+            player_id: change.playerId,
+            stat: change.stat,
+            old_value: change.oldValue,
+            new_value: change.newValue,
+            change_date: change.date,
+            source: change.source,
+          }))
+        )
+        .select();
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error("Error recording stat changes:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the latest stat changes of a player
+   *
+   * @param {number} playerId - Player ID
+   * @param {number} [limit] - Maximum number of changes
+   * @returns {Promise<Array>} - History rows, newest first
+   */
+  async getPlayerStatHistory(playerId, limit = 10) {
+    try {
+      const { data, error } = await this.getClient()
+        .from("player_stat_history")
+        .select("*")
+        .eq("player_id", playerId)
+        .order("change_date", { ascending: false })
+        .order("id", { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error("Error fetching player stat history:", error);
+      throw error;
+    }
+  },
+
+  // ==================== SEASON ROLLOVER OPERATIONS ====================
+
+  /**
+   * Roll over a season that ended
+   *
+   * The database develops, ages and retires every player in one
+   * transaction, records the development report and replaces the retired
+   * players of computer-controlled teams from their academies. Only the
+   * first call for a season rolls it over, and seasons without fixtures
+   * are skipped.
+   *
+   * @param {string} season - Season (year) that ended
+   * @returns {Promise<Object|null>} - Rollover summary ({ players, retired }) or null if nothing ran
+   */
+  async rollOverSeason(season) {
+    try {
+      const { data, error } = await this.getClient().rpc("roll_over_season", {
+        season_param: season,
+      });
+
+      if (error) throw error;
+
+      const summary = data?.[0];
+      if (!summary) {
+        return null;
+      }
+      this.clearCache();
+      return {
+        players: summary.players_developed,
+        retired: summary.players_retired,
+      };
+    } catch (error) {
+      console.error("Error rolling over season:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the end-of-season development report of a team
+   *
+   * @param {number} teamId - Team ID
+   * @param {string} season - Season (year) that ended
+   * @returns {Promise<Array>} - Report lines with player information, biggest risers first
+   */
+  async getSeasonDevelopmentReport(teamId, season) {
+    try {
+      const { data, error } = await this.getClient()
+        .from("player_season_development")
+        .select("*, players(player_name, position)")
+        .eq("team_id", teamId)
+        .eq("season", season);
+
+      if (error) throw error;
+
+      return (data || []).sort(
+        (a, b) =>
+          b.new_overall - b.old_overall - (a.new_overall - a.old_overall)
+      );
+    } catch (error) {
+      console.error("Error fetching season development report:", error);
+      throw error;
+    }
+  },
+
+  // ==================== INJURY OPERATIONS ====================
+
+  /**
+   * Apply the effects of a match to the players of one team
+   *
+   * The database checks that the user may play the match and applies its
+   * effects once per team, so teams of other managers and computer teams
+   * are updated too. Without a match ID (a friendly) only the user's own
+   * team can be updated. Injured players are out until their recovery
+   * date.
+   *
+   * @param {number} teamId - Team ID
+   * @param {number|null} matchId - ID of the completed match
+   * @param {Array} playerUpdates - New values ({ playerId, morale, form, experience, fatigue })
+   * @param {Array} injuries - Injuries ({ playerId, type, severity, date, recoveryDate })
+   * @returns {Promise<number>} - Number of players updated
+   */
+  async applyMatchEffects(teamId, matchId, playerUpdates, injuries) {
+    try {
+      const { data, error } = await this.getClient().rpc(
+        "apply_match_effects",
+        {
+          team_id_param: teamId,
+          match_id_param: matchId,
+          player_updates: playerUpdates.map(({ playerId, ...values }) => ({
+            player_id: playerId,
+            ...values,
+          })),
+          injuries: injuries.map((injury) => ({
+            player_id: injury.playerId,
+            injury_type: injury.type,
+            severity: injury.severity,
+            injury_date: injury.date,
+            recovery_date: injury.recoveryDate,
+          })),
+        }
+      );
+
+      if (error) throw error;
+      this.invalidateTeamCache(teamId);
+      return data || 0;
+    } catch (error) {
+      console.error("Error applying match effects:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record new injuries of a team's players
+   *
+   * The players' injured_until dates are left to the caller, who updates
+   * the injured players along with their other values.
+   *
+   * @param {number} teamId - Team ID
+   * @param {Array} injuries - Injuries ({ playerId, type, severity, date, recoveryDate, source })
+   * @returns {Promise<Array>} - Saved injury rows
+   */
+  async recordInjuries(teamId, injuries) {
+    try {
+      if (!injuries.length) {
+        return [];
+      }
+
+      const { data, error } = await this.getClient()
+        .from("player_injuries")
+        .insert(
+          injuries.map((injury) => ({
+            player_id: injury.playerId,
+            team_id: teamId,
+            injury_type: injury.type,
+            severity: injury.severity,
+            injury_date: injury.date,
+            recovery_date: injury.recoveryDate,
+            source: injury.source,
+          }))
+        )
+        .select();
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error("Error recording injuries:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the injury history of a team
+   *
+   * @param {number} teamId - Team ID
+   * @returns {Promise<Array>} - Injury rows with player information, latest first
+   */
+  async getTeamInjuries(teamId) {
+    try {
+      const { data, error } = await this.getClient()
+        .from("player_injuries")
+        .select("*, players(player_name, position)")
+        .eq("team_id", teamId)
+        .order("injury_date", { ascending: false })
+        .order("id", { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error("Error fetching team injuries:", error);
+      throw error;
+    }
+  },
+
+  // ==================== YOUTH ACADEMY OPERATIONS ====================
+
+  /**
+   * Get the teams whose academy took in a season
+   *
+   * @param {string} season - Season (year) of the intake
+   * @returns {Promise<Set>} - Team IDs
+   */
+  async getAcademyIntakeTeamIds(season) {
+    try {
+      const { data, error } = await this.getClient()
+        .from("youth_academy_intakes")
+        .select("team_id")
+        .eq("season", season);
+
+      if (error) throw error;
+      return new Set((data || []).map((intake) => intake.team_id));
+    } catch (error) {
+      console.error("Error fetching academy intakes:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Take a team's academy intake of a season with its prospects
+   *
+   * The intake row and the prospects are saved together, and only the
+   * first call for a team and season saves anything. Prospects of earlier
+   * intakes leave the academy. Users can take the intakes of their own
+   * team and of computer-controlled teams.
+   *
+   * @param {number} teamId - Team ID
+   * @param {string} season - Season (year) of the intake
+   * @param {Array} prospects - Prospects ({ player_name, position, age, country, overall, potential, stats })
+   * @returns {Promise<Array>} - Saved prospect rows, empty if the intake already ran
+   */
+  async takeAcademyIntake(teamId, season, prospects) {
+    try {
+      const { data, error } = await this.getClient().rpc(
+        "take_academy_intake",
+        {
+          team_id_param: teamId,
+          season_param: season,
+          prospects,
+        }
+      );
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error("Error taking academy intake:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the prospects in a team's academy
+   *
+   * @param {number} teamId - Team ID
+   * @returns {Promise<Array>} - Prospect rows, best potential first
+   */
+  async getYouthProspects(teamId) {
+    try {
+      const { data, error } = await this.getClient()
+        .from("youth_prospects")
+        .select("*")
+        .eq("team_id", teamId)
+        .order("potential", { ascending: false })
+        .order("id");
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error("Error fetching youth prospects:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a single academy prospect
+   *
+   * @param {number} id - Prospect ID
+   * @returns {Promise<Object|null>} - Prospect row or null
+   */
+  async getYouthProspectById(id) {
+    try {
+      const { data, error } = await this.getClient()
+        .from("youth_prospects")
+        .select("*")
+        .eq("id", id)
+        .single();
+
+      if (error && error.code !== "PGRST116") throw error;
+      return data;
+    } catch (error) {
+      console.error("Error fetching youth prospect:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a prospect from an academy
+   *
+   * @param {number} id - Prospect ID
+   * @returns {Promise<boolean>} - True if deletion is successful
+   */
+  async deleteYouthProspect(id) {
+    try {
+      const { error } = await this.getClient()
+        .from("youth_prospects")
+        .delete()
+        .eq("id", id);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error("Error deleting youth prospect:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Pay for an academy upgrade
+   *
+   * The database prices the upgrade and takes the money in the same
+   * transaction.
+   *
+   * @param {number} teamId - Team ID
+   * @returns {Promise<Object>} - Updated team object
+   */
+  async upgradeTeamAcademy(teamId) {
+    try {
+      const { data, error } = await this.getClient()
+        .rpc("upgrade_academy", { team_id_param: teamId })
+        .single();
+
+      if (error) throw error;
+      this.invalidateTeamCache(teamId);
+      return data;
+    } catch (error) {
+      console.error("Error upgrading team academy:", error);
+      throw error;
+    }
+  },
+
+  // ==================== SCOUTING OPERATIONS ====================
+
+  /**
+   * Get the scouts a team has out
+   *
+   * @param {number} teamId - Team ID
+   * @returns {Promise<Array>} - Scout assignment rows, oldest first
+   */
+  async getScoutAssignments(teamId) {
+    try {
+      const { data, error } = await this.getClient()
+        .from("scout_assignments")
+        .select("*")
+        .eq("team_id", teamId)
+        .order("id");
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error("Error fetching scout assignments:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Send a scout to a country or a league
+   *
+   * @param {Object} assignment - Assignment ({ team_id, target_type, target_value, assigned_date })
+   * @returns {Promise<Object>} - Saved assignment row
+   */
+  async addScoutAssignment(assignment) {
+    try {
+      const { data, error } = await this.getClient()
+        .from("scout_assignments")
+        .insert([assignment])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error("Error adding scout assignment:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Recall a scout
+   *
+   * @param {number} id - Assignment ID
+   * @returns {Promise<boolean>} - True if deletion is successful
+   */
+  async deleteScoutAssignment(id) {
+    try {
+      const { error } = await this.getClient()
+        .from("scout_assignments")
+        .delete()
+        .eq("id", id);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error("Error deleting scout assignment:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the scouting reports of a team
+   *
+   * @param {number} teamId - Team ID
+   * @returns {Promise<Array>} - Report rows ({ player_id, accuracy, last_scouted })
+   */
+  async getScoutingReports(teamId) {
+    try {
+      const { data, error } = await this.getClient()
+        .from("scouting_reports")
+        .select("player_id, accuracy, last_scouted")
+        .eq("team_id", teamId);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error("Error fetching scouting reports:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Let a team's scouts work on their reports for a day
+   *
+   * The database works out the accuracy each scout adds, so report
+   * accuracy can only grow through scouting. Each scout works once per
+   * day.
+   *
+   * @param {number} teamId - Team ID
+   * @param {string} date - Date of the scouting (YYYY-MM-DD)
+   * @returns {Promise<Array>} - Report rows that changed
+   */
+  async runDailyScouting(teamId, date) {
+    try {
+      const { data, error } = await this.getClient().rpc("run_daily_scouting", {
+        team_id_param: teamId,
+        date_param: date,
+      });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error("Error running daily scouting:", error);
+      throw error;
+    }
+  },
+
+  // ==================== STANDINGS OPERATIONS ====================
+
+  /**
+   * Get team standings for all leagues
+   *
+   * @param {string} season - Season (year)
+   * @returns {Promise<Array>} - Array of team standings objects
+   */
+  async getStandings(season) {
+    return await this.getCachedData(`standings_all_${season}`, () =>
+      this.executeWithRetry(
+        async () => {
+          const { data, error } = await this.getClient()
+            .from("team_standings")
+            .select("*")
+            .eq("season", season)
+            .order("league_id", { ascending: true })
+            .order("points", { ascending: false })
+            .order("wins", { ascending: false })
+            .order("team_name", { ascending: true });
+
+          if (error) throw error;
+          return data || [];
+        },
+        "getStandings",
+        15000,
+        2
+      )
+    ); // 15 second timeout, 2 retries for standings
+  },
+
+  /**
+   * Get standings for a specific league
+   *
+   * @param {string} leagueName - League name to filter by
+   * @param {string} season - Season (year)
+   * @returns {Promise<Array>} - Array of team standings objects for the league
+   */
+  async getStandingsByLeague(leagueName, season) {
+    return await this.getCachedData(
+      `standings_league_${leagueName}_${season}`,
+      () =>
+        this.executeWithRetry(
+          async () => {
+            const { data, error } = await this.getClient()
+              .from("team_standings")
+              .select("*")
+              .eq("league_name", leagueName)
+              .eq("season", season)
+              .order("points", { ascending: false })
+              .order("wins", { ascending: false })
+              .order("team_name", { ascending: true });
+
+            if (error) throw error;
+            return data || [];
+          },
+          `getStandingsByLeague(${leagueName}, ${season})`,
+          12000,
+          2
+        )
     );
   },
 
@@ -1281,14 +2516,16 @@ const DatabaseService = {
    * Get standings for a specific team
    *
    * @param {number} teamId - Team ID
+   * @param {string} season - Season (year)
    * @returns {Promise<Object|null>} - Team standings object or null
    */
-  async getTeamStandings(teamId) {
+  async getTeamStandings(teamId, season) {
     try {
       const { data, error } = await this.getClient()
         .from("team_standings")
         .select("*")
         .eq("team_id", teamId)
+        .eq("season", season)
         .single();
 
       if (error && error.code !== "PGRST116") throw error;
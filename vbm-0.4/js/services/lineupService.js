@@ -0,0 +1,459 @@
+/**
+ * Lineup Service - Saved squad selections of the user's team
+ *
+ * This module keeps the user's named lineups in memory so the squad page
+ * and the match simulation can read them without waiting on the database.
+ * One lineup is the team's default; each scheduled fixture can be given
+ * another one. A lineup left in the browser's local storage by an older
+ * version is imported once as the default.
+ *
+ * @fileoverview Named lineups of the user's team
+ * @author Spike Dynasty Team
+ * @version 0.4.0
+ */
+
+/**
+ * LineupService object
+ *
+ * Lineup rows keep their players in the stored shape of
+ * LineupBuilder.toStoredLineup.
+ */
+const LineupService = {
+  // Local storage key older versions saved the lineup under
+  LEGACY_STORAGE_KEY: "squadSelection",
+
+  // Longest lineup name
+  MAX_NAME_LENGTH: 40,
+
+  // Loaded state of the user's team
+  teamId: null,
+  lineups: [],
+  selectedId: null,
+  fixtureLineups: new Map(),
+
+  /**
+   * Load the lineups and fixture choices of the user's team
+   *
+   * @returns {Promise<Array>} - Lineup rows
+   */
+  async loadLineups() {
+    try {
+      const userTeam = window.AuthService?.getUserTeam();
+      if (!userTeam || !window.DatabaseService?.isInitialized) {
+        this.teamId = null;
+        this.lineups = [];
+        this.selectedId = null;
+        this.fixtureLineups = new Map();
+        return [];
+      }
+
+      let [lineups, fixtureLineups] = await Promise.all([
+        window.DatabaseService.getTeamLineups(userTeam.id),
+        window.DatabaseService.getFixtureLineups(userTeam.id),
+      ]);
+      if (lineups.length === 0) {
+        const imported = await this.importLegacyLineup(userTeam.id);
+        lineups = imported ? [imported] : [];
+      }
+
+      this.teamId = userTeam.id;
+      this.lineups = lineups;
+      this.fixtureLineups = new Map(
+        fixtureLineups.map((row) => [row.match_id, row.lineup_id])
+      );
+      if (!this.findLineup(this.selectedId)) {
+        this.selectedId = this.getDefaultLineup()?.id ?? null;
+      }
+      return this.lineups;
+    } catch (error) {
+      console.error("Error loading lineups:", error);
+      return [];
+    }
+  },
+
+  /**
+   * Get the loaded lineups of the user's team
+   *
+   * @returns {Array} - Lineup rows, oldest first
+   */
+  getLineups() {
+    return this.isLoadedForUserTeam() ? this.lineups : [];
+  },
+
+  /**
+   * Get the default lineup of the user's team
+   *
+   * @returns {Object|null} - Lineup row or null if none saved
+   */
+  getDefaultLineup() {
+    return this.lineups.find((lineup) => lineup.is_default) || null;
+  },
+
+  /**
+   * Get the lineup being edited on the squad page
+   *
+   * @returns {Object|null} - Lineup row or null if none saved
+   */
+  getSelectedLineup() {
+    return this.isLoadedForUserTeam() ? this.findLineup(this.selectedId) : null;
+  },
+
+  /**
+   * Get the lineup the user's team plays with
+   *
+   * @param {number|null} [matchId] - Fixture (match) ID, the default lineup without one
+   * @returns {Object|null} - Stored lineup or null if none saved
+   */
+  getLineup(matchId = null) {
+    if (!this.isLoadedForUserTeam()) {
+      return null;
+    }
+
+    const lineup =
+      this.findLineup(this.fixtureLineups.get(matchId)) ||
+      this.getDefaultLineup();
+    return lineup ? window.LineupBuilder.toStoredLineup(lineup) : null;
+  },
+
+  /**
+   * Get the lineup chosen for a fixture
+   *
+   * @param {number} matchId - Fixture (match) ID
+   * @returns {number|null} - Lineup ID or null if the default is played
+   */
+  getFixtureLineupId(matchId) {
+    const lineupId = this.fixtureLineups.get(matchId);
+    return this.findLineup(lineupId) ? lineupId : null;
+  },
+
+  /**
+   * Choose the lineup being edited on the squad page
+   *
+   * @param {number} lineupId - Lineup ID
+   * @returns {Object|null} - Lineup row or null if not found
+   */
+  selectLineup(lineupId) {
+    const lineup = this.findLineup(lineupId);
+    if (lineup) {
+      this.selectedId = lineup.id;
+    }
+    return lineup;
+  },
+
+  /**
+   * Save the players of the lineup being edited
+   *
+   * The team's first lineup is created as the default.
+   *
+   * @param {Object} lineup - Lineup ({ starting, bench })
+   * @returns {Promise<void>}
+   */
+  async saveLineup(lineup) {
+    try {
+      const stored = window.LineupBuilder.toStoredLineup(lineup);
+      const selected = this.getSelectedLineup();
+
+      if (!selected) {
+        await this.createLineup(
+          window.LineupBuilder.DEFAULT_LINEUP_NAME,
+          stored
+        );
+        return;
+      }
+
+      const row = await window.DatabaseService.saveTeamLineup(
+        selected.id,
+        stored
+      );
+      this.replaceLineup(row);
+    } catch (error) {
+      console.error("Error saving lineup:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Empty the lineup being edited
+   *
+   * @returns {Promise<void>}
+   */
+  async clearLineup() {
+    try {
+      const selected = this.getSelectedLineup();
+      if (!selected) {
+        return;
+      }
+
+      const row = await window.DatabaseService.saveTeamLineup(
+        selected.id,
+        window.LineupBuilder.createEmptyLineup()
+      );
+      this.replaceLineup(row);
+    } catch (error) {
+      console.error("Error clearing lineup:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a named lineup and start editing it
+   *
+   * @param {string} name - Lineup name
+   * @param {Object} [lineup] - Players of the lineup, empty by default
+   * @returns {Promise<Object>} - Created lineup row
+   */
+  async createLineup(name, lineup = window.LineupBuilder.createEmptyLineup()) {
+    try {
+      const userTeam = window.AuthService?.getUserTeam();
+      if (!userTeam) {
+        throw new Error("No team assigned to your account");
+      }
+
+      const row = await this.withUniqueName(name, (lineupName) =>
+        window.DatabaseService.createTeamLineup(
+          userTeam.id,
+          lineupName,
+          window.LineupBuilder.toStoredLineup(lineup),
+          this.getLineups().length === 0
+        )
+      );
+
+      this.teamId = userTeam.id;
+      this.lineups = [...this.getLineups(), row];
+      this.selectedId = row.id;
+      return row;
+    } catch (error) {
+      console.error("Error creating lineup:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Copy a lineup under a new name and start editing the copy
+   *
+   * @param {number} lineupId - Lineup ID to copy
+   * @param {string} name - Name of the copy
+   * @returns {Promise<Object>} - Created lineup row
+   */
+  async duplicateLineup(lineupId, name) {
+    const lineup = this.findLineup(lineupId);
+    if (!lineup) {
+      throw new Error("Lineup not found");
+    }
+    return this.createLineup(name, lineup);
+  },
+
+  /**
+   * Rename a lineup
+   *
+   * @param {number} lineupId - Lineup ID
+   * @param {string} name - New name
+   * @returns {Promise<Object>} - Updated lineup row
+   */
+  async renameLineup(lineupId, name) {
+    try {
+      const row = await this.withUniqueName(name, (lineupName) =>
+        window.DatabaseService.renameTeamLineup(lineupId, lineupName)
+      );
+      this.replaceLineup(row);
+      return row;
+    } catch (error) {
+      console.error("Error renaming lineup:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a lineup
+   *
+   * The last lineup cannot be deleted. When the default goes, the database
+   * makes the oldest remaining lineup the default in the same call;
+   * fixtures that were to be played with the deleted lineup go back to the
+   * default.
+   *
+   * @param {number} lineupId - Lineup ID
+   * @returns {Promise<void>}
+   */
+  async deleteLineup(lineupId) {
+    try {
+      const lineup = this.findLineup(lineupId);
+      if (!lineup) {
+        throw new Error("Lineup not found");
+      }
+      if (this.lineups.length === 1) {
+        throw new Error("Your team needs at least one lineup");
+      }
+
+      const defaultId = await window.DatabaseService.deleteTeamLineup(lineupId);
+      this.lineups = this.lineups
+        .filter((row) => row.id !== lineupId)
+        .map((row) =>
+          defaultId === null
+            ? row
+            : { ...row, is_default: row.id === defaultId }
+        );
+      this.fixtureLineups.forEach((id, matchId) => {
+        if (id === lineupId) {
+          this.fixtureLineups.delete(matchId);
+        }
+      });
+
+      if (this.selectedId === lineupId) {
+        this.selectedId = this.getDefaultLineup()?.id ?? null;
+      }
+    } catch (error) {
+      console.error("Error deleting lineup:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Make a lineup the team's default
+   *
+   * @param {number} lineupId - Lineup ID
+   * @returns {Promise<void>}
+   */
+  async setDefaultLineup(lineupId) {
+    try {
+      await window.DatabaseService.setDefaultTeamLineup(this.teamId, lineupId);
+      this.lineups = this.lineups.map((row) => ({
+        ...row,
+        is_default: row.id === lineupId,
+      }));
+    } catch (error) {
+      console.error("Error setting default lineup:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Choose the lineup the user's team plays a fixture with
+   *
+   * @param {number} matchId - Fixture (match) ID
+   * @param {number|null} lineupId - Lineup ID, null to play the default
+   * @returns {Promise<void>}
+   */
+  async setFixtureLineup(matchId, lineupId) {
+    try {
+      await window.DatabaseService.setFixtureLineup(
+        matchId,
+        this.teamId,
+        lineupId
+      );
+      if (lineupId === null) {
+        this.fixtureLineups.delete(matchId);
+      } else {
+        this.fixtureLineups.set(matchId, lineupId);
+      }
+    } catch (error) {
+      console.error("Error setting fixture lineup:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Move a lineup saved in local storage to the database
+   *
+   * Only players of the team are kept, so a lineup another user left on
+   * the same browser is never imported into the wrong team. The local
+   * copy is removed once it has been imported.
+   *
+   * @param {number} teamId - Team ID
+   * @returns {Promise<Object|null>} - Created default lineup row or null if nothing was imported
+   */
+  async importLegacyLineup(teamId) {
+    try {
+      const saved = localStorage.getItem(this.LEGACY_STORAGE_KEY);
+      if (!saved) {
+        return null;
+      }
+
+      const players = await window.DatabaseService.getPlayersByTeam(teamId);
+      const lineup = window.LineupBuilder.resolveLineup(
+        window.LineupBuilder.toStoredLineup(JSON.parse(saved)),
+        players
+      );
+      if (!lineup) {
+        return null;
+      }
+
+      const row = await window.DatabaseService.createTeamLineup(
+        teamId,
+        window.LineupBuilder.DEFAULT_LINEUP_NAME,
+        window.LineupBuilder.toStoredLineup(lineup),
+        true
+      );
+      localStorage.removeItem(this.LEGACY_STORAGE_KEY);
+      console.log("Imported the lineup saved in this browser");
+      return row;
+    } catch (error) {
+      console.error("Error importing saved lineup:", error);
+      return null;
+    }
+  },
+
+  /**
+   * Run a save that sets a lineup name, with a readable error for a
+   * name the team already uses
+   *
+   * @param {string} name - Lineup name
+   * @param {Function} save - Function saving the trimmed name, returns the row
+   * @returns {Promise<Object>} - Saved lineup row
+   */
+  async withUniqueName(name, save) {
+    const lineupName = (name || "").trim();
+    if (!lineupName) {
+      throw new Error("Please enter a lineup name");
+    }
+    if (lineupName.length > this.MAX_NAME_LENGTH) {
+      throw new Error(
+        `Lineup names can be at most ${this.MAX_NAME_LENGTH} characters`
+      );
+    }
+
+    try {
+      return await save(lineupName);
+    } catch (error) {
+      // Unique violation: the team already has a lineup with this name
+      if (error.code === "23505") {
+        throw new Error(`You already have a lineup named "${lineupName}"`);
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Find a loaded lineup by ID
+   *
+   * @param {number} lineupId - Lineup ID
+   * @returns {Object|null} - Lineup row or null if not found
+   */
+  findLineup(lineupId) {
+    return this.lineups.find((lineup) => lineup.id === lineupId) || null;
+  },
+
+  /**
+   * Replace a loaded lineup with its saved row
+   *
+   * @param {Object} row - Saved lineup row
+   * @returns {void}
+   */
+  replaceLineup(row) {
+    this.lineups = this.lineups.map((lineup) =>
+      lineup.id === row.id ? row : lineup
+    );
+  },
+
+  /**
+   * Check whether the loaded lineups belong to the user's current team
+   *
+   * @returns {boolean}
+   */
+  isLoadedForUserTeam() {
+    const userTeam = window.AuthService?.getUserTeam();
+    return Boolean(userTeam) && userTeam.id === this.teamId;
+  },
+};
+
+// Export to global scope
+window.LineupService = LineupService;
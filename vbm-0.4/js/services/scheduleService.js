@@ -0,0 +1,199 @@
+/**
+ * Schedule Service - League fixture generation
+ *
+ * This module builds the season schedule for every league. Each league
+ * plays a double round-robin (every team meets every other team home and
+ * away), with the rounds spread over the season and stored as scheduled
+ * rows in the matches table.
+ *
+ * @fileoverview League fixture generator
+ * @author Spike Dynasty Team
+ * @version 0.4.0
+ */
+
+/**
+ * ScheduleService object
+ *
+ * This object generates and stores league fixtures through the
+ * DatabaseService.
+ */
+const ScheduleService = {
+  // Season calendar (a season runs within one calendar year)
+  SEASON_START: { month: 1, day: 15 },
+  SEASON_END: { month: 12, day: 15 },
+
+  // Fewest days between two rounds
+  MIN_DAYS_BETWEEN_ROUNDS: 3,
+
+  /**
+   * Make sure the schedule of a season exists
+   *
+   * The schedule is only generated once per season; later calls do nothing.
+   *
+   * @param {string} season - Season (year) to schedule
+   * @returns {Promise<boolean>} - True if a new schedule was generated
+   */
+  async ensureSeasonSchedule(season) {
+    try {
+      const fixtureCount =
+        await window.DatabaseService.getSeasonFixtureCount(season);
+      if (fixtureCount > 0) {
+        console.log(
+          `Season ${season} already scheduled (${fixtureCount} fixtures)`
+        );
+        return false;
+      }
+
+      await this.generateSeasonSchedule(season);
+      return true;
+    } catch (error) {
+      console.error("Error ensuring season schedule:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Generate and store the schedule of a season for every league
+   *
+   * @param {string} season - Season (year) to schedule
+   * @returns {Promise<Array>} - Inserted fixtures
+   */
+  async generateSeasonSchedule(season) {
+    try {
+      console.log(`Generating schedule for season ${season}...`);
+
+      const leagues = await window.DatabaseService.getLeagues();
+      const fixtures = [];
+
+      for (const league of leagues) {
+        const teams = await window.DatabaseService.getTeamsByLeague(league.id);
+        fixtures.push(...this.buildLeagueFixtures(league.id, teams, season));
+      }
+
+      if (fixtures.length === 0) {
+        console.log("No fixtures to schedule");
+        return [];
+      }
+
+      const inserted = await window.DatabaseService.createSeasonFixtures(
+        season,
+        fixtures
+      );
+      console.log(
+        `Scheduled ${inserted.length} fixtures across ${leagues.length} leagues`
+      );
+      return inserted;
+    } catch (error) {
+      console.error("Error generating season schedule:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Build the fixture rows of one league
+   *
+   * @param {number} leagueId - League ID
+   * @param {Array} teams - Teams of the league
+   * @param {string} season - Season (year)
+   * @returns {Array} - Fixture rows ready to insert into matches
+   */
+  buildLeagueFixtures(leagueId, teams, season) {
+    const rounds = this.buildDoubleRoundRobin(teams.map((team) => team.id));
+    const roundDates = this.getRoundDates(season, rounds.length);
+
+    return rounds.flatMap((pairs, roundIndex) =>
+      pairs.map(([homeTeamId, awayTeamId]) => ({
+        home_team_id: homeTeamId,
+        away_team_id: awayTeamId,
+        league_id: leagueId,
+        match_date: roundDates[roundIndex],
+        season,
+        round: roundIndex + 1,
+        status: "scheduled",
+      }))
+    );
+  },
+
+  /**
+   * Build a double round-robin with the circle method
+   *
+   * The first half has every pairing once; the second half repeats it with
+   * home and away swapped. With an odd number of teams one team rests
+   * each round.
+   *
+   * @param {Array} teamIds - Team IDs
+   * @returns {Array} - Rounds, each a list of [homeTeamId, awayTeamId] pairs
+   */
+  buildDoubleRoundRobin(teamIds) {
+    if (teamIds.length < 2) {
+      return [];
+    }
+
+    const slots = [...teamIds];
+    if (slots.length % 2 === 1) {
+      slots.push(null); // Bye
+    }
+
+    const firstHalf = [];
+    for (let round = 0; round < slots.length - 1; round++) {
+      const pairs = [];
+      for (let i = 0; i < slots.length / 2; i++) {
+        const teamA = slots[i];
+        const teamB = slots[slots.length - 1 - i];
+        if (teamA === null || teamB === null) {
+          continue;
+        }
+
+        // Alternate home games of the fixed team, keep the others balanced
+        const swap = i === 0 ? round % 2 === 1 : i % 2 === 1;
+        pairs.push(swap ? [teamB, teamA] : [teamA, teamB]);
+      }
+      firstHalf.push(pairs);
+
+      // Rotate every slot except the first
+      slots.splice(1, 0, slots.pop());
+    }
+
+    const secondHalf = firstHalf.map((pairs) =>
+      pairs.map(([home, away]) => [away, home])
+    );
+
+    return [...firstHalf, ...secondHalf];
+  },
+
+  /**
+   * Spread the rounds of a season evenly over the season calendar
+   *
+   * The first round is played at the start of the season and the last at
+   * its end, unless there are so many rounds that they need to be closer
+   * than MIN_DAYS_BETWEEN_ROUNDS.
+   *
+   * @param {string} season - Season (year)
+   * @param {number} roundCount - Number of rounds
+   * @returns {Array} - Date of each round (YYYY-MM-DD)
+   */
+  getRoundDates(season, roundCount) {
+    const year = parseInt(season);
+    const start = Date.UTC(
+      year,
+      this.SEASON_START.month - 1,
+      this.SEASON_START.day
+    );
+    const end = Date.UTC(year, this.SEASON_END.month - 1, this.SEASON_END.day);
+    const seasonDays = Math.floor((end - start) / 86400000);
+
+    const interval = Math.max(
+      this.MIN_DAYS_BETWEEN_ROUNDS,
+      seasonDays / Math.max(1, roundCount - 1)
+    );
+
+    return Array.from({ length: roundCount }, (_, round) =>
+      new Date(start + Math.round(round * interval) * 86400000)
+        .toISOString()
+        .slice(0, 10)
+    );
+  },
+};
+
+// Export to global scope
+window.ScheduleService = ScheduleService;
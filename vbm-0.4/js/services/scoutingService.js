@@ -0,0 +1,187 @@
+/**
+ * Scouting Service - Scouts and scouting reports of the user's team
+ *
+ * This module keeps the user's scouting reports in memory so player cards
+ * and modals can show estimated ratings without waiting on the database.
+ * Scouts are sent to a country or a league and build up the reports on
+ * its players every day.
+ *
+ * @fileoverview Scouting of players outside the user's team
+ * @author Spike Dynasty Team
+ * @version 0.4.0
+ */
+
+/**
+ * ScoutingService object
+ *
+ * This object applies ScoutingSystem through the DatabaseService.
+ */
+const ScoutingService = {
+  // Loaded state of the user's team
+  teamId: null,
+  reports: new Map(),
+  assignments: [],
+
+  /**
+   * Load the scouts and reports of the user's team
+   *
+   * @returns {Promise<void>}
+   */
+  async loadReports() {
+    try {
+      const userTeam = window.AuthService?.getUserTeam();
+      if (!userTeam || !window.DatabaseService?.isInitialized) {
+        this.teamId = null;
+        this.reports = new Map();
+        this.assignments = [];
+        return;
+      }
+
+      const [reports, assignments] = await Promise.all([
+        window.DatabaseService.getScoutingReports(userTeam.id),
+        window.DatabaseService.getScoutAssignments(userTeam.id),
+      ]);
+
+      this.teamId = userTeam.id;
+      this.reports = new Map(
+        reports.map((report) => [report.player_id, report.accuracy])
+      );
+      this.assignments = assignments;
+    } catch (error) {
+      console.error("Error loading scouting reports:", error);
+    }
+  },
+
+  /**
+   * Get how well the user's team knows a player
+   *
+   * Players of the user's own team are always fully known.
+   *
+   * @param {Object} player - Player row
+   * @returns {number} - Report accuracy (0-100)
+   */
+  getAccuracy(player) {
+    const userTeam = window.AuthService?.getUserTeam();
+    if (userTeam && player.team_id === userTeam.id) {
+      return window.ScoutingSystem.MAX_ACCURACY;
+    }
+    return this.reports.get(player.id) || 0;
+  },
+
+  /**
+   * Get the estimated ratings of a player for the user's team
+   *
+   * @param {Object} player - Player row
+   * @returns {Object} - Estimate (see ScoutingSystem.getEstimate)
+   */
+  getEstimate(player) {
+    return window.ScoutingSystem.getEstimate(
+      player,
+      this.getAccuracy(player),
+      this.teamId ?? window.AuthService?.getUserTeam()?.id
+    );
+  },
+
+  /**
+   * Send a scout of the user's team to a country or a league
+   *
+   * @param {string} targetType - "country" or "league"
+   * @param {string} targetValue - Country name or league ID
+   * @param {string} date - Current date (YYYY-MM-DD)
+   * @returns {Promise<Object>} - Saved assignment row
+   */
+  async assignScout(targetType, targetValue, date) {
+    try {
+      const userTeam = window.AuthService?.getUserTeam();
+      if (!userTeam) {
+        throw new Error("No team assigned to your account");
+      }
+      if (this.assignments.length >= window.ScoutingSystem.MAX_SCOUTS) {
+        throw new Error(
+          `All ${window.ScoutingSystem.MAX_SCOUTS} scouts are already out`
+        );
+      }
+
+      let assignment;
+      try {
+        assignment = await window.DatabaseService.addScoutAssignment({
+          team_id: userTeam.id,
+          target_type: targetType,
+          target_value: String(targetValue),
+          assigned_date: date,
+        });
+      } catch (error) {
+        // Unique violation: a scout already watches this target
+        if (error.code === "23505") {
+          throw new Error("A scout is already watching this target");
+        }
+        throw error;
+      }
+
+      this.assignments.push(assignment);
+      return assignment;
+    } catch (error) {
+      console.error("Error assigning scout:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Recall a scout of the user's team
+   *
+   * The reports the scout wrote are kept.
+   *
+   * @param {number} assignmentId - Assignment ID
+   * @returns {Promise<void>}
+   */
+  async recallScout(assignmentId) {
+    try {
+      await window.DatabaseService.deleteScoutAssignment(assignmentId);
+      this.assignments = this.assignments.filter(
+        (assignment) => assignment.id !== assignmentId
+      );
+    } catch (error) {
+      console.error("Error recalling scout:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Let the user's scouts work for a day
+   *
+   * Each scout adds accuracy to the reports on every player of the
+   * target; a player watched by several scouts gains from each. The
+   * database works out the gains and returns the reports that changed. A
+   * failed day is logged and skipped so the day can still end.
+   *
+   * @param {string} date - Date of the scouting (YYYY-MM-DD)
+   * @returns {Promise<Object|null>} - Day summary ({ scouted, completed }) or null if no scout is out
+   */
+  async runDailyScouting(date) {
+    try {
+      const userTeam = window.AuthService?.getUserTeam();
+      if (!userTeam || this.assignments.length === 0) {
+        return null;
+      }
+
+      const reports = await window.DatabaseService.runDailyScouting(
+        userTeam.id,
+        date
+      );
+      const completed = reports.filter(
+        (report) => report.accuracy >= window.ScoutingSystem.MAX_ACCURACY
+      ).length;
+      reports.forEach((report) =>
+        this.reports.set(report.player_id, report.accuracy)
+      );
+
+      return { scouted: reports.length, completed };
+    } catch (error) {
+      console.error("Error running daily scouting:", error);
+      return null;
+    }
+  },
+};
+
+// Export to global scope
+window.ScoutingService = ScoutingService;
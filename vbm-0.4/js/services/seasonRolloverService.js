@@ -0,0 +1,52 @@
+/**
+ * Season Rollover Service - End-of-season player development
+ *
+ * This module runs the rollover of a season when the next one starts:
+ * every player gets a year older, develops or declines according to their
+ * age, potential and playing time, and the oldest players may retire.
+ * Each player's development is stored for the end-of-season report.
+ *
+ * @fileoverview Season rollover of players
+ * @author Spike Dynasty Team
+ * @version 0.4.0
+ */
+
+/**
+ * SeasonRolloverService object
+ *
+ * The development rules run in the database (roll_over_season), so every
+ * team's players are only ever written there.
+ */
+const SeasonRolloverService = {
+  /**
+   * Make sure a finished season was rolled over
+   *
+   * The rollover only runs once per season, for the first client that
+   * reaches the new season; later calls do nothing. Seasons without
+   * fixtures are skipped. A failed rollover changes nothing and runs again
+   * on the next call.
+   *
+   * @param {string} season - Season (year) that ended
+   * @returns {Promise<Object|null>} - Rollover summary ({ season, players, retired }) or null if nothing ran
+   */
+  async ensureSeasonRollover(season) {
+    try {
+      const summary = await window.DatabaseService.rollOverSeason(season);
+      if (!summary) {
+        console.log(`Season ${season} already rolled over`);
+        return null;
+      }
+
+      console.log(
+        `Rolled over ${summary.players} players (${summary.retired} retired)`
+      );
+      return { season, ...summary };
+    } catch (error) {
+      console.error("Error ensuring season rollover:", error);
+      throw error;
+    }
+  },
+};
+
+// Export to global scope
+window.SeasonRolloverService = SeasonRolloverService;
@@ -0,0 +1,212 @@
+/**
+ * Youth Academy Service - Prospects of the youth academies
+ *
+ * This module brings in the season's academy prospects of every team the
+ * user runs and lets the manager promote a prospect to the senior squad,
+ * release them or spend team money on a better academy.
+ *
+ * @fileoverview Youth academies of the user's and computer teams
+ * @author Spike Dynasty Team
+ * @version 0.4.0
+ */
+
+/**
+ * YouthAcademyService object
+ *
+ * This object applies YouthAcademySystem through the DatabaseService.
+ */
+const YouthAcademyService = {
+  // Contract of a promoted prospect
+  PROMOTED_CONTRACT_YEARS: 3,
+  PROMOTED_MONTHLY_WAGE: 1000,
+
+  /**
+   * Make sure every academy the user runs took in a season's prospects
+   *
+   * The user runs the academy of their own team and those of
+   * computer-controlled teams; academies of teams other users manage are
+   * left to their managers.
+   *
+   * @param {number} userTeamId - User's team ID
+   * @param {string} season - Season (year) of the intake
+   * @returns {Promise<Array|null>} - New prospects of the user's team or null if its intake already ran
+   */
+  async ensureSeasonIntakes(userTeamId, season) {
+    try {
+      const [teams, managedTeamIds, takenTeamIds] = await Promise.all([
+        window.DatabaseService.getTeams(),
+        window.DatabaseService.getManagedTeamIds(),
+        window.DatabaseService.getAcademyIntakeTeamIds(season),
+      ]);
+
+      let userProspects = null;
+      for (const team of teams) {
+        const runsAcademy =
+          team.id === userTeamId || !managedTeamIds.has(team.id);
+        if (!runsAcademy || takenTeamIds.has(team.id)) {
+          continue;
+        }
+
+        const prospects = await this.ensureSeasonIntake(team, season);
+        if (team.id === userTeamId) {
+          userProspects = prospects;
+        }
+      }
+      return userProspects;
+    } catch (error) {
+      console.error("Error ensuring academy intakes:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Make sure a team's academy took in the prospects of a season
+   *
+   * The intake only runs once per team and season; later calls do
+   * nothing. Prospects of earlier seasons who were neither promoted nor
+   * released leave the academy.
+   *
+   * @param {Object} team - Team row
+   * @param {string} season - Season (year) of the intake
+   * @returns {Promise<Array|null>} - New prospect rows or null if nothing ran
+   */
+  async ensureSeasonIntake(team, season) {
+    try {
+      const players = await window.DatabaseService.getPlayersByTeam(team.id);
+      const prospects = window.YouthAcademySystem.generateIntake(
+        team.academy_quality,
+        window.RandomGenerator.create(),
+        window.LineupBuilder.getTeamCountry(players)
+      );
+
+      const saved = await window.DatabaseService.takeAcademyIntake(
+        team.id,
+        season,
+        prospects
+      );
+      if (saved.length === 0) {
+        return null;
+      }
+
+      console.log(
+        `Academy of team ${team.id} took in ${saved.length} prospects for season ${season}`
+      );
+      return saved;
+    } catch (error) {
+      console.error("Error ensuring academy intake:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Move a prospect to the senior squad of their team
+   *
+   * The prospect gets the lowest jersey number nobody in the squad wears.
+   *
+   * @param {number} prospectId - Prospect ID
+   * @returns {Promise<Object>} - New player row
+   */
+  async promoteProspect(prospectId) {
+    try {
+      const prospect =
+        await window.DatabaseService.getYouthProspectById(prospectId);
+      if (!prospect) {
+        throw new Error("Prospect not found");
+      }
+
+      const players = await window.DatabaseService.getPlayersByTeam(
+        prospect.team_id
+      );
+      const jerseyNumber =
+        window.YouthAcademySystem.getFreeJerseyNumber(players);
+      if (jerseyNumber === null) {
+        throw new Error("No free jersey number left in the squad");
+      }
+
+      let player;
+      try {
+        player = await window.DatabaseService.addPlayer({
+          ...prospect.stats,
+          player_name: prospect.player_name,
+          position: prospect.position,
+          age: prospect.age,
+          country: prospect.country,
+          overall: prospect.overall,
+          potential: prospect.potential,
+          team_id: prospect.team_id,
+          jersey_number: jerseyNumber,
+          contract_years: this.PROMOTED_CONTRACT_YEARS,
+          monthly_wage: this.PROMOTED_MONTHLY_WAGE,
+        });
+      } catch (error) {
+        // Unique violation: the number was taken since the squad was read
+        if (error.code === "23505") {
+          throw new Error(
+            `Jersey number ${jerseyNumber} was just taken, please try again`
+          );
+        }
+        throw error;
+      }
+
+      await window.DatabaseService.deleteYouthProspect(prospect.id);
+      window.DatabaseService.invalidateTeamCache(prospect.team_id);
+      return player;
+    } catch (error) {
+      console.error("Error promoting prospect:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Release a prospect from the academy
+   *
+   * @param {number} prospectId - Prospect ID
+   * @returns {Promise<boolean>} - True if the prospect was released
+   */
+  async releaseProspect(prospectId) {
+    try {
+      return await window.DatabaseService.deleteYouthProspect(prospectId);
+    } catch (error) {
+      console.error("Error releasing prospect:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Spend team money on the next academy quality level
+   *
+   * The price is checked here for a clear message; the database checks it
+   * again when it takes the money.
+   *
+   * @param {number} teamId - Team ID
+   * @returns {Promise<Object>} - Updated team object
+   */
+  async upgradeAcademy(teamId) {
+    try {
+      const team = await window.DatabaseService.getTeamById(teamId);
+      if (!team) {
+        throw new Error("Team not found");
+      }
+
+      const cost = window.YouthAcademySystem.getUpgradeCost(
+        team.academy_quality
+      );
+      if (cost === null) {
+        throw new Error("The academy is already at its best");
+      }
+      if (team.team_money < cost) {
+        throw new Error(
+          `Not enough money: the upgrade costs $${cost.toLocaleString()}`
+        );
+      }
+
+      return await window.DatabaseService.upgradeTeamAcademy(teamId);
+    } catch (error) {
+      console.error("Error upgrading academy:", error);
+      throw error;
+    }
+  },
+};
+
+// Export to global scope
+window.YouthAcademyService = YouthAcademyService;
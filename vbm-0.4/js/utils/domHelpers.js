@@ -52,8 +52,17 @@ function showPage(pageId) {
     window.Standings.initialize().catch((error) => {
       console.error("Error initializing standings:", error);
     });
+  } else if (pageId === "leaderboards") {
+    window.Leaderboards.initialize();
+  } else if (pageId === "youth-academy") {
+    window.YouthAcademy.initialize();
   } else if (pageId === "transfer-market") {
     window.TransferMarket.initialize();
+  } else if (pageId === "match-simulation") {
+    // Handle async initialization for match simulation
+    window.MatchSimulation.initialize().catch((error) => {
+      console.error("Error initializing match simulation:", error);
+    });
   }
 
   // Close mobile menu if open (for responsive design)
@@ -145,6 +154,23 @@ function getPositionAbbrev(position) {
   return abbrevMap[position] || position.substring(0, 2).toUpperCase();
 }
 
+/**
+ * Get the flag image path for a country
+ *
+ * This function builds the path of a country flag from the flags folder,
+ * which names its images after the country.
+ *
+ * @param {string} country - Country name (e.g., 'Brazil')
+ * @returns {string|null} - Flag image path or null if no country
+ */
+function getFlagPath(country) {
+  if (!country) {
+    return null;
+  }
+
+  return `database/flags/${country.trim()}.png`;
+}
+
 /**
  * Create a player face/avatar element
  *
@@ -545,6 +571,7 @@ window.DOMHelpers = {
   toggleMobileMenu,
   showNotification,
   getPositionAbbrev,
+  getFlagPath,
   createPlayerFace,
   createPositionBadge,
   createLoadingSpinner,
@@ -0,0 +1,153 @@
+/**
+ * Fatigue System - Player fatigue, recovery and stamina
+ *
+ * This module works out how tired players get and what it costs them.
+ * Matches and training build fatigue, every day without a match lets it
+ * recover, and the endurance stat decides how fast both happen. During a
+ * match players also tire with every rally, so tired players fade most
+ * in the fourth and fifth sets.
+ *
+ * @fileoverview Fatigue and stamina rules for players
+ * @author Spike Dynasty Team
+ * @version 0.4.0
+ */
+
+/**
+ * FatigueSystem utility object
+ *
+ * All functions are pure: they take player rows and return new values,
+ * leaving storage to the caller.
+ */
+const FatigueSystem = {
+  // Fatigue a full set on court adds for a player of average endurance
+  FATIGUE_PER_SET: 7,
+
+  // Rallies in an average set, to turn playing time into sets played
+  RALLIES_PER_SET: 45,
+
+  // Fatigue a player of average endurance recovers in a day
+  DAILY_RECOVERY: 10,
+
+  // Rating penalty of a fully exhausted player
+  MAX_FATIGUE_EFFECT: 0.03,
+
+  // Fatigue weighs more from this set on
+  LATE_SET: 4,
+  LATE_SET_FACTOR: 2,
+
+  // Fatigue from which a player counts as tired
+  TIRED_FATIGUE: 60,
+
+  /**
+   * Get how hard playing and training load a player
+   *
+   * A player of average endurance takes the full load; high endurance
+   * takes up to 30% less.
+   *
+   * @param {Object} player - Player row with endurance
+   * @returns {number} - Load multiplier
+   */
+  getEnduranceLoad(player) {
+    return 1.3 - ((player?.endurance ?? 50) / 100) * 0.6;
+  },
+
+  /**
+   * Get a player's fatigue after playing in a match
+   *
+   * @param {Object} player - Player row with fatigue
+   * @param {number} ralliesPlayed - Rallies the player was on court
+   * @returns {number} - New fatigue (0-100)
+   */
+  getMatchFatigue(player, ralliesPlayed) {
+    return this.clamp(
+      Math.round(
+        (player.fatigue || 0) + this.getPlayingLoad(player, ralliesPlayed)
+      )
+    );
+  },
+
+  /**
+   * Get a player's fatigue after a day of recovery
+   *
+   * @param {Object} player - Player row with fatigue
+   * @returns {number} - New fatigue (0-100)
+   */
+  getRecoveredFatigue(player) {
+    const recovery =
+      this.DAILY_RECOVERY * (0.7 + ((player.endurance ?? 50) / 100) * 0.6);
+    return this.clamp(Math.round((player.fatigue || 0) - recovery));
+  },
+
+  /**
+   * Get a player's fatigue after several days of rest
+   *
+   * @param {Object} player - Player row with fatigue
+   * @param {number} days - Days without a match or training
+   * @returns {number} - New fatigue (0-100)
+   */
+  getRestedFatigue(player, days) {
+    let fatigue = player.fatigue || 0;
+    for (let day = 0; day < days && fatigue > 0; day++) {
+      fatigue = this.getRecoveredFatigue({ ...player, fatigue });
+    }
+    return fatigue;
+  },
+
+  /**
+   * Get the rating multiplier of a player from fatigue
+   *
+   * The fatigue a player brought into the match adds up with the fatigue
+   * built up on court so far.
+   *
+   * @param {Object} player - Player with fatigue
+   * @param {number} [ralliesInMatch] - Rallies played so far in the match
+   * @param {number} [setNumber] - Current set
+   * @returns {number} - Rating multiplier
+   */
+  getRatingModifier(player, ralliesInMatch = 0, setNumber = 1) {
+    const fatigue = this.clamp(
+      (player?.fatigue || 0) + this.getPlayingLoad(player, ralliesInMatch)
+    );
+    const setFactor = setNumber >= this.LATE_SET ? this.LATE_SET_FACTOR : 1;
+
+    return 1 - (fatigue / 100) * this.MAX_FATIGUE_EFFECT * setFactor;
+  },
+
+  /**
+   * Get the fatigue a stretch of playing time adds
+   *
+   * @param {Object} player - Player with endurance
+   * @param {number} rallies - Rallies on court
+   * @returns {number} - Fatigue added
+   */
+  getPlayingLoad(player, rallies) {
+    return (
+      (rallies / this.RALLIES_PER_SET) *
+      this.FATIGUE_PER_SET *
+      this.getEnduranceLoad(player)
+    );
+  },
+
+  /**
+   * Check whether a player is tired
+   *
+   * @param {Object} player - Player row with fatigue
+   * @returns {boolean} - True if the player is tired
+   */
+  isTired(player) {
+    return (player?.fatigue || 0) >= this.TIRED_FATIGUE;
+  },
+
+  /**
+   * Clamp a value to the 0-100 range
+   *
+   * @param {number} value - Value to clamp
+   * @returns {number}
+   */
+  clamp(value) {
+    return Math.max(0, Math.min(100, value));
+  },
+};
+
+// Export to global scope
+window.FatigueSystem = FatigueSystem;
@@ -0,0 +1,159 @@
+/**
+ * Injury System - Player injuries and recovery timelines
+ *
+ * This module works out when players get hurt and for how long. Every
+ * rally on court and every training session carries a small risk, which
+ * grows with fatigue and is lower for strong and agile players. An injury
+ * has a type, a severity and a number of days out; the player is back on
+ * the recovery date.
+ *
+ * @fileoverview Injury rules for players
+ * @author Spike Dynasty Team
+ * @version 0.4.0
+ */
+
+/**
+ * InjurySystem utility object
+ *
+ * All functions are pure apart from the random generator passed in, so
+ * storage and display are left to the caller.
+ */
+const InjurySystem = {
+  // Likelihood, days out and injury types of each severity
+  SEVERITIES: {
+    minor: {
+      name: "Minor",
+      weight: 60,
+      minDays: 3,
+      maxDays: 10,
+      types: ["Ankle sprain", "Finger sprain", "Bruised knee", "Muscle cramp"],
+    },
+    moderate: {
+      name: "Moderate",
+      weight: 30,
+      minDays: 11,
+      maxDays: 35,
+      types: [
+        "Hamstring strain",
+        "Shoulder strain",
+        "Calf strain",
+        "Back spasm",
+      ],
+    },
+    severe: {
+      name: "Severe",
+      weight: 10,
+      minDays: 36,
+      maxDays: 120,
+      types: [
+        "Torn ankle ligament",
+        "Patellar tendinopathy",
+        "Stress fracture",
+        "Rotator cuff tear",
+      ],
+    },
+  },
+
+  // Chance of a rested player of average build getting hurt in a rally
+  RALLY_INJURY_RISK: 0.00006,
+
+  /**
+   * Get how much more likely than average a player is to get hurt
+   *
+   * Fatigue up to triples the risk; strength and agility take up to half
+   * of it away.
+   *
+   * @param {Object} player - Player row with fatigue, strength and agility
+   * @param {number} [extraFatigue] - Fatigue built up since the stored value (e.g. in a match)
+   * @returns {number} - Risk multiplier
+   */
+  getRiskFactor(player, extraFatigue = 0) {
+    const fatigue = Math.min(100, (player?.fatigue || 0) + extraFatigue);
+    const robustness = ((player?.strength ?? 50) + (player?.agility ?? 50)) / 2;
+
+    return (1 + fatigue / 50) * (1.5 - robustness / 100);
+  },
+
+  /**
+   * Get the chance of a player getting hurt in the next rally
+   *
+   * @param {Object} player - Player on court
+   * @param {number} ralliesInMatch - Rallies the player has played in the match
+   * @returns {number} - Injury probability (0-1)
+   */
+  getRallyInjuryChance(player, ralliesInMatch) {
+    return (
+      this.RALLY_INJURY_RISK *
+      this.getRiskFactor(
+        player,
+        window.FatigueSystem.getPlayingLoad(player, ralliesInMatch)
+      )
+    );
+  },
+
+  /**
+   * Roll the type, severity and length of a new injury
+   *
+   * @param {Object} rng - Random generator
+   * @returns {Object} - Injury ({ type, severity, days })
+   */
+  createInjury(rng) {
+    const severities = Object.entries(this.SEVERITIES);
+    const totalWeight = severities.reduce(
+      (sum, [, config]) => sum + config.weight,
+      0
+    );
+
+    let roll = rng.range(0, totalWeight);
+    const [severity, config] =
+      severities.find(([, entry]) => (roll -= entry.weight) < 0) ||
+      severities[severities.length - 1];
+
+    return {
+      type: rng.pick(config.types),
+      severity,
+      days: rng.int(config.minDays, config.maxDays),
+    };
+  },
+
+  /**
+   * Get the date a player is back from an injury
+   *
+   * @param {string} date - Date of the injury (YYYY-MM-DD)
+   * @param {number} days - Days out
+   * @returns {string} - Recovery date (YYYY-MM-DD)
+   */
+  getRecoveryDate(date, days) {
+    const recovery = new Date(`${date}T00:00:00Z`);
+    recovery.setUTCDate(recovery.getUTCDate() + days);
+    return recovery.toISOString().slice(0, 10);
+  },
+
+  /**
+   * Check whether a player is injured on a date
+   *
+   * @param {Object} player - Player row with injured_until
+   * @param {string} date - Date to check (YYYY-MM-DD)
+   * @returns {boolean} - True if the player cannot play or train
+   */
+  isInjured(player, date) {
+    return Boolean(player?.injured_until && player.injured_until > date);
+  },
+
+  /**
+   * Get the days left until a recovery date
+   *
+   * @param {string} recoveryDate - Recovery date (YYYY-MM-DD)
+   * @param {string} date - Current date (YYYY-MM-DD)
+   * @returns {number} - Days left (0 once recovered)
+   */
+  getDaysLeft(recoveryDate, date) {
+    const days =
+      (new Date(`${recoveryDate}T00:00:00Z`) - new Date(`${date}T00:00:00Z`)) /
+      86400000;
+    return Math.max(0, Math.round(days));
+  },
+};
+
+// Export to global scope
+window.InjurySystem = InjurySystem;
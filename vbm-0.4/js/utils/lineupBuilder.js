@@ -0,0 +1,444 @@
+/**
+ * Lineup Builder - Automatic lineup selection
+ *
+ * This module picks a starting seven and a bench from a list of players.
+ * Players are rated for each slot with the position weights of the
+ * PlayerStatsSystem, so the lineup is the best fit per role rather than
+ * simply the highest overall ratings.
+ *
+ * @fileoverview Automatic lineup selection for any team
+ * @author Spike Dynasty Team
+ * @version 0.4.0
+ */
+
+/**
+ * LineupBuilder utility object
+ *
+ * Lineups use the same shape SquadSelection saves:
+ * { starting: [{ position, playerId, player }], bench: [{ playerId, player }] }
+ * Picked lineups also list warnings for slots that could not be filled.
+ */
+const LineupBuilder = {
+  // Starting slots, in the same order as SquadSelection.squadPositions:
+  // court zones 1 to 6 in serving order, then the libero
+  SQUAD_POSITIONS: [
+    "Outside Hitter",
+    "Middle Blocker",
+    "Setter",
+    "Outside Hitter",
+    "Middle Blocker",
+    "Opposite Hitter",
+    "Libero",
+  ],
+
+  // Court zone of each starting slot, the libero has none
+  SQUAD_ZONES: [1, 2, 3, 4, 5, 6, null],
+
+  // Number of bench slots
+  BENCH_SIZE: 9,
+
+  // Name of the lineup a team starts with
+  DEFAULT_LINEUP_NAME: "Default",
+
+  // Auto-pick strategies
+  STRATEGIES: {
+    strongest: {
+      name: "Strongest",
+      description: "The best available player for every position",
+    },
+    "rest-starters": {
+      name: "Rest Starters",
+      description: "Fresh players ahead of tired regulars",
+    },
+    youth: {
+      name: "Youth Development",
+      description: "Minutes for young players with room to grow",
+    },
+  },
+
+  // Fatigue from which a player is only picked when nobody fit is left
+  EXHAUSTED_FATIGUE: 80,
+
+  // Positions that always get a backup on the bench
+  BACKUP_POSITIONS: ["Setter", "Libero"],
+
+  // Score a fatigue point costs with the rest-starters strategy
+  REST_FATIGUE_PENALTY: 0.4,
+
+  // Youth strategy: bonus per year under the age, and per point of room to grow
+  YOUTH_AGE: 23,
+  YOUTH_AGE_BONUS: 2,
+  YOUTH_POTENTIAL_BONUS: 0.3,
+
+  /**
+   * Pick the best lineup from a list of players
+   *
+   * @param {Array} players - Available players
+   * @returns {Object} - Lineup ({ starting, bench, warnings })
+   */
+  pickBestLineup(players) {
+    return this.pickLineup(players);
+  },
+
+  /**
+   * Pick a lineup from a list of players with a strategy
+   *
+   * Injured players are left out. Every (slot, player) pair is scored for
+   * the slot's position and the starters are the assignment with the
+   * highest total score, so one player's best slot never costs the team a
+   * better lineup. Only liberos play the libero slot and only other
+   * players the court slots. Exhausted players only start when no fit
+   * player is left. The bench gets a backup setter and libero first, then
+   * the best of the rest.
+   *
+   * @param {Array} players - Players of the team
+   * @param {Object} [options] - Options
+   * @param {string} [options.strategy] - Key of STRATEGIES (default "strongest")
+   * @param {string} [options.date] - Game date (YYYY-MM-DD) to check injuries on
+   * @returns {Object} - Lineup ({ starting, bench, warnings })
+   */
+  pickLineup(players, options = {}) {
+    try {
+      const { strategy = "strongest", date = null } = options;
+      const available = date
+        ? players.filter(
+            (player) => !window.InjurySystem.isInjured(player, date)
+          )
+        : [...players];
+      const fit = available.filter((player) => !this.isExhausted(player));
+      const exhausted = available.filter((player) => this.isExhausted(player));
+
+      const starting = this.SQUAD_POSITIONS.map((position) => ({
+        position,
+        playerId: null,
+        player: null,
+      }));
+      const used = new Set();
+      this.assignStarters(starting, fit, strategy, used);
+      this.assignStarters(starting, exhausted, strategy, used);
+
+      const warnings = starting
+        .filter((slot) => !slot.player)
+        .map((slot) => `No player available for ${slot.position}`);
+
+      // Fit players come first, then the best score at their own position
+      const remaining = available
+        .filter((player) => !used.has(player))
+        .map((player) => ({
+          player,
+          exhausted: this.isExhausted(player),
+          score: this.getScore(player, player.position, strategy),
+        }))
+        .sort((a, b) => a.exhausted - b.exhausted || b.score - a.score);
+
+      const bench = [];
+      this.BACKUP_POSITIONS.forEach((position) => {
+        const backup = remaining.find(
+          (entry) => entry.player.position === position
+        );
+        if (backup) {
+          bench.push(backup.player);
+          remaining.splice(remaining.indexOf(backup), 1);
+        } else {
+          warnings.push(`No backup ${position} for the bench`);
+        }
+      });
+      remaining
+        .slice(0, this.BENCH_SIZE - bench.length)
+        .forEach((entry) => bench.push(entry.player));
+
+      return {
+        starting,
+        bench: bench.map((player) => ({ playerId: player.id ?? null, player })),
+        warnings,
+      };
+    } catch (error) {
+      console.error("Error picking lineup:", error);
+      return { starting: [], bench: [], warnings: [] };
+    }
+  },
+
+  /**
+   * Fill the empty starting slots with the best-scoring candidates
+   *
+   * The slots and candidates are matched with the Hungarian method, which
+   * finds the assignment with the highest total score. Players who may
+   * not play a slot (see canPlaySlot) are never put in it, so a slot
+   * nobody can play stays empty.
+   *
+   * @param {Array} starting - Starting slots, filled in place
+   * @param {Array} candidates - Players to choose from
+   * @param {string} strategy - Key of STRATEGIES
+   * @param {Set} used - Players already picked, updated in place
+   * @returns {void}
+   */
+  assignStarters(starting, candidates, strategy, used) {
+    const slotIndexes = starting
+      .map((slot, slotIndex) => (slot.player ? null : slotIndex))
+      .filter((slotIndex) => slotIndex !== null);
+    const players = candidates.filter((player) => !used.has(player));
+    if (slotIndexes.length === 0 || players.length === 0) {
+      return;
+    }
+
+    const scores = slotIndexes.map((slotIndex) =>
+      players.map((player) =>
+        this.canPlaySlot(player, starting[slotIndex].position)
+          ? this.getScore(player, starting[slotIndex].position, strategy)
+          : -Infinity
+      )
+    );
+
+    // The method needs no more rows than columns
+    const bySlot = slotIndexes.length <= players.length;
+    const rows = bySlot
+      ? scores
+      : players.map((_, j) => scores.map((row) => row[j]));
+    const columns = this.findBestAssignment(rows);
+
+    columns.forEach((column, row) => {
+      if (column === null) {
+        return;
+      }
+      const slotIndex = slotIndexes[bySlot ? row : column];
+      const player = players[bySlot ? column : row];
+      starting[slotIndex].playerId = player.id ?? null;
+      starting[slotIndex].player = player;
+      used.add(player);
+    });
+  },
+
+  /**
+   * Find the assignment of rows to columns with the highest total score
+   *
+   * Hungarian method with potentials, O(rows² × columns). Pairs scored
+   * -Infinity are forbidden: they cost more than any allowed assignment,
+   * so they are only used when a row has nothing else left, and such rows
+   * get no column.
+   *
+   * @param {Array<Array<number>>} scores - Score of each (row, column), no more rows than columns
+   * @returns {Array<number|null>} - Column assigned to each row, null if none is allowed
+   */
+  findBestAssignment(scores) {
+    const rowCount = scores.length;
+    const columnCount = scores[0].length;
+    const allowed = scores.flat().filter(Number.isFinite);
+    if (allowed.length === 0) {
+      return new Array(rowCount).fill(null);
+    }
+    const maxScore = Math.max(...allowed);
+    const forbiddenCost =
+      (maxScore - Math.min(...allowed) + 1) * (rowCount + 1);
+    const cost = (row, column) =>
+      Number.isFinite(scores[row - 1][column - 1])
+        ? maxScore - scores[row - 1][column - 1]
+        : forbiddenCost;
+
+    // Rows and columns count from 1, column 0 holds the row being added
+    const rowPotential = new Array(rowCount + 1).fill(0);
+    const columnPotential = new Array(columnCount + 1).fill(0);
+    const rowOfColumn = new Array(columnCount + 1).fill(0);
+    const previous = new Array(columnCount + 1).fill(0);
+
+    for (let row = 1; row <= rowCount; row++) {
+      rowOfColumn[0] = row;
+      let column = 0;
+      const minSlack = new Array(columnCount + 1).fill(Infinity);
+      const visited = new Array(columnCount + 1).fill(false);
+
+      do {
+        visited[column] = true;
+        const currentRow = rowOfColumn[column];
+        let delta = Infinity;
+        let nextColumn = 0;
+        for (let j = 1; j <= columnCount; j++) {
+          if (visited[j]) {
+            continue;
+          }
+          const slack =
+            cost(currentRow, j) - rowPotential[currentRow] - columnPotential[j];
+          if (slack < minSlack[j]) {
+            minSlack[j] = slack;
+            previous[j] = column;
+          }
+          if (minSlack[j] < delta) {
+            delta = minSlack[j];
+            nextColumn = j;
+          }
+        }
+        for (let j = 0; j <= columnCount; j++) {
+          if (visited[j]) {
+            rowPotential[rowOfColumn[j]] += delta;
+            columnPotential[j] -= delta;
+          } else {
+            minSlack[j] -= delta;
+          }
+        }
+        column = nextColumn;
+      } while (rowOfColumn[column] !== 0);
+
+      // Flip the augmenting path back to the added row
+      do {
+        const previousColumn = previous[column];
+        rowOfColumn[column] = rowOfColumn[previousColumn];
+        column = previousColumn;
+      } while (column !== 0);
+    }
+
+    const columns = new Array(rowCount).fill(null);
+    for (let j = 1; j <= columnCount; j++) {
+      const row = rowOfColumn[j];
+      if (row !== 0 && Number.isFinite(scores[row - 1][j - 1])) {
+        columns[row - 1] = j - 1;
+      }
+    }
+    return columns;
+  },
+
+  /**
+   * Check whether a player may start in a slot
+   *
+   * Liberos can only play the libero slot, and the libero slot only takes
+   * liberos (see SquadRulesSystem.checkSlots).
+   *
+   * @param {Object} player - Player row
+   * @param {string} position - Position of the slot
+   * @returns {boolean}
+   */
+  canPlaySlot(player, position) {
+    return (player.position === "Libero") === (position === "Libero");
+  },
+
+  /**
+   * Score a player for a position with a strategy
+   *
+   * The base is the position-weighted rating with the player's current
+   * morale, form and fatigue.
+   *
+   * @param {Object} player - Player row
+   * @param {string} position - Position to play
+   * @param {string} strategy - Key of STRATEGIES
+   * @returns {number} - Score, higher is better
+   */
+  getScore(player, position, strategy) {
+    const rating =
+      window.PlayerStatsSystem.calculatePositionRating(player, position) *
+      window.MoraleSystem.getRatingModifier(player) *
+      window.FatigueSystem.getRatingModifier(player);
+
+    switch (strategy) {
+      case "rest-starters":
+        return rating - (player.fatigue || 0) * this.REST_FATIGUE_PENALTY;
+      case "youth":
+        return (
+          rating +
+          Math.max(0, this.YOUTH_AGE - (player.age ?? this.YOUTH_AGE)) *
+            this.YOUTH_AGE_BONUS +
+          Math.max(0, (player.potential ?? 0) - (player.overall ?? 0)) *
+            this.YOUTH_POTENTIAL_BONUS
+        );
+      default:
+        return rating;
+    }
+  },
+
+  /**
+   * Check whether a player is too tired to pick ahead of fit players
+   *
+   * @param {Object} player - Player row with fatigue
+   * @returns {boolean}
+   */
+  isExhausted(player) {
+    return (player.fatigue || 0) >= this.EXHAUSTED_FATIGUE;
+  },
+
+  /**
+   * Create a stored lineup with every slot empty
+   *
+   * @returns {Object} - Stored lineup (see toStoredLineup)
+   */
+  createEmptyLineup() {
+    return {
+      starting: this.SQUAD_POSITIONS.map((position) => ({
+        position,
+        playerId: null,
+      })),
+      bench: [],
+    };
+  },
+
+  /**
+   * Reduce a lineup to the player IDs it is stored with
+   *
+   * @param {Object} lineup - Lineup ({ starting, bench })
+   * @returns {Object} - Stored lineup ({ starting: [{ position, playerId }], bench: [{ playerId }] })
+   */
+  toStoredLineup(lineup) {
+    return {
+      starting: (lineup?.starting || []).map((slot) => ({
+        position: slot.position,
+        playerId: slot.playerId ?? slot.player?.id ?? null,
+      })),
+      bench: (lineup?.bench || [])
+        .map((slot) => slot.playerId ?? slot.player?.id ?? null)
+        .filter((playerId) => playerId !== null)
+        .map((playerId) => ({ playerId })),
+    };
+  },
+
+  /**
+   * Fill a stored lineup with the current player rows
+   *
+   * Players who have left the team are dropped from their slots.
+   *
+   * @param {Object|null} lineup - Stored lineup (see toStoredLineup)
+   * @param {Array} players - Players of the team
+   * @returns {Object|null} - Lineup ({ starting, bench }) or null if no starter is left
+   */
+  resolveLineup(lineup, players) {
+    if (!lineup || !players?.length) {
+      return null;
+    }
+
+    const playersById = new Map(players.map((player) => [player.id, player]));
+    const starting = (lineup.starting || []).map((slot) => {
+      const player = playersById.get(slot.playerId) || null;
+      return { position: slot.position, playerId: player?.id ?? null, player };
+    });
+    const bench = (lineup.bench || [])
+      .map((slot) => playersById.get(slot.playerId))
+      .filter(Boolean)
+      .map((player) => ({ playerId: player.id, player }));
+
+    return starting.some((slot) => slot.player) ? { starting, bench } : null;
+  },
+
+  /**
+   * Get the most common country among a team's players
+   *
+   * Teams have no country of their own, so this is used to show a flag
+   * for a team.
+   *
+   * @param {Array} players - Team players
+   * @returns {string|null} - Country name or null if unknown
+   */
+  getTeamCountry(players) {
+    const counts = {};
+    players.forEach((player) => {
+      if (player.country) {
+        counts[player.country] = (counts[player.country] || 0) + 1;
+      }
+    });
+
+    const countries = Object.keys(counts);
+    if (countries.length === 0) {
+      return null;
+    }
+    return countries.reduce((best, country) =>
+      counts[country] > counts[best] ? country : best
+    );
+  },
+};
+
+// Export to global scope
+window.LineupBuilder = LineupBuilder;
@@ -0,0 +1,1571 @@
+/**
+ * Match Engine - Rally-by-rally volleyball match simulation
+ *
+ * This module plays a volleyball match one rally at a time. Every rally is
+ * built from the real touches of the game (serve, receive, set, attack,
+ * block and dig) and each touch is resolved from the ratings of the player
+ * performing it. Sets and the match follow the official scoring rules.
+ *
+ * @fileoverview Rally-based volleyball match engine
+ * @author Spike Dynasty Team
+ * @version 0.4.0
+ */
+
+/**
+ * MatchEngine utility object
+ *
+ * The engine is step based: createMatch() builds a match state, playRally()
+ * advances it by a single rally and simulateMatch() runs it to the end.
+ * Components that need to show a match as it happens can drive the state
+ * themselves one rally at a time.
+ *
+ * All randomness comes from a RandomGenerator seeded per match, so the same
+ * seed and lineups always produce the same rally log. Substitutions and
+ * timeouts are recorded as match actions and replayed at the same rally.
+ * Each team's tactics (see TacticsSystem) shift the odds of its touches.
+ * Teams rotate through court zones 1 to 6 in their serving order; only the
+ * front row blocks, and back-row hitters attack from behind the 3m line.
+ */
+const MatchEngine = {
+  // Official scoring rules
+  RULES: {
+    pointsPerSet: 25,
+    pointsTiebreak: 15,
+    minimumLead: 2,
+    setsToWin: 3,
+    maxSets: 5,
+  },
+
+  // Safety cap for very long rallies (each exchange makes a kill more likely)
+  MAX_RALLY_EXCHANGES: 15,
+
+  // How likely each position is to be set the ball
+  ATTACK_WEIGHTS: {
+    "Outside Hitter": 1.0,
+    "Opposite Hitter": 1.0,
+    "Middle Blocker": 0.7,
+    Setter: 0.1,
+    Libero: 0,
+  },
+
+  // Limits per team and set
+  SUBSTITUTIONS_PER_SET: 6,
+  TIMEOUTS_PER_SET: 2,
+
+  // Every point of a run after the first shifts the odds of the next rally
+  MOMENTUM_PER_POINT: 0.01,
+  MAX_MOMENTUM: 0.04,
+
+  // Run of opponent points after which a computer coach calls a timeout
+  AUTO_TIMEOUT_RUN: 3,
+
+  // Score of the leading team that stops play for a technical timeout
+  TECHNICAL_TIMEOUT_SCORES: [8, 16],
+
+  // Rotation indexes of the back row (zones 1, 5 and 6)
+  BACK_ROW_INDEXES: [0, 4, 5],
+
+  // Rotation indexes of the front row (zones 2, 3 and 4), the only blockers
+  FRONT_ROW_INDEXES: [1, 2, 3],
+
+  // Positions that attack from behind the 3m line when in the back row
+  BACK_ROW_ATTACKERS: ["Outside Hitter", "Opposite Hitter"],
+
+  // Share of a hitter's sets they still get from the back row
+  BACK_ROW_ATTACK_SHARE: 0.3,
+
+  // Standard 5-1 rotation order of generated teams, from zone 1 (the server)
+  DEFAULT_ROTATION_ORDER: [
+    "Setter",
+    "Outside Hitter",
+    "Middle Blocker",
+    "Opposite Hitter",
+    "Outside Hitter",
+    "Middle Blocker",
+  ],
+
+  /**
+   * Create a team object the engine can play with
+   *
+   * The court players start in the zones they are given in, which is
+   * also their serving order.
+   *
+   * @param {Object} teamInfo - Team information ({ id, name, tactics })
+   * @param {Array} players - Starting players (six court players in zone order 1 to 6, plus an optional libero)
+   * @param {Array} [bench] - Bench players available for substitutions
+   * @returns {Object} - Engine team object
+   */
+  createTeam(teamInfo, players, bench = []) {
+    const starters = (players || []).filter(Boolean);
+    const libero = starters.find((player) => player.position === "Libero");
+    const courtPlayers = starters.filter((player) => player !== libero);
+
+    return {
+      id: teamInfo.id ?? null,
+      name: teamInfo.name || "Unknown Team",
+      tactics: window.TacticsSystem.normalize(teamInfo.tactics),
+      startingRotation: courtPlayers,
+      libero: libero || null,
+      bench: (bench || []).filter(
+        (player) => player && !starters.includes(player)
+      ),
+    };
+  },
+
+  /**
+   * Create a team of generated players around a target rating
+   *
+   * Used when a side has no real players to field.
+   *
+   * @param {Object} teamInfo - Team information ({ id, name })
+   * @param {number} rating - Target overall rating for the generated players
+   * @param {Object} [rng] - Random generator (the shared one by default)
+   * @returns {Object} - Engine team object
+   */
+  createGenericTeam(
+    teamInfo,
+    rating = 75,
+    rng = window.RandomGenerator.getDefault()
+  ) {
+    const positions = [...this.DEFAULT_ROTATION_ORDER, "Libero"];
+    const players = positions.map((position, index) => ({
+      id: `${teamInfo.name || "team"}-${index + 1}`,
+      player_name: `${teamInfo.name || "Team"} #${index + 1}`,
+      position,
+      ...window.PlayerStatsSystem.generateRandomStats(position, rating, {
+        variance: 6,
+        rng,
+      }),
+    }));
+
+    return this.createTeam(teamInfo, players);
+  },
+
+  /**
+   * Create a new match state
+   *
+   * @param {Object} home - Home engine team
+   * @param {Object} away - Away engine team
+   * @param {Object} [options] - Match options
+   * @param {number} [options.seed] - Seed for the match (a new one by default)
+   * @param {Array} [options.autoCoach] - Sides whose timeouts are called by the computer (both by default)
+   * @param {Array} [options.actions] - Recorded match actions to play again
+   * @returns {Object} - Match state
+   */
+  createMatch(home, away, options = {}) {
+    const rng = window.RandomGenerator.create(options.seed);
+    const match = {
+      seed: rng.seed,
+      rng,
+      home: this.createMatchTeam(home),
+      away: this.createMatchTeam(away),
+      sets: [],
+      setsWon: { home: 0, away: 0 },
+      currentSet: null,
+      serving: null,
+      firstServer: rng.chance(0.5) ? "home" : "away",
+      rallies: [],
+      actions: [],
+      scriptedActions: [...(options.actions || [])],
+      autoCoach: options.autoCoach || ["home", "away"],
+      run: { side: null, length: 0 },
+      ralliesPlayed: { home: new Map(), away: new Map() },
+      injuries: [],
+      isFinished: false,
+      winner: null,
+    };
+
+    this.startSet(match);
+    return match;
+  },
+
+  /**
+   * Copy an engine team into the state of a new match
+   *
+   * @param {Object} team - Engine team
+   * @returns {Object} - Team state inside the match
+   */
+  createMatchTeam(team) {
+    return {
+      ...team,
+      rotation: [...team.startingRotation],
+      startingLibero: team.libero,
+      bench: [...(team.bench || [])],
+      setState: this.createSetState(),
+    };
+  },
+
+  /**
+   * Create the per-set counters of a team
+   *
+   * Pairs link a starter to the substitute who replaced them, since each
+   * can only swap with the other for the rest of the set.
+   *
+   * @returns {Object} - Set state ({ substitutions, timeouts, pairs })
+   */
+  createSetState() {
+    return { substitutions: 0, timeouts: 0, pairs: [] };
+  },
+
+  /**
+   * Start the next set of a match
+   *
+   * Rotations go back to the starting lineups and the first serve
+   * alternates between sets. The deciding set starts with a new toss.
+   *
+   * @param {Object} match - Match state
+   * @returns {void}
+   */
+  startSet(match) {
+    const number = match.sets.length + 1;
+    const isTiebreak = number === this.RULES.maxSets;
+
+    let server;
+    if (isTiebreak) {
+      server = match.rng.chance(0.5) ? "home" : "away";
+    } else {
+      server =
+        number % 2 === 1
+          ? match.firstServer
+          : this.getOpponentSide(match.firstServer);
+    }
+
+    match.home.rotation = [...match.home.startingRotation];
+    match.away.rotation = [...match.away.startingRotation];
+    match.home.setState = this.createSetState();
+    match.away.setState = this.createSetState();
+    match.run = { side: null, length: 0 };
+    match.serving = server;
+    match.currentSet = {
+      number,
+      home: 0,
+      away: 0,
+      target: isTiebreak ? this.RULES.pointsTiebreak : this.RULES.pointsPerSet,
+    };
+  },
+
+  /**
+   * Play a single rally and update the match state
+   *
+   * @param {Object} match - Match state
+   * @returns {Object|null} - Rally record or null if the match is over
+   */
+  playRally(match) {
+    if (match.isFinished) {
+      return null;
+    }
+
+    this.applyScriptedActions(match);
+    match.autoCoach.forEach((side) => this.runAutoCoach(match, side));
+
+    this.recordPlayingTime(match);
+
+    const servingSide = match.serving;
+    const receivingSide = this.getOpponentSide(servingSide);
+    const events = [];
+    const server = match[servingSide].rotation[0];
+
+    const outcome = this.resolveServe(
+      match,
+      servingSide,
+      receivingSide,
+      server,
+      events
+    );
+
+    const rally = {
+      set: match.currentSet.number,
+      servingSide,
+      server: this.describePlayer(server),
+      events,
+      winner: outcome.winner,
+      reason: outcome.reason,
+    };
+
+    const injuries = this.rollInjuries(match);
+    if (injuries.length > 0) {
+      rally.injuries = injuries;
+    }
+
+    this.awardPoint(match, outcome.winner);
+
+    rally.score = { home: match.currentSet.home, away: match.currentSet.away };
+    rally.setFinished = rally.score.home === 0 && rally.score.away === 0;
+    if (rally.setFinished || match.isFinished) {
+      const lastSet = match.sets[match.sets.length - 1];
+      rally.score = { home: lastSet.home, away: lastSet.away };
+      rally.setFinished = true;
+    }
+
+    match.rallies.push(rally);
+
+    if (!match.isFinished) {
+      ["home", "away"].forEach((side) =>
+        this.replaceInjuredPlayers(match, side)
+      );
+    }
+    return rally;
+  },
+
+  /**
+   * Count the rally for every player on court
+   *
+   * Rallies played are the engine's measure of playing time. They also
+   * tire the player, which sets the fatigue part of their ratings.
+   *
+   * @param {Object} match - Match state
+   * @returns {void}
+   */
+  recordPlayingTime(match) {
+    ["home", "away"].forEach((side) => {
+      const ralliesPlayed = match.ralliesPlayed[side];
+      this.getCourtPlayers(match[side]).forEach((player) => {
+        const rallies = (ralliesPlayed.get(player.id) || 0) + 1;
+        ralliesPlayed.set(player.id, rallies);
+        player.fatigueModifier = window.FatigueSystem.getRatingModifier(
+          player,
+          rallies,
+          match.currentSet.number
+        );
+      });
+    });
+  },
+
+  /**
+   * Check every player on court for an injury in the rally just played
+   *
+   * The risk grows as players tire over the match. A player stays injured
+   * for the rest of the match.
+   *
+   * @param {Object} match - Match state
+   * @returns {Array} - Injuries of the rally ({ side, playerId, playerName, set, rally, type, severity, days })
+   */
+  rollInjuries(match) {
+    const injuries = [];
+
+    ["home", "away"].forEach((side) => {
+      this.getCourtPlayers(match[side]).forEach((player) => {
+        if (this.isInjured(match, side, player.id)) {
+          return;
+        }
+
+        const rallies = match.ralliesPlayed[side].get(player.id) || 0;
+        const chance = window.InjurySystem.getRallyInjuryChance(
+          player,
+          rallies
+        );
+        if (!match.rng.chance(chance)) {
+          return;
+        }
+
+        const injury = {
+          side,
+          ...this.describePlayer(player),
+          set: match.currentSet.number,
+          rally: match.rallies.length,
+          ...window.InjurySystem.createInjury(match.rng),
+        };
+        injuries.push(injury);
+        match.injuries.push(injury);
+      });
+    });
+
+    return injuries;
+  },
+
+  /**
+   * Check whether a player got injured earlier in the match
+   *
+   * @param {Object} match - Match state
+   * @param {string} side - "home" or "away"
+   * @param {*} playerId - Player ID
+   * @returns {boolean} - True if the player is injured
+   */
+  isInjured(match, side, playerId) {
+    return match.injuries.some(
+      (injury) => injury.side === side && injury.playerId === playerId
+    );
+  },
+
+  /**
+   * Take the injured players of a team off the court
+   *
+   * An injured libero makes way for a bench libero, or the middle blockers
+   * play the back row when there is none. An injured court player is
+   * replaced by a legal substitute, preferably of the same position; with
+   * no legal substitute left they play on. The actions are flagged as
+   * injury changes, which a replay makes again by itself.
+   *
+   * @param {Object} match - Match state
+   * @param {string} side - "home" or "away"
+   * @returns {void}
+   */
+  replaceInjuredPlayers(match, side) {
+    const team = match[side];
+
+    if (team.libero && this.isInjured(match, side, team.libero.id)) {
+      const liberoIn = team.bench.find(
+        (player) =>
+          player.position === "Libero" &&
+          !this.isInjured(match, side, player.id)
+      );
+      if (liberoIn) {
+        this.replaceLibero(match, side, liberoIn.id).injury = true;
+      } else {
+        team.bench.push(team.libero);
+        team.libero = null;
+      }
+    }
+
+    [...team.rotation].forEach((player) => {
+      if (!this.isInjured(match, side, player.id)) {
+        return;
+      }
+
+      const candidates = this.getBenchPlayers(team).filter(
+        (candidate) =>
+          candidate.position !== "Libero" &&
+          this.validateSubstitution(match, side, player.id, candidate.id)
+            .isValid
+      );
+      if (candidates.length === 0) {
+        return;
+      }
+
+      const playerIn =
+        candidates.find(
+          (candidate) => candidate.position === player.position
+        ) ||
+        [...candidates].sort((a, b) => (b.overall || 0) - (a.overall || 0))[0];
+      this.substitute(match, side, player.id, playerIn.id).injury = true;
+    });
+  },
+
+  /**
+   * Run a match from its current state until it is finished
+   *
+   * @param {Object} match - Match state
+   * @returns {Object} - Match result
+   */
+  playToEnd(match) {
+    while (!match.isFinished) {
+      this.playRally(match);
+    }
+    return this.getResult(match);
+  },
+
+  /**
+   * Simulate a full match between two teams
+   *
+   * @param {Object} home - Home engine team
+   * @param {Object} away - Away engine team
+   * @param {Object} [options] - Match options (see createMatch)
+   * @returns {Object} - Match result
+   */
+  simulateMatch(home, away, options = {}) {
+    const match = this.createMatch(home, away, options);
+    return this.playToEnd(match);
+  },
+
+  /**
+   * Replay a match from a previous result
+   *
+   * The result must carry the seed and the lineups it was played with.
+   * The replay produces an identical rally log.
+   *
+   * @param {Object} result - Match result returned by getResult()
+   * @returns {Object} - Replayed match result
+   */
+  replayMatch(result) {
+    if (!result?.lineups || result.seed === undefined) {
+      throw new Error("Match result has no seed or lineups to replay");
+    }
+    return this.simulateMatch(result.lineups.home, result.lineups.away, {
+      seed: result.seed,
+      actions: result.actions || [],
+      autoCoach: [],
+    });
+  },
+
+  /**
+   * Build the result object of a match
+   *
+   * @param {Object} match - Match state
+   * @returns {Object} - Match result with per-set scores and the rally log
+   */
+  getResult(match) {
+    const totals = match.sets.reduce(
+      (sum, set) => ({ home: sum.home + set.home, away: sum.away + set.away }),
+      { home: 0, away: 0 }
+    );
+
+    return {
+      seed: match.seed,
+      lineups: {
+        home: this.getTeamSnapshot(match.home),
+        away: this.getTeamSnapshot(match.away),
+      },
+      homeTeam: { id: match.home.id, name: match.home.name },
+      awayTeam: { id: match.away.id, name: match.away.name },
+      homeSetsWon: match.setsWon.home,
+      awaySetsWon: match.setsWon.away,
+      homePoints: totals.home,
+      awayPoints: totals.away,
+      sets: match.sets.map((set) => ({ home: set.home, away: set.away })),
+      winner: match.winner,
+      isFinished: match.isFinished,
+      rallies: match.rallies,
+      actions: match.actions,
+      injuries: match.injuries,
+      boxScore: this.getBoxScore(match),
+    };
+  },
+
+  /**
+   * Get the lineup of a team as it started the match
+   *
+   * @param {Object} team - Engine team inside a match
+   * @returns {Object} - Engine team object that can be played again
+   */
+  getTeamSnapshot(team) {
+    const libero = "startingLibero" in team ? team.startingLibero : team.libero;
+
+    return {
+      id: team.id,
+      name: team.name,
+      tactics: team.tactics,
+      startingRotation: [...team.startingRotation],
+      libero,
+      bench: this.getSquad(team).filter(
+        (player) => !team.startingRotation.includes(player) && player !== libero
+      ),
+    };
+  },
+
+  /**
+   * Build the per-player box score of a match from its rally log
+   *
+   * Blocked attacks count as attack errors. A set that leads straight to
+   * a kill counts as an assist for the setter. Every reception is rated
+   * from 0 (error) to 3 (perfect pass). Every player who was on court is
+   * listed with the rallies they played.
+   *
+   * @param {Object} match - Match state
+   * @returns {Object} - Player statistic lines per side ({ home, away })
+   */
+  getBoxScore(match) {
+    const lines = { home: new Map(), away: new Map() };
+    const squad = new Map(
+      ["home", "away"].flatMap((side) =>
+        this.getSquad(match[side]).map((player) => [player.id, player])
+      )
+    );
+
+    const getLine = (side, playerId, playerName) => {
+      if (!lines[side].has(playerId)) {
+        lines[side].set(playerId, {
+          playerId,
+          playerName,
+          position: squad.get(playerId)?.position || null,
+          ralliesPlayed: match.ralliesPlayed[side].get(playerId) || 0,
+          kills: 0,
+          attackErrors: 0,
+          attackAttempts: 0,
+          aces: 0,
+          serviceErrors: 0,
+          blocks: 0,
+          digs: 0,
+          receptions: 0,
+          receptionErrors: 0,
+          receptionPoints: 0,
+          assists: 0,
+        });
+      }
+      return lines[side].get(playerId);
+    };
+
+    // Players are listed even when they never touched the ball
+    ["home", "away"].forEach((side) => {
+      match.ralliesPlayed[side].forEach((rallies, playerId) =>
+        getLine(side, playerId, squad.get(playerId)?.player_name)
+      );
+    });
+
+    match.rallies.forEach((rally) => {
+      rally.events.forEach((event, index) => {
+        const line = getLine(event.side, event.playerId, event.playerName);
+
+        switch (event.type) {
+          case "serve":
+            if (event.outcome === "ace") line.aces++;
+            if (event.outcome === "error") line.serviceErrors++;
+            break;
+          case "receive":
+            line.receptions++;
+            if (event.outcome === "error") {
+              line.receptionErrors++;
+            } else {
+              line.receptionPoints += event.outcome;
+            }
+            break;
+          case "attack":
+            line.attackAttempts++;
+            if (event.outcome === "error" || event.outcome === "blocked") {
+              line.attackErrors++;
+            }
+            if (event.outcome === "kill") {
+              line.kills++;
+              const previous = rally.events[index - 1];
+              if (
+                previous?.type === "set" &&
+                previous.side === event.side &&
+                previous.playerId !== event.playerId
+              ) {
+                const setterLine = getLine(
+                  previous.side,
+                  previous.playerId,
+                  previous.playerName
+                );
+                setterLine.assists++;
+              }
+            }
+            break;
+          case "block":
+            line.blocks++;
+            break;
+          case "dig":
+            line.digs++;
+            break;
+        }
+      });
+    });
+
+    const finishLine = (line) => ({
+      ...line,
+      attackEfficiency: line.attackAttempts
+        ? (line.kills - line.attackErrors) / line.attackAttempts
+        : null,
+      receptionRating: line.receptions
+        ? line.receptionPoints / line.receptions
+        : null,
+    });
+
+    return {
+      home: [...lines.home.values()].map(finishLine),
+      away: [...lines.away.values()].map(finishLine),
+    };
+  },
+
+  /**
+   * Resolve the serve and, if the ball is in play, the rest of the rally
+   *
+   * @param {Object} match - Match state
+   * @param {string} servingSide - "home" or "away"
+   * @param {string} receivingSide - "home" or "away"
+   * @param {Object} server - Serving player
+   * @param {Array} events - Rally event log to append to
+   * @returns {Object} - Rally outcome ({ winner, reason })
+   */
+  resolveServe(match, servingSide, receivingSide, server, events) {
+    const strategy = window.TacticsSystem.getServeStrategy(
+      match[servingSide].tactics
+    );
+    const serve = strategy.stat
+      ? this.blendRatings(server, "serve", [strategy.stat])
+      : this.getRating(server, "serve");
+    const receivers = this.getCourtPlayers(match[receivingSide]).filter(
+      (player) => player.position !== "Setter"
+    );
+    const receiver = this.pickWeighted(match.rng, receivers, (player) => {
+      const roleWeight =
+        player.position === "Libero"
+          ? 1.6
+          : player.position === "Outside Hitter"
+            ? 1.3
+            : 0.5;
+      return this.getRating(player, "receive") * roleWeight;
+    });
+    const receive = this.getRating(receiver, "receive");
+
+    const errorChance = this.clamp(
+      0.1 - (serve - 50) * 0.0008 + strategy.errorShift,
+      0.02,
+      0.2
+    );
+    if (match.rng.chance(errorChance)) {
+      events.push(this.createEvent("serve", servingSide, server, "error"));
+      return { winner: receivingSide, reason: "service_error" };
+    }
+
+    const aceChance = this.clamp(
+      0.05 +
+        (serve - receive) * 0.003 +
+        this.getMomentumEdge(match, servingSide) * 0.5 +
+        strategy.aceShift,
+      0.01,
+      0.18 + Math.max(0, strategy.aceShift)
+    );
+    if (match.rng.chance(aceChance)) {
+      events.push(this.createEvent("serve", servingSide, server, "ace"));
+      events.push(
+        this.createEvent("receive", receivingSide, receiver, "error")
+      );
+      return { winner: servingSide, reason: "ace" };
+    }
+
+    events.push(this.createEvent("serve", servingSide, server, "in"));
+    const passQuality = this.rollQuality(
+      0.55 +
+        (receive - serve) * 0.01 +
+        strategy.passShift +
+        this.noise(match.rng, 0.2)
+    );
+    events.push(
+      this.createEvent("receive", receivingSide, receiver, passQuality)
+    );
+
+    return this.resolveAttackPhase(
+      match,
+      receivingSide,
+      passQuality,
+      receiver,
+      events
+    );
+  },
+
+  /**
+   * Resolve set, attack, block and dig exchanges until a point is won
+   *
+   * @param {Object} match - Match state
+   * @param {string} attackingSide - Side that controls the ball
+   * @param {number} passQuality - Quality of the first touch (1-3)
+   * @param {Object} passer - Player who made the first touch
+   * @param {Array} events - Rally event log to append to
+   * @returns {Object} - Rally outcome ({ winner, reason })
+   */
+  resolveAttackPhase(match, attackingSide, passQuality, passer, events) {
+    let side = attackingSide;
+    let quality = passQuality;
+    let firstTouch = passer;
+
+    for (let exchange = 0; ; exchange++) {
+      const defendingSide = this.getOpponentSide(side);
+      const attackingTeam = match[side];
+      const defendingTeam = match[defendingSide];
+      const courtPlayers = this.getCourtPlayers(attackingTeam);
+      const isSixTwo =
+        window.TacticsSystem.normalize(attackingTeam.tactics).system === "6-2";
+
+      // Set
+      const setter = this.findSetter(courtPlayers, firstTouch, isSixTwo);
+      const setterPenalty =
+        setter.position === "Setter" ||
+        (isSixTwo && window.TacticsSystem.isSetter(setter))
+          ? 1
+          : 0.8;
+      const setting = this.getRating(setter, "setting") * setterPenalty;
+      const setQuality = this.rollQuality(
+        quality * 0.25 + (setting - 60) * 0.01 + this.noise(match.rng, 0.15)
+      );
+      events.push(this.createEvent("set", side, setter, setQuality));
+
+      // Attack
+      const attacker = this.pickWeighted(
+        match.rng,
+        this.getAttackers(courtPlayers, setter),
+        (player) => {
+          const isBackRow = this.BACK_ROW_INDEXES.includes(
+            courtPlayers.indexOf(player)
+          );
+          let weight = this.ATTACK_WEIGHTS[player.position] ?? 0.5;
+          // In a 6-2 the setter in the front row attacks like an opposite
+          if (isSixTwo && player.position === "Setter" && !isBackRow) {
+            weight = this.ATTACK_WEIGHTS["Opposite Hitter"];
+          }
+          if (isBackRow) {
+            weight *= this.BACK_ROW_ATTACK_SHARE;
+          }
+          if (player.position === "Middle Blocker") {
+            weight *= setQuality === 3 ? 1.3 : setQuality === 1 ? 0.3 : 1;
+          }
+          return (
+            weight *
+            window.TacticsSystem.getAttackMultiplier(
+              attackingTeam.tactics,
+              player.position
+            ) *
+            this.getRating(player, "attack")
+          );
+        }
+      );
+      const attack = this.getAttackRating(attacker);
+
+      // Block and floor defence of the other side
+      const defenders = this.getCourtPlayers(defendingTeam);
+      const blockers = defenders
+        .filter(
+          (player, index) =>
+            this.FRONT_ROW_INDEXES.includes(index) &&
+            player.position !== "Libero"
+        )
+        .sort((a, b) => this.getBlockRating(b) - this.getBlockRating(a))
+        .slice(0, 2);
+      const block =
+        blockers.reduce((sum, player) => sum + this.getBlockRating(player), 0) /
+        Math.max(1, blockers.length);
+      const diggers = defenders.filter((player) => !blockers.includes(player));
+      const digger = this.pickWeighted(match.rng, diggers, (player) => {
+        const roleWeight = player.position === "Libero" ? 1.6 : 1;
+        return this.getDefenseRating(player) * roleWeight;
+      });
+      const defense = this.getDefenseRating(digger);
+
+      const setBonus = (setQuality - 2) * 0.06;
+      const fatigueBonus = exchange * 0.04;
+
+      const errorChance = this.clamp(
+        0.08 + (60 - attack) * 0.002 - setBonus * 0.5,
+        0.03,
+        0.2
+      );
+      if (match.rng.chance(errorChance)) {
+        events.push(this.createEvent("attack", side, attacker, "error"));
+        return { winner: defendingSide, reason: "attack_error" };
+      }
+
+      const blockShift = window.TacticsSystem.getBlockShift(
+        defendingTeam.tactics,
+        attacker.position
+      );
+      const blockChance = this.clamp(
+        0.09 + (block - attack) * 0.004 - setBonus + blockShift,
+        0.02,
+        0.25 + Math.max(0, blockShift)
+      );
+      if (match.rng.chance(blockChance)) {
+        const blocker = this.pickWeighted(match.rng, blockers, (player) =>
+          this.getBlockRating(player)
+        );
+        events.push(this.createEvent("attack", side, attacker, "blocked"));
+        events.push(this.createEvent("block", defendingSide, blocker, "point"));
+        return { winner: defendingSide, reason: "block" };
+      }
+
+      const killChance = this.clamp(
+        0.48 +
+          (attack - defense) * 0.006 +
+          setBonus +
+          fatigueBonus +
+          this.getMomentumEdge(match, side) +
+          window.TacticsSystem.getKillShift(defendingTeam.tactics),
+        0.2,
+        exchange >= this.MAX_RALLY_EXCHANGES ? 1 : 0.85
+      );
+      if (match.rng.chance(killChance)) {
+        events.push(this.createEvent("attack", side, attacker, "kill"));
+        return { winner: side, reason: "kill" };
+      }
+
+      // The ball is dug and the other side counter-attacks
+      events.push(this.createEvent("attack", side, attacker, "dug"));
+      quality = this.rollQuality(
+        0.3 + (defense - attack) * 0.01 + this.noise(match.rng, 0.25)
+      );
+      events.push(this.createEvent("dig", defendingSide, digger, quality));
+      firstTouch = digger;
+      side = defendingSide;
+    }
+  },
+
+  /**
+   * Add a point to a side and handle rotation, set and match end
+   *
+   * @param {Object} match - Match state
+   * @param {string} side - Side that won the rally
+   * @returns {void}
+   */
+  awardPoint(match, side) {
+    const set = match.currentSet;
+    set[side]++;
+
+    match.run =
+      match.run.side === side
+        ? { side, length: match.run.length + 1 }
+        : { side, length: 1 };
+
+    // Side-out: the receiving team rotates before it serves
+    if (match.serving !== side) {
+      this.rotate(match[side]);
+      match.serving = side;
+    }
+
+    const other = this.getOpponentSide(side);
+    const hasWonSet =
+      set[side] >= set.target &&
+      set[side] - set[other] >= this.RULES.minimumLead;
+
+    if (!hasWonSet) {
+      return;
+    }
+
+    match.sets.push({ number: set.number, home: set.home, away: set.away });
+    match.setsWon[side]++;
+
+    if (match.setsWon[side] === this.RULES.setsToWin) {
+      match.isFinished = true;
+      match.winner = side;
+      return;
+    }
+
+    this.startSet(match);
+  },
+
+  /**
+   * Rotate a team one position clockwise
+   *
+   * @param {Object} team - Engine team
+   * @returns {void}
+   */
+  rotate(team) {
+    team.rotation.push(team.rotation.shift());
+  },
+
+  /**
+   * Get every player of a team's match squad
+   *
+   * @param {Object} team - Engine team
+   * @returns {Array} - Starters, liberos and bench players
+   */
+  getSquad(team) {
+    const players = [
+      ...team.startingRotation,
+      ...(team.rotation || []),
+      team.startingLibero,
+      team.libero,
+      ...(team.bench || []),
+    ].filter(Boolean);
+    return [...new Set(players)];
+  },
+
+  /**
+   * Get the players of a team who are not on court
+   *
+   * @param {Object} team - Engine team inside a match
+   * @returns {Array} - Players available on the bench (liberos included)
+   */
+  getBenchPlayers(team) {
+    return this.getSquad(team).filter(
+      (player) => !team.rotation.includes(player) && player !== team.libero
+    );
+  },
+
+  /**
+   * Check a substitution against the substitution rules
+   *
+   * A team has six substitutions per set. A starter may leave the court
+   * once per set and may only come back for the player who replaced them;
+   * that substitute may only leave for the same starter. Liberos are
+   * never part of a regular substitution.
+   *
+   * @param {Object} match - Match state
+   * @param {string} side - "home" or "away"
+   * @param {*} playerOutId - ID of the court player leaving
+   * @param {*} playerInId - ID of the bench player coming in
+   * @returns {Object} - Validation result with isValid and error properties
+   */
+  validateSubstitution(match, side, playerOutId, playerInId) {
+    const team = match[side];
+    const state = team.setState;
+    const invalid = (error) => ({ isValid: false, error });
+
+    if (match.isFinished) {
+      return invalid("The match is over");
+    }
+
+    const playerOut = team.rotation.find((player) => player.id === playerOutId);
+    if (!playerOut) {
+      return invalid("The player leaving is not on court");
+    }
+
+    const playerIn = this.getBenchPlayers(team).find(
+      (player) => player.id === playerInId
+    );
+    if (!playerIn) {
+      return invalid("The player coming in is not on the bench");
+    }
+
+    if (this.isInjured(match, side, playerInId)) {
+      return invalid(
+        `${this.describePlayer(playerIn).playerName} is injured and cannot play`
+      );
+    }
+
+    if (playerIn.position === "Libero") {
+      return invalid(
+        "A libero cannot enter as a substitute, use a libero replacement"
+      );
+    }
+
+    if (state.substitutions >= this.SUBSTITUTIONS_PER_SET) {
+      return invalid(
+        `All ${this.SUBSTITUTIONS_PER_SET} substitutions of this set are used`
+      );
+    }
+
+    const outName = this.describePlayer(playerOut).playerName;
+    const inName = this.describePlayer(playerIn).playerName;
+
+    // A substitute can only go back out for the starter they replaced
+    const substitutePair = state.pairs.find(
+      (pair) => pair.substituteId === playerOutId && !pair.returned
+    );
+    if (substitutePair) {
+      if (substitutePair.starterId !== playerInId) {
+        const starter = this.getSquad(team).find(
+          (player) => player.id === substitutePair.starterId
+        );
+        return invalid(
+          `${outName} can only be replaced by ${
+            this.describePlayer(starter).playerName
+          }`
+        );
+      }
+      return { isValid: true, error: null };
+    }
+
+    if (state.pairs.some((pair) => pair.starterId === playerOutId)) {
+      return invalid(`${outName} has already left the court this set`);
+    }
+
+    if (
+      state.pairs.some(
+        (pair) =>
+          pair.starterId === playerInId || pair.substituteId === playerInId
+      )
+    ) {
+      return invalid(`${inName} can only swap with their partner this set`);
+    }
+
+    return { isValid: true, error: null };
+  },
+
+  /**
+   * Make a substitution
+   *
+   * The player coming in takes the rotation spot of the player leaving.
+   *
+   * @param {Object} match - Match state
+   * @param {string} side - "home" or "away"
+   * @param {*} playerOutId - ID of the court player leaving
+   * @param {*} playerInId - ID of the bench player coming in
+   * @returns {Object} - Recorded match action
+   */
+  substitute(match, side, playerOutId, playerInId) {
+    const validation = this.validateSubstitution(
+      match,
+      side,
+      playerOutId,
+      playerInId
+    );
+    if (!validation.isValid) {
+      throw new Error(validation.error);
+    }
+
+    const team = match[side];
+    const state = team.setState;
+    const index = team.rotation.findIndex(
+      (player) => player.id === playerOutId
+    );
+    const playerOut = team.rotation[index];
+    const playerIn = this.getBenchPlayers(team).find(
+      (player) => player.id === playerInId
+    );
+
+    const pair = state.pairs.find(
+      (entry) => entry.substituteId === playerOutId && !entry.returned
+    );
+    if (pair) {
+      pair.returned = true;
+    } else {
+      state.pairs.push({
+        starterId: playerOutId,
+        substituteId: playerInId,
+        returned: false,
+      });
+    }
+
+    team.rotation[index] = playerIn;
+    state.substitutions++;
+
+    return this.recordAction(match, "substitution", side, {
+      playerOut: this.describePlayer(playerOut),
+      playerIn: this.describePlayer(playerIn),
+      count: state.substitutions,
+    });
+  },
+
+  /**
+   * Replace the acting libero with another libero from the bench
+   *
+   * Libero replacements are unlimited and do not count as substitutions.
+   *
+   * @param {Object} match - Match state
+   * @param {string} side - "home" or "away"
+   * @param {*} liberoInId - ID of the bench libero coming in
+   * @returns {Object} - Recorded match action
+   */
+  replaceLibero(match, side, liberoInId) {
+    const team = match[side];
+    const liberoIn = team.bench.find(
+      (player) => player.id === liberoInId && player.position === "Libero"
+    );
+
+    if (match.isFinished) {
+      throw new Error("The match is over");
+    }
+    if (!liberoIn) {
+      throw new Error("Only a libero on the bench can replace the libero");
+    }
+    if (this.isInjured(match, side, liberoInId)) {
+      throw new Error(
+        `${this.describePlayer(liberoIn).playerName} is injured and cannot play`
+      );
+    }
+
+    const liberoOut = team.libero;
+    team.bench = team.bench.filter((player) => player !== liberoIn);
+    if (liberoOut) {
+      team.bench.push(liberoOut);
+    }
+    team.libero = liberoIn;
+
+    return this.recordAction(match, "libero", side, {
+      playerOut: this.describePlayer(liberoOut),
+      playerIn: this.describePlayer(liberoIn),
+    });
+  },
+
+  /**
+   * Call a timeout
+   *
+   * A timeout breaks the opponent's run, taking away their momentum.
+   *
+   * @param {Object} match - Match state
+   * @param {string} side - "home" or "away"
+   * @returns {Object} - Recorded match action
+   */
+  callTimeout(match, side) {
+    const state = match[side].setState;
+
+    if (match.isFinished) {
+      throw new Error("The match is over");
+    }
+    if (state.timeouts >= this.TIMEOUTS_PER_SET) {
+      throw new Error(
+        `Both timeouts of this set are used (${this.TIMEOUTS_PER_SET} per set)`
+      );
+    }
+
+    state.timeouts++;
+    if (match.run.side !== side) {
+      match.run = { side: null, length: 0 };
+    }
+
+    return this.recordAction(match, "timeout", side, {
+      count: state.timeouts,
+    });
+  },
+
+  /**
+   * Record a substitution, libero replacement or timeout in the match log
+   *
+   * @param {Object} match - Match state
+   * @param {string} type - "substitution", "libero" or "timeout"
+   * @param {string} side - Side that made the action
+   * @param {Object} details - Action details
+   * @returns {Object} - Match action
+   */
+  recordAction(match, type, side, details) {
+    const action = {
+      type,
+      side,
+      rally: match.rallies.length,
+      set: match.currentSet.number,
+      score: { home: match.currentSet.home, away: match.currentSet.away },
+      ...details,
+    };
+    match.actions.push(action);
+    return action;
+  },
+
+  /**
+   * Apply the recorded actions due before the next rally
+   *
+   * @param {Object} match - Match state
+   * @returns {void}
+   */
+  applyScriptedActions(match) {
+    while (match.scriptedActions[0]?.rally === match.rallies.length) {
+      const action = match.scriptedActions.shift();
+      if (action.injury) {
+        // Injury changes come back with the injuries themselves
+        continue;
+      }
+      if (action.type === "substitution") {
+        this.substitute(
+          match,
+          action.side,
+          action.playerOut.playerId,
+          action.playerIn.playerId
+        );
+      } else if (action.type === "libero") {
+        this.replaceLibero(match, action.side, action.playerIn.playerId);
+      } else if (action.type === "timeout") {
+        this.callTimeout(match, action.side);
+      }
+    }
+  },
+
+  /**
+   * Let the computer coach of a side react before a rally
+   *
+   * The coach calls a timeout when the opponent is on a run.
+   *
+   * @param {Object} match - Match state
+   * @param {string} side - Side coached by the computer
+   * @returns {void}
+   */
+  runAutoCoach(match, side) {
+    const opponentOnRun =
+      match.run.side === this.getOpponentSide(side) &&
+      match.run.length >= this.AUTO_TIMEOUT_RUN;
+
+    if (
+      opponentOnRun &&
+      match[side].setState.timeouts < this.TIMEOUTS_PER_SET
+    ) {
+      this.callTimeout(match, side);
+    }
+  },
+
+  /**
+   * Get how much the current run favours a side in the next rally
+   *
+   * @param {Object} match - Match state
+   * @param {string} side - "home" or "away"
+   * @returns {number} - Chance bonus (negative when the opponent is on a run)
+   */
+  getMomentumEdge(match, side) {
+    const { run } = match;
+    if (!run.side) {
+      return 0;
+    }
+
+    const momentum = Math.min(
+      this.MAX_MOMENTUM,
+      (run.length - 1) * this.MOMENTUM_PER_POINT
+    );
+    return run.side === side ? momentum : -momentum;
+  },
+
+  /**
+   * Check if play stops after a rally for a technical moment
+   *
+   * @param {Object} match - Match state
+   * @param {Object} rally - Rally just played
+   * @returns {string|null} - Description of the moment or null
+   */
+  getTechnicalMoment(match, rally) {
+    if (!rally || match.isFinished) {
+      return null;
+    }
+    if (rally.setFinished) {
+      return `End of set ${rally.set}`;
+    }
+
+    const set = match.currentSet;
+    const other = this.getOpponentSide(rally.winner);
+    const leaderScore = set[rally.winner];
+    if (set[other] >= leaderScore) {
+      return null;
+    }
+
+    if (set.number === this.RULES.maxSets) {
+      return leaderScore === 8 ? "Teams change courts" : null;
+    }
+    return this.TECHNICAL_TIMEOUT_SCORES.includes(leaderScore)
+      ? `Technical timeout at ${set.home}-${set.away}`
+      : null;
+  },
+
+  /**
+   * Get the players currently on court for a team
+   *
+   * The libero replaces a middle blocker in the back row (zones 5 and 6).
+   *
+   * @param {Object} team - Engine team
+   * @returns {Array} - Players on court
+   */
+  getCourtPlayers(team) {
+    const players = [...team.rotation];
+    if (!team.libero) {
+      return players;
+    }
+
+    for (const index of [4, 5]) {
+      if (players[index]?.position === "Middle Blocker") {
+        players[index] = team.libero;
+        break;
+      }
+    }
+    return players;
+  },
+
+  /**
+   * Get the players who may attack the set
+   *
+   * Front-row players may all attack. From the back row only outside and
+   * opposite hitters attack, from behind the 3m line; back-row setters,
+   * middles and the libero may not attack the ball above the net.
+   *
+   * @param {Array} courtPlayers - Players on court, by rotation index
+   * @param {Object} setter - Player setting the ball
+   * @returns {Array} - Players who may attack
+   */
+  getAttackers(courtPlayers, setter) {
+    const others = courtPlayers.filter((player) => player !== setter);
+    const attackers = others.filter((player) => {
+      if (player.position === "Libero") {
+        return false;
+      }
+      return (
+        !this.BACK_ROW_INDEXES.includes(courtPlayers.indexOf(player)) ||
+        this.BACK_ROW_ATTACKERS.includes(player.position)
+      );
+    });
+
+    // A lineup with nobody allowed to attack still has to play the ball
+    return attackers.length > 0 ? attackers : others;
+  },
+
+  /**
+   * Find who sets the ball
+   *
+   * In a 6-2 the setter in the back row sets, so the one in the front row
+   * is free to attack.
+   *
+   * @param {Array} courtPlayers - Players on court
+   * @param {Object} firstTouch - Player who played the first contact
+   * @param {boolean} [isSixTwo] - Whether the team plays a 6-2
+   * @returns {Object} - Setting player
+   */
+  findSetter(courtPlayers, firstTouch, isSixTwo = false) {
+    const candidates = courtPlayers.filter((player) => player !== firstTouch);
+    if (isSixTwo) {
+      const setters = candidates.filter((player) =>
+        window.TacticsSystem.isSetter(player)
+      );
+      const backRowSetter = setters.find((player) =>
+        this.BACK_ROW_INDEXES.includes(courtPlayers.indexOf(player))
+      );
+      if (backRowSetter || setters.length > 0) {
+        return backRowSetter || setters[0];
+      }
+    }
+    const setter = candidates.find((player) => player.position === "Setter");
+    if (setter) {
+      return setter;
+    }
+
+    return candidates.reduce((best, player) =>
+      this.getRating(player, "setting") > this.getRating(best, "setting")
+        ? player
+        : best
+    );
+  },
+
+  /**
+   * Get the attack rating of a player, using technique stats when present
+   *
+   * @param {Object} player - Player object
+   * @returns {number} - Attack rating
+   */
+  getAttackRating(player) {
+    return this.blendRatings(player, "attack", [
+      "spike_power",
+      "spike_accuracy",
+    ]);
+  },
+
+  /**
+   * Get the block rating of a player, using block timing when present
+   *
+   * @param {Object} player - Player object
+   * @returns {number} - Block rating
+   */
+  getBlockRating(player) {
+    return this.blendRatings(player, "block", ["block_timing"]);
+  },
+
+  /**
+   * Get the floor defence rating of a player, using dig technique when present
+   *
+   * @param {Object} player - Player object
+   * @returns {number} - Defence rating
+   */
+  getDefenseRating(player) {
+    return this.blendRatings(player, "defense", ["dig_technique"]);
+  },
+
+  /**
+   * Blend a core rating with related extended stats
+   *
+   * @param {Object} player - Player object
+   * @param {string} coreStat - Core stat key
+   * @param {Array} extendedStats - Extended stat keys
+   * @returns {number} - Blended rating
+   */
+  blendRatings(player, coreStat, extendedStats) {
+    const core = this.getRating(player, coreStat);
+    const extras = extendedStats
+      .map((stat) => player?.[stat])
+      .filter((value) => typeof value === "number")
+      .map((value) => value * this.getRatingModifier(player));
+
+    if (extras.length === 0) {
+      return core;
+    }
+
+    const extraAverage =
+      extras.reduce((sum, value) => sum + value, 0) / extras.length;
+    return core * 0.7 + extraAverage * 0.3;
+  },
+
+  /**
+   * Read a rating from a player with a sensible default
+   *
+   * The player's rating modifiers are applied to the value.
+   *
+   * @param {Object} player - Player object
+   * @param {string} stat - Stat key
+   * @returns {number} - Rating value
+   */
+  getRating(player, stat) {
+    const value = Number(player?.[stat]);
+    const rating = Number.isFinite(value) && value > 0 ? value : 50;
+    return rating * this.getRatingModifier(player);
+  },
+
+  /**
+   * Get the multiplier applied to all ratings of a player
+   *
+   * ratingModifier is set before the match (e.g. an out-of-position
+   * penalty), fatigueModifier changes during the match.
+   *
+   * @param {Object} player - Player object
+   * @returns {number} - Rating multiplier
+   */
+  getRatingModifier(player) {
+    return (player?.ratingModifier ?? 1) * (player?.fatigueModifier ?? 1);
+  },
+
+  /**
+   * Pick a player with probability proportional to a weight
+   *
+   * @param {Object} rng - Random generator
+   * @param {Array} players - Candidate players
+   * @param {Function} weightFn - Function returning the weight of a player
+   * @returns {Object} - Picked player
+   */
+  pickWeighted(rng, players, weightFn) {
+    const weights = players.map((player) => Math.max(0, weightFn(player)));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    if (total <= 0) {
+      return rng.pick(players);
+    }
+
+    let target = rng.next() * total;
+    for (let i = 0; i < players.length; i++) {
+      target -= weights[i];
+      if (target <= 0) {
+        return players[i];
+      }
+    }
+    return players[players.length - 1];
+  },
+
+  /**
+   * Turn a 0-1 score into a touch quality (1 = poor, 2 = good, 3 = perfect)
+   *
+   * @param {number} score - Quality score
+   * @returns {number} - Touch quality
+   */
+  rollQuality(score) {
+    if (score >= 0.65) return 3;
+    if (score >= 0.3) return 2;
+    return 1;
+  },
+
+  /**
+   * Random noise centred on zero
+   *
+   * @param {Object} rng - Random generator
+   * @param {number} amplitude - Maximum absolute value
+   * @returns {number}
+   */
+  noise(rng, amplitude) {
+    return rng.range(-amplitude, amplitude);
+  },
+
+  /**
+   * Clamp a value between a minimum and a maximum
+   *
+   * @param {number} value - Value to clamp
+   * @param {number} min - Minimum value
+   * @param {number} max - Maximum value
+   * @returns {number}
+   */
+  clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+  },
+
+  /**
+   * Get the other side of the net
+   *
+   * @param {string} side - "home" or "away"
+   * @returns {string}
+   */
+  getOpponentSide(side) {
+    return side === "home" ? "away" : "home";
+  },
+
+  /**
+   * Create a rally event entry
+   *
+   * @param {string} type - Touch type (serve, receive, set, attack, block, dig)
+   * @param {string} side - Side that played the touch
+   * @param {Object} player - Player who played the touch
+   * @param {string|number} outcome - Outcome or quality of the touch
+   * @returns {Object} - Rally event
+   */
+  createEvent(type, side, player, outcome) {
+    return { type, side, ...this.describePlayer(player), outcome };
+  },
+
+  /**
+   * Describe a player for the rally log
+   *
+   * @param {Object} player - Player object
+   * @returns {Object} - Player id and name
+   */
+  describePlayer(player) {
+    return {
+      playerId: player?.id ?? null,
+      playerName: player?.player_name || "Unknown Player",
+    };
+  },
+};
+
+// Export to global scope
+window.MatchEngine = MatchEngine;
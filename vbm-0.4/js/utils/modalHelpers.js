@@ -93,10 +93,16 @@ function showPlayerModal(player) {
     return;
   }
 
+  // Players outside the user's team show the ratings their scouts estimate
+  const estimate = window.ScoutingService.getEstimate(player);
+  const rating = (stat) =>
+    window.ScoutingSystem.formatRange(estimate.ratings[stat]);
+
   // Extract contract information from database fields
   const contractYears = player.contract_years || null;
   const monthlyWages = player.monthly_wage || null;
-  const playerValue = player.player_value || null;
+  // The value follows the exact ratings, so it needs a full report
+  const playerValue = estimate.known ? player.player_value || null : null;
   const currentTeam = player.teams?.team_name || null;
 
   // Determine team status
@@ -202,40 +208,74 @@ function showPlayerModal(player) {
             </div>
             <div class="modal__meta-item">
                 <div class="modal__meta-label">Overall</div>
-                <div class="modal__meta-value modal__meta-value--highlight">${
-                  player.overall || "N/A"
-                }</div>
+                <div class="modal__meta-value modal__meta-value--highlight">${rating(
+                  "overall"
+                )}</div>
             </div>
         </div>
+        ${
+          estimate.known
+            ? ""
+            : `
+        <div class="modal__scouting">
+            Estimated ratings: scouting report ${estimate.accuracy}% complete
+        </div>`
+        }
         <div class="modal__stats">
             <div class="modal__stat">
-                <div class="modal__stat-value">${player.attack || "N/A"}</div>
+                <div class="modal__stat-value">${rating("attack")}</div>
                 <div class="modal__stat-label">Attack</div>
             </div>
             <div class="modal__stat">
-                <div class="modal__stat-value">${player.defense || "N/A"}</div>
+                <div class="modal__stat-value">${rating("defense")}</div>
                 <div class="modal__stat-label">Defense</div>
             </div>
             <div class="modal__stat">
-                <div class="modal__stat-value">${player.serve || "N/A"}</div>
+                <div class="modal__stat-value">${rating("serve")}</div>
                 <div class="modal__stat-label">Serve</div>
             </div>
             <div class="modal__stat">
-                <div class="modal__stat-value">${player.block || "N/A"}</div>
+                <div class="modal__stat-value">${rating("block")}</div>
                 <div class="modal__stat-label">Block</div>
             </div>
             <div class="modal__stat">
-                <div class="modal__stat-value">${player.receive || "N/A"}</div>
+                <div class="modal__stat-value">${rating("receive")}</div>
                 <div class="modal__stat-label">Receive</div>
             </div>
             <div class="modal__stat">
-                <div class="modal__stat-value">${player.setting || "N/A"}</div>
+                <div class="modal__stat-value">${rating("setting")}</div>
                 <div class="modal__stat-label">Setting</div>
             </div>
         </div>
         ${contractSection}
+        ${
+          player.id
+            ? `
+        <div class="modal__season">
+            <h4 class="modal__season-title">Season Statistics</h4>
+            <div class="modal__season-info">Loading season statistics...</div>
+        </div>
+        ${
+          estimate.known
+            ? `
+        <div class="modal__development">
+            <h4 class="modal__season-title">Recent Development</h4>
+            <div class="modal__development-list">Loading development history...</div>
+        </div>`
+            : ""
+        }`
+            : ""
+        }
     `;
 
+  if (player.id) {
+    loadPlayerSeasonStats(player.id, modalContent);
+    // Stat history shows exact values, so it needs a full report too
+    if (estimate.known) {
+      loadPlayerStatHistory(player.id, modalContent);
+    }
+  }
+
   // Insert country flag avatar into the modal
   const playerFaceContainer = modalContent.querySelector(".modal__player-face");
   if (playerFaceContainer) {
@@ -250,6 +290,113 @@ function showPlayerModal(player) {
   modal.classList.add("modal--active");
 }
 
+/**
+ * Load the season totals of a player into the player modal
+ *
+ * @param {number} playerId - Player ID
+ * @param {HTMLElement} modalContent - Player modal content element
+ * @returns {Promise<void>}
+ */
+async function loadPlayerSeasonStats(playerId, modalContent) {
+  const container = modalContent.querySelector(".modal__season-info");
+  if (!container) {
+    return;
+  }
+
+  try {
+    const season = String(
+      window.Dashboard?.currentYear || new Date().getFullYear()
+    );
+    const stats = await window.DatabaseService.getPlayerSeasonStats(
+      playerId,
+      season
+    );
+
+    if (stats.matchesPlayed === 0) {
+      container.innerHTML = `<div class="modal__season-empty">No matches played in ${season}</div>`;
+      return;
+    }
+
+    const items = [
+      ["Matches", stats.matchesPlayed],
+      ["Kills", stats.kills],
+      [
+        "Attack Eff.",
+        stats.attackEfficiency === null
+          ? "-"
+          : stats.attackEfficiency.toFixed(3),
+      ],
+      ["Aces", stats.aces],
+      ["Service Errors", stats.serviceErrors],
+      ["Blocks", stats.blocks],
+      ["Digs", stats.digs],
+      [
+        "Reception",
+        stats.receptionRating === null ? "-" : stats.receptionRating.toFixed(2),
+      ],
+      ["Assists", stats.assists],
+    ];
+
+    container.innerHTML = items
+      .map(
+        ([label, value]) => `
+            <div class="modal__season-item">
+                <div class="modal__season-label">${label}</div>
+                <div class="modal__season-value">${value}</div>
+            </div>`
+      )
+      .join("");
+  } catch (error) {
+    console.error("Error loading player season stats:", error);
+    container.innerHTML = `<div class="modal__season-empty">Season statistics are not available</div>`;
+  }
+}
+
+/**
+ * Load the latest stat changes of a player into the player modal
+ *
+ * @param {number} playerId - Player ID
+ * @param {HTMLElement} modalContent - Player modal content element
+ * @returns {Promise<void>}
+ */
+async function loadPlayerStatHistory(playerId, modalContent) {
+  const container = modalContent.querySelector(".modal__development-list");
+  if (!container) {
+    return;
+  }
+
+  try {
+    const history = await window.DatabaseService.getPlayerStatHistory(playerId);
+
+    if (history.length === 0) {
+      container.innerHTML = `<div class="modal__season-empty">No stat changes yet</div>`;
+      return;
+    }
+
+    const stats = window.PlayerStatsSystem.getAllStats();
+    container.innerHTML = history
+      .map((change) => {
+        const difference = change.new_value - change.old_value;
+        return `
+            <div class="modal__development-item">
+                <span class="modal__development-date">${change.change_date}</span>
+                <span class="modal__development-stat">${
+                  stats[change.stat]?.name || change.stat
+                }</span>
+                <span class="modal__development-change ${
+                  difference >= 0
+                    ? "modal__development-change--up"
+                    : "modal__development-change--down"
+                }">${change.old_value} → ${change.new_value}</span>
+            </div>`;
+      })
+      .join("");
+  } catch (error) {
+    console.error("Error loading player stat history:", error);
+    container.innerHTML = `<div class="modal__season-empty">Development history is not available</div>`;
+  }
+}
+
 /**
  * Close player details modal
  *
@@ -291,10 +438,17 @@ async function showTeamModal(team) {
   try {
     // Get team statistics from database
     const teamStats = await window.DatabaseService.getTeamStatisticsOptimized(
-      team.id
+      team.id,
+      String(window.Dashboard?.currentYear || new Date().getFullYear())
     );
     console.log("Team stats for modal:", teamStats);
 
+    // Other teams' average rating comes from the scouted estimates
+    const averageRating = await getEstimatedAverageRating(
+      team,
+      teamStats.averageRating
+    );
+
     // Get league name from team data
     const leagueName = team.leagues?.league_name || "Unknown League";
 
@@ -334,9 +488,7 @@ async function showTeamModal(team) {
               </div>
               <div class="modal__meta-item">
                   <div class="modal__meta-label">Average Rating</div>
-                  <div class="modal__meta-value modal__meta-value--highlight">${
-                    teamStats.averageRating || "N/A"
-                  }</div>
+                  <div class="modal__meta-value modal__meta-value--highlight">${averageRating}</div>
               </div>
           </div>
           <div class="modal__stats">
@@ -365,9 +517,7 @@ async function showTeamModal(team) {
                   <div class="modal__stat-label">Win Rate</div>
               </div>
               <div class="modal__stat">
-                  <div class="modal__stat-value">${
-                    teamStats.averageRating || "N/A"
-                  }</div>
+                  <div class="modal__stat-value">${averageRating}</div>
                   <div class="modal__stat-label">Avg Rating</div>
               </div>
           </div>
@@ -426,6 +576,40 @@ async function showTeamModal(team) {
   }
 }
 
+/**
+ * Get the average rating of a team as the user's scouts see it
+ *
+ * The user's own team shows its exact average; other teams show the
+ * average of the lowest and highest estimates of their players.
+ *
+ * @param {Object} team - Team object
+ * @param {number} exactAverage - Exact average rating of the team
+ * @returns {Promise<string>} - Average rating or range for display
+ */
+async function getEstimatedAverageRating(team, exactAverage) {
+  if (team.id === window.AuthService?.getUserTeam()?.id) {
+    return exactAverage || "N/A";
+  }
+
+  const players = await window.DatabaseService.getPlayersByTeam(team.id);
+  if (players.length === 0) {
+    return "N/A";
+  }
+
+  const ranges = players.map(
+    (player) => window.ScoutingService.getEstimate(player).ratings.overall
+  );
+  const average = (key) =>
+    Math.round(
+      ranges.reduce((sum, range) => sum + (range[key] || 0), 0) / ranges.length
+    );
+
+  return window.ScoutingSystem.formatRange({
+    low: average("low"),
+    high: average("high"),
+  });
+}
+
 /**
  * Close team details modal
  *
@@ -0,0 +1,185 @@
+/**
+ * Morale System - Player morale, form and experience after matches
+ *
+ * This module works out how a match changes the players of a squad.
+ * Morale follows results and playing time, form follows the player's own
+ * match ratings and experience grows with the rallies played. Morale and
+ * form in turn change how well a player performs in the match engine.
+ *
+ * @fileoverview Morale, form and experience rules for players
+ * @author Spike Dynasty Team
+ * @version 0.4.0
+ */
+
+/**
+ * MoraleSystem utility object
+ *
+ * All functions are pure: they take player rows and box score lines and
+ * return new values, leaving storage to the caller.
+ */
+const MoraleSystem = {
+  // Values of a player without a morale or form yet
+  DEFAULT_MORALE: 70,
+  DEFAULT_FORM: 50,
+
+  // Morale change for the match result
+  WIN_MORALE: 4,
+  LOSS_MORALE: -4,
+
+  // Morale change for playing time
+  PLAYED_MORALE: 2,
+  UNUSED_MORALE: -3,
+
+  // Share of the gap to the default morale that closes after every match
+  MORALE_RECOVERY: 0.1,
+
+  // Rallies on court a player needs to count as having played
+  MIN_RALLIES_PLAYED: 20,
+
+  // Weight of the latest match rating in the running form
+  FORM_WEIGHT: 0.3,
+
+  // Rallies played for one point of experience (about a full match)
+  RALLIES_PER_EXPERIENCE: 150,
+
+  // Rallies in an average set, to turn playing time into sets played
+  RALLIES_PER_SET: 45,
+
+  // Impact per set of an average performance in each role
+  EXPECTED_IMPACT: {
+    Setter: 5.9,
+    "Outside Hitter": 5.1,
+    "Opposite Hitter": 5.0,
+    "Middle Blocker": 3.5,
+    Libero: 3.8,
+    default: 4.5,
+  },
+
+  // Match rating points per point of impact above or below expectation
+  RATING_PER_IMPACT: 8,
+
+  // Largest rating bonus or penalty from morale and from form each
+  MAX_MORALE_EFFECT: 0.03,
+  MAX_FORM_EFFECT: 0.04,
+
+  /**
+   * Get the rating multiplier of a player from morale and form
+   *
+   * A player at the default morale and form plays at their ratings. Each
+   * of the two moves the multiplier by at most a few percent.
+   *
+   * @param {Object} player - Player row with morale and form
+   * @returns {number} - Rating multiplier
+   */
+  getRatingModifier(player) {
+    const morale = player?.morale ?? this.DEFAULT_MORALE;
+    const form = player?.form ?? this.DEFAULT_FORM;
+
+    const moraleEffect =
+      morale >= this.DEFAULT_MORALE
+        ? (morale - this.DEFAULT_MORALE) / (100 - this.DEFAULT_MORALE)
+        : (morale - this.DEFAULT_MORALE) / this.DEFAULT_MORALE;
+    const formEffect = (form - this.DEFAULT_FORM) / this.DEFAULT_FORM;
+
+    return (
+      1 +
+      moraleEffect * this.MAX_MORALE_EFFECT +
+      formEffect * this.MAX_FORM_EFFECT
+    );
+  },
+
+  /**
+   * Rate a player's match performance from their box score line
+   *
+   * Impact adds up the touches that win or lose points per set played,
+   * so a substitute is not rated down for short minutes. An average
+   * performance for the player's role rates 50.
+   *
+   * @param {Object} line - Player statistic line from the match engine
+   * @returns {number} - Match rating (0-100)
+   */
+  getMatchRating(line) {
+    const setsPlayed = Math.max(line.ralliesPlayed / this.RALLIES_PER_SET, 0.5);
+    const impact =
+      line.kills +
+      line.aces +
+      line.blocks +
+      line.digs * 0.5 +
+      line.assists * 0.3 +
+      (line.receptionPoints - line.receptions * 2) * 0.5 -
+      line.attackErrors -
+      line.serviceErrors -
+      line.receptionErrors;
+
+    const expected =
+      this.EXPECTED_IMPACT[line.position] ?? this.EXPECTED_IMPACT.default;
+
+    return this.clamp(
+      Math.round(50 + (impact / setsPlayed - expected) * this.RATING_PER_IMPACT)
+    );
+  },
+
+  /**
+   * Work out a player's morale, form and experience after a match
+   *
+   * @param {Object} player - Player row of the squad
+   * @param {Object|null} line - Player's box score line, null if they did not play
+   * @param {boolean} won - Whether the player's team won
+   * @returns {Object} - New values ({ morale, form, experience })
+   */
+  getPlayerUpdate(player, line, won) {
+    const morale = player.morale ?? this.DEFAULT_MORALE;
+    const form = player.form ?? this.DEFAULT_FORM;
+    const experience = player.experience ?? 1;
+    const played = (line?.ralliesPlayed || 0) >= this.MIN_RALLIES_PLAYED;
+
+    const resultMorale = won ? this.WIN_MORALE : this.LOSS_MORALE;
+    const timeMorale = played ? this.PLAYED_MORALE : this.UNUSED_MORALE;
+
+    const settledMorale =
+      morale + (this.DEFAULT_MORALE - morale) * this.MORALE_RECOVERY;
+
+    return {
+      morale: this.clamp(Math.round(settledMorale + resultMorale + timeMorale)),
+      form: played
+        ? this.clamp(
+            Math.round(
+              form * (1 - this.FORM_WEIGHT) +
+                this.getMatchRating(line) * this.FORM_WEIGHT
+            )
+          )
+        : form,
+      experience: Math.min(
+        100,
+        experience +
+          Math.round((line?.ralliesPlayed || 0) / this.RALLIES_PER_EXPERIENCE)
+      ),
+    };
+  },
+
+  /**
+   * Get the level of a morale or form value for display
+   *
+   * @param {number} value - Morale or form (0-100)
+   * @param {number} normal - Value of a player at their usual level
+   * @returns {string} - "high", "normal" or "low"
+   */
+  getLevel(value, normal) {
+    if (value >= normal + 10) return "high";
+    if (value <= normal - 15) return "low";
+    return "normal";
+  },
+
+  /**
+   * Clamp a value to the 0-100 range
+   *
+   * @param {number} value - Value to clamp
+   * @returns {number}
+   */
+  clamp(value) {
+    return Math.max(0, Math.min(100, value));
+  },
+};
+
+// Export to global scope
+window.MoraleSystem = MoraleSystem;
@@ -105,6 +105,16 @@ const PlayerStatsSystem = {
     },
   },
 
+  // Rating multiplier when a player plays outside their natural position
+  OUT_OF_POSITION_PENALTIES: {
+    // Closely related roles
+    "Outside Hitter": { "Opposite Hitter": 0.92 },
+    "Opposite Hitter": { "Outside Hitter": 0.92 },
+    default: 0.85,
+    // The libero is a specialist role in both directions
+    libero: 0.7,
+  },
+
   /**
    * Get all available stats (core + extended)
    *
@@ -237,12 +247,95 @@ const PlayerStatsSystem = {
     }
   },
 
+  /**
+   * Calculate the overall rating a player's stats give at their position
+   *
+   * The stored overall is left out so it does not feed into itself, and
+   * so is height, which is not on the 1-100 scale.
+   *
+   * @param {Object} player - Player row with stats and position
+   * @returns {number} - Calculated overall rating
+   */
+  calculatePlayerOverall(player) {
+    const { overall, height, ...stats } = player;
+    return this.calculateOverallRating(stats, player.position);
+  },
+
+  /**
+   * Calculate how well a player performs in a given position
+   *
+   * This function weighs the stats that matter for the position using
+   * POSITION_WEIGHTS and applies the out-of-position penalty when the
+   * position is not the player's own.
+   *
+   * @param {Object} player - Player object with stats
+   * @param {string} position - Position the player is playing
+   * @returns {number} - Position rating
+   */
+  calculatePositionRating(player, position) {
+    try {
+      const positionWeights = this.POSITION_WEIGHTS[position] || {};
+      const allStats = this.getAllStats();
+      let weightedSum = 0;
+      let totalWeight = 0;
+
+      Object.keys(positionWeights).forEach((statKey) => {
+        const statValue = player[statKey];
+        const statConfig = allStats[statKey];
+        if (statValue === undefined || statValue === null || !statConfig) {
+          return;
+        }
+
+        // Bring stats with another scale (e.g. height) to 0-100
+        const normalizedValue =
+          statConfig.max === 100
+            ? statValue
+            : ((statValue - statConfig.min) /
+                (statConfig.max - statConfig.min)) *
+              100;
+
+        weightedSum += normalizedValue * positionWeights[statKey];
+        totalWeight += positionWeights[statKey];
+      });
+
+      const rating =
+        totalWeight > 0 ? weightedSum / totalWeight : player.overall || 50;
+
+      return Math.round(
+        rating * this.getPositionPenalty(player.position, position)
+      );
+    } catch (error) {
+      console.error("Error calculating position rating:", error);
+      return player?.overall || 50;
+    }
+  },
+
+  /**
+   * Get the rating multiplier for playing a position
+   *
+   * @param {string} naturalPosition - Player's own position
+   * @param {string} playedPosition - Position the player is playing
+   * @returns {number} - Multiplier between 0 and 1 (1 when in position)
+   */
+  getPositionPenalty(naturalPosition, playedPosition) {
+    if (!naturalPosition || naturalPosition === playedPosition) {
+      return 1;
+    }
+
+    const penalties = this.OUT_OF_POSITION_PENALTIES;
+    if (naturalPosition === "Libero" || playedPosition === "Libero") {
+      return penalties.libero;
+    }
+
+    return penalties[naturalPosition]?.[playedPosition] ?? penalties.default;
+  },
+
   /**
    * Generate random stats for a player
    *
    * @param {string} position - Player position
    * @param {number} overallTarget - Target overall rating
-   * @param {Object} options - Generation options
+   * @param {Object} options - Generation options (variance, includeExtended, rng)
    * @returns {Object} - Generated stats object
    */
   generateRandomStats(position, overallTarget = 75, options = {}) {
@@ -269,7 +362,8 @@ const PlayerStatsSystem = {
           adjustedTarget,
           variance,
           statConfig.min,
-          statConfig.max
+          statConfig.max,
+          options.rng
         );
       });
 
@@ -289,7 +383,8 @@ const PlayerStatsSystem = {
             adjustedTarget,
             variance,
             statConfig.min,
-            statConfig.max
+            statConfig.max,
+            options.rng
           );
         });
       }
@@ -311,16 +406,18 @@ const PlayerStatsSystem = {
    * @param {number} variance - Variance from target
    * @param {number} min - Minimum possible value
    * @param {number} max - Maximum possible value
+   * @param {Object} [rng] - Random generator (the shared one by default)
    * @returns {number} - Generated stat value
    */
-  generateStatValue(target, variance, min, max) {
-    // Simple normal distribution approximation
-    const random1 = Math.random();
-    const random2 = Math.random();
-    const normalRandom =
-      Math.sqrt(-2 * Math.log(random1)) * Math.cos(2 * Math.PI * random2);
-
-    const value = target + normalRandom * variance;
+  generateStatValue(
+    target,
+    variance,
+    min,
+    max,
+    rng = window.RandomGenerator.getDefault()
+  ) {
+    // Normal distribution around the target
+    const value = rng.normal(target, variance);
     return Math.max(min, Math.min(max, Math.round(value)));
   },
 
@@ -0,0 +1,168 @@
+/**
+ * Random Generator - Seedable deterministic random numbers
+ *
+ * This module provides a small seeded pseudo random number generator
+ * (mulberry32). Every simulation and player generation routine draws its
+ * random numbers from a generator created here, so any match or generated
+ * player can be reproduced from its seed.
+ *
+ * @fileoverview Seeded PRNG used by all simulation code
+ * @author Spike Dynasty Team
+ * @version 0.4.0
+ */
+
+/**
+ * RandomGenerator utility object
+ *
+ * Use create(seed) to get an independent generator. The shared default
+ * generator (next(), int(), ...) is used when a caller does not pass one in
+ * and can be reseeded with setSeed() to make a whole session reproducible.
+ */
+const RandomGenerator = {
+  // Shared default generator state
+  defaultGenerator: null,
+
+  /**
+   * Create a new random seed
+   *
+   * @returns {number} - Unsigned 32-bit seed
+   */
+  createSeed() {
+    if (window.crypto && window.crypto.getRandomValues) {
+      return window.crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return (Date.now() ^ (performance.now() * 1000)) >>> 0;
+  },
+
+  /**
+   * Derive a child seed from a seed and a label
+   *
+   * Used to give separate parts of a simulation (team setup, the match
+   * itself) their own streams, so consuming numbers in one part never
+   * shifts the numbers of another.
+   *
+   * @param {number} seed - Parent seed
+   * @param {string} label - Stream label
+   * @returns {number} - Derived unsigned 32-bit seed
+   */
+  deriveSeed(seed, label) {
+    let hash = seed >>> 0;
+    for (let i = 0; i < label.length; i++) {
+      hash = Math.imul(hash ^ label.charCodeAt(i), 0x5bd1e995);
+      hash ^= hash >>> 15;
+    }
+    return hash >>> 0;
+  },
+
+  /**
+   * Create a seeded random generator
+   *
+   * @param {number} [seed] - Seed to use (a new one is created when omitted)
+   * @returns {Object} - Generator with next, int, range, chance, normal and pick
+   */
+  create(seed = this.createSeed()) {
+    let state = seed >>> 0;
+
+    const generator = {
+      seed: seed >>> 0,
+
+      // Float in [0, 1)
+      next() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      },
+
+      // Integer in [min, max]
+      int(min, max) {
+        return min + Math.floor(generator.next() * (max - min + 1));
+      },
+
+      // Float in [min, max)
+      range(min, max) {
+        return min + generator.next() * (max - min);
+      },
+
+      // True with the given probability
+      chance(probability) {
+        return generator.next() < probability;
+      },
+
+      // Normally distributed value (Box-Muller)
+      normal(mean = 0, deviation = 1) {
+        const u1 = 1 - generator.next();
+        const u2 = generator.next();
+        return (
+          mean +
+          Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2) * deviation
+        );
+      },
+
+      // Random element of an array
+      pick(items) {
+        return items[Math.floor(generator.next() * items.length)];
+      },
+    };
+
+    return generator;
+  },
+
+  /**
+   * Get the shared default generator
+   *
+   * @returns {Object} - Default generator
+   */
+  getDefault() {
+    if (!this.defaultGenerator) {
+      this.defaultGenerator = this.create();
+    }
+    return this.defaultGenerator;
+  },
+
+  /**
+   * Reseed the shared default generator
+   *
+   * @param {number} seed - New seed
+   * @returns {Object} - Reseeded default generator
+   */
+  setSeed(seed) {
+    this.defaultGenerator = this.create(seed);
+    console.log(`Random generator seeded with ${this.defaultGenerator.seed}`);
+    return this.defaultGenerator;
+  },
+
+  /**
+   * Float in [0, 1) from the default generator
+   *
+   * @returns {number}
+   */
+  next() {
+    return this.getDefault().next();
+  },
+
+  /**
+   * Integer in [min, max] from the default generator
+   *
+   * @param {number} min - Minimum value
+   * @param {number} max - Maximum value
+   * @returns {number}
+   */
+  int(min, max) {
+    return this.getDefault().int(min, max);
+  },
+
+  /**
+   * True with the given probability, from the default generator
+   *
+   * @param {number} probability - Probability between 0 and 1
+   * @returns {boolean}
+   */
+  chance(probability) {
+    return this.getDefault().chance(probability);
+  },
+};
+
+// Export to global scope
+window.RandomGenerator = RandomGenerator;
@@ -0,0 +1,154 @@
+/**
+ * Scouting System - Estimated ratings of players outside the user's team
+ *
+ * This module hides the exact ratings of players the user does not own
+ * behind ranges. The accuracy of a team's scouting report on a player
+ * (0-100) sets the width of each range; a fully scouted player shows the
+ * exact ratings. Where the true value sits inside a range is fixed per
+ * team, player and stat, so a range narrows towards the true value as
+ * the report builds up instead of jumping around.
+ *
+ * @fileoverview Scouting rules for estimated player ratings
+ * @author Spike Dynasty Team
+ * @version 0.4.0
+ */
+
+/**
+ * ScoutingSystem utility object
+ *
+ * All functions are pure, so storage and display are left to the caller.
+ */
+const ScoutingSystem = {
+  // Range width either side of the true value for an unscouted player
+  MAX_SPREAD: 15,
+
+  // Accuracy of a fully scouted player
+  MAX_ACCURACY: 100,
+
+  // Scouts a team can have out at the same time
+  MAX_SCOUTS: 3,
+
+  // Ratings shown as ranges
+  RATINGS: [
+    "overall",
+    "attack",
+    "defense",
+    "serve",
+    "block",
+    "receive",
+    "setting",
+  ],
+
+  /**
+   * Get the estimated range of a rating
+   *
+   * @param {number} value - True rating
+   * @param {number} accuracy - Report accuracy (0-100)
+   * @param {string} seedLabel - Label fixing where the true value sits, e.g. "5:123:attack"
+   * @returns {Object} - Range ({ low, high })
+   */
+  getRange(value, accuracy, seedLabel) {
+    if (value === null || value === undefined) {
+      return { low: null, high: null };
+    }
+
+    const spread = Math.round(
+      this.MAX_SPREAD * (1 - this.clampAccuracy(accuracy) / this.MAX_ACCURACY)
+    );
+    if (spread === 0) {
+      return { low: value, high: value };
+    }
+
+    // Share of the range width below the true value (0-1)
+    const position =
+      window.RandomGenerator.deriveSeed(0, seedLabel) / 0xffffffff;
+    const below = Math.round(spread * 2 * position);
+
+    return {
+      low: Math.max(1, value - below),
+      high: Math.min(100, value + spread * 2 - below),
+    };
+  },
+
+  /**
+   * Get the estimated ratings of a player
+   *
+   * @param {Object} player - Player row
+   * @param {number} accuracy - Report accuracy (0-100)
+   * @param {number} teamId - ID of the scouting team
+   * @returns {Object} - Estimate ({ accuracy, known, ratings: { [rating]: { low, high } } })
+   */
+  getEstimate(player, accuracy, teamId) {
+    const reportAccuracy = this.clampAccuracy(accuracy);
+
+    return {
+      accuracy: reportAccuracy,
+      known: reportAccuracy >= this.MAX_ACCURACY,
+      ratings: Object.fromEntries(
+        this.RATINGS.map((rating) => [
+          rating,
+          this.getRange(
+            player[rating],
+            reportAccuracy,
+            `${teamId}:${player.id}:${rating}`
+          ),
+        ])
+      ),
+    };
+  },
+
+  /**
+   * Get the middle of a range
+   *
+   * @param {Object} range - Range ({ low, high })
+   * @returns {number|null} - Middle value
+   */
+  getMidpoint(range) {
+    if (range.low === null) {
+      return null;
+    }
+    return Math.round((range.low + range.high) / 2);
+  },
+
+  /**
+   * Format a range for display
+   *
+   * @param {Object} range - Range ({ low, high })
+   * @returns {string} - "68" for an exact value, "62-74" for a range
+   */
+  formatRange(range) {
+    if (range.low === null) {
+      return "N/A";
+    }
+    return range.low === range.high
+      ? String(range.low)
+      : `${range.low}-${range.high}`;
+  },
+
+  /**
+   * Check whether a player is in a scout's target
+   *
+   * @param {Object} player - Player row with teams.league_id
+   * @param {Object} assignment - Scout assignment ({ target_type, target_value })
+   * @returns {boolean}
+   */
+  isInTarget(player, assignment) {
+    if (assignment.target_type === "country") {
+      return player.country === assignment.target_value;
+    }
+    return String(player.teams?.league_id) === String(assignment.target_value);
+  },
+
+  /**
+   * Clamp an accuracy to 0-100
+   *
+   * @param {number} accuracy - Report accuracy
+   * @returns {number}
+   */
+  clampAccuracy(accuracy) {
+    return Math.max(0, Math.min(this.MAX_ACCURACY, accuracy || 0));
+  },
+};
+
+// Export to global scope
+window.ScoutingSystem = ScoutingSystem;
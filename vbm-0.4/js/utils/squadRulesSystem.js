@@ -0,0 +1,325 @@
+/**
+ * Squad Rules System - Checks a lineup against the squad rules
+ *
+ * This module reports what is wrong with a lineup before it plays. Errors
+ * break the rules and stop the match from starting: an empty starting
+ * slot, a libero out of the libero slot, too many liberos, an injured or
+ * suspended starter, two players with the same jersey number or more
+ * foreign players than the league allows. Warnings only weaken the team:
+ * a player out of position, players who do not sit opposite their
+ * partner in the rotation, no backup setter or libero, or an injured or
+ * suspended player on the bench.
+ *
+ * @fileoverview Squad rules for lineups
+ * @author Spike Dynasty Team
+ * @version 0.4.0
+ */
+
+/**
+ * SquadRulesSystem utility object
+ *
+ * Lineups use the shape of LineupBuilder ({ starting, bench } with player
+ * rows). Every issue names the slots it is about, so they can be marked
+ * on the court: { message, slots: [{ type: "starting"|"bench", index }] }.
+ */
+const SquadRulesSystem = {
+  // Most liberos a team may name in a lineup
+  MAX_LIBEROS: 2,
+
+  // Positions that belong opposite each position in the rotation (three
+  // zones apart), so every rotation has the same balance of roles
+  OPPOSITE_POSITIONS: {
+    Setter: ["Opposite Hitter", "Setter"],
+    "Opposite Hitter": ["Setter"],
+    "Outside Hitter": ["Outside Hitter"],
+    "Middle Blocker": ["Middle Blocker"],
+  },
+
+  /**
+   * Check a lineup against the squad rules
+   *
+   * @param {Object} lineup - Lineup ({ starting, bench }) with player rows
+   * @param {Object} [options] - Options
+   * @param {string} [options.date] - Game date (YYYY-MM-DD) to check injuries and suspensions on
+   * @param {Object} [options.league] - League row with country and foreign_player_quota
+   * @returns {Object} - Result ({ isValid, errors, warnings })
+   */
+  validate(lineup, options = {}) {
+    const { date = null, league = null } = options;
+    const entries = this.getEntries(lineup);
+    const errors = [];
+    const warnings = [];
+
+    this.checkSlots(lineup, errors, warnings);
+    this.checkRotation(lineup, warnings);
+    this.checkBackups(entries, warnings);
+    this.checkLiberos(entries, errors);
+    if (date) {
+      this.checkAvailability(entries, date, errors, warnings);
+    }
+    this.checkJerseyNumbers(entries, errors);
+    this.checkForeignQuota(entries, league, errors);
+
+    return { isValid: errors.length === 0, errors, warnings };
+  },
+
+  /**
+   * List the filled slots of a lineup
+   *
+   * @param {Object} lineup - Lineup ({ starting, bench })
+   * @returns {Array} - Entries ({ player, slot: { type, index }, position })
+   */
+  getEntries(lineup) {
+    const starting = (lineup?.starting || []).map((slot, index) => ({
+      player: slot.player,
+      slot: { type: "starting", index },
+      position: slot.position,
+    }));
+    const bench = (lineup?.bench || []).map((slot, index) => ({
+      player: slot.player,
+      slot: { type: "bench", index },
+      position: null,
+    }));
+
+    return [...starting, ...bench].filter((entry) => entry.player);
+  },
+
+  /**
+   * Check that every starting slot holds a player of its position
+   *
+   * Only a libero may play in the libero slot, and a libero nowhere else.
+   * Other players out of position play with a rating penalty.
+   *
+   * @param {Object} lineup - Lineup ({ starting, bench })
+   * @param {Array} errors - Errors, added to in place
+   * @param {Array} warnings - Warnings, added to in place
+   * @returns {void}
+   */
+  checkSlots(lineup, errors, warnings) {
+    (lineup?.starting || []).forEach((slot, index) => {
+      const slots = [{ type: "starting", index }];
+      const player = slot.player;
+
+      if (!player) {
+        errors.push({ message: `${slot.position} position is empty`, slots });
+      } else if (slot.position === "Libero" && player.position !== "Libero") {
+        errors.push({
+          message: `${player.player_name} is not a libero and cannot play in the libero slot`,
+          slots,
+        });
+      } else if (slot.position !== "Libero" && player.position === "Libero") {
+        errors.push({
+          message: `${player.player_name} is a libero and can only play in the libero slot`,
+          slots,
+        });
+      } else if (player.position !== slot.position) {
+        warnings.push({
+          message: `${player.player_name} (${player.position}) is out of position as ${slot.position}`,
+          slots,
+        });
+      }
+    });
+  },
+
+  /**
+   * Check that the court players sit opposite their partner
+   *
+   * Zones 1 and 4, 2 and 5, and 3 and 6 face each other across the
+   * rotation. The setter belongs opposite the opposite hitter (or the
+   * other setter in a 6-2) and the two outside hitters and the two
+   * middles opposite each other.
+   *
+   * @param {Object} lineup - Lineup ({ starting, bench })
+   * @param {Array} warnings - Warnings, added to in place
+   * @returns {void}
+   */
+  checkRotation(lineup, warnings) {
+    const zones = window.LineupBuilder.SQUAD_ZONES;
+    const slotOfZone = (zone) => zones.indexOf(zone);
+
+    [1, 2, 3].forEach((zone) => {
+      const index = slotOfZone(zone);
+      const oppositeIndex = slotOfZone(zone + 3);
+      const player = lineup?.starting?.[index]?.player;
+      const opposite = lineup?.starting?.[oppositeIndex]?.player;
+      const partners = this.OPPOSITE_POSITIONS[player?.position];
+      if (
+        !player ||
+        !opposite ||
+        !partners ||
+        !this.OPPOSITE_POSITIONS[opposite.position]
+      ) {
+        return;
+      }
+
+      if (!partners.includes(opposite.position)) {
+        warnings.push({
+          message: `Zones ${zone} and ${zone + 3} should pair ${player.position} with ${partners.join(" or ")}, not ${opposite.position}`,
+          slots: [
+            { type: "starting", index },
+            { type: "starting", index: oppositeIndex },
+          ],
+        });
+      }
+    });
+  },
+
+  /**
+   * Check that the bench has a backup setter and libero
+   *
+   * @param {Array} entries - Filled slots (see getEntries)
+   * @param {Array} warnings - Warnings, added to in place
+   * @returns {void}
+   */
+  checkBackups(entries, warnings) {
+    const bench = entries.filter((entry) => entry.slot.type === "bench");
+
+    window.LineupBuilder.BACKUP_POSITIONS.forEach((position) => {
+      if (!bench.some((entry) => entry.player.position === position)) {
+        warnings.push({
+          message: `No backup ${position} on the bench`,
+          slots: [],
+        });
+      }
+    });
+  },
+
+  /**
+   * Check that the lineup names no more liberos than allowed
+   *
+   * @param {Array} entries - Filled slots (see getEntries)
+   * @param {Array} errors - Errors, added to in place
+   * @returns {void}
+   */
+  checkLiberos(entries, errors) {
+    const liberos = entries.filter(
+      (entry) => entry.player.position === "Libero"
+    );
+
+    if (liberos.length > this.MAX_LIBEROS) {
+      errors.push({
+        message: `${liberos.length} liberos named, at most ${this.MAX_LIBEROS} are allowed`,
+        slots: liberos.map((entry) => entry.slot),
+      });
+    }
+  },
+
+  /**
+   * Check for injured and suspended players
+   *
+   * Starters who cannot play are errors; bench players only warnings, as
+   * they are left out of the match.
+   *
+   * @param {Array} entries - Filled slots (see getEntries)
+   * @param {string} date - Game date (YYYY-MM-DD)
+   * @param {Array} errors - Errors, added to in place
+   * @param {Array} warnings - Warnings, added to in place
+   * @returns {void}
+   */
+  checkAvailability(entries, date, errors, warnings) {
+    entries.forEach(({ player, slot }) => {
+      let reason = null;
+      if (window.InjurySystem.isInjured(player, date)) {
+        reason = `injured until ${player.injured_until}`;
+      } else if (this.isSuspended(player, date)) {
+        reason = `suspended until ${player.suspended_until}`;
+      }
+      if (!reason) {
+        return;
+      }
+
+      if (slot.type === "starting") {
+        errors.push({
+          message: `${player.player_name} is ${reason}`,
+          slots: [slot],
+        });
+      } else {
+        warnings.push({
+          message: `${player.player_name} is ${reason} and cannot come off the bench`,
+          slots: [slot],
+        });
+      }
+    });
+  },
+
+  /**
+   * Check that no two players of the lineup wear the same number
+   *
+   * @param {Array} entries - Filled slots (see getEntries)
+   * @param {Array} errors - Errors, added to in place
+   * @returns {void}
+   */
+  checkJerseyNumbers(entries, errors) {
+    const byNumber = new Map();
+    entries.forEach((entry) => {
+      const number = entry.player.jersey_number;
+      if (number === null || number === undefined) {
+        return;
+      }
+      byNumber.set(number, [...(byNumber.get(number) || []), entry]);
+    });
+
+    byNumber.forEach((sharing, number) => {
+      if (sharing.length > 1) {
+        errors.push({
+          message: `#${number} is worn by ${sharing
+            .map((entry) => entry.player.player_name)
+            .join(" and ")}`,
+          slots: sharing.map((entry) => entry.slot),
+        });
+      }
+    });
+  },
+
+  /**
+   * Check the lineup against the league's foreign-player quota
+   *
+   * Leagues without a country or a quota have no limit.
+   *
+   * @param {Array} entries - Filled slots (see getEntries)
+   * @param {Object|null} league - League row with country and foreign_player_quota
+   * @param {Array} errors - Errors, added to in place
+   * @returns {void}
+   */
+  checkForeignQuota(entries, league, errors) {
+    const quota = league?.foreign_player_quota;
+    if (!league?.country || quota === null || quota === undefined) {
+      return;
+    }
+
+    const foreign = entries.filter((entry) =>
+      this.isForeign(entry.player, league)
+    );
+    if (foreign.length > quota) {
+      errors.push({
+        message: `${foreign.length} foreign players named, ${league.league_name} allows ${quota}`,
+        slots: foreign.map((entry) => entry.slot),
+      });
+    }
+  },
+
+  /**
+   * Check whether a player is suspended on a date
+   *
+   * @param {Object} player - Player row with suspended_until
+   * @param {string} date - Date to check (YYYY-MM-DD)
+   * @returns {boolean} - True if the player cannot play
+   */
+  isSuspended(player, date) {
+    return Boolean(player?.suspended_until && player.suspended_until > date);
+  },
+
+  /**
+   * Check whether a player counts as foreign in a league
+   *
+   * @param {Object} player - Player row with country
+   * @param {Object} league - League row with country
+   * @returns {boolean}
+   */
+  isForeign(player, league) {
+    return Boolean(league?.country) && player.country !== league.country;
+  },
+};
+
+// Export to global scope
+window.SquadRulesSystem = SquadRulesSystem;
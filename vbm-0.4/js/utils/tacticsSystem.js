@@ -0,0 +1,359 @@
+/**
+ * Tactics System - Team tactics and their effect on the match engine
+ *
+ * This module defines the tactics a team can play with: the rotation
+ * system, the serve strategy, the block scheme and the attack
+ * distribution. Each option carries the shifts the match engine applies
+ * to its probabilities. The default of every choice has no shifts, so a
+ * team without tactics plays exactly as before.
+ *
+ * Computer coaches pick counter-tactics from the two lineups and what
+ * they know of the opponent's tactics.
+ *
+ * @fileoverview Team tactics rules and computer counter-tactics
+ * @author Spike Dynasty Team
+ * @version 0.4.0
+ */
+
+/**
+ * TacticsSystem utility object
+ *
+ * All functions are pure, so storage and display are left to the caller.
+ */
+const TacticsSystem = {
+  // Rotation systems
+  SYSTEMS: {
+    "5-1": {
+      name: "5-1",
+      description: "One setter sets in every rotation",
+    },
+    "6-2": {
+      name: "6-2",
+      description:
+        "Two setters, the one in the back row sets and the other attacks. Needs a second setter in the lineup",
+    },
+  },
+
+  // Serve strategies, with the serve stat they use and the odds they shift
+  SERVE_STRATEGIES: {
+    mixed: {
+      name: "Mixed",
+      description: "Each server picks their own serve",
+      stat: null,
+      errorShift: 0,
+      aceShift: 0,
+      passShift: 0,
+    },
+    aggressive: {
+      name: "Aggressive Jump Serve",
+      description: "More aces and broken passes, more service errors",
+      stat: "jump_serve",
+      errorShift: 0.05,
+      aceShift: 0.04,
+      passShift: -0.1,
+    },
+    safe: {
+      name: "Safe Float Serve",
+      description: "Few service errors, easier balls to pass",
+      stat: "float_serve",
+      errorShift: -0.04,
+      aceShift: -0.02,
+      passShift: 0.06,
+    },
+  },
+
+  // Block schemes, with the block odds they shift by attacker position and
+  // the kill odds they shift through the floor defence behind the block
+  BLOCK_SCHEMES: {
+    read: {
+      name: "Read Block",
+      description: "Blockers follow the set, solid against every attacker",
+      middleShift: 0,
+      wingShift: 0,
+      killShift: 0,
+    },
+    commit: {
+      name: "Commit Block",
+      description:
+        "Blockers jump with the middle, stops quick attacks but leaves the wings open",
+      middleShift: 0.08,
+      wingShift: -0.03,
+      killShift: 0.02,
+    },
+  },
+
+  // Attack distributions, as multipliers of the position attack weights
+  ATTACK_DISTRIBUTIONS: {
+    balanced: {
+      name: "Balanced",
+      description: "Spread the sets across all hitters",
+      weights: {},
+    },
+    outside: {
+      name: "Outside Focus",
+      description: "Feed the outside hitters",
+      weights: {
+        "Outside Hitter": 1.4,
+        "Opposite Hitter": 0.9,
+        "Middle Blocker": 0.7,
+      },
+    },
+    middle: {
+      name: "Middle Quicks",
+      description: "Run the offence through the middle blockers",
+      weights: {
+        "Outside Hitter": 0.9,
+        "Opposite Hitter": 0.9,
+        "Middle Blocker": 1.6,
+      },
+    },
+    opposite: {
+      name: "Opposite Focus",
+      description: "Feed the opposite hitter",
+      weights: {
+        "Outside Hitter": 0.9,
+        "Opposite Hitter": 1.5,
+        "Middle Blocker": 0.8,
+      },
+    },
+  },
+
+  // Tactics of a team that has not chosen any
+  DEFAULT_TACTICS: {
+    system: "5-1",
+    serve: "mixed",
+    block: "read",
+    attack: "balanced",
+  },
+
+  // Average attack lead a position group needs to get the sets
+  ATTACK_FOCUS_EDGE: 3,
+
+  // Block lead of the opponent's middles that steers the sets away from them
+  STRONG_MIDDLE_BLOCK_EDGE: 5,
+
+  // Serve edge bonus against a team that needs good passes for its quicks
+  MIDDLE_ATTACK_SERVE_BONUS: 5,
+
+  /**
+   * Get complete, valid tactics from saved ones
+   *
+   * Missing or unknown choices fall back to the default.
+   *
+   * @param {Object|null} tactics - Saved tactics
+   * @returns {Object} - Tactics ({ system, serve, block, attack })
+   */
+  normalize(tactics) {
+    const pick = (value, options, fallback) =>
+      value && options[value] ? value : fallback;
+
+    return {
+      system: pick(tactics?.system, this.SYSTEMS, this.DEFAULT_TACTICS.system),
+      serve: pick(
+        tactics?.serve,
+        this.SERVE_STRATEGIES,
+        this.DEFAULT_TACTICS.serve
+      ),
+      block: pick(
+        tactics?.block,
+        this.BLOCK_SCHEMES,
+        this.DEFAULT_TACTICS.block
+      ),
+      attack: pick(
+        tactics?.attack,
+        this.ATTACK_DISTRIBUTIONS,
+        this.DEFAULT_TACTICS.attack
+      ),
+    };
+  },
+
+  /**
+   * Get the serve strategy of a team's tactics
+   *
+   * @param {Object} tactics - Tactics
+   * @returns {Object} - Serve strategy
+   */
+  getServeStrategy(tactics) {
+    return this.SERVE_STRATEGIES[this.normalize(tactics).serve];
+  },
+
+  /**
+   * Get how a block scheme changes the block odds against an attacker
+   *
+   * @param {Object} tactics - Tactics of the blocking team
+   * @param {string} attackerPosition - Position the attacker plays
+   * @returns {number} - Shift of the block chance
+   */
+  getBlockShift(tactics, attackerPosition) {
+    const scheme = this.BLOCK_SCHEMES[this.normalize(tactics).block];
+    return attackerPosition === "Middle Blocker"
+      ? scheme.middleShift
+      : scheme.wingShift;
+  },
+
+  /**
+   * Get how a block scheme changes the kill odds of the attacking team
+   *
+   * @param {Object} tactics - Tactics of the blocking team
+   * @returns {number} - Shift of the kill chance
+   */
+  getKillShift(tactics) {
+    return this.BLOCK_SCHEMES[this.normalize(tactics).block].killShift;
+  },
+
+  /**
+   * Get the attack distribution multiplier of a position
+   *
+   * @param {Object} tactics - Tactics of the attacking team
+   * @param {string} position - Position of the attacker
+   * @returns {number} - Multiplier of the position's attack weight
+   */
+  getAttackMultiplier(tactics, position) {
+    const distribution =
+      this.ATTACK_DISTRIBUTIONS[this.normalize(tactics).attack];
+    return distribution.weights[position] ?? 1;
+  },
+
+  /**
+   * Check whether a player is a setter by trade
+   *
+   * A setter fielded in another slot keeps their natural position.
+   *
+   * @param {Object} player - Player object
+   * @returns {boolean}
+   */
+  isSetter(player) {
+    return (player?.naturalPosition || player?.position) === "Setter";
+  },
+
+  /**
+   * Pick the tactics a computer coach plays against an opponent
+   *
+   * - Two setters in the lineup play a 6-2.
+   * - Servers go for the jump serve when it beats the opponent's passing.
+   * - The block commits on the middle when that is where the danger is.
+   * - The sets go to the strongest hitters, away from a strong middle
+   *   block and to the wings against a committing block.
+   *
+   * @param {Array} players - Starting players of the computer team
+   * @param {Array} opponentPlayers - Starting players of the opponent
+   * @param {Object|null} [opponentTactics] - Known tactics of the opponent
+   * @returns {Object} - Tactics ({ system, serve, block, attack })
+   */
+  pickCounterTactics(players, opponentPlayers, opponentTactics = null) {
+    const own = (players || []).filter(Boolean);
+    const opponent = (opponentPlayers || []).filter(Boolean);
+    const theirTactics = this.normalize(opponentTactics);
+
+    const system =
+      own.filter((player) => this.isSetter(player)).length >= 2 ? "6-2" : "5-1";
+
+    // Serve: own jump serve against the opponent's passers
+    const serveEdge =
+      this.average(own, (player) => player.jump_serve ?? player.serve) -
+      this.average(
+        opponent.filter((player) => player.position !== "Setter"),
+        (player) => player.receive
+      ) +
+      (theirTactics.attack === "middle" ? this.MIDDLE_ATTACK_SERVE_BONUS : 0);
+    const serve = serveEdge >= 0 ? "aggressive" : "safe";
+
+    // Block: commit when the opponent lives off its middles
+    const theirMiddles = opponent.filter(
+      (player) => player.position === "Middle Blocker"
+    );
+    const theirWings = opponent.filter((player) =>
+      ["Outside Hitter", "Opposite Hitter"].includes(player.position)
+    );
+    const block =
+      theirTactics.attack === "middle" ||
+      this.average(theirMiddles, (player) => player.attack) >
+        this.average(theirWings, (player) => player.attack)
+        ? "commit"
+        : "read";
+
+    return {
+      system,
+      serve,
+      block,
+      attack: this.pickAttackDistribution(own, opponent, theirTactics),
+    };
+  },
+
+  /**
+   * Pick the attack distribution of a computer team
+   *
+   * @param {Array} players - Starting players of the computer team
+   * @param {Array} opponentPlayers - Starting players of the opponent
+   * @param {Object} opponentTactics - Known tactics of the opponent
+   * @returns {string} - Key of ATTACK_DISTRIBUTIONS
+   */
+  pickAttackDistribution(players, opponentPlayers, opponentTactics) {
+    if (opponentTactics.block === "commit") {
+      return "outside";
+    }
+
+    // Attacking positions each distribution feeds
+    const groups = {
+      outside: "Outside Hitter",
+      middle: "Middle Blocker",
+      opposite: "Opposite Hitter",
+    };
+
+    // Keep the sets away from a middle block much stronger than the rest
+    const blockers = opponentPlayers.filter(
+      (player) => player.position !== "Libero"
+    );
+    const middleBlockEdge =
+      this.average(
+        blockers.filter((player) => player.position === "Middle Blocker"),
+        (player) => player.block
+      ) - this.average(blockers, (player) => player.block);
+    if (middleBlockEdge > this.STRONG_MIDDLE_BLOCK_EDGE) {
+      delete groups.middle;
+    }
+
+    const hitters = players.filter((player) =>
+      ["Outside Hitter", "Middle Blocker", "Opposite Hitter"].includes(
+        player.position
+      )
+    );
+    const overall = this.average(hitters, (player) => player.attack);
+    let best = "balanced";
+    let bestEdge = this.ATTACK_FOCUS_EDGE;
+    Object.entries(groups).forEach(([distribution, position]) => {
+      const group = players.filter((player) => player.position === position);
+      if (group.length === 0) {
+        return;
+      }
+      const edge = this.average(group, (player) => player.attack) - overall;
+      if (edge >= bestEdge) {
+        best = distribution;
+        bestEdge = edge;
+      }
+    });
+    return best;
+  },
+
+  /**
+   * Average a rating over players, 50 for missing ratings or no players
+   *
+   * @param {Array} players - Players
+   * @param {Function} ratingFn - Function returning the rating of a player
+   * @returns {number} - Average rating
+   */
+  average(players, ratingFn) {
+    if (players.length === 0) {
+      return 50;
+    }
+    return (
+      players.reduce((sum, player) => {
+        const value = Number(ratingFn(player));
+        return sum + (Number.isFinite(value) ? value : 50);
+      }, 0) / players.length
+    );
+  },
+};
+
+// Export to global scope
+window.TacticsSystem = TacticsSystem;
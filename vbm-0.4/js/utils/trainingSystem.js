@@ -0,0 +1,167 @@
+/**
+ * Training System - Stat development from training sessions
+ *
+ * This module works out what a training session does to a player: which
+ * stats grow and by how much, how tired they are after the day and how
+ * likely they are to get hurt. Growth depends on the session focus and
+ * intensity, the player's age and potential, the coach and how fresh the
+ * player is.
+ *
+ * @fileoverview Training session rules for player development
+ * @author Spike Dynasty Team
+ * @version 0.4.0
+ */
+
+/**
+ * TrainingSystem utility object
+ *
+ * All functions are pure apart from the random generator passed in, so
+ * storage and display are left to the caller.
+ */
+const TrainingSystem = {
+  // Stats trained by each session focus
+  FOCUSES: {
+    serve: {
+      name: "Serve",
+      stats: ["serve", "jump_serve", "float_serve"],
+    },
+    block: {
+      name: "Block",
+      stats: ["block", "block_timing"],
+    },
+    reception: {
+      name: "Reception",
+      stats: ["receive", "defense", "dig_technique"],
+    },
+    setting: {
+      name: "Setting",
+      stats: ["setting", "teamwork"],
+    },
+    fitness: {
+      name: "Fitness",
+      stats: ["endurance", "speed", "agility", "strength"],
+    },
+    tactical: {
+      name: "Tactical",
+      stats: ["concentration", "teamwork", "pressure_handling", "leadership"],
+    },
+  },
+
+  // Growth multiplier, fatigue added and injury risk of each intensity
+  INTENSITIES: {
+    rest: { name: "Rest", growth: 0, fatigue: 0, injuryRisk: 0 },
+    light: { name: "Light", growth: 0.5, fatigue: 2, injuryRisk: 0.001 },
+    normal: { name: "Normal", growth: 1, fatigue: 6, injuryRisk: 0.004 },
+    intense: { name: "Intense", growth: 1.6, fatigue: 12, injuryRisk: 0.012 },
+  },
+
+  // Expected stat points gained by each trained stat in a normal session
+  BASE_GROWTH: 0.05,
+
+  // Coach quality of a team without one set
+  DEFAULT_COACH_QUALITY: 50,
+
+  /**
+   * Work out the result of a training session for one player
+   *
+   * Every stat of the focus gains its expected growth on average; the
+   * fraction of a point is won with that probability.
+   *
+   * @param {Object} player - Player row
+   * @param {Object} session - Training session ({ focus, intensity })
+   * @param {number} coachQuality - Coach quality of the team (1-100)
+   * @param {Object} rng - Random generator
+   * @returns {Object} - Session result ({ changes, fatigue, injuryRisk })
+   */
+  getSessionResult(player, session, coachQuality, rng) {
+    const focus = this.FOCUSES[session.focus];
+    const intensity = this.INTENSITIES[session.intensity];
+    if (!focus || !intensity) {
+      throw new Error(
+        `Unknown training session: ${session.focus}/${session.intensity}`
+      );
+    }
+
+    const growth = this.getExpectedGrowth(player, intensity, coachQuality);
+    const changes = [];
+
+    focus.stats.forEach((stat) => {
+      const config = window.PlayerStatsSystem.getAllStats()[stat];
+      const current = player[stat];
+      if (current === undefined || current === null) {
+        return;
+      }
+
+      const points = Math.floor(growth) + (rng.chance(growth % 1) ? 1 : 0);
+      const next = Math.min(config.max, current + points);
+      if (next !== current) {
+        changes.push({ stat, oldValue: current, newValue: next });
+      }
+    });
+
+    // Players recover over the day and the session tires them again
+    const recovered = window.FatigueSystem.getRecoveredFatigue(player);
+    const load =
+      intensity.fatigue * window.FatigueSystem.getEnduranceLoad(player);
+
+    return {
+      changes,
+      fatigue: window.FatigueSystem.clamp(Math.round(recovered + load)),
+      injuryRisk: this.getInjuryRisk(player, session.intensity),
+    };
+  },
+
+  /**
+   * Get the expected stat points a session adds to each trained stat
+   *
+   * Young players with room to reach their potential grow fastest. A good
+   * coach speeds up growth and a tired player takes less from a session.
+   *
+   * @param {Object} player - Player row
+   * @param {Object} intensity - Intensity settings
+   * @param {number} coachQuality - Coach quality of the team (1-100)
+   * @returns {number} - Expected stat points
+   */
+  getExpectedGrowth(player, intensity, coachQuality) {
+    const age = player.age || 25;
+    const ageFactor =
+      age <= 21 ? 1.5 : age <= 24 ? 1.2 : age <= 28 ? 1 : age <= 31 ? 0.6 : 0.3;
+
+    const overall = player.overall || 50;
+    const potential = player.potential ?? overall;
+    const potentialFactor = Math.max(
+      0.1,
+      Math.min(1.5, 0.5 + (potential - overall) / 20)
+    );
+
+    const coachFactor =
+      0.6 + ((coachQuality ?? this.DEFAULT_COACH_QUALITY) / 100) * 0.8;
+    const fatigueFactor = 1 - (player.fatigue || 0) / 200;
+
+    return (
+      this.BASE_GROWTH *
+      intensity.growth *
+      ageFactor *
+      potentialFactor *
+      coachFactor *
+      fatigueFactor
+    );
+  },
+
+  /**
+   * Get the chance of a player getting hurt in a session
+   *
+   * Tired players and players low on strength or agility are more at risk.
+   *
+   * @param {Object} player - Player row
+   * @param {string} intensity - Intensity key
+   * @returns {number} - Injury probability (0-1)
+   */
+  getInjuryRisk(player, intensity) {
+    const base = this.INTENSITIES[intensity]?.injuryRisk ?? 0;
+    return base * window.InjurySystem.getRiskFactor(player);
+  },
+};
+
+// Export to global scope
+window.TrainingSystem = TrainingSystem;
@@ -0,0 +1,247 @@
+/**
+ * Youth Academy System - Generated prospects of a team's academy
+ *
+ * This module creates the 16 to 19 year-old prospects a youth academy
+ * brings in every season. Prospects start well below the senior squad
+ * but their potential varies a lot, and a better academy finds more of
+ * them with higher potential. It also prices academy upgrades and picks
+ * a free jersey number for a promoted prospect.
+ *
+ * @fileoverview Youth academy rules for prospects
+ * @author Spike Dynasty Team
+ * @version 0.4.0
+ */
+
+/**
+ * YouthAcademySystem utility object
+ *
+ * All functions are pure apart from the random generator passed in, so
+ * storage and display are left to the caller.
+ */
+const YouthAcademySystem = {
+  // Age range of new prospects
+  MIN_AGE: 16,
+  MAX_AGE: 19,
+
+  // Positions prospects play, weighted like a squad
+  POSITION_WEIGHTS: {
+    "Outside Hitter": 2,
+    "Middle Blocker": 2,
+    Setter: 1,
+    "Opposite Hitter": 1,
+    Libero: 1,
+  },
+
+  // Academy quality of a team without one set
+  DEFAULT_QUALITY: 40,
+
+  // Quality gained by an upgrade, and the highest quality
+  UPGRADE_STEP: 10,
+  MAX_QUALITY: 100,
+
+  // Price of an upgrade: a base plus a price per quality point already reached
+  UPGRADE_BASE_COST: 100000,
+  UPGRADE_COST_PER_QUALITY: 2500,
+
+  // Spread of prospect potential, the source of most of their value
+  POTENTIAL_DEVIATION: 12,
+
+  // Share of prospects from the country most of the squad comes from
+  HOME_COUNTRY_SHARE: 0.7,
+
+  // Jersey numbers a team can hand out
+  MIN_JERSEY: 1,
+  MAX_JERSEY: 99,
+
+  // First and last names of prospects by country
+  NAME_POOLS: {
+    USA: {
+      first: ["Ethan", "Mason", "Logan", "Tyler", "Caleb", "Noah", "Ryan"],
+      last: ["Miller", "Anderson", "Walker", "Carter", "Hughes", "Reed"],
+    },
+    Brazil: {
+      first: ["Thiago", "Matheus", "Gustavo", "Vitor", "Bruno", "Felipe"],
+      last: ["Souza", "Pereira", "Almeida", "Ferreira", "Rocha", "Barbosa"],
+    },
+    Italy: {
+      first: ["Lorenzo", "Matteo", "Alessandro", "Davide", "Simone"],
+      last: ["Rossi", "Bianchi", "Romano", "Colombo", "Ricci", "Galli"],
+    },
+    Poland: {
+      first: ["Jakub", "Kacper", "Mateusz", "Bartosz", "Szymon"],
+      last: ["Nowak", "Kowalski", "Wozniak", "Mazur", "Krawczyk"],
+    },
+    France: {
+      first: ["Hugo", "Louis", "Theo", "Julien", "Antoine", "Maxime"],
+      last: ["Martin", "Bernard", "Dubois", "Moreau", "Laurent", "Girard"],
+    },
+  },
+
+  /**
+   * Get the number of prospects an academy brings in each season
+   *
+   * @param {number} quality - Academy quality (1-100)
+   * @returns {number} - Prospects per season
+   */
+  getIntakeSize(quality) {
+    return 2 + Math.round((quality ?? this.DEFAULT_QUALITY) / 25);
+  },
+
+  /**
+   * Generate the prospects of a season's intake
+   *
+   * @param {number} quality - Academy quality (1-100)
+   * @param {Object} rng - Random generator
+   * @param {string} [homeCountry] - Country most of the squad comes from
+   * @returns {Array} - Prospects (see generateProspect)
+   */
+  generateIntake(quality, rng, homeCountry) {
+    return Array.from({ length: this.getIntakeSize(quality) }, () =>
+      this.generateProspect(quality, rng, homeCountry)
+    );
+  },
+
+  /**
+   * Generate a single prospect
+   *
+   * The potential is rolled first with a wide spread around a mean set by
+   * the academy quality; the current level sits well below it, closer for
+   * older prospects. Stats come from PlayerStatsSystem.generateRandomStats
+   * with the extended stats included.
+   *
+   * @param {number} quality - Academy quality (1-100)
+   * @param {Object} rng - Random generator
+   * @param {string} [homeCountry] - Country most of the squad comes from
+   * @returns {Object} - Prospect ({ player_name, position, age, country, overall, potential, stats })
+   */
+  generateProspect(quality, rng, homeCountry) {
+    const academyQuality = quality ?? this.DEFAULT_QUALITY;
+    const age = rng.int(this.MIN_AGE, this.MAX_AGE);
+    const position = this.pickPosition(rng);
+
+    const potential = this.clamp(
+      Math.round(
+        rng.normal(45 + academyQuality * 0.35, this.POTENTIAL_DEVIATION)
+      ),
+      35,
+      99
+    );
+    const gap = rng.range(10, 20) + (this.MAX_AGE - age) * 3;
+    const target = this.clamp(potential - gap, 25, potential);
+
+    const { overall, ...generated } =
+      window.PlayerStatsSystem.generateRandomStats(position, target, {
+        includeExtended: true,
+        rng,
+      });
+    const stats = {
+      ...generated,
+      // generateRandomStats does not know the centimetre scale of height
+      height: this.clamp(
+        Math.round(rng.normal(position === "Libero" ? 182 : 194, 6)),
+        165,
+        215
+      ),
+      experience: rng.int(1, 15),
+      potential,
+    };
+
+    // Height is left out of the rating, it is not on the 1-100 scale
+    const { height, ...ratedStats } = stats;
+    const rating = window.PlayerStatsSystem.calculateOverallRating(
+      ratedStats,
+      position
+    );
+
+    const country =
+      homeCountry && rng.chance(this.HOME_COUNTRY_SHARE)
+        ? homeCountry
+        : rng.pick(Object.keys(this.NAME_POOLS));
+
+    return {
+      player_name: this.generateName(country, rng),
+      position,
+      age,
+      country,
+      overall: rating,
+      potential: Math.max(potential, rating),
+      stats,
+    };
+  },
+
+  /**
+   * Pick the position of a prospect
+   *
+   * @param {Object} rng - Random generator
+   * @returns {string} - Position
+   */
+  pickPosition(rng) {
+    const entries = Object.entries(this.POSITION_WEIGHTS);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+    let roll = rng.range(0, total);
+    const entry = entries.find(([, weight]) => (roll -= weight) < 0);
+    return (entry || entries[entries.length - 1])[0];
+  },
+
+  /**
+   * Generate a name for a prospect
+   *
+   * Countries without a name pool borrow one at random.
+   *
+   * @param {string} country - Prospect's country
+   * @param {Object} rng - Random generator
+   * @returns {string} - Full name
+   */
+  generateName(country, rng) {
+    const pool =
+      this.NAME_POOLS[country] ||
+      this.NAME_POOLS[rng.pick(Object.keys(this.NAME_POOLS))];
+    return `${rng.pick(pool.first)} ${rng.pick(pool.last)}`;
+  },
+
+  /**
+   * Get the price of the next academy upgrade
+   *
+   * @param {number} quality - Current academy quality (1-100)
+   * @returns {number|null} - Price, or null when the academy is at its best
+   */
+  getUpgradeCost(quality) {
+    const current = quality ?? this.DEFAULT_QUALITY;
+    if (current >= this.MAX_QUALITY) {
+      return null;
+    }
+    return this.UPGRADE_BASE_COST + current * this.UPGRADE_COST_PER_QUALITY;
+  },
+
+  /**
+   * Find the lowest jersey number no player of a team wears
+   *
+   * @param {Array} players - Player rows of the team
+   * @returns {number|null} - Free jersey number or null if all are taken
+   */
+  getFreeJerseyNumber(players) {
+    const taken = new Set(players.map((player) => player.jersey_number));
+    for (let number = this.MIN_JERSEY; number <= this.MAX_JERSEY; number++) {
+      if (!taken.has(number)) {
+        return number;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Clamp a value to a range
+   *
+   * @param {number} value - Value to clamp
+   * @param {number} min - Lowest value
+   * @param {number} max - Highest value
+   * @returns {number}
+   */
+  clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+  },
+};
+
+// Export to global scope
+window.YouthAcademySystem = YouthAcademySystem;